@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+const { Cli } = require("../src/utils/Cli");
+
+Cli.run(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,1596 @@
+/// <reference types="node" />
+
+import { Readable } from "stream";
+import { Server as HttpServer } from "http";
+import { EventEmitter } from "events";
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Structured error codes returned in the `code` field of responses
+ */
+export declare const ERROR_CODES: {
+  readonly RATE_LIMITED: "RATE_LIMITED";
+  readonly NETWORK: "NETWORK";
+  readonly VIDEO_UNAVAILABLE: "VIDEO_UNAVAILABLE";
+  readonly PRIVATE_VIDEO: "PRIVATE_VIDEO";
+  readonly AGE_RESTRICTED: "AGE_RESTRICTED";
+  readonly PRIVATE_PLAYLIST: "PRIVATE_PLAYLIST";
+  readonly PLAYLIST_UNAVAILABLE: "PLAYLIST_UNAVAILABLE";
+  readonly CHANNEL_UNAVAILABLE: "CHANNEL_UNAVAILABLE";
+  readonly FORMAT_NOT_FOUND: "FORMAT_NOT_FOUND";
+  readonly FFMPEG_NOT_FOUND: "FFMPEG_NOT_FOUND";
+  readonly COMMENTS_DISABLED: "COMMENTS_DISABLED";
+  readonly INVALID_INPUT: "INVALID_INPUT";
+  readonly INVALID_URL: "INVALID_URL";
+  readonly UNKNOWN: "UNKNOWN";
+};
+
+/**
+ * Code from `ERROR_CODES`
+ */
+export type ErrorCode = (typeof ERROR_CODES)[keyof typeof ERROR_CODES];
+
+/**
+ * Codes of transient errors worth retrying
+ */
+export declare const RETRYABLE_CODES: ErrorCode[];
+
+/**
+ * Type of a format, `others` for formats with neither video nor audio
+ */
+export type FormatType = "video" | "audio" | "video and audio" | "others";
+
+/**
+ * Types accepted by the `types` option
+ */
+export type VideoType = "video" | "audio" | "video and audio";
+
+/**
+ * All available video types `['video', 'audio', 'video and audio']`
+ */
+export declare const ALL_TYPES: VideoType[];
+
+/**
+ * Quality labels accepted by the `qualitys` option
+ */
+export type QualityLabel = "144p" | "240p" | "360p" | "480p" | "720p" | "1080p" | "1440p" | "2160p" | "4320p";
+
+/**
+ * Quality filters, formats of the enabled qualitys are kept (all formats if none is enabled)
+ */
+export type Qualitys = { [quality in QualityLabel]?: boolean };
+
+/**
+ * Default qualitys, all disabled
+ */
+export declare const D_Q: { [quality in QualityLabel]: boolean };
+
+/**
+ * Metadata fields accepted by the `include` option of `Video.getInfo`
+ */
+export type VideoField = "description" | "duration" | "views" | "likes" | "publish_date" | "category" | "keywords" | "chapters" | "thumbnails" | "channel" | "live";
+
+// ---------------------------------------------------------------------------
+// Response envelopes
+// ---------------------------------------------------------------------------
+
+/**
+ * Fields of a successful response
+ */
+export interface Succeeded {
+  err: false;
+  err_msg: "";
+  code: null;
+}
+
+/**
+ * Fields of a failed response
+ */
+export interface Failed {
+  err: true;
+  err_msg: string;
+  code: ErrorCode;
+}
+
+/**
+ * Response envelope, the data key holds the data on success and null on error
+ * Narrow it by checking `err`
+ */
+export type Envelope<Key extends string, Data> = (Succeeded & { [key in Key]: Data }) | (Failed & { [key in Key]: null });
+
+// ---------------------------------------------------------------------------
+// Video
+// ---------------------------------------------------------------------------
+
+/**
+ * Selection policy ranking formats from the best
+ */
+export interface SelectPolicy {
+  /** `best`, `worst`, exact like `720p`, limit like `<=720p` or `>=720p`, or closest like `nearest:1080p` (default `best`) */
+  quality?: string;
+  /** Preferred containers in order, like `['mp4', 'webm']` */
+  container?: string | string[];
+  /** Preferred codecs in order, like `['avc1', 'vp9', 'av1']` */
+  codec?: string | string[];
+  /** Preferred frame rate, the closest one wins */
+  fps?: number | null;
+  /** `true` to prefer HDR formats, `false` to prefer SDR formats */
+  hdr?: boolean | null;
+  /** Audio bitrate limit in kbps like `>=128` or `<=64`, a number means at least this bitrate */
+  audioBitrate?: string | number | null;
+}
+
+/**
+ * Rule that picked the first format of a selection
+ */
+export type SelectionRule = "hdr" | "quality" | "fps" | "codec" | "container" | "audioBitrate" | "bitrate" | "order" | "only";
+
+/**
+ * Explanation of a selection added to `VideoData`
+ */
+export interface SelectionInfo {
+  rule: SelectionRule | null;
+  reason: string;
+  /** Number of formats removed by each limit */
+  excluded: { quality?: number; audioBitrate?: number };
+}
+
+/**
+ * Prepared video format
+ */
+export interface Format {
+  /** Descriptive title like `video/mp4 [720p] [+audio]` */
+  title: string;
+  mimeType: string;
+  hasVideo: boolean;
+  hasAudio: boolean;
+  type: FormatType;
+  /** Quality label like `720p60`, null without video */
+  quality: string | null;
+  container: string;
+  /** Codecs of the mime type like `avc1.4d401f, mp4a.40.2` */
+  codecs: string;
+  videoCodec: string | null;
+  audioCodec: string | null;
+  width: number | null;
+  height: number | null;
+  fps: number | null;
+  hdr: boolean;
+  /** Bitrate in bits per second */
+  bitrate: number | null;
+  /** Audio bitrate in kbps */
+  audioBitrate: number | null;
+  url: string;
+}
+
+export interface Chapter {
+  title: string;
+  start_seconds: number;
+  end_seconds: number | null;
+}
+
+export interface Thumbnail {
+  url: string;
+  width: number | null;
+  height: number | null;
+}
+
+export interface VideoChannel {
+  id: string | null;
+  name: string | null;
+  url: string | null;
+  user_url: string | null;
+  avatar_url: string | null;
+  verified: boolean;
+  subscriber_count: number | null;
+}
+
+export interface LiveStatus {
+  is_live_content: boolean;
+  is_live_now: boolean;
+  is_upcoming: boolean;
+  start_time: string | null;
+  end_time: string | null;
+}
+
+/**
+ * Processed video information, metadata fields are only present when included
+ */
+export interface VideoData {
+  id: string;
+  title: string;
+  video_url: string;
+  description?: string | null;
+  duration_seconds?: number | null;
+  view_count?: number | null;
+  like_count?: number | null;
+  publish_date?: string | null;
+  upload_date?: string | null;
+  category?: string | null;
+  keywords?: string[];
+  chapters?: Chapter[];
+  thumbnails?: Thumbnail[];
+  channel?: VideoChannel;
+  live?: LiveStatus;
+  /** Only with the `select` option */
+  selection?: SelectionInfo;
+  formats: Format[];
+}
+
+export interface MainGetInfoOptions {
+  /** Video number used in the format URLs (default `1`) */
+  VideoNumber?: number;
+  /** Response format, `text` and export formats return `VideoData` as a string (default `json`) */
+  VideoDataType?: "json" | "text" | ExportFormat;
+  /** Types to keep (default all types) */
+  types?: VideoType[];
+  /** Quality filters (default no filter) */
+  qualitys?: Qualitys;
+  /** Metadata fields to add, or `all` (default none, like `null`) */
+  include?: VideoField[] | "all" | null;
+  /** Selection policy ranking formats from the best (default YouTube order) */
+  select?: SelectPolicy | null;
+}
+
+/**
+ * Default options of `Video.getInfo`
+ */
+export declare const MAIN_GET_INFO_OPTIONS: Required<MainGetInfoOptions>;
+
+export type VideoResponse<Data = VideoData> = Envelope<"VideoData", Data>;
+
+/**
+ * Download link, or a `No download link found` message when no format matches
+ */
+export type DownloadResponse = Envelope<"results", string>;
+
+export interface PoolOptions {
+  /** Number of videos processed in parallel (default `1`) */
+  concurrency?: number;
+  /** Minimum milliseconds between the start of two requests (default `0`) */
+  requestInterval?: number;
+}
+
+export type CaptionsFormat = "srt" | "vtt" | "json" | "text";
+
+export interface CaptionsOptions {
+  /** Language codes like `['en', 'fr']`, `en` also matches `en-US` (default all) */
+  languages?: string[];
+  /** Include speech recognition tracks (default `true`) */
+  autoGenerated?: boolean;
+  /** Format of each track content (default `srt`) */
+  format?: CaptionsFormat;
+}
+
+export interface Cue {
+  start_ms: number;
+  end_ms: number;
+  text: string;
+}
+
+export interface CaptionTrackInfo {
+  language: string;
+  name: string;
+  auto_generated: boolean;
+  translatable: boolean;
+}
+
+export interface CaptionTrack extends CaptionTrackInfo {
+  format: CaptionsFormat;
+  /** Converted content, cues for `json` */
+  content: string | Cue[];
+}
+
+export interface CaptionsData {
+  id: string;
+  title: string;
+  available: CaptionTrackInfo[];
+  tracks: CaptionTrack[];
+}
+
+export type CaptionsResponse = Envelope<"CaptionsData", CaptionsData>;
+
+export type CommentsSort = "top" | "newest";
+
+export interface CommentsOptions {
+  /** Order of the comments (default `top`) */
+  sortBy?: CommentsSort;
+  /** Maximum number of comments, `Infinity` for all (default `100`) */
+  limit?: number;
+  /** Add the replies of each comment (default `false`) */
+  includeReplies?: boolean;
+  /** Maximum number of replies of each comment, `Infinity` for all (default `100`) */
+  repliesLimit?: number;
+  /** `continuation` of previous comments, the URL is ignored (default `null`) */
+  continuation?: string | null;
+}
+
+export interface Comment {
+  id: string;
+  author_name: string;
+  author_url: string | null;
+  author_channel_id: string | null;
+  text: string;
+  /** Approximate above 1000 (`1.2K`) */
+  likes: number;
+  reply_count: number;
+  /** Relative time like `2 years ago` */
+  published_time: string;
+  pinned: boolean;
+  hearted: boolean;
+  author_is_creator: boolean;
+}
+
+export interface ParsedComment extends Comment {
+  replies_continuation: string | null;
+}
+
+export interface CommentsPage {
+  comments: ParsedComment[];
+  continuation: string | null;
+  /** Only on the first page */
+  totalComments: number | null;
+  /** Only on the first page */
+  sortTokens: { top: string | null; newest: string | null };
+}
+
+export interface CommentsResults {
+  video_id: string;
+  title: string | null;
+  /** Order of the first call when continuing */
+  sort_by: CommentsSort;
+  total_comments: number | null;
+  number_comments: number;
+  comments: Array<Comment & { replies?: Comment[] }>;
+  /** Null after the last comment */
+  continuation: string | null;
+}
+
+export type CommentsResponse = Envelope<"results", CommentsResults>;
+
+export interface DownloadProgress {
+  downloaded: number;
+  total: number | null;
+  percent: number | null;
+  /** Stream type when muxing */
+  stream?: FormatType;
+}
+
+export interface DownloadOptions {
+  /** Output directory (default `.`) */
+  outDir?: string;
+  /** Keys `{n}`, `{id}`, `{title}`, `{quality}`, `{type}` and `{ext}` (default `{n} - {title}.{ext}`) */
+  filenameTemplate?: string;
+  /** Value of `{n}` (default `1`) */
+  VideoNumber?: number;
+  /** Types to keep, ignored when muxing (default `['video and audio']`) */
+  types?: VideoType[];
+  qualitys?: Qualitys;
+  /** Continue a partial `.part` file (default `true`) */
+  resume?: boolean;
+  onProgress?: ((progress: DownloadProgress) => void) | null;
+  /** Merge the best video-only and audio-only streams with ffmpeg (default `false`) */
+  mux?: boolean;
+  /** Output container when muxing (default `mp4`) */
+  container?: "mp4" | "mkv";
+  ffmpegPath?: string;
+  select?: SelectPolicy | null;
+}
+
+export interface FileResult {
+  path: string;
+  size: number;
+  resumed: boolean;
+}
+
+export type FileResponse<Result = FileResult> = Envelope<"results", Result>;
+
+/**
+ * Youtube Video Helper
+ */
+export declare class Video {
+  static ALL_TYPES: VideoType[];
+
+  /**
+   * Get raw video information using ytdl-core
+   */
+  static main_getInfo(url: string): Promise<VideoResponse<import("@distube/ytdl-core").videoInfo>>;
+
+  /**
+   * Get processed video information with filtering options
+   */
+  static getInfo(url: string, getInfoOptions: MainGetInfoOptions & { VideoDataType: "text" | ExportFormat }): Promise<VideoResponse<string>>;
+  static getInfo(url: string, getInfoOptions?: MainGetInfoOptions): Promise<VideoResponse>;
+
+  /**
+   * Get the link of the first matching format, or of the selected one with a selection policy
+   */
+  static getDownloadLink(videoUrl: string, videoNumber?: number, types?: VideoType[], qualitys?: Qualitys, select?: SelectPolicy | null): Promise<DownloadResponse>;
+
+  /**
+   * Get download links of many videos, `results` has one link or error message per video separated by blank lines
+   */
+  static getDownloadLinkForMany(videoUrls: string[] | string, types?: VideoType[], qualitys?: Qualitys, poolOptions?: PoolOptions): Promise<DownloadResponse>;
+
+  /**
+   * List the caption tracks of a video and get the matching ones converted to a format
+   */
+  static getCaptions(url: string, captionsOptions?: CaptionsOptions): Promise<CaptionsResponse>;
+
+  /**
+   * Get the comments of a video page by page until the limit, with their replies if requested
+   */
+  static getComments(url: string | null, commentsOptions?: CommentsOptions): Promise<CommentsResponse>;
+
+  /**
+   * Download a format to disk, or merge the best video and audio streams with `mux`
+   */
+  static download(url: string, downloadOptions?: DownloadOptions): Promise<FileResponse<FileResult & { format: string }>>;
+}
+
+// ---------------------------------------------------------------------------
+// Playlist
+// ---------------------------------------------------------------------------
+
+export interface PlaylistVideoEntry {
+  id: string;
+  title: string;
+  video_url: string;
+  /** Null if unknown, like live videos */
+  duration_seconds: number | null;
+  /** Formats or error message, only with download links */
+  formats?: Format[] | string;
+}
+
+export interface PlaylistData {
+  id: string;
+  title: string;
+  url: string;
+  number_videos: number;
+  /** Videos by number, from 1 */
+  videos: { [number: number]: PlaylistVideoEntry };
+  /** Selected video numbers in selection order, only with a selection */
+  order?: number[];
+}
+
+/**
+ * Continuation of a playlist page, serializable to JSON
+ */
+export interface PlaylistContinuation {
+  id: string;
+  title: string;
+  offset: number;
+  token: unknown[];
+}
+
+export interface PlaylistPage extends PlaylistData {
+  /** Null on the last page */
+  continuation: PlaylistContinuation | null;
+}
+
+export type PlaylistResponse<Data = PlaylistData> = Envelope<"PlaylistData", Data>;
+
+export type NumberVideoResponse = Envelope<"numberVideo", number>;
+
+export interface PageOptions {
+  /** Number of pages of about 100 videos, `Infinity` for all (default `1`) */
+  pages?: number;
+  continuation?: PlaylistContinuation | null;
+}
+
+export interface IterateOptions {
+  /** First video number (default `1`) */
+  from?: number;
+  /** Last video number, next pages are not requested after it (default last video) */
+  to?: number | null;
+  /** Add the formats of each video (default `false`) */
+  withFormats?: boolean;
+}
+
+export interface PlaylistVideo {
+  number: number;
+  id: string;
+  title: string;
+  video_url: string;
+  /** Formats or error message, only with `withFormats` */
+  formats?: Format[] | string;
+}
+
+export interface PlaylistSelectionOptions {
+  /** Video numbers like `1,3,5-9,-3:` (numbers, from the end, ranges and `start:stop:step` slices) or an array of numbers (default all) */
+  items?: string | number[] | null;
+  /** Process the videos from the last one (default `false`) */
+  reverse?: boolean;
+  /** Random order, a number is a seed giving the same order (default `false`) */
+  shuffle?: boolean | number;
+  /** Video IDs and numbers already processed, or a predicate (default `[]`) */
+  skip?: Array<string | number> | Set<string | number> | ((video: PlaylistVideoEntry, videoNumber: number) => boolean);
+  /** Minimum duration in seconds, unknown durations are skipped when set (default `null`) */
+  minDuration?: number | null;
+  /** Maximum duration in seconds, unknown durations are skipped when set (default `null`) */
+  maxDuration?: number | null;
+  /** Regular expression the title must match, strings are case insensitive (default `null`) */
+  titleMatch?: RegExp | string | null;
+}
+
+export interface PlaylistInfoOptions extends PoolOptions, PlaylistSelectionOptions {
+  /** Export format, `PlaylistData` is then the exported string (default `json`) */
+  VideoDataType?: "json" | ExportFormat;
+  /** Skip the cached playlist, the fetched one replaces it (default `false`) */
+  refresh?: boolean;
+}
+
+export interface NormalizedPlaylistSelection {
+  items: Array<{ start: number | null; stop: number | null; step: number }> | null;
+  reverse: boolean;
+  shuffle: boolean | number;
+  skip: ((video: PlaylistVideoEntry, videoNumber: number) => boolean) | null;
+  minDuration: number | null;
+  maxDuration: number | null;
+  titleMatch: RegExp | null;
+  /** False when no rule is set */
+  active: boolean;
+}
+
+/**
+ * Youtube Playlist Selection Helper
+ */
+export declare class PlaylistSelection {
+  /**
+   * Validate and normalize a selection, keys of other options are ignored
+   * @throws {ScrapingError} INVALID_INPUT if a value is invalid
+   */
+  static parse(options?: PlaylistSelectionOptions): NormalizedPlaylistSelection;
+
+  /**
+   * Get the selected video numbers in processing order, negative numbers count from `count`
+   */
+  static apply(videos: { [number: number]: Pick<PlaylistVideoEntry, "id" | "title"> & Partial<PlaylistVideoEntry> }, selection: NormalizedPlaylistSelection, count?: number): number[];
+}
+
+export interface GetDownloadsLinksOptions extends PoolOptions, PlaylistSelectionOptions {
+  /** `text` joins the links in one string, export formats write them as a file content (default `json`) */
+  VideoDataType?: "json" | "text" | ExportFormat;
+  /** Types to keep (default `['video and audio']`) */
+  types?: VideoType[];
+  /** Starting video number (default `1`) */
+  from?: number | null;
+  /** Ending video number (default last video) */
+  to?: number | null;
+  qualitys?: Qualitys;
+  /** Called as soon as the link of a video is ready */
+  onItem?: ((videoNumber: number, link: PlaylistLink) => void) | null;
+  /** Stops the requests, the videos not started yet are left out of the results */
+  signal?: AbortSignal | null;
+  /** Selection policy picking the link of each video */
+  select?: SelectPolicy | null;
+}
+
+/**
+ * Default options of `Playlist.getDownloadsLinks`
+ */
+export declare const GET_DOWNLOADS_LINKS_OPTIONS: Required<GetDownloadsLinksOptions>;
+
+/**
+ * Link response of a video, or a `Video URL not found` message
+ */
+export type PlaylistLink = DownloadResponse | string;
+
+/**
+ * Links in playlist order, joined in a string with `VideoDataType: 'text'`
+ */
+export type DownloadLinksResponse<Results = PlaylistLink[]> = Envelope<"results", Results>;
+
+/**
+ * Youtube Playlist Helper
+ */
+export declare class Playlist {
+  /**
+   * Get raw playlist information using ytpl
+   */
+  static main_ytpl(url?: string, limit?: number): Promise<PlaylistResponse<import("ytpl").Result>>;
+
+  /**
+   * Get the number of videos in a playlist
+   */
+  static numberVideo(url?: string): Promise<NumberVideoResponse>;
+
+  /**
+   * Get detailed information about a playlist, with the formats of each video if `withDownloadLinks`
+   */
+  static getInfo(url: string, withDownloadLinks: boolean, options: PlaylistInfoOptions & { VideoDataType: ExportFormat }): Promise<PlaylistResponse<string>>;
+  static getInfo(url?: string, withDownloadLinks?: boolean, options?: PlaylistInfoOptions): Promise<PlaylistResponse>;
+
+  /**
+   * Get one page of playlist videos, next pages are requested with the returned `continuation`
+   */
+  static getPage(url?: string, options?: PageOptions): Promise<PlaylistResponse<PlaylistPage>>;
+
+  /**
+   * Iterate over the videos of a playlist page by page
+   * @throws {ScrapingError} If the range is invalid or a page can not be fetched
+   */
+  static iterate(url?: string, options?: IterateOptions): AsyncGenerator<PlaylistVideo, void, undefined>;
+
+  /**
+   * Stream the videos of a playlist, object mode Readable of `PlaylistVideo`
+   */
+  static stream(url?: string, options?: IterateOptions): Readable;
+
+  /**
+   * Get download links for a range of videos in a playlist
+   */
+  static getDownloadsLinks(url: string, options: GetDownloadsLinksOptions & { VideoDataType: "text" | ExportFormat }): Promise<DownloadLinksResponse<string>>;
+  static getDownloadsLinks(url?: string, options?: GetDownloadsLinksOptions): Promise<DownloadLinksResponse>;
+
+  /**
+   * Take a dated snapshot of a playlist, skipping the cache
+   */
+  static snapshot(url?: string): Promise<SnapshotResponse>;
+
+  /**
+   * Compare two snapshots of a playlist, `INVALID_INPUT` if a snapshot has no videos or the snapshots are of different playlists
+   */
+  static diff(oldSnapshot: SnapshotLike, newSnapshot: SnapshotLike): DiffResponse;
+
+  /**
+   * Take a snapshot every `interval` and emit `snapshot`, `change` and `error` events
+   * @throws {ScrapingError} INVALID_URL or INVALID_INPUT if the URL or the interval is invalid
+   */
+  static watch(url: string, options?: WatchOptions): PlaylistWatcher;
+}
+
+export interface SnapshotVideo extends PlaylistVideoEntry {
+  /** False for private and deleted videos */
+  available: boolean;
+}
+
+export interface Snapshot extends Omit<PlaylistData, "videos" | "order"> {
+  /** ISO date */
+  taken_at: string;
+  videos: { [number: number]: SnapshotVideo };
+}
+
+export type SnapshotResponse = Envelope<"SnapshotData", Snapshot>;
+
+export type DiffResponse = Envelope<"DiffData", SnapshotDiff>;
+
+/**
+ * Snapshot or synthetic snapshot, availability is read from the title when missing
+ */
+export interface SnapshotLike {
+  id?: string;
+  taken_at?: string;
+  videos: { [number: number]: { id: string; title: string; available?: boolean } };
+}
+
+export interface SnapshotItem {
+  id: string;
+  title: string;
+  position: number;
+}
+
+export interface SnapshotDiff {
+  id: string | null;
+  old_taken_at: string | null;
+  new_taken_at: string | null;
+  /** True if any list is not empty */
+  changed: boolean;
+  added: SnapshotItem[];
+  removed: SnapshotItem[];
+  /** Videos whose order changed compared to the other kept videos */
+  moved: Array<{ id: string; title: string; from: number; to: number }>;
+  renamed: Array<{ id: string; position: number; old_title: string; new_title: string }>;
+  /** Videos turned private or deleted, with their last known title */
+  unavailable: SnapshotItem[];
+}
+
+export interface WatchOptions {
+  /** Milliseconds between two snapshots (default 1 hour) */
+  interval?: number;
+  /** JSON file keeping the last snapshot of each playlist between runs (default `null`) */
+  store?: string | null;
+  /** Signal stopping the watcher */
+  signal?: AbortSignal | null;
+}
+
+export interface PlaylistWatcher extends EventEmitter {
+  on(event: "snapshot", listener: (snapshot: Snapshot) => void): this;
+  on(event: "change", listener: (diff: SnapshotDiff) => void): this;
+  on(event: "error", listener: (error: ScrapingError) => void): this;
+  stop(): void;
+}
+
+/**
+ * Youtube Playlist Snapshot Helper
+ */
+export declare class PlaylistSnapshot {
+  static UNAVAILABLE_TITLES: string[];
+
+  static create(PlaylistData: PlaylistData, takenAt?: Date): Snapshot;
+
+  /**
+   * @throws {ScrapingError} INVALID_INPUT if a snapshot has no videos or the snapshots are of different playlists
+   */
+  static diff(oldSnapshot: SnapshotLike, newSnapshot: SnapshotLike): SnapshotDiff;
+
+  /**
+   * Read the last snapshot of a playlist from a store file
+   */
+  static load(file: string, id: string): Snapshot | null;
+
+  /**
+   * Replace the last snapshot of its playlist in a store file
+   */
+  static save(file: string, snapshot: Snapshot): void;
+}
+
+// ---------------------------------------------------------------------------
+// Channel
+// ---------------------------------------------------------------------------
+
+export type ChannelTab = "all" | "videos" | "shorts" | "live";
+
+export interface ChannelData {
+  id: string;
+  name: string;
+  description: string;
+  url: string;
+  vanity_url: string | null;
+  avatar_url: string | null;
+  keywords: string;
+  /** Displayed text like `1.2M subscribers` */
+  subscribers: string | null;
+  /** Displayed text like `345 videos` */
+  videos: string | null;
+  is_family_safe: boolean | null;
+  uploads_url: string;
+}
+
+export interface UploadsData extends Omit<PlaylistPage, "title"> {
+  channel_id: string;
+  tab: ChannelTab;
+  /** Null for an empty shorts or live tab */
+  title: string | null;
+}
+
+export interface UploadsOptions extends PageOptions {
+  /** Uploads tab (default `all`) */
+  tab?: ChannelTab;
+}
+
+export type ChannelResponse = Envelope<"ChannelData", ChannelData>;
+
+export type ChannelIdResponse = Envelope<"channelId", string>;
+
+export type UploadsResponse = Envelope<"UploadsData", UploadsData>;
+
+/**
+ * Youtube Channel Helper
+ */
+export declare class Channel {
+  static TABS: { [tab in ChannelTab]: string };
+  static CHANNEL_ID_REGEX: RegExp;
+
+  /**
+   * Resolve a channel URL or handle to its channel ID
+   */
+  static resolveId(url?: string): Promise<ChannelIdResponse>;
+
+  /**
+   * Get channel metadata
+   */
+  static getInfo(url?: string): Promise<ChannelResponse>;
+
+  /**
+   * Get one page of channel uploads through its uploads playlist
+   */
+  static getUploads(url?: string, options?: UploadsOptions): Promise<UploadsResponse>;
+}
+
+// ---------------------------------------------------------------------------
+// YoutubeSearch
+// ---------------------------------------------------------------------------
+
+export type SearchType = "video" | "playlist" | "channel" | "movie" | "all";
+
+export interface SearchOptions {
+  /** Maximum number of items (default `100` for videos and `20` for other types) */
+  limit?: number | null;
+  /** `continuation` of previous results */
+  continuation?: string | null;
+  sortBy?: "relevance" | "uploadDate" | "viewCount" | "rating";
+  uploadDate?: "hour" | "today" | "week" | "month" | "year" | null;
+  duration?: "short" | "medium" | "long" | null;
+  features?: Array<"hd" | "subtitles" | "creativeCommons" | "3d" | "live" | "purchased" | "4k" | "360" | "location" | "hdr" | "vr180">;
+  /** Look up the number of videos of playlists missing it in the results (default `false`) */
+  enrich?: boolean;
+  /** Number of playlists looked up in parallel with `enrich` (default `4`) */
+  concurrency?: number;
+  /** Export format, `results` is then the exported string (default `null`) */
+  exportFormat?: ExportFormat | null;
+}
+
+export interface VideoItem {
+  type: "video";
+  id: string;
+  name: string;
+  url: string;
+  views: string | null;
+  duration: string;
+  uploadedAt: string;
+  thumbnail: string | null;
+  author_name: string | null;
+  author_url: string | null;
+  author_img_url: string | null;
+}
+
+export interface MovieItem extends Omit<VideoItem, "type" | "views"> {
+  type: "movie";
+  views: null;
+}
+
+export interface PlaylistItem {
+  type: "playlist";
+  id: string;
+  name: string;
+  url: string;
+  views: string | null;
+  thumbnail: string | null;
+  author_name: string | null;
+  author_url: string | null;
+  author_img_url: string | null;
+  /** Null if not in the search results and not enriched */
+  number_videos: number | null;
+}
+
+export interface ChannelItem {
+  type: "channel";
+  id: string;
+  name: string;
+  url: string;
+  handle: string | null;
+  description: string;
+  subscribers: string | null;
+  number_videos: number | null;
+  verified: boolean;
+  /** Channel avatar, named like the avatar of video and playlist authors */
+  author_img_url: string | null;
+}
+
+/**
+ * Item of any type, narrow it by checking `type`
+ */
+export type SearchItem = VideoItem | MovieItem | PlaylistItem | ChannelItem;
+
+export interface SearchResults<Item = SearchItem> {
+  number_items: number;
+  items: Item[];
+  /** Null when there are no more results */
+  continuation: string | null;
+  estimated_results: number | null;
+}
+
+export type SearchResponse<Item = SearchItem> = Envelope<"results", SearchResults<Item>>;
+
+/**
+ * Search items by search type
+ */
+export interface SearchItems {
+  video: VideoItem;
+  playlist: PlaylistItem;
+  channel: ChannelItem;
+  movie: MovieItem;
+  all: SearchItem;
+}
+
+export interface Recommendations {
+  origin_video_info: VideoItem;
+  recommendations: VideoItem[];
+}
+
+export type GraphFormat = "json" | "graphml" | "csv";
+
+export interface CrawlOptions extends PoolOptions {
+  /** Number of hops from the seed (default `2`) */
+  depth?: number;
+  /** Maximum number of videos in the graph, the seed included (default `100`) */
+  maxNodes?: number;
+  /** JSON file saving the crawl state after each batch, resumed when it exists (default `null`) */
+  checkpoint?: string | null;
+  /** Stops the crawl after the current batch (default `null`) */
+  signal?: AbortSignal | null;
+  /** Get the graph as a string (default `null`, graph object) */
+  exportFormat?: GraphFormat | null;
+}
+
+export interface GraphNode {
+  id: string;
+  title: string | null;
+  url: string | null;
+  author_name: string | null;
+  views: string | null;
+  duration: string | null;
+  /** Number of hops from the seed */
+  depth: number;
+  /** True when its recommendations were fetched */
+  crawled: boolean;
+  error: string | null;
+}
+
+export interface GraphEdge {
+  from: string;
+  to: string;
+  /** Position in the recommendations, from 1 */
+  rank: number;
+}
+
+export interface Graph {
+  seed: string;
+  depth: number;
+  max_nodes: number;
+  /** False when stopped by `signal` */
+  complete: boolean;
+  number_nodes: number;
+  number_edges: number;
+  nodes: GraphNode[];
+  edges: GraphEdge[];
+}
+
+/**
+ * Youtube Search Helper
+ */
+export declare class YoutubeSearch {
+  static DEFAULT_LIMITS: { [type in SearchType]: number };
+
+  /**
+   * Perform a basic YouTube search using ytsr
+   */
+  static main_ytsr(type: "video", query: string): Promise<Envelope<"results", import("@distube/ytsr").VideoResult>>;
+  static main_ytsr(type: "playlist", query: string): Promise<Envelope<"results", import("@distube/ytsr").PlaylistResult>>;
+
+  static searchVideos(query: string, options: SearchOptions & { exportFormat: ExportFormat }): Promise<Envelope<"results", string>>;
+  static searchVideos(query: string, options?: SearchOptions): Promise<SearchResponse<VideoItem>>;
+  static searchPlaylists(query: string, options: SearchOptions & { exportFormat: ExportFormat }): Promise<Envelope<"results", string>>;
+  static searchPlaylists(query: string, options?: SearchOptions): Promise<SearchResponse<PlaylistItem>>;
+  static searchChannels(query: string, options: SearchOptions & { exportFormat: ExportFormat }): Promise<Envelope<"results", string>>;
+  static searchChannels(query: string, options?: SearchOptions): Promise<SearchResponse<ChannelItem>>;
+  static searchMovies(query: string, options: SearchOptions & { exportFormat: ExportFormat }): Promise<Envelope<"results", string>>;
+  static searchMovies(query: string, options?: SearchOptions): Promise<SearchResponse<MovieItem>>;
+  static searchAll(query: string, options: SearchOptions & { exportFormat: ExportFormat }): Promise<Envelope<"results", string>>;
+  static searchAll(query: string, options?: SearchOptions): Promise<SearchResponse>;
+
+  /**
+   * Search YouTube by type and query
+   */
+  static search(type: SearchType, query: string, options: SearchOptions & { exportFormat: ExportFormat }): Promise<Envelope<"results", string>>;
+  static search<Type extends SearchType>(type: Type, query: string, options?: SearchOptions): Promise<SearchResponse<SearchItems[Type]>>;
+
+  /**
+   * Get video information and recommended videos
+   */
+  static videoAndRecommendations(url: string): Promise<Envelope<"results", Recommendations>>;
+
+  /**
+   * Crawl recommendations breadth first from a seed video and build the graph of videos and recommendations
+   */
+  static crawlRecommendations(seedUrl: string, options: CrawlOptions & { exportFormat: GraphFormat }): Promise<Envelope<"results", string>>;
+  static crawlRecommendations(seedUrl: string, options?: CrawlOptions): Promise<Envelope<"results", Graph>>;
+}
+
+/**
+ * Youtube Recommendation Graph Helper
+ */
+export declare class RecommendationGraph {
+  static FORMATS: GraphFormat[];
+
+  static validate(format: string): void;
+  static export(graph: Graph, format?: GraphFormat): string;
+  static toGraphML(graph: Graph): string;
+  /** Edge list with `from,to,rank` columns */
+  static toCsv(graph: Graph): string;
+
+  /**
+   * Read a crawl checkpoint, null if the file does not exist
+   */
+  static load(file: string): object | null;
+  static save(file: string, state: object): void;
+}
+
+// ---------------------------------------------------------------------------
+// Jobs
+// ---------------------------------------------------------------------------
+
+export type JobType = "videos" | "playlist";
+
+export type JobStatus = "pending" | "running" | "paused" | "done";
+
+export type JobItemStatus = "pending" | "done" | "failed";
+
+export interface JobItem {
+  /** Video number, in the playlist for playlist jobs */
+  number: number;
+  url: string;
+  /** Null for video jobs */
+  title: string | null;
+  status: JobItemStatus;
+  /** Download link, or the no link message */
+  result: string | null;
+  err_msg: string | null;
+  code: ErrorCode | null;
+}
+
+export interface JobSummary {
+  id: string;
+  type: JobType;
+  /** Playlist URL, null for video jobs */
+  source: string | null;
+  /** `done` once no item is pending, failed items included */
+  status: JobStatus;
+  created_at: string;
+  updated_at: string;
+  options: Required<Pick<GetDownloadsLinksOptions, "types" | "qualitys" | "select" | "concurrency" | "requestInterval">>;
+  total: number;
+  pending: number;
+  done: number;
+  failed: number;
+}
+
+export interface Job extends JobSummary {
+  items: JobItem[];
+}
+
+export type JobResponse = Envelope<"JobData", Job>;
+
+export type JobCreateOptions = Omit<GetDownloadsLinksOptions, "VideoDataType" | "onItem" | "signal">;
+
+export interface JobRunOptions extends PoolOptions {
+  /** Signal pausing the job like `Jobs.pause` */
+  signal?: AbortSignal | null;
+  /** Called with each processed item */
+  onItem?: ((item: JobItem) => void) | null;
+}
+
+export interface JobOptions {
+  /** Folder keeping one JSON file per job (default `.youtube-scraping-jobs`) */
+  store?: string;
+}
+
+/**
+ * Youtube Jobs Helper
+ */
+export declare class Jobs {
+  static TYPES: JobType[];
+  static options: Required<JobOptions>;
+
+  static configure(options?: JobOptions): Required<JobOptions>;
+
+  /**
+   * Create a job without running it, playlist jobs request the playlist once
+   */
+  static create(type: "videos", input: string | string[], options?: JobCreateOptions): Promise<JobResponse>;
+  static create(type: "playlist", input: string, options?: JobCreateOptions): Promise<JobResponse>;
+
+  /**
+   * Run the pending items of a job, also resumes paused and interrupted jobs
+   */
+  static run(id: string, options?: JobRunOptions): Promise<JobResponse>;
+
+  /**
+   * Run the failed items of a job again
+   */
+  static retryFailed(id: string, options?: JobRunOptions): Promise<JobResponse>;
+
+  /**
+   * Pause a job running in this process after its current items
+   */
+  static pause(id: string): boolean;
+
+  static get(id: string): Job | null;
+  static list(): JobSummary[];
+
+  /**
+   * @throws {ScrapingError} INVALID_INPUT if the job is running
+   */
+  static remove(id: string): boolean;
+}
+
+// ---------------------------------------------------------------------------
+// Format selection, captions, downloads and muxing
+// ---------------------------------------------------------------------------
+
+export interface Selection<Item = Format> extends SelectionInfo {
+  /** Null if no format matches the limits */
+  format: Item | null;
+  /** Matching formats ranked from the best */
+  formats: Item[];
+}
+
+export interface Limit {
+  op: "<=" | ">=" | "<" | ">" | "=";
+  value: number;
+}
+
+export interface NormalizedSelectPolicy {
+  quality: { mode: "best" | "worst" } | { mode: "nearest"; height: number } | ({ mode: "limit" } & Limit);
+  container: string[];
+  codec: Array<{ name: string; prefixes: string[] }>;
+  fps: number | null;
+  hdr: boolean | null;
+  audioBitrate: Limit | null;
+}
+
+/**
+ * Youtube Format Selector Helper
+ */
+export declare class FormatSelector {
+  /**
+   * Validate and normalize a selection policy
+   * @throws {ScrapingError} If a value is invalid
+   */
+  static parse(policy?: SelectPolicy): NormalizedSelectPolicy;
+
+  /**
+   * Rank formats with a selection policy, the first one is the winner
+   * @throws {ScrapingError} If the policy is invalid
+   */
+  static select<Item extends Partial<Format>>(formats?: Item[], policy?: SelectPolicy): Selection<Item>;
+}
+
+/**
+ * Built-in export format, or a format added with `Exporter.register`
+ */
+export type ExportFormat = "csv" | "jsonl" | "m3u8" | "aria2" | "wget" | (string & {});
+
+export interface ExportOptions {
+  /** Filename of each download in `aria2` exports, same filenames get a ` (2)` suffix (default `{n} - {title}.{ext}`) */
+  filenameTemplate?: string;
+  /** `{n}` of the formats when exporting a single video (default `1`) */
+  VideoNumber?: number;
+}
+
+/**
+ * Entry passed to exporters
+ */
+export interface ExportEntry {
+  n: number;
+  id: string | null;
+  title: string | null;
+  duration_seconds: number | null;
+  /** YouTube page URL */
+  video_url: string | null;
+  /** Download link, null for search results and failed videos */
+  url: string | null;
+  /** Unique filename of the download */
+  filename: string;
+  /** Flat record written by `csv` and `jsonl` */
+  record: Record<string, unknown>;
+}
+
+export type ExporterFunction = (entries: ExportEntry[], options: Required<ExportOptions>) => string;
+
+/**
+ * Youtube Exporter Helper
+ */
+export declare class Exporter {
+  static options: Required<ExportOptions>;
+
+  static configure(options?: ExportOptions): Required<ExportOptions>;
+
+  /**
+   * Add or replace an export format, returns a function removing it
+   * @throws {Error} If the name is `json` or `text`
+   */
+  static register(format: string, exporter: ExporterFunction): () => boolean;
+
+  static formats(): string[];
+  static has(format: string): boolean;
+
+  /**
+   * @throws {ScrapingError} INVALID_INPUT if the format is not in `ownFormats` nor registered
+   */
+  static validate(format: string, ownFormats?: string[]): void;
+
+  /**
+   * Export `VideoData`, `PlaylistData`, `UploadsData`, search results or an array of entries
+   * @throws {ScrapingError} INVALID_INPUT if the format is unknown
+   */
+  static export(format: ExportFormat, data: object | Array<Partial<ExportEntry> & Record<string, unknown>>, options?: ExportOptions): string;
+
+  static entries(data: object | Array<Partial<ExportEntry> & Record<string, unknown>>, options?: ExportOptions): ExportEntry[];
+
+  static toCsv(rows?: Array<Record<string, unknown>>): string;
+}
+
+/**
+ * Youtube Captions Helper
+ */
+export declare class Captions {
+  static FORMATS: CaptionsFormat[];
+
+  /**
+   * Parse a timedtext document, JSON3 or XML
+   */
+  static parse(content: string | object): Cue[];
+
+  static convert(cues: Cue[], format: "json"): Cue[];
+  static convert(cues: Cue[], format?: Exclude<CaptionsFormat, "json">): string;
+  static convert(cues: Cue[], format?: CaptionsFormat): string | Cue[];
+
+  static toSrt(cues?: Cue[]): string;
+  static toVtt(cues?: Cue[]): string;
+  static toText(cues?: Cue[]): string;
+}
+
+/**
+ * Youtube Comments Parser Helper
+ */
+export declare class CommentsParser {
+  /**
+   * Parse the watch page response of a video, `continuation` is null if comments are turned off
+   */
+  static parseWatchPage(json?: object): { available: boolean; title: string | null; continuation: string | null };
+
+  /**
+   * Parse a page of comments or replies
+   */
+  static parsePage(json?: object): CommentsPage;
+
+  static parseComment(item?: object, entities?: Map<string, object>): ParsedComment | null;
+}
+
+export interface DownloadFileOptions {
+  /** Continue a partial `.part` file (default `true`) */
+  resume?: boolean;
+  onProgress?: ((progress: DownloadProgress) => void) | null;
+}
+
+/**
+ * Youtube Downloader Helper
+ */
+export declare class Downloader {
+  static EXTENSIONS: { [mimeType: string]: string };
+
+  static extFromMimeType(mimeType?: string): string;
+
+  /**
+   * Build a safe filename from a template like `{n} - {title}.{ext}`
+   */
+  static renderFilename(template: string, values?: { [key: string]: string | number | null | undefined }): string;
+
+  /**
+   * Download a file to disk, resuming an existing `.part` file when possible
+   */
+  static downloadFile(fileUrl: string, filePath: string, options?: DownloadFileOptions): Promise<FileResponse>;
+}
+
+/**
+ * Youtube Muxer Helper
+ */
+export declare class Muxer {
+  static CONTAINERS: Array<"mp4" | "mkv">;
+
+  static isAvailable(ffmpegPath?: string): Promise<boolean>;
+
+  /**
+   * Merge a video-only and an audio-only file, the container is taken from the output extension
+   */
+  static merge(videoPath: string, audioPath: string, outPath: string, options?: { ffmpegPath?: string }): Promise<FileResponse<{ path: string }>>;
+
+  static notFoundMessage(ffmpegPath: string): string;
+}
+
+// ---------------------------------------------------------------------------
+// Server
+// ---------------------------------------------------------------------------
+
+/**
+ * Youtube REST API Server
+ */
+export declare class Server {
+  /** HTTP status code for each error code */
+  static STATUS_CODES: { [code in ErrorCode]?: number };
+
+  /**
+   * Create the HTTP server without listening
+   */
+  static create(): HttpServer;
+
+  /**
+   * Create the HTTP server and start listening (default `127.0.0.1:3000`)
+   */
+  static listen(options?: { port?: number; host?: string }): Promise<HttpServer>;
+
+  /**
+   * Get the HTTP status code of a response envelope
+   */
+  static statusCode(response: { err: boolean; code?: string | null }): number;
+}
+
+// ---------------------------------------------------------------------------
+// Retries, cache, logging and hooks
+// ---------------------------------------------------------------------------
+
+export interface RetryOptions {
+  /** Maximum number of attempts (default `3`) */
+  attempts: number;
+  /** Milliseconds before the first retry (default `500`) */
+  minDelay: number;
+  /** Maximum milliseconds between two attempts (default `10000`) */
+  maxDelay: number;
+  /** Delay multiplier (default `2`) */
+  factor: number;
+  /** Randomize delays (default `true`) */
+  jitter: boolean;
+}
+
+/**
+ * Youtube Retry Helper
+ */
+export declare class Retry {
+  static options: RetryOptions;
+
+  static configure(options?: Partial<RetryOptions>): RetryOptions;
+
+  /**
+   * Run an async function and retry it while it fails with a retryable error
+   */
+  static run<T>(fn: (attempt: number) => T | Promise<T>, options?: Partial<RetryOptions>): Promise<T>;
+
+  static delay(attempt: number, options?: Partial<RetryOptions>): number;
+}
+
+export interface InnerTubeOptions {
+  /** WEB client version sent with the search and comments requests (default `"2.20240606.06.00"`) */
+  clientVersion: string;
+  /** Read the current version from the YouTube home page once, `clientVersion` is the fallback (default `false`) */
+  detectVersion: boolean;
+}
+
+/**
+ * Youtube InnerTube Helper
+ */
+export declare class InnerTube {
+  static options: InnerTubeOptions;
+
+  static configure(options?: Partial<InnerTubeOptions>): InnerTubeOptions;
+
+  /**
+   * Get the client version sent with the requests
+   */
+  static clientVersion(): Promise<string>;
+}
+
+export type CacheEntity = "video" | "playlist" | "channel" | "search";
+
+/**
+ * Cache backend, methods can be async
+ */
+export interface CacheStore {
+  get(key: string): unknown;
+  set(key: string, value: unknown, ttl: number): unknown;
+  delete(key: string): unknown;
+}
+
+export interface CacheOptions {
+  /** Cache backend (default `null`, no cache) */
+  store: CacheStore | null;
+  /** Milliseconds to keep each entity */
+  ttl: { [entity in CacheEntity]: number };
+}
+
+export declare class MemoryCache implements CacheStore {
+  constructor(options?: { max?: number });
+  max: number;
+  get(key: string): any;
+  set(key: string, value: unknown, ttl: number): void;
+  delete(key: string): void;
+  clear(): void;
+}
+
+export declare class FileCache extends MemoryCache {
+  constructor(options?: { path?: string; max?: number; saveDelay?: number });
+  path: string;
+  saveDelay: number;
+
+  /**
+   * Save unsaved changes now
+   */
+  flush(): void;
+}
+
+/**
+ * Youtube Cache Helper
+ */
+export declare class Cache {
+  static options: CacheOptions;
+  static EXPIRE_MARGIN: number;
+
+  static configure(options?: { store?: CacheStore | null; ttl?: Partial<CacheOptions["ttl"]> }): CacheOptions;
+
+  /**
+   * Get a value from the cache or fetch and store it
+   */
+  static remember<T>(entity: CacheEntity, key: string, fetcher: () => T | Promise<T>, refresh?: boolean): Promise<T>;
+
+  static streamTtl(info: { formats?: Array<{ url: string }> } | null | undefined): number;
+}
+
+export type LogLevel = "debug" | "info" | "warn" | "error" | "silent";
+
+/**
+ * Destination of messages like `console`, pino or winston
+ */
+export interface LoggerLike {
+  debug?(message: string, data?: object): void;
+  info?(message: string, data?: object): void;
+  warn?(message: string, data?: object): void;
+  error?(message: string, data?: object): void;
+  log?(message: string, data?: object): void;
+}
+
+export interface LoggerOptions {
+  /** Minimum level written (default `silent`) */
+  level: LogLevel;
+  /** Destination (default `console`) */
+  logger: LoggerLike | null;
+}
+
+/**
+ * Youtube Logger Helper
+ */
+export declare class Logger {
+  static LEVELS: LogLevel[];
+  static options: LoggerOptions;
+
+  /**
+   * @throws {Error} If the level is unknown
+   */
+  static configure(options?: Partial<LoggerOptions>): LoggerOptions;
+
+  static debug(message: string, data?: object): void;
+  static info(message: string, data?: object): void;
+  static warn(message: string, data?: object): void;
+  static error(message: string, data?: object): void;
+}
+
+export interface RequestEvent {
+  client: "ytdl" | "ytpl" | "ytsr" | "innertube" | "timedtext";
+  /** Requested URL, ID or query */
+  target: string;
+  /** Greater than 1 for retries */
+  attempt: number;
+}
+
+export interface ItemEvent {
+  /** Method processing the item like `Playlist.getDownloadsLinks` */
+  method: string;
+  number: number;
+  url: string | null;
+  /** `itemDone` only */
+  err?: boolean;
+}
+
+export interface ErrorEvent {
+  /** Failed method like `Video.getInfo` */
+  method: string;
+  error: Error;
+  code: ErrorCode;
+}
+
+export interface ProgressEvent {
+  method: string;
+  done: number;
+  total: number;
+}
+
+/**
+ * Payload of each hook event
+ */
+export interface HookEvents {
+  request: RequestEvent;
+  itemStart: ItemEvent;
+  itemDone: ItemEvent;
+  error: ErrorEvent;
+  progress: ProgressEvent;
+}
+
+export type HookEvent = keyof HookEvents;
+
+/**
+ * Youtube Hooks Helper
+ */
+export declare class Hooks {
+  static EVENTS: HookEvent[];
+
+  /**
+   * Listen to an event
+   * @returns Function removing the listener
+   * @throws {Error} If the event is unknown
+   */
+  static on<Event extends HookEvent>(event: Event, listener: (payload: HookEvents[Event]) => void): () => void;
+  static off<Event extends HookEvent>(event: Event, listener: (payload: HookEvents[Event]) => void): void;
+  static clear(event?: HookEvent): void;
+
+  static onRequest(listener: (payload: RequestEvent) => void): () => void;
+  static onItemStart(listener: (payload: ItemEvent) => void): () => void;
+  static onItemDone(listener: (payload: ItemEvent) => void): () => void;
+  static onError(listener: (payload: ErrorEvent) => void): () => void;
+  static onProgress(listener: (payload: ProgressEvent) => void): () => void;
+
+  static emit<Event extends HookEvent>(event: Event, payload: HookEvents[Event]): void;
+}
+
+// ---------------------------------------------------------------------------
+// Errors
+// ---------------------------------------------------------------------------
+
+/**
+ * Error carrying a structured `code` from `ERROR_CODES`
+ */
+export declare class ScrapingError extends Error {
+  constructor(message: string, code?: ErrorCode);
+  code: ErrorCode;
+
+  /**
+   * Get the structured code of any error thrown by ytdl, ytpl, ytsr or fetch
+   */
+  static classify(error: unknown): ErrorCode;
+}
+
+// ---------------------------------------------------------------------------
+// URLs
+// ---------------------------------------------------------------------------
+
+export type ParsedUrlType = "video" | "playlist" | "channel";
+
+export interface ParsedUrl {
+  /** Main resource, a watch URL with `list=` is a video */
+  type: ParsedUrlType;
+  video_id: string | null;
+  /** Also set for a video watched in a playlist */
+  playlist_id: string | null;
+  /** `UC…` ID, null for handles, custom and user URLs */
+  channel_id: string | null;
+  /** Channel path without ID like `@handle`, `c/name` or `user/name` */
+  channel_path: string | null;
+  /** Start time in seconds */
+  timestamp: number | null;
+  /** Canonical URL of the main resource, without timestamp */
+  url: string;
+}
+
+/**
+ * Youtube URL Helper
+ */
+export declare class YoutubeUrl {
+  static VIDEO_ID_REGEX: RegExp;
+  static PLAYLIST_ID_REGEX: RegExp;
+  static CHANNEL_ID_REGEX: RegExp;
+  static HOST_REGEX: RegExp;
+
+  /**
+   * Parse a YouTube URL or a bare video, playlist or channel ID
+   * @throws {ScrapingError} INVALID_URL if the input is not a YouTube URL or ID
+   */
+  static parse(input: string): ParsedUrl;
+
+  static isValid(input: string): boolean;
+
+  /**
+   * @throws {ScrapingError} INVALID_URL if there is no video
+   */
+  static videoId(input: string): string;
+
+  /**
+   * Uploads playlist (`UU…`) for a channel ID or a channel URL with ID
+   * @throws {ScrapingError} INVALID_URL if there is no playlist
+   */
+  static playlistId(input: string): string;
+
+  static videoUrl(input: string, timestamp?: number | null): string;
+  static playlistUrl(input: string): string;
+}
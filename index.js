@@ -1,9 +1,57 @@
 const Video = require("./src/utils/Video");
 const Playlist = require("./src/utils/Playlist");
 const YoutubeSearch = require("./src/utils/YoutubeSearch");
+const Channel = require("./src/utils/Channel");
+const Downloader = require("./src/utils/Downloader");
+const Muxer = require("./src/utils/Muxer");
+const Captions = require("./src/utils/Captions");
+const CommentsParser = require("./src/utils/CommentsParser");
+const FormatSelector = require("./src/utils/FormatSelector");
+const PlaylistSelection = require("./src/utils/PlaylistSelection");
+const PlaylistSnapshot = require("./src/utils/PlaylistSnapshot");
+const Exporter = require("./src/utils/Exporter");
+const RecommendationGraph = require("./src/utils/RecommendationGraph");
+const Jobs = require("./src/utils/Jobs");
+const Server = require("./src/utils/Server");
+const Retry = require("./src/utils/Retry");
+const Cache = require("./src/utils/Cache");
+const Logger = require("./src/utils/Logger");
+const Hooks = require("./src/utils/Hooks");
+const InnerTube = require("./src/utils/InnerTube");
+const ScrapingError = require("./src/utils/ScrapingError");
+const YoutubeUrl = require("./src/utils/YoutubeUrl");
+const ErrorCodes = require("./src/constants/error_codes");
+const AllTypes = require("./src/constants/all_types");
+const DefaultQualitys = require("./src/constants/default_qualitys");
+const MainGetInfoOptions = require("./src/options/main_get_info_options");
+const GetDownloadsLinksOptions = require("./src/options/get_downloads_links_options");
 
 module.exports = {
   ...Video,
   ...Playlist,
   ...YoutubeSearch,
+  ...Channel,
+  ...Downloader,
+  ...Muxer,
+  ...Captions,
+  ...CommentsParser,
+  ...FormatSelector,
+  ...PlaylistSelection,
+  ...PlaylistSnapshot,
+  ...Exporter,
+  ...RecommendationGraph,
+  ...Jobs,
+  ...Server,
+  ...Retry,
+  ...Cache,
+  ...Logger,
+  ...Hooks,
+  ...InnerTube,
+  ...ScrapingError,
+  ...YoutubeUrl,
+  ...ErrorCodes,
+  ...AllTypes,
+  ...DefaultQualitys,
+  ...MainGetInfoOptions,
+  ...GetDownloadsLinksOptions,
 };
@@ -0,0 +1,27 @@
+/**
+ * ERROR CODES
+ * Structured error codes returned in the `code` field of responses
+ */
+const ERROR_CODES = {
+  RATE_LIMITED: "RATE_LIMITED",
+  NETWORK: "NETWORK",
+  VIDEO_UNAVAILABLE: "VIDEO_UNAVAILABLE",
+  PRIVATE_VIDEO: "PRIVATE_VIDEO",
+  AGE_RESTRICTED: "AGE_RESTRICTED",
+  PRIVATE_PLAYLIST: "PRIVATE_PLAYLIST",
+  PLAYLIST_UNAVAILABLE: "PLAYLIST_UNAVAILABLE",
+  CHANNEL_UNAVAILABLE: "CHANNEL_UNAVAILABLE",
+  FORMAT_NOT_FOUND: "FORMAT_NOT_FOUND",
+  FFMPEG_NOT_FOUND: "FFMPEG_NOT_FOUND",
+  COMMENTS_DISABLED: "COMMENTS_DISABLED",
+  INVALID_URL: "INVALID_URL",
+  INVALID_INPUT: "INVALID_INPUT",
+  UNKNOWN: "UNKNOWN",
+};
+
+/**
+ * Codes of transient errors worth retrying
+ */
+const RETRYABLE_CODES = [ERROR_CODES.RATE_LIMITED, ERROR_CODES.NETWORK];
+
+module.exports = { ERROR_CODES, RETRYABLE_CODES };
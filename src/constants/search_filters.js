@@ -0,0 +1,63 @@
+/**
+ * SEARCH FILTERS
+ * Values of the search filters encoded in the `sp` parameter of YouTube searches
+ */
+
+/**
+ * Sort order (field 1 of the search params)
+ */
+const SORT_BY = {
+  relevance: 0,
+  rating: 1,
+  uploadDate: 2,
+  viewCount: 3,
+};
+
+/**
+ * Upload date (field 1 of the filters)
+ */
+const UPLOAD_DATE = {
+  hour: 1,
+  today: 2,
+  week: 3,
+  month: 4,
+  year: 5,
+};
+
+/**
+ * Result type (field 2 of the filters)
+ */
+const SEARCH_TYPES = {
+  video: 1,
+  channel: 2,
+  playlist: 3,
+  movie: 4,
+};
+
+/**
+ * Duration (field 3 of the filters)
+ */
+const DURATION = {
+  short: 1,
+  long: 2,
+  medium: 3,
+};
+
+/**
+ * Features, each one is a boolean field of the filters
+ */
+const FEATURES = {
+  hd: 4,
+  subtitles: 5,
+  creativeCommons: 6,
+  "3d": 7,
+  live: 8,
+  purchased: 9,
+  "4k": 14,
+  360: 15,
+  location: 23,
+  hdr: 25,
+  vr180: 26,
+};
+
+module.exports = { SORT_BY, UPLOAD_DATE, SEARCH_TYPES, DURATION, FEATURES };
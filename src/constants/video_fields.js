@@ -0,0 +1,7 @@
+/**
+ * VIDEO FIELDS
+ * Metadata fields that can be added to `Video.getInfo` with the `include` option
+ */
+const VIDEO_FIELDS = ["description", "duration", "views", "likes", "publish_date", "category", "keywords", "chapters", "thumbnails", "channel", "live"];
+
+module.exports = { VIDEO_FIELDS };
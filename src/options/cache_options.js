@@ -0,0 +1,24 @@
+const CACHE_OPTIONS = {
+  /**
+   * ### Store
+   * Cache backend like `new MemoryCache()` or `new FileCache({ path })`, any object with `get`, `set` and `delete` works
+   *
+   * _default is `null` (no cache)_
+   */
+  store: null,
+
+  /**
+   * ### Time To Live
+   * Milliseconds to keep each entity, video info also expires with its signed stream URLs
+   *
+   * _default is `6h` for videos, `1h` for playlists and channels and `30min` for searches_
+   */
+  ttl: {
+    video: 6 * 60 * 60 * 1000,
+    playlist: 60 * 60 * 1000,
+    channel: 60 * 60 * 1000,
+    search: 30 * 60 * 1000,
+  },
+};
+
+module.exports = { CACHE_OPTIONS };
@@ -0,0 +1,27 @@
+const CAPTIONS_OPTIONS = {
+  /**
+   * ### Languages
+   * Language codes of the tracks to get, like `['en', 'fr']` (`en` also matches `en-US`)
+   *
+   * _default is all languages `[]`_
+   */
+  languages: [],
+
+  /**
+   * ### Auto Generated
+   * Include tracks generated by speech recognition
+   *
+   * _default is `true`_
+   */
+  autoGenerated: true,
+
+  /**
+   * ### Format
+   * Format of each track content `srt`, `vtt`, `json` (cues array) or `text` (transcript)
+   *
+   * _default is `srt`_
+   */
+  format: "srt",
+};
+
+module.exports = { CAPTIONS_OPTIONS };
@@ -0,0 +1,43 @@
+const COMMENTS_OPTIONS = {
+  /**
+   * ### Sort By
+   * Order of the comments `top` or `newest`
+   *
+   * _default is `top`_
+   */
+  sortBy: "top",
+
+  /**
+   * ### Limit
+   * Maximum number of comments, replies are not counted. `Infinity` for all
+   *
+   * _default is `100`_
+   */
+  limit: 100,
+
+  /**
+   * ### Include Replies
+   * Add the `replies` of each comment (one request per page of replies)
+   *
+   * _default is `false`_
+   */
+  includeReplies: false,
+
+  /**
+   * ### Replies Limit
+   * Maximum number of replies of each comment with `includeReplies`. `Infinity` for all
+   *
+   * _default is `100`_
+   */
+  repliesLimit: 100,
+
+  /**
+   * ### Continuation
+   * `continuation` of previous comments to get the next ones, with the sort order, title and total of the first call
+   *
+   * _default is `null`_
+   */
+  continuation: null,
+};
+
+module.exports = { COMMENTS_OPTIONS };
@@ -0,0 +1,54 @@
+// Options
+const { POOL_OPTIONS } = require("./pool_options");
+
+const CRAWL_OPTIONS = {
+  /**
+   * ### Depth
+   * Number of hops from the seed video, recommendations of the last level are nodes without their own recommendations
+   *
+   * _default is `2`_
+   */
+  depth: 2,
+
+  /**
+   * ### Max Nodes
+   * Maximum number of videos in the graph, the seed included. Recommendations found after it is reached are not added
+   *
+   * _default is `100`_
+   */
+  maxNodes: 100,
+
+  /**
+   * ### Concurrency And Request Interval
+   * Parallel requests of the videos of a level, see `POOL_OPTIONS`
+   *
+   * _default is one video at a time with no interval_
+   */
+  ...POOL_OPTIONS,
+
+  /**
+   * ### Checkpoint
+   * JSON file path where the crawl state is saved after each batch of `concurrency` videos. A crawl of the same seed with an existing checkpoint resumes from it
+   *
+   * _default is `null` (no checkpoint)_
+   */
+  checkpoint: null,
+
+  /**
+   * ### Signal
+   * `AbortSignal` stopping the crawl after the current batch, the checkpoint keeps the remaining videos
+   *
+   * _default is `null`_
+   */
+  signal: null,
+
+  /**
+   * ### Export Format
+   * `json`, `graphml` or `csv` (edge list) to get the graph as a string, see `RecommendationGraph.export`
+   *
+   * _default is `null` (graph object)_
+   */
+  exportFormat: null,
+};
+
+module.exports = { CRAWL_OPTIONS };
@@ -0,0 +1,93 @@
+// Data
+const { D_Q } = require("../constants/default_qualitys");
+
+const DOWNLOAD_OPTIONS = {
+  /**
+   * ### Output Directory
+   * Folder where the file is saved (created if missing)
+   *
+   * _default is `.`_
+   */
+  outDir: ".",
+
+  /**
+   * ### Filename Template
+   * Available keys `{n}`, `{id}`, `{title}`, `{quality}`, `{type}`, `{ext}`
+   *
+   * _default is `{n} - {title}.{ext}`_
+   */
+  filenameTemplate: "{n} - {title}.{ext}",
+
+  /**
+   * ### Video Number
+   * Used for `{n}` in the filename template
+   *
+   * _default is `1`_
+   */
+  VideoNumber: 1,
+
+  /**
+   * ### Video Types
+   * Types To Download
+   *
+   * _default is `['video and audio']`_
+   */
+  types: ["video and audio"],
+
+  /**
+   * ### Qualitys
+   *
+   * _default is no quality | set true for qualitys you need to find_
+   */
+  qualitys: D_Q,
+
+  /**
+   * ### Resume
+   * Continue a partial `.part` file with an HTTP Range request
+   *
+   * _default is `true`_
+   */
+  resume: true,
+
+  /**
+   * ### On Progress
+   * Called with `{ downloaded, total, percent }` while the file is written
+   *
+   * _default is `null`_
+   */
+  onProgress: null,
+
+  /**
+   * ### Mux
+   * Download the best `video` format for the qualitys plus the best `audio` format and merge them with ffmpeg
+   *
+   * _default is `false`_
+   */
+  mux: false,
+
+  /**
+   * ### Container
+   * Output container when `mux` is enabled, `mp4` or `mkv`
+   *
+   * _default is `mp4`_
+   */
+  container: "mp4",
+
+  /**
+   * ### ffmpeg Path
+   * ffmpeg executable name or path used when `mux` is enabled
+   *
+   * _default is `ffmpeg`_
+   */
+  ffmpegPath: "ffmpeg",
+
+  /**
+   * ### Select
+   * Selection policy picking the downloaded format, or the video and audio streams when `mux` is enabled
+   *
+   * _default is `null` (first format in YouTube order) | available rules are in `SELECT_OPTIONS`_
+   */
+  select: null,
+};
+
+module.exports = { DOWNLOAD_OPTIONS };
@@ -0,0 +1,22 @@
+// Options
+const { DOWNLOAD_OPTIONS } = require("./download_options");
+
+const EXPORT_OPTIONS = {
+  /**
+   * ### Filename Template
+   * Filename of each download in `aria2` exports (`out=`), with `{n}`, `{id}`, `{title}`, `{quality}`, `{type}` and `{ext}`. Same filenames get a ` (2)`, ` (3)`... suffix
+   *
+   * _default is `{n} - {title}.{ext}` like downloads_
+   */
+  filenameTemplate: DOWNLOAD_OPTIONS.filenameTemplate,
+
+  /**
+   * ### Video Number
+   * `{n}` of the formats when exporting the data of a single video
+   *
+   * _default is `1`_
+   */
+  VideoNumber: 1,
+};
+
+module.exports = { EXPORT_OPTIONS };
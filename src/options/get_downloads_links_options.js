@@ -1,5 +1,7 @@
 // Data
 const { D_Q } = require("../constants/default_qualitys");
+const { POOL_OPTIONS } = require("./pool_options");
+const { PLAYLIST_SELECTION_OPTIONS } = require("./playlist_selection_options");
 
 const GET_DOWNLOADS_LINKS_OPTIONS = {
   /**
@@ -33,12 +35,52 @@ const GET_DOWNLOADS_LINKS_OPTIONS = {
    */
   to: null,
 
+  /**
+   * ### Items, Reverse, Shuffle, Skip, Durations And Title Match
+   * Selection of the videos inside the range, see `PLAYLIST_SELECTION_OPTIONS`
+   *
+   * _default is all videos of the range in playlist order_
+   */
+  ...PLAYLIST_SELECTION_OPTIONS,
+
   /**
    * ### Qualitys
    *
    * _default is no quality | set true for qualitys you need to find_
    */
   qualitys: D_Q,
+
+  /**
+   * ### Concurrency And Request Interval
+   * Parallel processing of videos, see `POOL_OPTIONS`
+   *
+   * _default is one video at a time with no interval_
+   */
+  ...POOL_OPTIONS,
+
+  /**
+   * ### On Item
+   * Called with `(videoNumber, link)` as soon as the link of a video is ready
+   *
+   * _default is `null`_
+   */
+  onItem: null,
+
+  /**
+   * ### Signal
+   * `AbortSignal` stopping the requests, the videos not started yet are left out of the results
+   *
+   * _default is `null`_
+   */
+  signal: null,
+
+  /**
+   * ### Select
+   * Selection policy picking the link of each video
+   *
+   * _default is `null` (first format in YouTube order) | available rules are in `SELECT_OPTIONS`_
+   */
+  select: null,
 };
 
 module.exports = { GET_DOWNLOADS_LINKS_OPTIONS };
@@ -0,0 +1,19 @@
+const INNERTUBE_OPTIONS = {
+  /**
+   * ### Client Version
+   * Version of the WEB client sent with each InnerTube request (search, comments), YouTube stops answering versions that are too old
+   *
+   * _default is `"2.20240606.06.00"`_
+   */
+  clientVersion: "2.20240606.06.00",
+
+  /**
+   * ### Detect Version
+   * Read the current client version from the YouTube home page once, before the first InnerTube request. `clientVersion` is used if the page can not be read
+   *
+   * _default is `false`_
+   */
+  detectVersion: false,
+};
+
+module.exports = { INNERTUBE_OPTIONS };
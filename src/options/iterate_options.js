@@ -0,0 +1,27 @@
+const ITERATE_OPTIONS = {
+  /**
+   * ### From Video Number
+   * First video to yield, greater than `0`
+   *
+   * _default is `1`_
+   */
+  from: 1,
+
+  /**
+   * ### To Video Number
+   * Last video to yield, no more page is requested after it
+   *
+   * _default is `null` (last video of the playlist)_
+   */
+  to: null,
+
+  /**
+   * ### With Formats
+   * Add the formats of each video, one video info request per yielded video
+   *
+   * _default is `false`_
+   */
+  withFormats: false,
+};
+
+module.exports = { ITERATE_OPTIONS };
@@ -0,0 +1,11 @@
+const JOB_OPTIONS = {
+  /**
+   * ### Store
+   * Folder keeping one JSON file per job with the status of its items. Each processed item is appended to the log of its job, so a stopped process loses nothing
+   *
+   * _default is `".youtube-scraping-jobs"`_
+   */
+  store: ".youtube-scraping-jobs",
+};
+
+module.exports = { JOB_OPTIONS };
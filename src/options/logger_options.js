@@ -0,0 +1,19 @@
+const LOGGER_OPTIONS = {
+  /**
+   * ### Level
+   * Minimum level written: `debug`, `info`, `warn`, `error` or `silent`
+   *
+   * _default is `silent` (nothing is written)_
+   */
+  level: "silent",
+
+  /**
+   * ### Logger
+   * Destination like `console`, pino or winston, any object with `debug`, `info`, `warn` and `error` methods works
+   *
+   * _default is `console`_
+   */
+  logger: console,
+};
+
+module.exports = { LOGGER_OPTIONS };
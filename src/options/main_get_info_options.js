@@ -34,6 +34,22 @@ const MAIN_GET_INFO_OPTIONS = {
    * _default is no quality | set true for qualitys you need to find_
    */
   qualitys: D_Q,
+
+  /**
+   * ### Include
+   * Metadata fields to add to the response, like `['description', 'duration', 'channel']`, or `all`
+   *
+   * _default is no field | available fields are in `VIDEO_FIELDS`_
+   */
+  include: [],
+
+  /**
+   * ### Select
+   * Selection policy ranking formats from the best, like `{ quality: 'nearest:1080p', container: ['mp4'], codec: ['avc1'] }`
+   *
+   * _default is `null` (YouTube order) | available rules are in `SELECT_OPTIONS`_
+   */
+  select: null,
 };
 
 module.exports = { MAIN_GET_INFO_OPTIONS };
@@ -0,0 +1,60 @@
+const PLAYLIST_SELECTION_OPTIONS = {
+  /**
+   * ### Items
+   * Video numbers separated by commas: numbers like `3`, from the end like `-1`, ranges like `5-9` and slices `start:stop:step` like `-3:` (last 3) or `::2` (odd numbers). Also an array of numbers like `[1, 3, -1]`
+   * Videos are selected in the given order, numbers outside the playlist are ignored
+   *
+   * _default is `null` (all videos)_
+   */
+  items: null,
+
+  /**
+   * ### Reverse
+   * Process the selected videos from the last one
+   *
+   * _default is `false`_
+   */
+  reverse: false,
+
+  /**
+   * ### Shuffle
+   * Process the selected videos in random order, a number is a seed giving the same order on every call
+   *
+   * _default is `false`_
+   */
+  shuffle: false,
+
+  /**
+   * ### Skip
+   * Videos already processed: video IDs and numbers, or a function `(video, videoNumber) => boolean`
+   *
+   * _default is `[]`_
+   */
+  skip: [],
+
+  /**
+   * ### Min Duration
+   * Minimum duration in seconds, videos with unknown duration are skipped when set
+   *
+   * _default is `null`_
+   */
+  minDuration: null,
+
+  /**
+   * ### Max Duration
+   * Maximum duration in seconds, videos with unknown duration are skipped when set
+   *
+   * _default is `null`_
+   */
+  maxDuration: null,
+
+  /**
+   * ### Title Match
+   * Regular expression the title must match, strings are case insensitive
+   *
+   * _default is `null`_
+   */
+  titleMatch: null,
+};
+
+module.exports = { PLAYLIST_SELECTION_OPTIONS };
@@ -0,0 +1,19 @@
+const POOL_OPTIONS = {
+  /**
+   * ### Concurrency
+   * Number of videos processed in parallel
+   *
+   * _default is `1`_
+   */
+  concurrency: 1,
+
+  /**
+   * ### Request Interval
+   * Minimum milliseconds between the start of two requests, to avoid being throttled
+   *
+   * _default is `0`_
+   */
+  requestInterval: 0,
+};
+
+module.exports = { POOL_OPTIONS };
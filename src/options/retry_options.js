@@ -0,0 +1,43 @@
+const RETRY_OPTIONS = {
+  /**
+   * ### Attempts
+   * Maximum number of attempts for each request (`1` disables retries)
+   *
+   * _default is `3`_
+   */
+  attempts: 3,
+
+  /**
+   * ### Min Delay
+   * Milliseconds to wait before the first retry
+   *
+   * _default is `500`_
+   */
+  minDelay: 500,
+
+  /**
+   * ### Max Delay
+   * Maximum milliseconds to wait between two attempts
+   *
+   * _default is `10000`_
+   */
+  maxDelay: 10000,
+
+  /**
+   * ### Factor
+   * Delay multiplier applied after each failed attempt
+   *
+   * _default is `2`_
+   */
+  factor: 2,
+
+  /**
+   * ### Jitter
+   * Randomize each delay between half and full value to spread retries
+   *
+   * _default is `true`_
+   */
+  jitter: true,
+};
+
+module.exports = { RETRY_OPTIONS };
@@ -0,0 +1,75 @@
+const SEARCH_OPTIONS = {
+  /**
+   * ### Limit
+   * Maximum number of items, next pages are requested until it is reached
+   *
+   * _default is `100` for videos and `20` for other types_
+   */
+  limit: null,
+
+  /**
+   * ### Continuation
+   * `continuation` of previous results, to get the next items of the same search
+   *
+   * _default is `null` (first results)_
+   */
+  continuation: null,
+
+  /**
+   * ### Sort By
+   * `relevance`, `uploadDate`, `viewCount` or `rating`
+   *
+   * _default is `relevance`_
+   */
+  sortBy: "relevance",
+
+  /**
+   * ### Upload Date
+   * `hour`, `today`, `week`, `month` or `year`
+   *
+   * _default is `null` (any date)_
+   */
+  uploadDate: null,
+
+  /**
+   * ### Duration
+   * `short` (under 4 minutes), `medium` (4 to 20 minutes) or `long` (over 20 minutes)
+   *
+   * _default is `null` (any duration)_
+   */
+  duration: null,
+
+  /**
+   * ### Features
+   * Like `['4k', 'hd', 'subtitles', 'live']`
+   *
+   * _default is no feature `[]`_
+   */
+  features: [],
+
+  /**
+   * ### Enrich
+   * Look up the number of videos of playlists that have no count in the search results, one playlist request each
+   *
+   * _default is `false` (`number_videos` is `null` when missing)_
+   */
+  enrich: false,
+
+  /**
+   * ### Concurrency
+   * Number of playlists looked up in parallel when `enrich` is set
+   *
+   * _default is `4`_
+   */
+  concurrency: 4,
+
+  /**
+   * ### Export Format
+   * Return results exported as `csv`, `jsonl`, `m3u8` or any format added with `Exporter.register`
+   *
+   * _default is `null` (results object)_
+   */
+  exportFormat: null,
+};
+
+module.exports = { SEARCH_OPTIONS };
@@ -0,0 +1,51 @@
+const SELECT_OPTIONS = {
+  /**
+   * ### Quality
+   * `best`, `worst`, exact like `720p`, limit like `<=720p` or `>=720p`, or closest like `nearest:1080p`
+   *
+   * _default is `best`_
+   */
+  quality: "best",
+
+  /**
+   * ### Container
+   * Preferred containers in order, like `['mp4', 'webm']`
+   *
+   * _default is no preference `[]`_
+   */
+  container: [],
+
+  /**
+   * ### Codec
+   * Preferred codecs in order, like `['avc1', 'vp9', 'av1']` (`h264`, `hevc`, `aac` and `opus` are also accepted)
+   *
+   * _default is no preference `[]`_
+   */
+  codec: [],
+
+  /**
+   * ### Frames Per Second
+   * Preferred frame rate, the closest one wins
+   *
+   * _default is `null` (no preference)_
+   */
+  fps: null,
+
+  /**
+   * ### HDR
+   * `true` to prefer HDR formats, `false` to prefer SDR formats
+   *
+   * _default is `null` (no preference)_
+   */
+  hdr: null,
+
+  /**
+   * ### Audio Bitrate
+   * Audio bitrate limit in kbps like `>=128` or `<=64`, a number means at least this bitrate
+   *
+   * _default is `null` (any bitrate)_
+   */
+  audioBitrate: null,
+};
+
+module.exports = { SELECT_OPTIONS };
@@ -0,0 +1,27 @@
+const WATCH_OPTIONS = {
+  /**
+   * ### Interval
+   * Milliseconds between two snapshots, the first one is taken right away
+   *
+   * _default is `3600000` (1 hour)_
+   */
+  interval: 60 * 60 * 1000,
+
+  /**
+   * ### Store
+   * JSON file path keeping the last snapshot of each watched playlist. The first snapshot is compared with the stored one, so changes made while the watcher was stopped are reported
+   *
+   * _default is `null` (snapshots kept in memory)_
+   */
+  store: null,
+
+  /**
+   * ### Signal
+   * `AbortSignal` stopping the watcher like `watcher.stop()`
+   *
+   * _default is `null`_
+   */
+  signal: null,
+};
+
+module.exports = { WATCH_OPTIONS };
@@ -0,0 +1,269 @@
+// Helpers
+const { JsonFile } = require("./JsonFile");
+
+// Options
+const { CACHE_OPTIONS } = require("../options/cache_options");
+
+/**
+ * In-memory cache with least recently used eviction
+ */
+class MemoryCache {
+  /**
+   * @param {Object} [options={}] - Memory cache options
+   * @param {number} [options.max=500] - Maximum number of entries
+   */
+  constructor(options = {}) {
+    const { max = 500 } = options;
+
+    this.max = max;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a value if present and not expired
+   * @param {string} key - Entry key
+   * @returns {*} Cached value or undefined
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // Move entry to the most recently used position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    return entry.value;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Entry key
+   * @param {*} value - Value to store
+   * @param {number} ttl - Milliseconds before expiration
+   */
+  set(key, value, ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+
+    // Evict least recently used entries
+    while (this.entries.size > this.max) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Entry key
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Remove all values
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * JSON file cache, entries survive restarts
+ * Changes are grouped and saved after `saveDelay`, unsaved changes are saved when the process exits
+ */
+class FileCache extends MemoryCache {
+  /**
+   * File caches with unsaved changes
+   * @type {Set<FileCache>}
+   */
+  static #unsaved = new Set();
+
+  /**
+   * Pending save timer
+   * @type {NodeJS.Timeout|null}
+   */
+  #timer = null;
+
+  /**
+   * @param {Object} [options={}] - File cache options
+   * @param {string} [options.path=".youtube-scraping-cache.json"] - JSON file path
+   * @param {number} [options.max=500] - Maximum number of entries
+   * @param {number} [options.saveDelay=1000] - Milliseconds between a change and the save of the file
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this.path = options.path || ".youtube-scraping-cache.json";
+    this.saveDelay = options.saveDelay ?? 1000;
+
+    // Load entries saved by a previous process, an unreadable file starts an empty cache
+    try {
+      this.entries = new Map(Object.entries(JsonFile.read(this.path, "cache file") || {}));
+    } catch (error) {
+      this.entries = new Map();
+    }
+  }
+
+  /**
+   * Store a value and schedule the save of the file
+   * @param {string} key - Entry key
+   * @param {*} value - Value to store
+   * @param {number} ttl - Milliseconds before expiration
+   */
+  set(key, value, ttl) {
+    super.set(key, value, ttl);
+    this.#schedule();
+  }
+
+  /**
+   * Remove a value and schedule the save of the file
+   * @param {string} key - Entry key
+   */
+  delete(key) {
+    super.delete(key);
+    this.#schedule();
+  }
+
+  /**
+   * Remove all values and schedule the save of the file
+   */
+  clear() {
+    super.clear();
+    this.#schedule();
+  }
+
+  /**
+   * Save unsaved changes now
+   */
+  flush() {
+    if (!FileCache.#unsaved.has(this)) return;
+
+    clearTimeout(this.#timer);
+    this.#timer = null;
+    FileCache.#unsaved.delete(this);
+
+    if (FileCache.#unsaved.size === 0) {
+      process.removeListener("exit", FileCache.#flush_all);
+    }
+
+    // Write non expired entries only
+    const now = Date.now();
+    JsonFile.write(this.path, Object.fromEntries([...this.entries].filter(([_, entry]) => entry.expiresAt > now)));
+  }
+
+  /**
+   * Save the file after the delay, changes made meanwhile are saved with it
+   * @private
+   */
+  #schedule() {
+    if (FileCache.#unsaved.size === 0) {
+      process.once("exit", FileCache.#flush_all);
+    }
+
+    FileCache.#unsaved.add(this);
+
+    if (!this.#timer) {
+      this.#timer = setTimeout(() => this.flush(), this.saveDelay);
+      this.#timer.unref();
+    }
+  }
+
+  /**
+   * Save every file cache with unsaved changes
+   * @private
+   */
+  static #flush_all() {
+    FileCache.#unsaved.forEach((cache) => cache.flush());
+  }
+}
+
+/**
+ * Youtube Cache Helper
+ * Shared cache for video info, playlists and searches
+ */
+class Cache {
+  /**
+   * Current cache options used by all requests
+   * @type {typeof CACHE_OPTIONS}
+   */
+  static options = { ...CACHE_OPTIONS, ttl: { ...CACHE_OPTIONS.ttl } };
+
+  /**
+   * Milliseconds removed from signed stream URLs lifetime
+   * @type {number}
+   */
+  static EXPIRE_MARGIN = 60 * 1000;
+
+  /**
+   * Change cache options for all requests
+   * @param {Object} [options={}] - Cache options (see `CACHE_OPTIONS`)
+   * @returns {Object} Current cache options
+   */
+  static configure(options = {}) {
+    this.options = {
+      ...this.options,
+      ...options,
+      ttl: { ...this.options.ttl, ...options.ttl },
+    };
+
+    return this.options;
+  }
+
+  /**
+   * Get a value from the cache or fetch and store it
+   * @param {string} entity - Entity name ("video", "playlist", "channel" or "search")
+   * @param {string} key - Entry key
+   * @param {Function} fetcher - Async function returning the value to cache
+   * @param {boolean} [refresh=false] - Fetch even if cached, the fetched value replaces the cached one
+   * @returns {Promise<*>} Cached or fetched value
+   */
+  static async remember(entity, key, fetcher, refresh = false) {
+    const { store, ttl } = this.options;
+
+    if (!store) return await fetcher();
+
+    const cacheKey = `${entity}:${key}`;
+
+    // Return cached value if exists
+    const cached = refresh ? undefined : await store.get(cacheKey);
+    if (cached !== undefined && cached !== null) return cached;
+
+    // Fetch and store value
+    const value = await fetcher();
+    const entityTtl = entity === "video" ? Math.min(ttl.video, this.streamTtl(value)) : ttl[entity];
+
+    if (entityTtl > 0) {
+      await store.set(cacheKey, value, entityTtl);
+    }
+
+    return value;
+  }
+
+  /**
+   * Get the lifetime of the signed stream URLs of a video info from their `expire` query parameter
+   * @param {Object} info - Raw ytdl-core video information
+   * @returns {number} Milliseconds before the first URL expires, `Infinity` if none is signed
+   */
+  static streamTtl(info) {
+    const expires = (info?.formats || [])
+      .map((format) => {
+        try {
+          return Number(new URL(format.url).searchParams.get("expire")) * 1000;
+        } catch (error) {
+          return 0;
+        }
+      })
+      .filter((expire) => expire > 0);
+
+    if (expires.length === 0) return Infinity;
+
+    return Math.min(...expires) - Date.now() - this.EXPIRE_MARGIN;
+  }
+}
+
+module.exports = { Cache, MemoryCache, FileCache };
@@ -0,0 +1,184 @@
+/**
+ * @typedef {Object} Cue
+ * @property {number} start_ms - Start time in milliseconds
+ * @property {number} end_ms - End time in milliseconds
+ * @property {string} text - Caption text, lines separated by `\n`
+ */
+
+/**
+ * Named XML entities found in timedtext
+ * @type {Object<string, string>}
+ */
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+/**
+ * Youtube Captions Helper
+ * Parses timedtext (XML and JSON3) and converts cues to SRT, WebVTT, JSON or plain text, without network access
+ */
+class Captions {
+  /**
+   * Supported output formats
+   * @type {string[]}
+   */
+  static FORMATS = ["srt", "vtt", "json", "text"];
+
+  /**
+   * Parse a timedtext document, JSON3 (`fmt=json3`) or XML (default, `srv1` and `srv3`)
+   * @param {string|Object} content - Timedtext content
+   * @returns {Cue[]} Cues ordered by start time
+   */
+  static parse(content) {
+    if (content && typeof content === "object") return this.#parse_json3(content);
+
+    const text = String(content || "").trim();
+    if (!text) return [];
+
+    return text.startsWith("{") ? this.#parse_json3(JSON.parse(text)) : this.#parse_xml(text);
+  }
+
+  /**
+   * Convert cues to an output format
+   * @param {Cue[]} cues - Cues
+   * @param {string} [format="srt"] - Output format ("srt", "vtt", "json" or "text")
+   * @returns {string|Cue[]} Converted content, cues array for "json"
+   */
+  static convert(cues, format = "srt") {
+    switch (format) {
+      case "srt":
+        return this.toSrt(cues);
+      case "vtt":
+        return this.toVtt(cues);
+      case "text":
+        return this.toText(cues);
+      case "json":
+        return cues;
+      default:
+        throw new Error(`Invalid captions format: ${format}. Must be one of ${this.FORMATS.join(", ")}`);
+    }
+  }
+
+  /**
+   * Convert cues to SubRip
+   * @param {Cue[]} cues - Cues
+   * @returns {string} SRT content
+   */
+  static toSrt(cues = []) {
+    return cues.map((cue, index) => `${index + 1}\n${this.#timestamp(cue.start_ms, ",")} --> ${this.#timestamp(cue.end_ms, ",")}\n${cue.text}\n`).join("\n");
+  }
+
+  /**
+   * Convert cues to WebVTT
+   * @param {Cue[]} cues - Cues
+   * @returns {string} VTT content
+   */
+  static toVtt(cues = []) {
+    const body = cues.map((cue) => `${this.#timestamp(cue.start_ms, ".")} --> ${this.#timestamp(cue.end_ms, ".")}\n${cue.text}\n`).join("\n");
+
+    return `WEBVTT\n\n${body}`;
+  }
+
+  /**
+   * Convert cues to plain text, one cue per line
+   * @param {Cue[]} cues - Cues
+   * @returns {string} Transcript
+   */
+  static toText(cues = []) {
+    return cues.map((cue) => cue.text.replace(/\n/g, " ")).join("\n");
+  }
+
+  /**
+   * Parse JSON3 timedtext `{ events: [{ tStartMs, dDurationMs, segs: [{ utf8 }] }] }`
+   * @param {Object} data - JSON3 document
+   * @returns {Cue[]} Cues
+   * @private
+   */
+  static #parse_json3(data) {
+    const events = Array.isArray(data.events) ? data.events : [];
+
+    return events
+      .filter((event) => Array.isArray(event.segs))
+      .map((event) => {
+        const start = Number(event.tStartMs) || 0;
+        const text = event.segs.map((seg) => seg.utf8 || "").join("");
+
+        return { start_ms: start, end_ms: start + (Number(event.dDurationMs) || 0), text: this.#clean_text(text) };
+      })
+      .filter((cue) => cue.text);
+  }
+
+  /**
+   * Parse XML timedtext, `<text start dur>` in seconds or `<p t d>` in milliseconds
+   * @param {string} xml - XML document
+   * @returns {Cue[]} Cues
+   * @private
+   */
+  static #parse_xml(xml) {
+    const cues = [];
+    const regExp = /<(text|p)\b([^>]*)>([\s\S]*?)<\/\1>/g;
+
+    for (const [, tag, rawAttributes, rawText] of xml.matchAll(regExp)) {
+      const attributes = Object.fromEntries([...rawAttributes.matchAll(/(\w+)="([^"]*)"/g)].map(([, name, value]) => [name, value]));
+
+      // srv1 uses seconds, srv3 uses milliseconds
+      const start = tag === "text" ? Math.round(Number(attributes.start || 0) * 1000) : Number(attributes.t || 0);
+      const duration = tag === "text" ? Math.round(Number(attributes.dur || 0) * 1000) : Number(attributes.d || 0);
+
+      // Line breaks then nested tags (like srv3 `<s>` words), srv1 styling tags are encoded
+      const text = this.#decode_entities(rawText.replace(/<br\s*\/?>/gi, "\n").replace(/<[^>]+>/g, "")).replace(/<\/?(b|i|u|font)\b[^>]*>/gi, "");
+
+      cues.push({ start_ms: start, end_ms: start + duration, text: this.#clean_text(text) });
+    }
+
+    return cues.filter((cue) => cue.text);
+  }
+
+  /**
+   * Decode XML entities once, `&amp;lt;` is the text `&lt;`
+   * Unknown entities and code points out of the Unicode range are kept as written
+   * @param {string} text - Encoded text
+   * @returns {string} Decoded text
+   * @private
+   */
+  static #decode_entities(text) {
+    return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (match, entity) => {
+      if (entity[0] !== "#") return XML_ENTITIES[entity.toLowerCase()] ?? match;
+
+      const codePoint = entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+    });
+  }
+
+  /**
+   * Trim each line and remove empty lines
+   * @param {string} text - Cue text
+   * @returns {string} Clean text
+   * @private
+   */
+  static #clean_text(text) {
+    return text
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .join("\n");
+  }
+
+  /**
+   * Format milliseconds as `HH:MM:SS,mmm` (SRT) or `HH:MM:SS.mmm` (VTT)
+   * @param {number} ms - Milliseconds
+   * @param {string} separator - Milliseconds separator
+   * @returns {string} Timestamp
+   * @private
+   */
+  static #timestamp(ms, separator) {
+    const total = Math.max(0, Math.round(ms));
+    const pad = (value, length = 2) => String(value).padStart(length, "0");
+
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor((total % 3600000) / 60000);
+    const seconds = Math.floor((total % 60000) / 1000);
+
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(total % 1000, 3)}`;
+  }
+}
+
+module.exports = { Captions };
@@ -0,0 +1,257 @@
+// Helpers
+const { Playlist } = require("./Playlist");
+const { Retry } = require("./Retry");
+const { Cache } = require("./Cache");
+const { YoutubeUrl } = require("./YoutubeUrl");
+const { ScrapingError } = require("./ScrapingError");
+
+// Data
+const { ERROR_CODES } = require("../constants/error_codes");
+
+/**
+ * @typedef {Object} ChannelResponse
+ * @property {Object|null} ChannelData - The channel data or null if error
+ * @property {boolean} err - Error flag
+ * @property {string} err_msg - Error message
+ * @property {string|null} code - Error code from `ERROR_CODES` or null if no error
+ */
+
+/**
+ * @typedef {Object} ChannelIdResponse
+ * @property {string|null} channelId - Channel ID (`UC…`) or null if error
+ * @property {boolean} err - Error flag
+ * @property {string} err_msg - Error message
+ * @property {string|null} code - Error code from `ERROR_CODES` or null if no error
+ */
+
+/**
+ * @typedef {Object} UploadsResponse
+ * @property {Object|null} UploadsData - The uploads page or null if error
+ * @property {boolean} err - Error flag
+ * @property {string} err_msg - Error message
+ * @property {string|null} code - Error code from `ERROR_CODES` or null if no error
+ */
+
+/**
+ * Youtube Channel Helper
+ * Provides methods to resolve channels, get their metadata and list their uploads
+ */
+class Channel {
+  /**
+   * Prefix of the uploads playlist of each tab, followed by the channel ID without `UC`
+   * @type {Object<string, string>}
+   */
+  static TABS = {
+    all: "UU",
+    videos: "UULF",
+    shorts: "UUSH",
+    live: "UULV",
+  };
+
+  /**
+   * Channel ID format
+   * @type {RegExp}
+   */
+  static CHANNEL_ID_REGEX = YoutubeUrl.CHANNEL_ID_REGEX;
+
+  /**
+   * Resolve a channel URL (`@handle`, `/channel/UC…`, `/c/…`, `/user/…`) or handle to its channel ID
+   * @param {string} url - YouTube channel URL, `@handle` or channel ID
+   * @returns {Promise<ChannelIdResponse>} Channel ID response
+   */
+  static async resolveId(url = "") {
+    try {
+      const channelId = await this.#resolve_id(url);
+
+      return { channelId, err: false, err_msg: "", code: null };
+    } catch (error) {
+      return {
+        channelId: null,
+        err: true,
+        err_msg: `Failed to resolve channel: ${error.message}`,
+        code: ScrapingError.classify(error),
+      };
+    }
+  }
+
+  /**
+   * Get channel metadata
+   * @param {string} url - YouTube channel URL, `@handle` or channel ID
+   * @returns {Promise<ChannelResponse>} Channel information response
+   */
+  static async getInfo(url = "") {
+    try {
+      const channelId = await this.#resolve_id(url);
+
+      // Get initial data of the channel page
+      const data = await Cache.remember("channel", `data:${channelId}`, async () => this.#initial_data(await this.#fetch_page(`https://www.youtube.com/channel/${channelId}`)));
+
+      const metadata = data?.metadata?.channelMetadataRenderer;
+      if (!metadata) {
+        throw new ScrapingError(`Channel metadata not found for ${channelId}`, ERROR_CODES.CHANNEL_UNAVAILABLE);
+      }
+
+      // Extract and organize essential information
+      const { title, description = "", channelUrl, vanityChannelUrl = null, keywords = "", avatar, isFamilySafe = null } = metadata;
+      const avatars = avatar?.thumbnails || [];
+
+      // Counts are only available as displayed text (e.g. "1.2M subscribers")
+      const rawData = JSON.stringify(data?.header || {});
+      const subscribers = /"(?:simpleText|content|text)":"([^"]*subscribers?)"/i.exec(rawData);
+      const videos = /"(?:simpleText|content|text)":"([^"]*videos?)"/i.exec(rawData);
+
+      const ChannelData = {
+        id: channelId,
+        name: title,
+        description,
+        url: channelUrl || `https://www.youtube.com/channel/${channelId}`,
+        vanity_url: vanityChannelUrl,
+        avatar_url: avatars.length > 0 ? avatars[avatars.length - 1].url : null,
+        keywords,
+        subscribers: subscribers ? subscribers[1] : null,
+        videos: videos ? videos[1] : null,
+        is_family_safe: isFamilySafe,
+        uploads_url: `https://www.youtube.com/playlist?list=${this.TABS.all}${channelId.slice(2)}`,
+      };
+
+      return { ChannelData, err: false, err_msg: "", code: null };
+    } catch (error) {
+      return {
+        ChannelData: null,
+        err: true,
+        err_msg: `Failed to get channel info: ${error.message}`,
+        code: ScrapingError.classify(error),
+      };
+    }
+  }
+
+  /**
+   * Get one page of channel uploads through its uploads playlist
+   * @param {string} url - YouTube channel URL, `@handle` or channel ID
+   * @param {Object} [options={}] - Uploads options
+   * @param {string} [options.tab="all"] - Uploads tab ("all", "videos", "shorts" or "live")
+   * @param {number} [options.pages=1] - Number of pages of about 100 videos to get, `Infinity` for all
+   * @param {Object|null} [options.continuation=null] - `continuation` of the previous page
+   * @returns {Promise<UploadsResponse>} Uploads page response with `continuation` (null on the last page)
+   */
+  static async getUploads(url = "", options = {}) {
+    const { tab = "all", pages = 1, continuation = null } = options;
+
+    try {
+      // Validate tab
+      if (!(tab in this.TABS)) {
+        throw new ScrapingError(`Invalid tab: ${tab}. Must be one of ${Object.keys(this.TABS).join(", ")}`, ERROR_CODES.INVALID_INPUT);
+      }
+
+      const channelId = await this.#resolve_id(url);
+      const playlistId = `${this.TABS[tab]}${channelId.slice(2)}`;
+
+      // Get uploads page with the playlist logic
+      const { PlaylistData, err, err_msg, code } = await Playlist.getPage(playlistId, { pages, continuation });
+
+      // Channels without shorts or lives have no playlist for this tab
+      const emptyTab = err && tab !== "all" && code === ERROR_CODES.PLAYLIST_UNAVAILABLE;
+
+      if (err && !emptyTab) {
+        throw new ScrapingError(err_msg, code);
+      }
+
+      const UploadsData = {
+        channel_id: channelId,
+        tab,
+        ...(emptyTab ? { id: playlistId, title: null, url: `https://www.youtube.com/playlist?list=${playlistId}`, number_videos: 0, videos: {}, continuation: null } : PlaylistData),
+      };
+
+      return { UploadsData, err: false, err_msg: "", code: null };
+    } catch (error) {
+      return {
+        UploadsData: null,
+        err: true,
+        err_msg: `Failed to get channel uploads: ${error.message}`,
+        code: ScrapingError.classify(error),
+      };
+    }
+  }
+
+  /**
+   * Resolve a channel URL to its channel ID, requesting the channel page when needed
+   * @param {string} url - YouTube channel URL, `@handle` or channel ID
+   * @returns {Promise<string>} Channel ID
+   * @private
+   */
+  static async #resolve_id(url) {
+    const input = String(url || "").trim();
+
+    // Channel ID provided or in the URL
+    let parsed;
+    try {
+      parsed = YoutubeUrl.parse(input);
+    } catch (error) {
+      throw new ScrapingError(`Invalid channel URL: ${error.message}`, ERROR_CODES.INVALID_INPUT);
+    }
+
+    const { channel_id, channel_path: pagePath } = parsed;
+    if (channel_id) return channel_id;
+
+    // Handle, custom and user URLs need the channel page
+    if (!pagePath) {
+      throw new ScrapingError(`Unable to find a channel in "${input}"`, ERROR_CODES.INVALID_INPUT);
+    }
+
+    return await Cache.remember("channel", `id:${pagePath.toLowerCase()}`, async () => {
+      const html = await this.#fetch_page(`https://www.youtube.com/${encodeURI(pagePath)}`);
+
+      // Channel ID of the page owner
+      const match = /"externalId":"(UC[\w-]{22})"/.exec(html) || /<meta itemprop="identifier" content="(UC[\w-]{22})"/.exec(html) || /channel_id=(UC[\w-]{22})/.exec(html);
+
+      if (!match) {
+        throw new ScrapingError(`Channel ID not found in page of "${input}"`, ERROR_CODES.CHANNEL_UNAVAILABLE);
+      }
+
+      return match[1];
+    });
+  }
+
+  /**
+   * Request a YouTube page, retrying transient errors
+   * @param {string} pageUrl - Page URL
+   * @returns {Promise<string>} Page HTML
+   * @private
+   */
+  static async #fetch_page(pageUrl) {
+    return await Retry.run(async () => {
+      const response = await fetch(pageUrl, {
+        headers: { "Accept-Language": "en-US,en;q=0.9", Cookie: "CONSENT=YES+1" },
+      });
+
+      if (response.status === 404) {
+        throw new ScrapingError(`Channel not found: ${pageUrl}`, ERROR_CODES.CHANNEL_UNAVAILABLE);
+      }
+
+      if (!response.ok) {
+        throw Object.assign(new Error(`Request failed with status ${response.status}`), { statusCode: response.status });
+      }
+
+      return await response.text();
+    });
+  }
+
+  /**
+   * Extract `ytInitialData` from a page
+   * @param {string} html - Page HTML
+   * @returns {Object|null} Initial data or null if not found
+   * @private
+   */
+  static #initial_data(html) {
+    const match = /(?:var\s+ytInitialData|window\["ytInitialData"\])\s*=\s*(\{.+?\});\s*<\/script>/s.exec(html);
+    if (!match) return null;
+
+    try {
+      return JSON.parse(match[1]);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = { Channel };
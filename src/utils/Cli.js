@@ -0,0 +1,426 @@
+const { parseArgs } = require("util");
+
+// Helpers
+const { Video } = require("./Video");
+const { Playlist } = require("./Playlist");
+const { YoutubeSearch } = require("./YoutubeSearch");
+const { Channel } = require("./Channel");
+const { Server } = require("./Server");
+const { Exporter } = require("./Exporter");
+
+// Data
+const { ALL_TYPES } = require("../constants/all_types");
+
+const USAGE = `Usage: yts <command> [arguments] [options]
+
+Commands:
+  info <video-url>                   Video information and formats
+  playlist <playlist-url>            Playlist information and videos
+  links <playlist-url>               Download links of playlist videos
+  channel <channel-url>              Channel information
+  uploads <channel-url>              Uploads of a channel
+  search <type> <query>              Search videos, playlists, channels, movies or all
+  related <video-url>                Video information and recommendations
+  download <video-url>               Download a video to disk
+  serve                              Start the REST API server
+
+Options:
+  --format <format>                  json, text, csv, jsonl, m3u8, aria2 or wget (default: json)
+  --quality <720p,360p>              Qualitys to keep, repeat or separate with commas
+  --type <video|audio|both>          Types to keep, repeat or separate with commas
+  --include <fields|all>             Metadata fields to add (info), like description,duration
+  --from <n>                         First playlist video number (links)
+  --to <n>                           Last playlist video number (links)
+  --items <1,3,5-9,-3:>              Playlist video numbers, ranges and slices (links, playlist)
+  --reverse                          Process playlist videos from the last one (links, playlist)
+  --shuffle                          Process playlist videos in random order (links, playlist)
+  --min-duration <seconds>           Minimum video duration (links, playlist)
+  --max-duration <seconds>           Maximum video duration (links, playlist)
+  --match-title <regex>              Regular expression the title must match (links, playlist)
+  --concurrency <n>                  Videos processed in parallel (links, playlist)
+  --interval <ms>                    Minimum milliseconds between two requests
+  --links                            Include formats of each video (playlist)
+  --tab <all|videos|shorts|live>     Uploads tab (uploads, default: all)
+  --pages <n>                        Pages of about 100 videos (uploads, default: all)
+  --limit <n>                        Maximum number of results (search)
+  --sort <order>                     relevance, uploadDate, viewCount or rating (search)
+  --upload-date <date>               hour, today, week, month or year (search)
+  --duration <short|medium|long>     Duration filter (search)
+  --feature <4k,hd,subtitles,live>   Feature filters, repeat or separate with commas (search)
+  --continuation <token>             Continue previous results (search)
+  --enrich                           Look up missing playlist video counts (search)
+  --out <dir>                        Output directory (download)
+  --mux                              Merge best video and audio with ffmpeg (download)
+  --port <n>                         Port to listen on (serve, default: 3000)
+  --host <host>                      Host to bind (serve, default: 127.0.0.1)
+  -h, --help                         Show this help
+
+Exit codes: 0 success, 1 request error or failed links, 2 invalid usage`;
+
+/**
+ * Youtube Command Line Interface
+ * Maps `yts` commands and flags onto Video, Playlist, Channel and YoutubeSearch methods
+ */
+class Cli {
+  /**
+   * Flags accepted by all commands
+   * @type {Object}
+   */
+  static OPTIONS = {
+    format: { type: "string", default: "json" },
+    quality: { type: "string", multiple: true },
+    type: { type: "string", multiple: true },
+    include: { type: "string", multiple: true },
+    from: { type: "string" },
+    to: { type: "string" },
+    items: { type: "string" },
+    reverse: { type: "boolean", default: false },
+    shuffle: { type: "boolean", default: false },
+    "min-duration": { type: "string" },
+    "max-duration": { type: "string" },
+    "match-title": { type: "string" },
+    concurrency: { type: "string" },
+    interval: { type: "string" },
+    links: { type: "boolean", default: false },
+    tab: { type: "string", default: "all" },
+    pages: { type: "string" },
+    limit: { type: "string" },
+    sort: { type: "string" },
+    "upload-date": { type: "string" },
+    duration: { type: "string" },
+    feature: { type: "string", multiple: true },
+    continuation: { type: "string" },
+    enrich: { type: "boolean", default: false },
+    out: { type: "string" },
+    mux: { type: "boolean", default: false },
+    port: { type: "string", default: "3000" },
+    host: { type: "string", default: "127.0.0.1" },
+    help: { type: "boolean", short: "h", default: false },
+  };
+
+  /**
+   * Run a command line and write the output
+   * @param {string[]} argv - Arguments without node and script paths
+   * @param {Object} [io] - Output streams
+   * @param {NodeJS.WritableStream} [io.stdout=process.stdout] - Output stream
+   * @param {NodeJS.WritableStream} [io.stderr=process.stderr] - Error stream
+   * @returns {Promise<number>} Exit code
+   */
+  static async run(argv, io = {}) {
+    const { stdout = process.stdout, stderr = process.stderr } = io;
+
+    // Parse arguments
+    let parsed;
+    try {
+      parsed = parseArgs({ args: argv, options: this.OPTIONS, allowPositionals: true });
+    } catch (error) {
+      stderr.write(`${error.message}\n\n${USAGE}\n`);
+      return 2;
+    }
+
+    const { values, positionals } = parsed;
+    const [command, ...args] = positionals;
+
+    if (values.help || !command) {
+      (values.help ? stdout : stderr).write(`${USAGE}\n`);
+      return values.help ? 0 : 2;
+    }
+
+    // Start the server, the process stays alive while it listens
+    if (command === "serve") {
+      const port = Number(values.port);
+      if (!Number.isInteger(port) || port < 0) {
+        stderr.write(`Invalid port: ${values.port}\n`);
+        return 2;
+      }
+
+      let server;
+      try {
+        server = await Server.listen({ port, host: values.host });
+      } catch (error) {
+        stderr.write(`Failed to start server: ${error.message}\n`);
+        return 1;
+      }
+
+      stdout.write(`Listening on http://${values.host}:${server.address().port}\n`);
+      return 0;
+    }
+
+    // Validate output format
+    const format = values.format.trim().toLowerCase();
+    const formats = ["json", "text", ...Exporter.formats()];
+    if (!formats.includes(format)) {
+      stderr.write(`Invalid format: ${values.format}. Must be one of ${formats.map((name) => `"${name}"`).join(", ")}\n`);
+      return 2;
+    }
+
+    // Validate types
+    const types = this.#parse_list(values.type).map((type) => (type === "both" ? "video and audio" : type));
+    const invalidType = types.find((type) => !ALL_TYPES.includes(type));
+    if (invalidType) {
+      stderr.write(`Invalid type: ${invalidType}. Must be "video", "audio" or "both"\n`);
+      return 2;
+    }
+
+    // Execute command
+    let output;
+    try {
+      output = await this.#execute(command, args, { ...values, format, types });
+    } catch (error) {
+      stderr.write(`${error.message}\n\n${USAGE}\n`);
+      return 2;
+    }
+
+    const { response, rows, text, exported, failed = 0 } = output;
+
+    if (response.err) {
+      stderr.write(`${response.err_msg}\n`);
+      return 1;
+    }
+
+    // Write output
+    if (format === "json") {
+      stdout.write(`${JSON.stringify(output.data, null, 2)}\n`);
+    } else if (format === "csv") {
+      stdout.write(Exporter.toCsv(rows));
+    } else if (format === "text") {
+      stdout.write(`${text ?? this.toText(rows)}\n`);
+    } else {
+      stdout.write(exported ?? Exporter.export(format, output.exportData ?? rows));
+    }
+
+    // Partial results are written but still fail the command
+    if (failed > 0) {
+      stderr.write(`${failed} of ${output.total} links failed\n`);
+      return 1;
+    }
+
+    return 0;
+  }
+
+  /**
+   * Execute a command
+   * @param {string} command - Command name
+   * @param {string[]} args - Command arguments
+   * @param {Object} values - Parsed flags
+   * @returns {Promise<Object>} `{ response, data, rows, text, exported, exportData, failed, total }`
+   * @private
+   */
+  static async #execute(command, args, values) {
+    const { format, types, links, tab, out, mux } = values;
+
+    // Validate integer flags before any request, like the query parameters of the server
+    const [from, to, concurrency, interval, pages, limit] = ["from", "to", "concurrency", "interval", "pages", "limit"].map((name) => this.#parse_integer(values, name));
+
+    // Map flags onto library options
+    const qualitys = Object.fromEntries(this.#parse_list(values.quality).map((quality) => [quality, true]));
+    const poolOptions = {
+      ...(concurrency !== null && { concurrency }),
+      ...(interval !== null && { requestInterval: interval }),
+    };
+    const selection = {
+      ...(values.items && { items: values.items }),
+      reverse: values.reverse,
+      shuffle: values.shuffle,
+      ...(values["min-duration"] && { minDuration: values["min-duration"] }),
+      ...(values["max-duration"] && { maxDuration: values["max-duration"] }),
+      ...(values["match-title"] && { titleMatch: values["match-title"] }),
+    };
+    const target = args.join(" ");
+
+    // Export formats are written by the library, except csv which keeps the command rows
+    const exportFormat = Exporter.has(format) && format !== "csv" ? format : null;
+
+    if (!target) {
+      throw new Error(`Missing argument for command "${command}"`);
+    }
+
+    switch (command) {
+      case "info": {
+        const include = this.#parse_list(values.include);
+        const response = await Video.getInfo(target, {
+          VideoDataType: exportFormat ?? (format === "text" ? "text" : "json"),
+          ...(types.length > 0 && { types }),
+          qualitys,
+          include: include.includes("all") ? "all" : include,
+        });
+        const { VideoData } = response;
+
+        if (typeof VideoData === "string") {
+          return { response, data: VideoData, rows: [], ...(exportFormat ? { exported: VideoData } : { text: VideoData }) };
+        }
+
+        const rows = VideoData ? VideoData.formats.map(({ type, quality, mimeType, url }) => ({ id: VideoData.id, title: VideoData.title, type, quality, mimeType, url })) : [];
+
+        return { response, data: VideoData, rows };
+      }
+
+      case "playlist": {
+        const response = await Playlist.getInfo(target, links, { ...poolOptions, ...selection, ...(exportFormat && { VideoDataType: exportFormat }) });
+        const { PlaylistData } = response;
+
+        if (typeof PlaylistData === "string") {
+          return { response, data: PlaylistData, rows: [], exported: PlaylistData };
+        }
+
+        const numbers = PlaylistData ? PlaylistData.order ?? Object.keys(PlaylistData.videos) : [];
+        const rows = numbers.map((n) => ({ n: String(n), id: PlaylistData.videos[n].id, title: PlaylistData.videos[n].title, video_url: PlaylistData.videos[n].video_url }));
+
+        return { response, data: PlaylistData, rows };
+      }
+
+      case "links": {
+        // Video number of each link, the selection can change the order
+        const numbers = new Map();
+        const failures = [];
+        const response = await Playlist.getDownloadsLinks(target, {
+          ...(types.length > 0 && { types }),
+          qualitys,
+          from,
+          to,
+          ...selection,
+          ...poolOptions,
+          onItem: (videoNumber, link) => {
+            numbers.set(link, videoNumber);
+            if (typeof link === "string" || link.err) failures.push(videoNumber);
+          },
+          ...(exportFormat && { VideoDataType: exportFormat }),
+        });
+
+        const failed = failures.length;
+        const total = numbers.size;
+
+        if (typeof response.results === "string") {
+          return { response, data: response.results, rows: [], exported: response.results, failed, total };
+        }
+
+        const rows = (response.results || []).map((link) => ({
+          n: numbers.get(link),
+          url: typeof link === "string" ? "" : link.results ?? "",
+          error: typeof link === "string" ? link : link.err_msg,
+        }));
+
+        return { response, data: response.results, rows, text: rows.map(({ url, error }) => url || error).join("\n"), failed, total };
+      }
+
+      case "channel": {
+        const response = await Channel.getInfo(target);
+        const rows = response.ChannelData ? [response.ChannelData] : [];
+
+        return { response, data: response.ChannelData, rows };
+      }
+
+      case "uploads": {
+        const response = await Channel.getUploads(target, { tab, pages: pages ?? Infinity });
+        const { UploadsData } = response;
+        const rows = UploadsData ? Object.entries(UploadsData.videos).map(([n, { id, title, video_url }]) => ({ n, id, title, video_url })) : [];
+
+        return { response, data: UploadsData, rows, exportData: UploadsData };
+      }
+
+      case "search": {
+        const [searchType, ...queryWords] = args;
+        const type = { videos: "video", playlists: "playlist", channels: "channel", movies: "movie" }[searchType] || searchType;
+
+        if (queryWords.length === 0 && !values.continuation) {
+          throw new Error(`Missing query for command "search ${searchType}"`);
+        }
+
+        const response = await YoutubeSearch.search(type, queryWords.join(" "), {
+          ...(limit !== null && { limit }),
+          ...(values.sort && { sortBy: values.sort }),
+          ...(values["upload-date"] && { uploadDate: values["upload-date"] }),
+          ...(values.duration && { duration: values.duration }),
+          features: this.#parse_list(values.feature),
+          ...(values.continuation && { continuation: values.continuation }),
+          enrich: values.enrich,
+          exportFormat,
+        });
+
+        if (typeof response.results === "string") {
+          return { response, data: response.results, rows: [], exported: response.results };
+        }
+
+        const rows = response.results ? response.results.items : [];
+
+        return { response, data: response.results, rows };
+      }
+
+      case "related": {
+        const response = await YoutubeSearch.videoAndRecommendations(target);
+        const rows = response.results ? [response.results.origin_video_info, ...response.results.recommendations] : [];
+
+        return { response, data: response.results, rows, exportData: { items: rows } };
+      }
+
+      case "download": {
+        const response = await Video.download(target, {
+          ...(types.length > 0 && { types }),
+          qualitys,
+          ...(out && { outDir: out }),
+          mux,
+        });
+        const rows = response.results ? [response.results] : [];
+
+        return { response, data: response.results, rows };
+      }
+
+      default:
+        throw new Error(`Unknown command "${command}"`);
+    }
+  }
+
+  /**
+   * Convert rows to aligned `key : value` blocks
+   * @param {Object[]} rows - Flat objects
+   * @returns {string} Text content
+   */
+  static toText(rows = []) {
+    const separator = "-".repeat(100);
+
+    return rows
+      .map((row) => {
+        const width = Math.max(...Object.keys(row).map((key) => key.length));
+
+        return Object.entries(row)
+          .map(([key, value]) => `${key.padEnd(width)} : ${typeof value === "object" && value !== null ? JSON.stringify(value) : value}`)
+          .join("\n");
+      })
+      .join(`\n${separator}\n`);
+  }
+
+  /**
+   * Read an integer flag
+   * @param {Object} values - Parsed flags
+   * @param {string} name - Flag name
+   * @returns {number|null} Integer or null if missing
+   * @throws {Error} If the value is not an integer
+   * @private
+   */
+  static #parse_integer(values, name) {
+    const value = values[name];
+    if (value === undefined || value === "") return null;
+
+    const number = Number(value);
+    if (!Number.isInteger(number)) {
+      throw new Error(`Invalid option "--${name}": ${value}. Must be an integer`);
+    }
+
+    return number;
+  }
+
+  /**
+   * Split repeated and comma separated flag values
+   * @param {string[]|undefined} values - Flag values
+   * @returns {string[]} Trimmed values
+   * @private
+   */
+  static #parse_list(values = []) {
+    return values
+      .flatMap((value) => value.split(","))
+      .map((value) => value.trim())
+      .filter(Boolean);
+  }
+}
+
+module.exports = { Cli };
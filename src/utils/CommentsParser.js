@@ -0,0 +1,221 @@
+// Helpers
+const { InnerTube } = require("./InnerTube");
+
+/**
+ * @typedef {Object} Comment
+ * @property {string} id - Comment ID
+ * @property {string} author_name - Author display name, like `@handle`
+ * @property {string|null} author_url - Author channel URL
+ * @property {string|null} author_channel_id - Author channel ID
+ * @property {string} text - Comment text
+ * @property {number} likes - Number of likes, approximate above 1000 (`1.2K`)
+ * @property {number} reply_count - Number of replies
+ * @property {string} published_time - Relative publish time, like `2 years ago`
+ * @property {boolean} pinned - Pinned by the video author
+ * @property {boolean} hearted - Hearted by the video author
+ * @property {boolean} author_is_creator - Written by the video author
+ * @property {string|null} replies_continuation - Token of the first page of replies, null without replies
+ */
+
+/**
+ * @typedef {Object} CommentsPage
+ * @property {Comment[]} comments - Comments or replies of the page
+ * @property {string|null} continuation - Token of the next page, null on the last page
+ * @property {number|null} totalComments - Number of comments of the video, only on the first page
+ * @property {{top: string|null, newest: string|null}} sortTokens - Tokens of the first page of each order, only on the first page
+ */
+
+/**
+ * Youtube Comments Parser Helper
+ * Extracts comments, replies and continuation tokens from InnerTube `next` responses
+ * Supports the `commentViewModel` layout (data in `frameworkUpdates` entities) and the older `commentRenderer` layout
+ */
+class CommentsParser {
+  /**
+   * Parse the watch page response of a video
+   * @param {Object} json - InnerTube `next` response for a `videoId`
+   * @returns {{available: boolean, title: string|null, continuation: string|null}} Video availability, title and token of the comments section (null if comments are turned off)
+   */
+  static parseWatchPage(json = {}) {
+    const contents = json.contents?.twoColumnWatchNextResults?.results?.results?.contents || [];
+
+    const primary = contents.find((content) => content.videoPrimaryInfoRenderer)?.videoPrimaryInfoRenderer;
+    const section = contents.find((content) => content.itemSectionRenderer?.sectionIdentifier === "comment-item-section")?.itemSectionRenderer;
+    const continuation = (section?.contents || []).map((item) => this.#continuation_token(item.continuationItemRenderer)).find(Boolean) || null;
+
+    return { available: Boolean(primary), title: primary ? InnerTube.text(primary.title) : null, continuation };
+  }
+
+  /**
+   * Parse a page of comments or replies
+   * @param {Object} json - InnerTube `next` response for a continuation
+   * @returns {CommentsPage} Parsed page
+   */
+  static parsePage(json = {}) {
+    const entities = this.#entities(json);
+    const comments = [];
+    const sortTokens = { top: null, newest: null };
+    let continuation = null;
+    let totalComments = null;
+
+    // First pages reload the header and the body, next pages and replies append items
+    const items = (json.onResponseReceivedEndpoints || []).flatMap((endpoint) => endpoint.reloadContinuationItemsCommand?.continuationItems || endpoint.appendContinuationItemsAction?.continuationItems || []);
+
+    for (const item of items) {
+      if (item.commentsHeaderRenderer) {
+        const header = item.commentsHeaderRenderer;
+        const [top, newest] = header.sortMenu?.sortFilterSubMenuRenderer?.subMenuItems || [];
+
+        const countText = InnerTube.text(header.countText || header.commentsCount);
+        totalComments = countText ? this.#parse_count(countText) : null;
+        sortTokens.top = top?.serviceEndpoint?.continuationCommand?.token || null;
+        sortTokens.newest = newest?.serviceEndpoint?.continuationCommand?.token || null;
+      } else if (item.continuationItemRenderer) {
+        continuation = this.#continuation_token(item.continuationItemRenderer);
+      } else {
+        const comment = this.parseComment(item, entities);
+        if (comment) comments.push(comment);
+      }
+    }
+
+    return { comments, continuation, totalComments, sortTokens };
+  }
+
+  /**
+   * Parse a comment thread, a reply or a comment renderer
+   * @param {Object} item - `{ commentThreadRenderer }`, `{ commentViewModel }` or `{ commentRenderer }`
+   * @param {Map<string, Object>} [entities=new Map()] - Entity payloads by key from `frameworkUpdates`
+   * @returns {Comment|null} Parsed comment or null if not supported
+   */
+  static parseComment(item = {}, entities = new Map()) {
+    const thread = item.commentThreadRenderer;
+
+    // Replies token of a thread, the "View replies" button
+    const repliesItems = thread?.replies?.commentRepliesRenderer?.contents || [];
+    const repliesContinuation = repliesItems.map((reply) => this.#continuation_token(reply.continuationItemRenderer)).find(Boolean) || null;
+
+    const viewModel = thread?.commentViewModel?.commentViewModel || item.commentViewModel;
+    const renderer = thread?.comment?.commentRenderer || item.commentRenderer;
+
+    if (viewModel) return this.#parse_view_model(viewModel, entities, thread?.renderingPriority, repliesContinuation);
+    if (renderer) return this.#parse_renderer(renderer, repliesContinuation);
+
+    return null;
+  }
+
+  /**
+   * Parse a `commentViewModel` with its entities
+   * @param {Object} viewModel - `commentViewModel`
+   * @param {Map<string, Object>} entities - Entity payloads by key
+   * @param {string|undefined} renderingPriority - Thread priority, pinned comments are first
+   * @param {string|null} repliesContinuation - Replies token
+   * @returns {Comment|null} Parsed comment or null if its entity is missing
+   * @private
+   */
+  static #parse_view_model(viewModel, entities, renderingPriority, repliesContinuation) {
+    const payload = entities.get(viewModel.commentKey)?.commentEntityPayload;
+    if (!payload) return null;
+
+    const { properties = {}, author = {}, toolbar = {} } = payload;
+    const toolbarState = entities.get(viewModel.toolbarStateKey)?.engagementToolbarStateEntityPayload || {};
+    const browseEndpoint = author.channelCommand?.innertubeCommand?.browseEndpoint || {};
+
+    return {
+      id: properties.commentId || viewModel.commentId,
+      author_name: author.displayName || "",
+      author_url: this.#channel_url(browseEndpoint.canonicalBaseUrl, author.channelId),
+      author_channel_id: author.channelId || browseEndpoint.browseId || null,
+      text: properties.content?.content || "",
+      likes: this.#parse_count(toolbar.likeCountNotliked),
+      reply_count: this.#parse_count(toolbar.replyCount),
+      published_time: properties.publishedTime || "",
+      pinned: Boolean(viewModel.pinnedText) || renderingPriority === "RENDERING_PRIORITY_PINNED_COMMENT",
+      hearted: toolbarState.heartState === "TOOLBAR_HEART_STATE_HEARTED",
+      author_is_creator: Boolean(author.isCreator),
+      replies_continuation: repliesContinuation,
+    };
+  }
+
+  /**
+   * Parse an older `commentRenderer`
+   * @param {Object} renderer - `commentRenderer`
+   * @param {string|null} repliesContinuation - Replies token
+   * @returns {Comment} Parsed comment
+   * @private
+   */
+  static #parse_renderer(renderer, repliesContinuation) {
+    const browseEndpoint = renderer.authorEndpoint?.browseEndpoint || {};
+
+    return {
+      id: renderer.commentId,
+      author_name: InnerTube.text(renderer.authorText),
+      author_url: this.#channel_url(browseEndpoint.canonicalBaseUrl, browseEndpoint.browseId),
+      author_channel_id: browseEndpoint.browseId || null,
+      text: InnerTube.text(renderer.contentText),
+      likes: this.#parse_count(InnerTube.text(renderer.voteCount)),
+      reply_count: Number(renderer.replyCount) || 0,
+      published_time: InnerTube.text(renderer.publishedTimeText),
+      pinned: Boolean(renderer.pinnedCommentBadge),
+      hearted: Boolean(renderer.actionButtons?.commentActionButtonsRenderer?.creatorHeart?.creatorHeartRenderer?.isHearted),
+      author_is_creator: Boolean(renderer.authorIsChannelOwner),
+      replies_continuation: repliesContinuation,
+    };
+  }
+
+  /**
+   * Index the entity payloads of a response by key
+   * @param {Object} json - InnerTube response
+   * @returns {Map<string, Object>} Payloads by entity key
+   * @private
+   */
+  static #entities(json) {
+    const mutations = json.frameworkUpdates?.entityBatchUpdate?.mutations || [];
+    return new Map(mutations.filter((mutation) => mutation.payload).map((mutation) => [mutation.entityKey, mutation.payload]));
+  }
+
+  /**
+   * Get the token of a continuation item, scrolled (`continuationEndpoint`) or clicked (`button`)
+   * @param {Object|undefined} renderer - `continuationItemRenderer`
+   * @returns {string|null} Token or null if none
+   * @private
+   */
+  static #continuation_token(renderer) {
+    if (!renderer) return null;
+
+    return renderer.continuationEndpoint?.continuationCommand?.token || renderer.button?.buttonRenderer?.command?.continuationCommand?.token || null;
+  }
+
+  /**
+   * Build a channel URL from its handle path or ID
+   * @param {string|undefined} canonicalBaseUrl - Path like `/@handle`
+   * @param {string|undefined} channelId - Channel ID
+   * @returns {string|null} Channel URL or null if unknown
+   * @private
+   */
+  static #channel_url(canonicalBaseUrl, channelId) {
+    if (canonicalBaseUrl) return `https://www.youtube.com${canonicalBaseUrl}`;
+    if (channelId) return `https://www.youtube.com/channel/${channelId}`;
+
+    return null;
+  }
+
+  /**
+   * Convert a count like `1,234`, `1.2K` or `3M` to a number
+   * @param {string|number|undefined} text - Count text
+   * @returns {number} Count, 0 if empty
+   * @private
+   */
+  static #parse_count(text) {
+    if (typeof text === "number") return text;
+
+    const match = /([\d.,]+)\s*([KMB])?/i.exec(String(text || ""));
+    if (!match) return 0;
+
+    const multiplier = { K: 1e3, M: 1e6, B: 1e9 }[(match[2] || "").toUpperCase()] || 1;
+    const value = match[2] ? Number(match[1].replace(/,/g, ".").replace(/\.(?=.*\.)/g, "")) : Number(match[1].replace(/[.,]/g, ""));
+
+    return Math.round(value * multiplier) || 0;
+  }
+}
+
+module.exports = { CommentsParser };
@@ -0,0 +1,41 @@
+// Helpers
+const { ScrapingError } = require("./ScrapingError");
+
+// Data
+const { ERROR_CODES } = require("../constants/error_codes");
+
+/**
+ * Continuation Helper
+ * Turns the page cursors of searches and comments into the opaque `continuation` strings given to the caller
+ */
+class Continuation {
+  /**
+   * Encode a cursor to an opaque continuation string
+   * @param {Object} cursor - Page cursor
+   * @returns {string} Continuation
+   */
+  static encode(cursor) {
+    return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+  }
+
+  /**
+   * Decode a continuation string
+   * @param {string} continuation - Continuation
+   * @param {string} label - Listing name used in errors
+   * @param {string[]} [required=[]] - Cursor keys that must be set
+   * @returns {Object} Page cursor
+   * @throws {ScrapingError} INVALID_INPUT if the continuation is not a cursor
+   */
+  static decode(continuation, label, required = []) {
+    try {
+      const cursor = JSON.parse(Buffer.from(String(continuation), "base64url").toString("utf8"));
+      if (!cursor || typeof cursor !== "object" || required.some((key) => !cursor[key])) throw new Error("Missing cursor keys");
+
+      return cursor;
+    } catch (error) {
+      throw new ScrapingError(`Invalid ${label} continuation`, ERROR_CODES.INVALID_INPUT);
+    }
+  }
+}
+
+module.exports = { Continuation };
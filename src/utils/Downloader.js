@@ -0,0 +1,156 @@
+const fs = require("fs");
+const path = require("path");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+
+// Helpers
+const { ScrapingError } = require("./ScrapingError");
+
+/**
+ * @typedef {Object} FileResponse
+ * @property {Object|null} results - Downloaded file details or null if error
+ * @property {string} results.path - Path of the written file
+ * @property {number} results.size - Size of the file in bytes
+ * @property {boolean} results.resumed - Whether an existing `.part` file was continued
+ * @property {boolean} err - Error flag
+ * @property {string} err_msg - Error message
+ * @property {string|null} code - Error code from `ERROR_CODES` or null if no error
+ */
+
+/**
+ * Youtube Downloader Helper
+ * Provides methods to write remote files to disk with progress and resume support
+ */
+class Downloader {
+  /**
+   * Extensions by mime type, anything else falls back to the mime subtype
+   * @type {Object<string, string>}
+   */
+  static EXTENSIONS = {
+    "video/mp4": "mp4",
+    "video/webm": "webm",
+    "video/3gpp": "3gp",
+    "audio/mp4": "m4a",
+    "audio/webm": "webm",
+  };
+
+  /**
+   * Get the file extension of a format mime type
+   * @param {string} mimeType - Format mime type (e.g. `video/mp4; codecs="avc1"`)
+   * @returns {string} File extension
+   */
+  static extFromMimeType(mimeType = "") {
+    const type = mimeType.split(";")[0].trim().toLowerCase();
+    return this.EXTENSIONS[type] || type.split("/")[1] || "bin";
+  }
+
+  /**
+   * Build a filename from a template like `{n} - {title}.{ext}`
+   * @param {string} template - Filename template
+   * @param {Object} values - Values for template keys
+   * @returns {string} Safe filename
+   */
+  static renderFilename(template, values = {}) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => {
+      if (!(key in values) || values[key] === null || values[key] === undefined) return "";
+
+      // Replace characters not allowed in file names
+      return String(values[key]).replace(/[\/\\:*?"<>|#]/g, "~");
+    });
+  }
+
+  /**
+   * Download a file to disk, resuming an existing `.part` file when possible
+   * @param {string} fileUrl - Remote file URL
+   * @param {string} filePath - Destination file path
+   * @param {Object} [options={}] - Download options
+   * @param {boolean} [options.resume=true] - Continue a partial `.part` file
+   * @param {Function|null} [options.onProgress=null] - Progress callback `({ downloaded, total, percent })`
+   * @returns {Promise<FileResponse>} Downloaded file response
+   */
+  static async downloadFile(fileUrl, filePath, options = {}) {
+    const { resume = true, onProgress = null } = options;
+    const partPath = `${filePath}.part`;
+
+    try {
+      // Get size of the partial file if we can continue it
+      let start = resume && fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+
+      // Request the remaining bytes only
+      const headers = start > 0 ? { Range: `bytes=${start}-` } : {};
+      const response = await fetch(fileUrl, { headers });
+
+      // Range not satisfiable: the partial file is already complete or invalid
+      if (response.status === 416) {
+        const total = this.#total_from_content_range(response.headers.get("content-range"));
+
+        if (total !== null && total === start) {
+          await fs.promises.rename(partPath, filePath);
+          return { results: { path: filePath, size: start, resumed: true }, err: false, err_msg: "", code: null };
+        }
+
+        await fs.promises.rm(partPath, { force: true });
+        return await this.downloadFile(fileUrl, filePath, { ...options, resume: false });
+      }
+
+      if (!response.ok) {
+        throw Object.assign(new Error(`Request failed with status ${response.status}`), { statusCode: response.status });
+      }
+
+      // Server ignored the range, start from the beginning
+      if (start > 0 && response.status !== 206) start = 0;
+
+      // Compute total size of the file
+      const contentLength = Number(response.headers.get("content-length"));
+      const total = this.#total_from_content_range(response.headers.get("content-range")) ?? (contentLength ? start + contentLength : null);
+
+      // Write response body to the partial file
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const file = fs.createWriteStream(partPath, { flags: start > 0 ? "a" : "w" });
+
+      let downloaded = start;
+      const body = Readable.fromWeb(response.body);
+
+      body.on("data", (chunk) => {
+        downloaded += chunk.length;
+
+        if (typeof onProgress === "function") {
+          const percent = total ? Math.round((downloaded / total) * 10000) / 100 : null;
+          onProgress({ downloaded, total, percent });
+        }
+      });
+
+      await pipeline(body, file);
+
+      // Move complete file to its final name
+      await fs.promises.rename(partPath, filePath);
+
+      return {
+        results: { path: filePath, size: downloaded, resumed: start > 0 },
+        err: false,
+        err_msg: "",
+        code: null,
+      };
+    } catch (error) {
+      return {
+        results: null,
+        err: true,
+        err_msg: `Failed to download file: ${error.message}`,
+        code: ScrapingError.classify(error),
+      };
+    }
+  }
+
+  /**
+   * Extract the total size from a `Content-Range` header
+   * @param {string|null} contentRange - Header value (e.g. `bytes 100-199/200`)
+   * @returns {number|null} Total size or null if unknown
+   * @private
+   */
+  static #total_from_content_range(contentRange) {
+    const match = /\/(\d+)\s*$/.exec(contentRange || "");
+    return match ? Number(match[1]) : null;
+  }
+}
+
+module.exports = { Downloader };
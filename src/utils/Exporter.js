@@ -0,0 +1,310 @@
+// Helpers
+const { Downloader } = require("./Downloader");
+const { ScrapingError } = require("./ScrapingError");
+
+// Data
+const { ERROR_CODES } = require("../constants/error_codes");
+
+// Options
+const { EXPORT_OPTIONS } = require("../options/export_options");
+
+/**
+ * @typedef {Object} ExportEntry
+ * @property {number} n - Video number
+ * @property {string|null} id - Video, playlist or channel ID
+ * @property {string|null} title - Title or name
+ * @property {number|null} duration_seconds - Duration in seconds or null if unknown
+ * @property {string|null} video_url - YouTube page URL
+ * @property {string|null} url - Download link or null if none
+ * @property {string} filename - Unique filename of the download (see `filenameTemplate`)
+ * @property {Object} record - Flat record written by tabular formats (`csv`, `jsonl`)
+ */
+
+/**
+ * Youtube Exporter Helper
+ * Writes video formats, playlists and search results as CSV, JSON Lines, M3U8, aria2 input or wget list
+ * New formats are added with `Exporter.register`
+ */
+class Exporter {
+  /**
+   * Current export options used by all exports
+   * @type {typeof EXPORT_OPTIONS}
+   */
+  static options = { ...EXPORT_OPTIONS };
+
+  /**
+   * Exporters by format name
+   * @type {Map<string, Function>}
+   */
+  static #exporters = new Map();
+
+  /**
+   * Change export options for all exports
+   * @param {Object} [options={}] - Export options (see `EXPORT_OPTIONS`)
+   * @returns {Object} Current export options
+   */
+  static configure(options = {}) {
+    this.options = { ...this.options, ...options };
+    return this.options;
+  }
+
+  /**
+   * Add or replace an export format
+   * @param {string} format - Format name, used as `VideoDataType` or `exportFormat`
+   * @param {Function} exporter - `(entries, options) => string` receiving `ExportEntry` objects
+   * @returns {Function} Function removing the format
+   * @throws {Error} If the name is reserved or the exporter is not a function
+   */
+  static register(format, exporter) {
+    const name = String(format).trim().toLowerCase();
+
+    if (!name || ["json", "text"].includes(name)) {
+      throw new Error(`Invalid export format name: ${format}. "json" and "text" are reserved`);
+    }
+
+    if (typeof exporter !== "function") {
+      throw new Error(`Exporter of "${name}" must be a function`);
+    }
+
+    this.#exporters.set(name, exporter);
+
+    return () => this.#exporters.delete(name);
+  }
+
+  /**
+   * Get registered format names
+   * @returns {string[]} Format names
+   */
+  static formats() {
+    return [...this.#exporters.keys()];
+  }
+
+  /**
+   * Check if a format is registered
+   * @param {string} format - Format name
+   * @returns {boolean} True if registered
+   */
+  static has(format) {
+    return this.#exporters.has(String(format).trim().toLowerCase());
+  }
+
+  /**
+   * Throw if a response format is neither one of the own formats of a method nor a registered format
+   * @param {string} format - Requested format
+   * @param {string[]} [ownFormats=[]] - Formats handled by the method itself like "json" and "text"
+   * @throws {ScrapingError} INVALID_INPUT if the format is unknown
+   */
+  static validate(format, ownFormats = []) {
+    if (ownFormats.includes(format) || this.has(format)) return;
+
+    const formats = [...ownFormats, ...this.formats()].map((name) => `"${name}"`).join(", ");
+    throw new ScrapingError(`Invalid export format: ${format}. Must be one of ${formats}`, ERROR_CODES.INVALID_INPUT);
+  }
+
+  /**
+   * Export data with a registered format
+   * @param {string} format - Format name (see `Exporter.formats()`)
+   * @param {Object|Array} data - `VideoData`, `PlaylistData`, `UploadsData`, search results or an array of entries `{ n, id, title, video_url, url }`
+   * @param {Object} [options={}] - Export options overriding the configured ones (see `EXPORT_OPTIONS`)
+   * @returns {string} Exported content
+   * @throws {ScrapingError} INVALID_INPUT if the format is unknown
+   */
+  static export(format, data, options = {}) {
+    const name = String(format).trim().toLowerCase();
+    this.validate(name);
+
+    const exportOptions = { ...this.options, ...options };
+
+    return this.#exporters.get(name)(this.entries(data, exportOptions), exportOptions);
+  }
+
+  /**
+   * Normalize data to export entries
+   * - `VideoData`: one entry per format
+   * - `PlaylistData` and `UploadsData`: one entry per video in `order` when selected, with the first format when formats were added
+   * - Search results: one entry per item, without download link
+   * @param {Object|Array} data - Data to export
+   * @param {Object} [options={}] - Export options (see `EXPORT_OPTIONS`)
+   * @returns {ExportEntry[]} Entries with unique filenames
+   */
+  static entries(data, options = {}) {
+    const { filenameTemplate, VideoNumber } = { ...this.options, ...options };
+
+    let entries = [];
+
+    if (Array.isArray(data)) {
+      // Entries built by the caller
+      entries = data.map((entry, index) => {
+        const fields = { n: index + 1, ...entry };
+        return this.#entry(fields, fields);
+      });
+    } else if (data && Array.isArray(data.formats)) {
+      // Formats of one video
+      const { id, title, video_url, duration_seconds = null } = data;
+
+      entries = data.formats.map((format) => {
+        const { title: formatTitle, ...formatFields } = format;
+        return this.#entry({ ...format, n: VideoNumber, id, title, video_url, duration_seconds }, { n: VideoNumber, id, title, video_url, format: formatTitle, ...formatFields });
+      });
+    } else if (data && data.videos && typeof data.videos === "object") {
+      // Videos of a playlist or channel uploads
+      const numbers = Array.isArray(data.order) ? data.order : Object.keys(data.videos);
+
+      entries = numbers.map((n) => {
+        const video = data.videos[n];
+        const { formats, ...videoFields } = video;
+        const format = Array.isArray(formats) && formats.length > 0 ? formats[0] : null;
+
+        const record = {
+          n: Number(n),
+          ...videoFields,
+          ...(format && { format: format.title, quality: format.quality, mimeType: format.mimeType, url: format.url }),
+          ...(typeof formats === "string" && { error: formats }),
+        };
+
+        return this.#entry({ ...record, url: format ? format.url : null }, record);
+      });
+    } else if (data && Array.isArray(data.items)) {
+      // Search results, the item URL is a page URL
+      entries = data.items.map((item, index) => this.#entry({ n: index + 1, id: item.id, title: item.name, video_url: item.url, duration: item.duration, url: null }, { n: index + 1, ...item }));
+    }
+
+    return this.#add_filenames(entries, filenameTemplate);
+  }
+
+  /**
+   * Convert rows to CSV with a header line
+   * @param {Object[]} rows - Flat objects
+   * @returns {string} CSV content
+   */
+  static toCsv(rows = []) {
+    if (rows.length === 0) return "";
+
+    // Header is the union of all keys
+    const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+
+    const escape = (value) => {
+      if (value === null || value === undefined) return "";
+
+      const str = typeof value === "object" ? JSON.stringify(value) : String(value);
+      return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+
+    const lines = [columns.join(","), ...rows.map((row) => columns.map((column) => escape(row[column])).join(","))];
+
+    return `${lines.join("\n")}\n`;
+  }
+
+  /**
+   * Create an export entry
+   * @param {Object} fields - Entry fields, `url` is a download link
+   * @param {Object} record - Flat record for tabular formats
+   * @returns {Object} Entry without filename
+   * @private
+   */
+  static #entry(fields, record) {
+    const { n, id = null, title = null, video_url = null, url = null, mimeType = null, quality = null, type = null } = fields;
+    const duration_seconds = fields.duration_seconds ?? this.#duration_seconds(fields.duration);
+
+    return { n: Number(n), id, title, duration_seconds, video_url, url, mimeType, quality, type, record };
+  }
+
+  /**
+   * Add a unique filename to each entry
+   * @param {Object[]} entries - Entries without filename
+   * @param {string} template - Filename template
+   * @returns {ExportEntry[]} Entries with filename
+   * @private
+   */
+  static #add_filenames(entries, template) {
+    const used = new Map();
+
+    return entries.map(({ mimeType, quality, type, ...entry }) => {
+      // Download links carry their mime type when the format is unknown
+      const ext = Downloader.extFromMimeType(mimeType || this.#mime_from_url(entry.url));
+      const filename = Downloader.renderFilename(template, { n: entry.n, id: entry.id, title: entry.title, quality, type, ext });
+
+      // Number same filenames before the extension
+      const count = (used.get(filename) || 0) + 1;
+      used.set(filename, count);
+
+      const dot = filename.lastIndexOf(".");
+      const unique = count === 1 ? filename : dot > 0 ? `${filename.slice(0, dot)} (${count})${filename.slice(dot)}` : `${filename} (${count})`;
+
+      return { ...entry, filename: unique };
+    });
+  }
+
+  /**
+   * Get the `mime` query parameter of a googlevideo link
+   * @param {string|null} url - Download link
+   * @returns {string} Mime type or empty string
+   * @private
+   */
+  static #mime_from_url(url) {
+    try {
+      return new URL(url).searchParams.get("mime") || "";
+    } catch (error) {
+      return "";
+    }
+  }
+
+  /**
+   * Convert a `1:02:03` duration to seconds
+   * @param {string|null|undefined} duration - Duration text
+   * @returns {number|null} Seconds or null if not a duration
+   * @private
+   */
+  static #duration_seconds(duration) {
+    if (typeof duration !== "string" || !/^\d+(:\d{1,2}){0,2}$/.test(duration.trim())) return null;
+
+    return duration
+      .trim()
+      .split(":")
+      .reduce((seconds, part) => seconds * 60 + Number(part), 0);
+  }
+}
+
+// ==========================================
+// BUILT-IN FORMATS
+// ==========================================
+
+/**
+ * CSV with one row per entry, columns are the union of the record keys
+ */
+Exporter.register("csv", (entries) => Exporter.toCsv(entries.map(({ record }) => record)));
+
+/**
+ * JSON Lines with one record per line
+ */
+Exporter.register("jsonl", (entries) => entries.map(({ record }) => `${JSON.stringify(record)}\n`).join(""));
+
+/**
+ * Extended M3U playlist, download links are preferred to page URLs
+ */
+Exporter.register("m3u8", (entries) => {
+  const lines = entries.map(({ title, duration_seconds, video_url, url }) => `#EXTINF:${duration_seconds ?? -1},${(title ?? "").replace(/[\r\n]+/g, " ")}\n${url || video_url}`);
+  return `#EXTM3U\n${lines.map((line) => `${line}\n`).join("")}`;
+});
+
+/**
+ * aria2c input file (`aria2c -i`), each download link with its `out=` filename
+ */
+Exporter.register("aria2", (entries) =>
+  entries
+    .filter(({ url }) => url)
+    .map(({ url, filename }) => `${url}\n  out=${filename}\n`)
+    .join("")
+);
+
+/**
+ * wget input file (`wget -i`), one download link per line
+ */
+Exporter.register("wget", (entries) =>
+  entries
+    .filter(({ url }) => url)
+    .map(({ url }) => `${url}\n`)
+    .join("")
+);
+
+module.exports = { Exporter };
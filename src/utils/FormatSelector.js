@@ -0,0 +1,264 @@
+// Helpers
+const { ScrapingError } = require("./ScrapingError");
+
+// Data
+const { ERROR_CODES } = require("../constants/error_codes");
+
+// Options
+const { SELECT_OPTIONS } = require("../options/select_options");
+
+/**
+ * Codec names accepted in policies and the codec prefixes they match
+ * @type {Object<string, string[]>}
+ */
+const CODEC_ALIASES = {
+  h264: ["avc1"],
+  avc: ["avc1"],
+  hevc: ["hev1", "hvc1"],
+  h265: ["hev1", "hvc1"],
+  vp9: ["vp9", "vp09"],
+  av1: ["av01"],
+  aac: ["mp4a"],
+};
+
+/**
+ * @typedef {Object} Selection
+ * @property {Object|null} format - Winning format or null if no format matches the limits
+ * @property {Array} formats - Matching formats ranked from the best
+ * @property {string|null} rule - Rule that picked the winner ("hdr", "quality", "fps", "codec", "container", "audioBitrate", "bitrate", "order" or "only")
+ * @property {string} reason - Explanation of the choice
+ * @property {Object<string, number>} excluded - Number of formats removed by each limit
+ */
+
+/**
+ * Youtube Format Selector Helper
+ * Ranks prepared formats with a selection policy (see `SELECT_OPTIONS`) and explains the choice
+ */
+class FormatSelector {
+  /**
+   * Validate and normalize a selection policy
+   * @param {Object} [policy={}] - Selection policy (see `SELECT_OPTIONS`)
+   * @returns {Object} Normalized policy
+   * @throws {ScrapingError} If a value is invalid
+   */
+  static parse(policy = {}) {
+    const { quality, container, codec, fps, hdr, audioBitrate } = { ...SELECT_OPTIONS, ...policy };
+
+    // Quality mode
+    const qualityText = String(quality ?? "best")
+      .trim()
+      .toLowerCase();
+    const nearest = qualityText.match(/^nearest:\s*(\d+)p?$/);
+    let normalizedQuality;
+
+    if (qualityText === "best" || qualityText === "worst") {
+      normalizedQuality = { mode: qualityText };
+    } else if (nearest) {
+      normalizedQuality = { mode: "nearest", height: Number(nearest[1]) };
+    } else {
+      normalizedQuality = { mode: "limit", ...this.#parse_limit(qualityText, "quality", "=", /^p$/, `"best", "worst", "720p", "<=720p" or "nearest:1080p"`) };
+    }
+
+    if (fps !== null && fps !== undefined && !(Number(fps) > 0)) {
+      throw new ScrapingError(`Invalid fps: ${fps}. Must be a number greater than 0`, ERROR_CODES.INVALID_INPUT);
+    }
+
+    if (hdr !== null && hdr !== undefined && typeof hdr !== "boolean") {
+      throw new ScrapingError(`Invalid hdr: ${hdr}. Must be true, false or null`, ERROR_CODES.INVALID_INPUT);
+    }
+
+    return {
+      quality: normalizedQuality,
+      container: this.#list(container).map((name) => name.replace(/^\./, "")),
+      codec: this.#list(codec).map((name) => ({ name, prefixes: CODEC_ALIASES[name] || [name] })),
+      fps: fps === null || fps === undefined ? null : Number(fps),
+      hdr: hdr ?? null,
+      audioBitrate: audioBitrate === null || audioBitrate === undefined ? null : this.#parse_limit(String(audioBitrate).toLowerCase(), "audioBitrate", ">=", /^(k|kbps)$/, `">=128" or "<=64"`),
+    };
+  }
+
+  /**
+   * Rank formats with a selection policy, the first one is the winner
+   * Limits (`<=720p`, `audioBitrate`) remove formats, other rules only change the order
+   * @param {Array} formats - Prepared formats
+   * @param {Object} [policy={}] - Selection policy (see `SELECT_OPTIONS`)
+   * @returns {Selection} Ranked formats and explanation
+   * @throws {ScrapingError} If the policy is invalid
+   */
+  static select(formats = [], policy = {}) {
+    const normalized = this.parse(policy);
+    const excluded = {};
+
+    // Apply limits, formats without video (or audio) are not concerned by quality (or audio bitrate) limits
+    let candidates = formats;
+
+    if (normalized.quality.mode === "limit") {
+      const { op, value } = normalized.quality;
+      const kept = candidates.filter((format) => !format.height || this.#matches(format.height, op, value));
+      excluded.quality = candidates.length - kept.length;
+      candidates = kept;
+    }
+
+    if (normalized.audioBitrate) {
+      const { op, value } = normalized.audioBitrate;
+      const kept = candidates.filter((format) => !format.hasAudio || this.#matches(format.audioBitrate || 0, op, value));
+      excluded.audioBitrate = candidates.length - kept.length;
+      candidates = kept;
+    }
+
+    if (candidates.length === 0) {
+      return { format: null, formats: [], rule: null, reason: "No format matches the quality and audio bitrate limits", excluded };
+    }
+
+    // Sort by the first rule with different keys, the sort is stable so YouTube order breaks ties
+    const rules = this.#rules(normalized);
+    const ranked = [...candidates].sort((a, b) => {
+      for (const rule of rules) {
+        const difference = rule.key(a) - rule.key(b);
+        if (difference) return difference;
+      }
+
+      return 0;
+    });
+
+    const [winner, runnerUp] = ranked;
+    if (!runnerUp) {
+      return { format: winner, formats: ranked, rule: "only", reason: "Only matching format", excluded };
+    }
+
+    // Explain with the first rule separating the winner from the next format
+    const decidingRule = rules.find((rule) => rule.key(winner) !== rule.key(runnerUp));
+    if (!decidingRule) {
+      return { format: winner, formats: ranked, rule: "order", reason: "Same rank as the next format, first in YouTube order", excluded };
+    }
+
+    return {
+      format: winner,
+      formats: ranked,
+      rule: decidingRule.name,
+      reason: `${decidingRule.name}: ${decidingRule.label(winner)} preferred over ${decidingRule.label(runnerUp)}`,
+      excluded,
+    };
+  }
+
+  /**
+   * Ranking rules in priority order, lower keys rank first
+   * @param {Object} policy - Normalized policy
+   * @returns {Array<{name: string, key: Function, label: Function}>} Rules
+   * @private
+   */
+  static #rules(policy) {
+    const { quality, container, codec, fps, hdr } = policy;
+
+    // Best prefers high values, worst prefers low values
+    const direction = quality.mode === "worst" ? 1 : -1;
+    const rules = [];
+
+    // Dynamic range first, an SDR request never gets an HDR format of a higher quality
+    if (hdr !== null) {
+      rules.push({ name: "hdr", key: (format) => (Boolean(format.hdr) === hdr ? 0 : 1), label: (format) => (format.hdr ? "HDR" : "SDR") });
+    }
+
+    rules.push({
+      name: "quality",
+      key: (format) => {
+        if (!format.height) return Infinity;
+        if (quality.mode === "worst") return format.height;
+
+        // Closest height, the higher one on equal distance
+        if (quality.mode === "nearest") return Math.abs(format.height - quality.height) * 2 + (format.height < quality.height ? 1 : 0);
+
+        return -format.height;
+      },
+      label: (format) => (format.height ? `${format.height}p` : "no video"),
+    });
+
+    if (fps !== null) {
+      rules.push({ name: "fps", key: (format) => (format.fps ? Math.abs(format.fps - fps) : Infinity), label: (format) => (format.fps ? `${format.fps}fps` : "no fps") });
+    }
+
+    if (codec.length > 0) {
+      rules.push({
+        name: "codec",
+        key: (format) => {
+          const formatCodecs = [format.videoCodec, format.audioCodec].filter(Boolean).map((name) => name.toLowerCase());
+          const index = codec.findIndex(({ prefixes }) => formatCodecs.some((name) => prefixes.some((prefix) => name.startsWith(prefix))));
+
+          return index === -1 ? codec.length : index;
+        },
+        label: (format) => format.videoCodec || format.audioCodec || "unknown codec",
+      });
+    }
+
+    if (container.length > 0) {
+      rules.push({
+        name: "container",
+        key: (format) => (container.includes(format.container) ? container.indexOf(format.container) : container.length),
+        label: (format) => format.container || "unknown container",
+      });
+    }
+
+    rules.push({ name: "audioBitrate", key: (format) => direction * (format.audioBitrate || 0), label: (format) => `${format.audioBitrate || 0}kbps audio` });
+    rules.push({ name: "bitrate", key: (format) => direction * (format.bitrate || 0), label: (format) => `${format.bitrate || 0}bps` });
+
+    return rules;
+  }
+
+  /**
+   * Parse a limit like `<=720p`, `>=128` or `720`
+   * @param {string} text - Limit text
+   * @param {string} name - Option name used in the error message
+   * @param {string} defaultOp - Operator when none is given
+   * @param {RegExp} unit - Accepted unit after the number
+   * @param {string} examples - Valid values shown in the error message
+   * @returns {{op: string, value: number}} Limit
+   * @throws {ScrapingError} If the limit is invalid
+   * @private
+   */
+  static #parse_limit(text, name, defaultOp, unit, examples) {
+    const match = text.trim().match(/^(<=|>=|<|>|=)?\s*(\d+(?:\.\d+)?)\s*([a-z]*)$/);
+
+    if (!match || (match[3] && !unit.test(match[3]))) {
+      throw new ScrapingError(`Invalid ${name}: ${text}. Must be like ${examples}`, ERROR_CODES.INVALID_INPUT);
+    }
+
+    return { op: match[1] || defaultOp, value: Number(match[2]) };
+  }
+
+  /**
+   * Compare a value to a limit
+   * @param {number} value - Format value
+   * @param {string} op - Operator
+   * @param {number} limit - Limit value
+   * @returns {boolean} True if the value matches
+   * @private
+   */
+  static #matches(value, op, limit) {
+    switch (op) {
+      case "<=":
+        return value <= limit;
+      case ">=":
+        return value >= limit;
+      case "<":
+        return value < limit;
+      case ">":
+        return value > limit;
+      default:
+        return value === limit;
+    }
+  }
+
+  /**
+   * Normalize a string or an array of strings to a lower case list
+   * @param {string|string[]} value - Value
+   * @returns {string[]} List
+   * @private
+   */
+  static #list(value) {
+    return (Array.isArray(value) ? value : [value])
+      .filter((item) => item !== null && item !== undefined && item !== "")
+      .map((item) => String(item).trim().toLowerCase());
+  }
+}
+
+module.exports = { FormatSelector };
@@ -0,0 +1,151 @@
+const { EventEmitter } = require("events");
+
+// Helpers
+const { Logger } = require("./Logger");
+
+/**
+ * @typedef {Object} RequestEvent
+ * @property {string} client - Requested API ("ytdl", "ytpl", "ytsr", "innertube" or "timedtext")
+ * @property {string} target - Requested URL, ID or query
+ * @property {number} attempt - Attempt number, greater than 1 for retries
+ */
+
+/**
+ * @typedef {Object} ItemEvent
+ * @property {string} method - Method processing the item like "Playlist.getDownloadsLinks"
+ * @property {number} number - Video number in the playlist or the list
+ * @property {string|null} url - Video URL
+ * @property {boolean} [err] - Error flag (`itemDone` only)
+ */
+
+/**
+ * @typedef {Object} ErrorEvent
+ * @property {string} method - Failed method like "Video.getInfo"
+ * @property {Error} error - Original error
+ * @property {string} code - Error code from `ERROR_CODES`
+ */
+
+/**
+ * @typedef {Object} ProgressEvent
+ * @property {string} method - Method processing the items
+ * @property {number} done - Number of processed items
+ * @property {number} total - Number of items to process
+ */
+
+/**
+ * Youtube Hooks Helper
+ * Lets applications listen to requests, item processing, progress and errors of `Video`, `Playlist` and `YoutubeSearch`
+ */
+class Hooks {
+  /**
+   * Emitted events
+   * @type {string[]}
+   */
+  static EVENTS = ["request", "itemStart", "itemDone", "error", "progress"];
+
+  /**
+   * Listeners of all events
+   * @type {EventEmitter}
+   */
+  static #emitter = new EventEmitter();
+
+  /**
+   * Add a listener
+   * @param {string} event - Event name (see `EVENTS`)
+   * @param {Function} listener - Called with the event payload
+   * @returns {Function} Function removing the listener
+   * @throws {Error} If the event is unknown
+   */
+  static on(event, listener) {
+    if (!this.EVENTS.includes(event)) {
+      throw new Error(`Invalid hook event: ${event}. Must be one of ${this.EVENTS.join(", ")}`);
+    }
+
+    this.#emitter.on(event, listener);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Remove a listener
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener added with `on`
+   */
+  static off(event, listener) {
+    this.#emitter.off(event, listener);
+  }
+
+  /**
+   * Remove all listeners of an event, or of all events
+   * @param {string} [event] - Event name
+   */
+  static clear(event) {
+    if (event === undefined) {
+      this.#emitter.removeAllListeners();
+    } else {
+      this.#emitter.removeAllListeners(event);
+    }
+  }
+
+  /**
+   * Listen to each request sent to YouTube, retries included (cached responses send no request)
+   * @param {function(RequestEvent): void} listener - Listener
+   * @returns {Function} Function removing the listener
+   */
+  static onRequest(listener) {
+    return this.on("request", listener);
+  }
+
+  /**
+   * Listen to the start of each video processed in a list
+   * @param {function(ItemEvent): void} listener - Listener
+   * @returns {Function} Function removing the listener
+   */
+  static onItemStart(listener) {
+    return this.on("itemStart", listener);
+  }
+
+  /**
+   * Listen to the end of each video processed in a list
+   * @param {function(ItemEvent): void} listener - Listener
+   * @returns {Function} Function removing the listener
+   */
+  static onItemDone(listener) {
+    return this.on("itemDone", listener);
+  }
+
+  /**
+   * Listen to errors returned in responses
+   * @param {function(ErrorEvent): void} listener - Listener
+   * @returns {Function} Function removing the listener
+   */
+  static onError(listener) {
+    return this.on("error", listener);
+  }
+
+  /**
+   * Listen to the progress of list processing
+   * @param {function(ProgressEvent): void} listener - Listener
+   * @returns {Function} Function removing the listener
+   */
+  static onProgress(listener) {
+    return this.on("progress", listener);
+  }
+
+  /**
+   * Call the listeners of an event, a failing listener never breaks scraping
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   */
+  static emit(event, payload) {
+    // Listeners are called directly, an "error" event without listener must not throw
+    for (const listener of this.#emitter.listeners(event)) {
+      try {
+        listener(payload);
+      } catch (error) {
+        Logger.warn(`Hook listener of "${event}" failed: ${error.message}`);
+      }
+    }
+  }
+}
+
+module.exports = { Hooks };
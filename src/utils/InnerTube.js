@@ -0,0 +1,127 @@
+// Helpers
+const { Logger } = require("./Logger");
+
+// Options
+const { INNERTUBE_OPTIONS } = require("../options/innertube_options");
+
+/**
+ * Youtube InnerTube Helper
+ * Sends requests to the internal API used by the YouTube website
+ */
+class InnerTube {
+  /**
+   * Current InnerTube options used by all requests
+   * @type {typeof INNERTUBE_OPTIONS}
+   */
+  static options = { ...INNERTUBE_OPTIONS };
+  /**
+   * Base URL of the API
+   * @type {string}
+   */
+  static BASE_URL = "https://www.youtube.com/youtubei/v1";
+
+  /**
+   * Client sent in the context of each request, with the client version
+   * @type {Object}
+   */
+  static CLIENT = {
+    clientName: "WEB",
+    hl: "en",
+    gl: "US",
+    utcOffsetMinutes: 0,
+  };
+
+  /**
+   * Client version read from the home page, shared by the requests until the options change
+   * @type {Promise<string|null>|null}
+   */
+  static #detected = null;
+
+  /**
+   * Change InnerTube options for all requests
+   * @param {Object} [options={}] - InnerTube options (see `INNERTUBE_OPTIONS`)
+   * @returns {Object} Current InnerTube options
+   */
+  static configure(options = {}) {
+    this.options = { ...this.options, ...options };
+    this.#detected = null;
+
+    return this.options;
+  }
+
+  /**
+   * Get the client version sent with the requests
+   * @returns {Promise<string>} Version read from the home page with `detectVersion`, else the configured one
+   */
+  static async clientVersion() {
+    const { clientVersion, detectVersion } = this.options;
+    if (!detectVersion) return clientVersion;
+
+    this.#detected ??= this.#read_page_version().catch((error) => {
+      Logger.warn(`Failed to detect InnerTube client version: ${error.message}`, { clientVersion });
+      return null;
+    });
+
+    return (await this.#detected) ?? clientVersion;
+  }
+
+  /**
+   * Send a request to an API endpoint
+   * @param {string} endpoint - Endpoint name (e.g. "search", "browse", "next")
+   * @param {Object} body - Request body, the client context is added
+   * @returns {Promise<Object>} JSON response
+   */
+  static async post(endpoint, body = {}) {
+    const response = await fetch(`${this.BASE_URL}/${endpoint}?prettyPrint=false`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Accept-Language": "en-US,en;q=0.9",
+        Cookie: "SOCS=CAI",
+      },
+      body: JSON.stringify({ context: { client: { ...this.CLIENT, clientVersion: await this.clientVersion() } }, ...body }),
+    });
+
+    if (!response.ok) {
+      throw Object.assign(new Error(`InnerTube ${endpoint} request failed with status ${response.status}`), { statusCode: response.status });
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Read the client version from the configuration embedded in the home page
+   * @returns {Promise<string>} Client version
+   * @throws {Error} If the page fails or has no client version
+   * @private
+   */
+  static async #read_page_version() {
+    const response = await fetch("https://www.youtube.com/?hl=en", { headers: { "Accept-Language": "en-US,en;q=0.9", Cookie: "SOCS=CAI" } });
+
+    if (!response.ok) {
+      throw Object.assign(new Error(`Home page request failed with status ${response.status}`), { statusCode: response.status });
+    }
+
+    const [, version] = /"INNERTUBE_CLIENT_VERSION":"([\d.]+)"/.exec(await response.text()) || [];
+    if (!version) throw new Error("No client version in the home page");
+
+    return version;
+  }
+
+  /**
+   * Get the text of a `{ simpleText }`, `{ runs }` or `{ content }` object
+   * @param {Object|string|undefined} text - Text object
+   * @returns {string} Text
+   */
+  static text(text) {
+    if (!text) return "";
+    if (typeof text === "string") return text;
+    if (typeof text.simpleText === "string") return text.simpleText;
+    if (typeof text.content === "string") return text.content;
+    if (Array.isArray(text.runs)) return text.runs.map((run) => run.text).join("");
+
+    return "";
+  }
+}
+
+module.exports = { InnerTube };
@@ -0,0 +1,484 @@
+const fs = require("fs");
+const path = require("path");
+const { randomUUID } = require("crypto");
+
+// Helpers
+const { JsonFile } = require("./JsonFile");
+const { Video } = require("./Video");
+const { Playlist } = require("./Playlist");
+const { Pool } = require("./Pool");
+const { Logger } = require("./Logger");
+const { Hooks } = require("./Hooks");
+const { YoutubeUrl } = require("./YoutubeUrl");
+const { ScrapingError } = require("./ScrapingError");
+
+// Data
+const { ERROR_CODES } = require("../constants/error_codes");
+
+// Options
+const { JOB_OPTIONS } = require("../options/job_options");
+const { GET_DOWNLOADS_LINKS_OPTIONS } = require("../options/get_downloads_links_options");
+const { PLAYLIST_SELECTION_OPTIONS } = require("../options/playlist_selection_options");
+
+/**
+ * @typedef {Object} JobItem
+ * @property {number} number - Video number, in the playlist for playlist jobs
+ * @property {string} url - Video URL
+ * @property {string|null} title - Video title, null for video jobs
+ * @property {string} status - "pending", "done" or "failed"
+ * @property {string|null} result - Download link, or the no link message
+ * @property {string|null} err_msg - Error message of a failed item
+ * @property {string|null} code - Error code of a failed item
+ */
+
+/**
+ * @typedef {Object} Job
+ * @property {string} id - Job ID
+ * @property {string} type - "videos" or "playlist"
+ * @property {string|null} source - Playlist URL, null for video jobs
+ * @property {string} status - "pending" (never run), "running", "paused" or "done" (no pending item)
+ * @property {string} created_at - ISO date of the creation
+ * @property {string} updated_at - ISO date of the last saved item or status
+ * @property {Object} options - `types`, `qualitys`, `select`, `concurrency` and `requestInterval` of the links
+ * @property {number} total - Number of items
+ * @property {number} pending - Number of pending items
+ * @property {number} done - Number of done items
+ * @property {number} failed - Number of failed items
+ * @property {JobItem[]} items - Items in processing order
+ */
+
+/**
+ * @typedef {Object} JobResponse
+ * @property {Job|null} JobData - The job or null if error
+ * @property {boolean} err - Error flag
+ * @property {string} err_msg - Error message
+ * @property {string|null} code - Error code from `ERROR_CODES` or null if no error
+ */
+
+/**
+ * Youtube Jobs Helper
+ * Turns bulk link extractions into jobs persisted item by item, that can be paused, resumed after a restart and re-run for failed items
+ * Each job is a `<id>.json` file of the store folder, its processed items are appended to `<id>.log` until the end of the run
+ */
+class Jobs {
+  /**
+   * Job types
+   * @type {string[]}
+   */
+  static TYPES = ["videos", "playlist"];
+
+  /**
+   * Current job options used by all jobs
+   * @type {typeof JOB_OPTIONS}
+   */
+  static options = { ...JOB_OPTIONS };
+
+  /**
+   * Controls of the jobs running in this process
+   * @type {Map<string, {paused: boolean}>}
+   */
+  static #running = new Map();
+
+  /**
+   * Change job options for all jobs
+   * @param {Object} [options={}] - Job options (see `JOB_OPTIONS`)
+   * @returns {Object} Current job options
+   */
+  static configure(options = {}) {
+    this.options = { ...this.options, ...options };
+    return this.options;
+  }
+
+  /**
+   * Create a job without running it
+   * Playlist jobs request the playlist once to list the selected videos of the range
+   * @param {string} type - "videos" or "playlist"
+   * @param {string[]|string} input - Video URLs or IDs, or a playlist URL or ID
+   * @param {Object} [options={}] - Links options, `from`, `to` and selection options for playlists (see `GET_DOWNLOADS_LINKS_OPTIONS`)
+   * @returns {Promise<JobResponse>} Created job response
+   */
+  static async create(type, input, options = {}) {
+    const { from, to, types, qualitys, select, concurrency, requestInterval } = { ...GET_DOWNLOADS_LINKS_OPTIONS, ...options };
+
+    try {
+      if (!this.TYPES.includes(type)) {
+        throw new ScrapingError(`Invalid job type: ${type}. Must be one of ${this.TYPES.join(", ")}`, ERROR_CODES.INVALID_INPUT);
+      }
+
+      const { source, items } = type === "videos" ? { source: null, items: this.#video_items(input) } : await this.#playlist_items(input, from, to, options);
+      const now = new Date().toISOString();
+
+      const job = {
+        id: randomUUID(),
+        type,
+        source,
+        status: "pending",
+        created_at: now,
+        updated_at: now,
+        options: { types, qualitys, select, concurrency, requestInterval },
+        items,
+      };
+
+      Logger.debug("Create job", { id: job.id, type, total: items.length });
+
+      return { JobData: this.#save(job), err: false, err_msg: "", code: null };
+    } catch (error) {
+      const code = ScrapingError.classify(error);
+      Hooks.emit("error", { method: "Jobs.create", error, code });
+
+      return {
+        JobData: null,
+        err: true,
+        err_msg: `Failed to create job: ${error.message}`,
+        code,
+      };
+    }
+  }
+
+  /**
+   * Run the pending items of a job, each item is saved as soon as it is done
+   * Also resumes a paused job or a job stopped by a crash or a restart
+   * @param {string} id - Job ID
+   * @param {Object} [options={}] - Run options
+   * @param {number} [options.concurrency] - Number of videos processed in parallel, the job one by default
+   * @param {number} [options.requestInterval] - Minimum milliseconds between two requests, the job one by default
+   * @param {AbortSignal|null} [options.signal=null] - Signal pausing the job like `Jobs.pause`
+   * @param {Function|null} [options.onItem=null] - Called with each processed `JobItem`
+   * @returns {Promise<JobResponse>} Job response, `paused` if stopped before the last item
+   */
+  static async run(id, options = {}) {
+    const { signal = null, onItem = null } = options;
+
+    try {
+      let job = this.#find(id);
+
+      if (this.#running.has(id)) {
+        throw new ScrapingError(`Job ${id} is already running`, ERROR_CODES.INVALID_INPUT);
+      }
+
+      const control = { paused: false };
+      this.#running.set(id, control);
+
+      try {
+        job.status = "running";
+        job = this.#save(job);
+
+        const pending = job.items.filter((item) => item.status === "pending");
+        const { types, qualitys, select } = job.options;
+        let done = 0;
+
+        Logger.debug("Run job", { id, pending: pending.length });
+
+        await Pool.map(
+          pending,
+          async (item) => {
+            // Items not started keep their pending status
+            if (control.paused || signal?.aborted) return;
+
+            Hooks.emit("itemStart", { method: "Jobs.run", number: item.number, url: item.url });
+
+            const { results, err, err_msg, code } = await Video.getDownloadLink(item.url, item.number, types, qualitys, select);
+            Object.assign(item, { status: err ? "failed" : "done", result: err ? null : results, err_msg: err ? err_msg : null, code: err ? code : null });
+
+            this.#save_item(job, item);
+
+            if (typeof onItem === "function") {
+              onItem(item);
+            }
+
+            Hooks.emit("itemDone", { method: "Jobs.run", number: item.number, url: item.url, err });
+            Hooks.emit("progress", { method: "Jobs.run", done: ++done, total: pending.length });
+          },
+          { concurrency: options.concurrency ?? job.options.concurrency, requestInterval: options.requestInterval ?? job.options.requestInterval }
+        );
+      } finally {
+        // A failed `onItem` stops the run, the job is not left running
+        this.#running.delete(id);
+
+        job.status = job.items.some((item) => item.status === "pending") ? "paused" : "done";
+        job = this.#save(job);
+      }
+
+      return { JobData: job, err: false, err_msg: "", code: null };
+    } catch (error) {
+      const code = ScrapingError.classify(error);
+      Hooks.emit("error", { method: "Jobs.run", error, code });
+
+      return {
+        JobData: null,
+        err: true,
+        err_msg: `Failed to run job: ${error.message}`,
+        code,
+      };
+    }
+  }
+
+  /**
+   * Run the failed items of a job again, done items are kept
+   * @param {string} id - Job ID
+   * @param {Object} [options={}] - Run options (see `Jobs.run`)
+   * @returns {Promise<JobResponse>} Job response
+   */
+  static async retryFailed(id, options = {}) {
+    try {
+      const job = this.#find(id);
+
+      if (this.#running.has(id)) {
+        throw new ScrapingError(`Job ${id} is already running`, ERROR_CODES.INVALID_INPUT);
+      }
+
+      job.items.forEach((item) => {
+        if (item.status === "failed") Object.assign(item, { status: "pending", err_msg: null, code: null });
+      });
+
+      this.#save(job);
+    } catch (error) {
+      const code = ScrapingError.classify(error);
+      Hooks.emit("error", { method: "Jobs.retryFailed", error, code });
+
+      return {
+        JobData: null,
+        err: true,
+        err_msg: `Failed to retry job: ${error.message}`,
+        code,
+      };
+    }
+
+    return await this.run(id, options);
+  }
+
+  /**
+   * Pause a job running in this process, items in progress are finished and saved
+   * @param {string} id - Job ID
+   * @returns {boolean} True if the job was running
+   */
+  static pause(id) {
+    const control = this.#running.get(id);
+    if (!control) return false;
+
+    control.paused = true;
+    return true;
+  }
+
+  /**
+   * Get a job
+   * @param {string} id - Job ID
+   * @returns {Job|null} Job or null if unknown
+   * @throws {ScrapingError} INVALID_INPUT if the file is not a job
+   */
+  static get(id) {
+    return this.#read_job(id);
+  }
+
+  /**
+   * List the jobs of the store without their items
+   * @returns {Array<Omit<Job, "items">>} Jobs in creation order
+   * @throws {ScrapingError} INVALID_INPUT if a file is not a job
+   */
+  static list() {
+    const { store } = this.options;
+    const ids = fs.existsSync(store) ? fs.readdirSync(store).filter((name) => name.endsWith(".json")).map((name) => name.slice(0, -".json".length)) : [];
+
+    return ids
+      .map((id) => this.#read_job(id))
+      .filter(Boolean)
+      .map(({ items, ...job }) => job)
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+  }
+
+  /**
+   * Remove a job from the store
+   * @param {string} id - Job ID
+   * @returns {boolean} True if the job existed
+   * @throws {ScrapingError} INVALID_INPUT if the job is running
+   */
+  static remove(id) {
+    if (this.#running.has(id)) {
+      throw new ScrapingError(`Job ${id} is running, pause it first`, ERROR_CODES.INVALID_INPUT);
+    }
+
+    const file = this.#job_file(id);
+    if (!file || !fs.existsSync(file)) return false;
+
+    fs.rmSync(file);
+    fs.rmSync(this.#log_file(id), { force: true });
+
+    return true;
+  }
+
+  /**
+   * Build the items of a video job
+   * @param {string[]|string} urls - Video URLs or IDs
+   * @returns {JobItem[]} Pending items
+   * @throws {ScrapingError} INVALID_INPUT if there is no video, INVALID_URL if one is invalid
+   * @private
+   */
+  static #video_items(urls) {
+    const list = typeof urls === "string" ? [urls] : urls;
+
+    if (!Array.isArray(list) || list.length === 0) {
+      throw new ScrapingError("A videos job needs at least one video URL", ERROR_CODES.INVALID_INPUT);
+    }
+
+    return list.map((url, index) => this.#pending_item(index + 1, YoutubeUrl.videoUrl(url), null));
+  }
+
+  /**
+   * Build the items of a playlist job, selected videos inside `from`/`to` like `Playlist.getDownloadsLinks`
+   * @param {string} url - Playlist URL or ID, or channel
+   * @param {number|null} from - First video number
+   * @param {number|null} to - Last video number
+   * @param {Object} options - Selection options
+   * @returns {Promise<{source: string, items: JobItem[]}>} Playlist URL and pending items
+   * @throws {ScrapingError} If the range is invalid or the playlist can not be fetched
+   * @private
+   */
+  static async #playlist_items(url, from, to, options) {
+    const first = from === null || from === undefined ? 1 : Number(from);
+    const last = to === null || to === undefined ? Infinity : Number(to);
+
+    if (!Number.isInteger(first) || first <= 0 || (last !== Infinity && (!Number.isInteger(last) || last <= 0)) || first > last) {
+      throw new ScrapingError(`From '${from}' and To '${to}' must be integers greater than 0, From less than or equal to To`, ERROR_CODES.INVALID_INPUT);
+    }
+
+    const selection = Object.fromEntries(Object.keys(PLAYLIST_SELECTION_OPTIONS).map((key) => [key, options[key]]));
+    const { PlaylistData, err, err_msg, code } = await Playlist.getInfo(url, false, selection);
+
+    if (err) throw new ScrapingError(err_msg, code);
+
+    const numbers = PlaylistData.order || Object.keys(PlaylistData.videos).map(Number);
+
+    const items = numbers
+      .filter((number) => number >= first && number <= last)
+      .map((number) => {
+        const { video_url, title } = PlaylistData.videos[number];
+        return this.#pending_item(number, video_url, title);
+      });
+
+    return { source: PlaylistData.url, items };
+  }
+
+  /**
+   * Create a pending item
+   * @param {number} number - Video number
+   * @param {string} url - Video URL
+   * @param {string|null} title - Video title
+   * @returns {JobItem} Item
+   * @private
+   */
+  static #pending_item(number, url, title) {
+    return { number, url, title, status: "pending", result: null, err_msg: null, code: null };
+  }
+
+  /**
+   * Get a job or throw
+   * @param {string} id - Job ID
+   * @returns {Job} Job
+   * @throws {ScrapingError} INVALID_INPUT if the job is unknown
+   * @private
+   */
+  static #find(id) {
+    const job = this.get(id);
+    if (!job) throw new ScrapingError(`Unknown job: ${id}`, ERROR_CODES.INVALID_INPUT);
+
+    return job;
+  }
+
+  /**
+   * Update the counts and the date of a job and save it, the items of its log are merged in the job file
+   * @param {Job} job - Job
+   * @returns {Job} Saved job
+   * @private
+   */
+  static #save(job) {
+    const { items, ...fields } = job;
+
+    // Items stay shared with the running job
+    const saved = { ...fields, updated_at: new Date().toISOString(), ...this.#counts(items), items };
+
+    JsonFile.write(this.#job_file(job.id), saved);
+    fs.rmSync(this.#log_file(job.id), { force: true });
+
+    return saved;
+  }
+
+  /**
+   * Append a processed item to the log of its job, the job file is only rewritten at the end of the run
+   * @param {Job} job - Running job
+   * @param {JobItem} item - Processed item of the job
+   * @private
+   */
+  static #save_item(job, item) {
+    const entry = { index: job.items.indexOf(item), updated_at: new Date().toISOString(), item };
+    fs.appendFileSync(this.#log_file(job.id), `${JSON.stringify(entry)}\n`);
+  }
+
+  /**
+   * Read a job with the items of its log
+   * @param {string} id - Job ID
+   * @returns {Job|null} Job or null if unknown
+   * @throws {ScrapingError} INVALID_INPUT if the file is not a job
+   * @private
+   */
+  static #read_job(id) {
+    const file = this.#job_file(id);
+    const job = file ? JsonFile.read(file, "job file", (value) => JsonFile.isObject(value) && Array.isArray(value.items)) : null;
+    if (!job) return null;
+
+    const log = this.#log_file(id);
+    if (!fs.existsSync(log)) return job;
+
+    // Items processed since the job file was written, the last line is torn if the process was stopped while writing it
+    const lines = fs.readFileSync(log, "utf8").split("\n").filter(Boolean);
+
+    lines.forEach((line, index) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        if (index === lines.length - 1) return;
+        throw new ScrapingError(`Invalid job log ${log}: ${error.message}`, ERROR_CODES.INVALID_INPUT);
+      }
+
+      if (job.items[entry.index]) {
+        job.items[entry.index] = entry.item;
+        job.updated_at = entry.updated_at;
+      }
+    });
+
+    return { ...job, ...this.#counts(job.items) };
+  }
+
+  /**
+   * Count the items of a job by status
+   * @param {JobItem[]} items - Items
+   * @returns {{total: number, pending: number, done: number, failed: number}} Counts
+   * @private
+   */
+  static #counts(items) {
+    const count = (status) => items.filter((item) => item.status === status).length;
+    return { total: items.length, pending: count("pending"), done: count("done"), failed: count("failed") };
+  }
+
+  /**
+   * Get the file of a job in the store folder
+   * @param {string} id - Job ID
+   * @returns {string|null} File path or null if the ID can not be a job
+   * @private
+   */
+  static #job_file(id) {
+    return /^[\w-]+$/.test(String(id)) ? path.join(this.options.store, `${id}.json`) : null;
+  }
+
+  /**
+   * Get the log of processed items of a job
+   * @param {string} id - Job ID
+   * @returns {string} File path
+   * @private
+   */
+  static #log_file(id) {
+    return path.join(this.options.store, `${id}.log`);
+  }
+}
+
+module.exports = { Jobs };
@@ -0,0 +1,60 @@
+const fs = require("fs");
+const path = require("path");
+
+// Helpers
+const { ScrapingError } = require("./ScrapingError");
+
+// Data
+const { ERROR_CODES } = require("../constants/error_codes");
+
+/**
+ * JSON File Helper
+ * Reads and writes the JSON files used as stores: file cache, crawl checkpoints, playlist snapshots and jobs
+ */
+class JsonFile {
+  /**
+   * Read a JSON file
+   * @param {string} file - File path
+   * @param {string} [label="JSON file"] - File description used in errors
+   * @param {Function} [isValid=JsonFile.isObject] - Returns true if the parsed value has the expected shape
+   * @returns {*} Parsed value or null if the file does not exist
+   * @throws {ScrapingError} INVALID_INPUT if the file is not JSON or has not the expected shape
+   */
+  static read(file, label = "JSON file", isValid = this.isObject) {
+    if (!fs.existsSync(file)) return null;
+
+    try {
+      const value = JSON.parse(fs.readFileSync(file, "utf8"));
+      if (!isValid(value)) throw new Error("Unexpected content");
+
+      return value;
+    } catch (error) {
+      throw new ScrapingError(`Invalid ${label} ${file}: ${error.message}`, ERROR_CODES.INVALID_INPUT);
+    }
+  }
+
+  /**
+   * Write a JSON file
+   * The value is written to a temporary file renamed over the target, so a stopped process never leaves half a file
+   * @param {string} file - File path, missing folders are created
+   * @param {*} value - Value to write
+   */
+  static write(file, value) {
+    const temporary = `${file}.${process.pid}.tmp`;
+
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(temporary, JSON.stringify(value));
+    fs.renameSync(temporary, file);
+  }
+
+  /**
+   * Check if a value is a plain JSON object
+   * @param {*} value - Parsed value
+   * @returns {boolean} True for objects that are not arrays
+   */
+  static isObject(value) {
+    return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+  }
+}
+
+module.exports = { JsonFile };
@@ -0,0 +1,97 @@
+// Options
+const { LOGGER_OPTIONS } = require("../options/logger_options");
+
+/**
+ * Youtube Logger Helper
+ * Writes library messages to an injectable logger, silent by default
+ */
+class Logger {
+  /**
+   * Levels from the most to the least verbose
+   * @type {string[]}
+   */
+  static LEVELS = ["debug", "info", "warn", "error", "silent"];
+
+  /**
+   * Current logger options used by all classes
+   * @type {typeof LOGGER_OPTIONS}
+   */
+  static options = { ...LOGGER_OPTIONS };
+
+  /**
+   * Change the level or the destination of messages
+   * @param {Object} [options={}] - Logger options (see `LOGGER_OPTIONS`)
+   * @param {string} [options.level] - Minimum level written
+   * @param {Object} [options.logger] - Object with `debug`, `info`, `warn` and `error` methods
+   * @returns {Object} Current logger options
+   * @throws {Error} If the level is unknown
+   */
+  static configure(options = {}) {
+    if (options.level !== undefined && !this.LEVELS.includes(options.level)) {
+      throw new Error(`Invalid log level: ${options.level}. Must be one of ${this.LEVELS.join(", ")}`);
+    }
+
+    this.options = { ...this.options, ...options };
+    return this.options;
+  }
+
+  /**
+   * Write a debug message
+   * @param {string} message - Message
+   * @param {Object} [data] - Structured context
+   */
+  static debug(message, data) {
+    this.#write("debug", message, data);
+  }
+
+  /**
+   * Write an info message
+   * @param {string} message - Message
+   * @param {Object} [data] - Structured context
+   */
+  static info(message, data) {
+    this.#write("info", message, data);
+  }
+
+  /**
+   * Write a warning
+   * @param {string} message - Message
+   * @param {Object} [data] - Structured context
+   */
+  static warn(message, data) {
+    this.#write("warn", message, data);
+  }
+
+  /**
+   * Write an error
+   * @param {string} message - Message
+   * @param {Object} [data] - Structured context
+   */
+  static error(message, data) {
+    this.#write("error", message, data);
+  }
+
+  /**
+   * Write a message if its level is enabled
+   * @param {string} level - Message level
+   * @param {string} message - Message
+   * @param {Object} [data] - Structured context
+   * @private
+   */
+  static #write(level, message, data) {
+    const { level: minLevel, logger } = this.options;
+
+    if (!logger || this.LEVELS.indexOf(level) < this.LEVELS.indexOf(minLevel)) return;
+
+    const method = typeof logger[level] === "function" ? logger[level] : logger.log;
+    if (typeof method !== "function") return;
+
+    if (data === undefined) {
+      method.call(logger, message);
+    } else {
+      method.call(logger, message, data);
+    }
+  }
+}
+
+module.exports = { Logger };
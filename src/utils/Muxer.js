@@ -0,0 +1,88 @@
+const { spawn } = require("child_process");
+
+// Helpers
+const { ScrapingError } = require("./ScrapingError");
+
+// Data
+const { ERROR_CODES } = require("../constants/error_codes");
+
+/**
+ * @typedef {import("./Downloader").FileResponse} FileResponse
+ */
+
+/**
+ * Youtube Muxer Helper
+ * Provides methods to merge video-only and audio-only streams with a local ffmpeg
+ */
+class Muxer {
+  /**
+   * Supported output containers
+   * @type {string[]}
+   */
+  static CONTAINERS = ["mp4", "mkv"];
+
+  /**
+   * Check if ffmpeg can be executed
+   * @param {string} [ffmpegPath="ffmpeg"] - ffmpeg executable name or path
+   * @returns {Promise<boolean>} True if ffmpeg is available
+   */
+  static isAvailable(ffmpegPath = "ffmpeg") {
+    return new Promise((resolve) => {
+      const child = spawn(ffmpegPath, ["-version"], { stdio: "ignore" });
+
+      child.on("error", () => resolve(false));
+      child.on("close", (code) => resolve(code === 0));
+    });
+  }
+
+  /**
+   * Merge a video stream file and an audio stream file into a single file
+   * @param {string} videoPath - Video-only file path
+   * @param {string} audioPath - Audio-only file path
+   * @param {string} outPath - Output file path (container taken from extension)
+   * @param {Object} [options={}] - Merge options
+   * @param {string} [options.ffmpegPath="ffmpeg"] - ffmpeg executable name or path
+   * @returns {Promise<FileResponse>} Merged file response
+   */
+  static async merge(videoPath, audioPath, outPath, options = {}) {
+    const { ffmpegPath = "ffmpeg" } = options;
+
+    try {
+      // Copy streams without re-encoding
+      const args = ["-y", "-loglevel", "error", "-i", videoPath, "-i", audioPath, "-map", "0:v:0", "-map", "1:a:0", "-c", "copy", outPath];
+
+      await new Promise((resolve, reject) => {
+        const child = spawn(ffmpegPath, args, { stdio: ["ignore", "ignore", "pipe"] });
+
+        let stderr = "";
+        child.stderr.on("data", (chunk) => (stderr += chunk));
+
+        // Executable removed after the check of the caller
+        child.on("error", (error) =>
+          reject(error.code === "ENOENT" ? new ScrapingError(this.notFoundMessage(ffmpegPath), ERROR_CODES.FFMPEG_NOT_FOUND) : error)
+        );
+        child.on("close", (code) => (code === 0 ? resolve() : reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`))));
+      });
+
+      return { results: { path: outPath }, err: false, err_msg: "", code: null };
+    } catch (error) {
+      return {
+        results: null,
+        err: true,
+        err_msg: `Failed to merge streams: ${error.message}`,
+        code: ScrapingError.classify(error),
+      };
+    }
+  }
+
+  /**
+   * Message used when ffmpeg cannot be executed
+   * @param {string} ffmpegPath - ffmpeg executable name or path
+   * @returns {string} Error message
+   */
+  static notFoundMessage(ffmpegPath) {
+    return `ffmpeg not found at "${ffmpegPath}". Install ffmpeg and add it to PATH or set the ffmpegPath option`;
+  }
+}
+
+module.exports = { Muxer };
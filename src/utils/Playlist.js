@@ -1,16 +1,35 @@
 const ytpl = require("ytpl");
+const { Readable } = require("stream");
+const { EventEmitter } = require("events");
 
 // Helpers
 const { Video } = require("./Video");
+const { Pool } = require("./Pool");
+const { Retry } = require("./Retry");
+const { Cache } = require("./Cache");
+const { Logger } = require("./Logger");
+const { Hooks } = require("./Hooks");
+const { Exporter } = require("./Exporter");
+const { PlaylistSelection } = require("./PlaylistSelection");
+const { PlaylistSnapshot } = require("./PlaylistSnapshot");
+const { YoutubeUrl } = require("./YoutubeUrl");
+const { ScrapingError } = require("./ScrapingError");
+
+// Data
+const { ERROR_CODES } = require("../constants/error_codes");
 
 // Options
 const { GET_DOWNLOADS_LINKS_OPTIONS } = require("../options/get_downloads_links_options");
+const { POOL_OPTIONS } = require("../options/pool_options");
+const { ITERATE_OPTIONS } = require("../options/iterate_options");
+const { WATCH_OPTIONS } = require("../options/watch_options");
 
 /**
  * @typedef {Object} PlaylistResponse
  * @property {Object|null} PlaylistData - The playlist data or null if error
  * @property {boolean} err - Error flag
  * @property {string} err_msg - Error message
+ * @property {string|null} code - Error code from `ERROR_CODES` or null if no error
  */
 
 /**
@@ -18,6 +37,16 @@ const { GET_DOWNLOADS_LINKS_OPTIONS } = require("../options/get_downloads_links_
  * @property {number|null} numberVideo - Number of videos in playlist or null if error
  * @property {boolean} err - Error flag
  * @property {string} err_msg - Error message
+ * @property {string|null} code - Error code from `ERROR_CODES` or null if no error
+ */
+
+/**
+ * @typedef {Object} PlaylistVideo
+ * @property {number} number - Position of the video in the playlist, from 1
+ * @property {string} id - Video ID
+ * @property {string} title - Video title
+ * @property {string} video_url - Video URL
+ * @property {Array|string} [formats] - Video formats or error message, only with `withFormats`
  */
 
 /**
@@ -25,6 +54,7 @@ const { GET_DOWNLOADS_LINKS_OPTIONS } = require("../options/get_downloads_links_
  * @property {string[]|string|null} results - Download links or error message
  * @property {boolean} err - Error flag
  * @property {string} err_msg - Error message
+ * @property {string|null} code - Error code from `ERROR_CODES` or null if no error
  */
 
 /**
@@ -34,7 +64,7 @@ const { GET_DOWNLOADS_LINKS_OPTIONS } = require("../options/get_downloads_links_
 class Playlist {
   /**
    * Get raw playlist information using ytpl
-   * @param {string} url - YouTube playlist URL
+   * @param {string} url - YouTube playlist URL, watch URL with `list=`, playlist ID or channel (uploads playlist)
    * @param {number} [limit=1] - Maximum number of items to retrieve
    * @returns {Promise<PlaylistResponse>} Playlist information response
    */
@@ -44,64 +74,125 @@ class Playlist {
       const normalizedLimit = isNaN(limit) ? 1 : limit;
 
       // Extract playlist info
-      const PlaylistData = await ytpl(url, { limit: normalizedLimit });
+      const PlaylistData = await this.#fetch_playlist(this.#playlist_url(url), { limit: normalizedLimit });
 
-      return { PlaylistData, err: false, err_msg: "" };
+      return { PlaylistData, err: false, err_msg: "", code: null };
     } catch (error) {
+      const code = ScrapingError.classify(error);
+      Hooks.emit("error", { method: "Playlist.main_ytpl", error, code });
+
       return {
         PlaylistData: null,
         err: true,
         err_msg: error.message,
+        code,
       };
     }
   }
 
+  /**
+   * Get the URL given to ytpl for a playlist or channel input
+   * Custom and user channel URLs are kept, ytpl resolves them to their uploads playlist
+   * @param {string} url - YouTube playlist URL, watch URL with `list=`, playlist ID or channel
+   * @returns {string} Canonical playlist URL or channel URL
+   * @throws {ScrapingError} INVALID_URL if there is no playlist or channel
+   * @private
+   */
+  static #playlist_url(url) {
+    const { playlist_id, channel_id, channel_path, url: canonical } = YoutubeUrl.parse(url);
+    if (!playlist_id && !channel_id && channel_path && !channel_path.startsWith("@")) return canonical;
+
+    return YoutubeUrl.playlistUrl(url);
+  }
+
+  /**
+   * Fetch raw playlist information from ytpl, retrying transient errors
+   * @param {string} url - Canonical playlist URL or channel URL
+   * @param {Object} [options={}] - ytpl options
+   * @param {boolean} [refresh=false] - Skip the cached playlist
+   * @returns {Promise<Object>} Raw ytpl playlist information
+   * @private
+   */
+  static async #fetch_playlist(url, options = {}, refresh = false) {
+    return await Cache.remember(
+      "playlist",
+      `${url}:${JSON.stringify(options)}`,
+      () =>
+        Retry.run((attempt) => {
+          Hooks.emit("request", { client: "ytpl", target: url, attempt });
+          return ytpl(url, options);
+        }),
+      refresh
+    );
+  }
+
   /**
    * Get the number of videos in a playlist
-   * @param {string} url - YouTube playlist URL
+   * @param {string} url - YouTube playlist URL, watch URL with `list=`, playlist ID or channel (uploads playlist)
    * @returns {Promise<NumberVideoResponse>} Number of videos response
    */
   static async numberVideo(url = "") {
-    console.log("Start Get Number Videos");
+    Logger.debug("Get number of videos", { url });
 
     try {
       // Extract estimated item count from playlist
-      const { estimatedItemCount } = await ytpl(url);
-      console.log("estimatedItemCount:", estimatedItemCount);
+      const { estimatedItemCount } = await this.#fetch_playlist(this.#playlist_url(url));
+      Logger.debug("Estimated item count", { url, estimatedItemCount });
 
       return {
         numberVideo: parseInt(estimatedItemCount),
         err: false,
         err_msg: "",
+        code: null,
       };
     } catch (error) {
-      console.log("Error in Get Number Videos");
+      const code = ScrapingError.classify(error);
+      Logger.warn(`Failed to get number of videos: ${error.message}`, { url, code });
+      Hooks.emit("error", { method: "Playlist.numberVideo", error, code });
 
       return {
         numberVideo: null,
         err: true,
         err_msg: error.message,
+        code,
       };
     }
   }
 
   /**
    * Get detailed information about a YouTube playlist
-   * @param {string} url - YouTube playlist URL
+   * With a selection, only the selected videos are kept and `order` lists their numbers in selection order
+   * @param {string} url - YouTube playlist URL, watch URL with `list=`, playlist ID or channel (uploads playlist)
    * @param {boolean} [withDownloadLinks=false] - Whether to include download links
+   * @param {Object} [options={}] - Parallel processing options for download links, selection and response format
+   * @param {number} [options.concurrency=1] - Number of videos processed in parallel
+   * @param {number} [options.requestInterval=0] - Minimum milliseconds between two requests
+   * @param {string} [options.VideoDataType="json"] - Response format ("json" or an export format like "m3u8", see `Exporter.formats()`)
+   * @param {string|number[]|null} [options.items=null] - Selected video numbers like "1,3,5-9,-3:" (see `PLAYLIST_SELECTION_OPTIONS` for the other rules)
+   * @param {boolean} [options.refresh=false] - Skip the cached playlist, the fetched one replaces it
    * @returns {Promise<PlaylistResponse>} Playlist information response
    */
-  static async getInfo(url = "", withDownloadLinks = false) {
+  static async getInfo(url = "", withDownloadLinks = false, options = {}) {
+    const { VideoDataType, concurrency, requestInterval, refresh = false } = options;
+
+    // Normalize response format
+    const responseFormat = VideoDataType?.toLowerCase().trim() || "json";
+
     try {
+      // Validate response format and selection before any request
+      Exporter.validate(responseFormat, ["json"]);
+      const selection = PlaylistSelection.parse(options);
+      const playlistUrl = this.#playlist_url(url);
+
       // Extract complete playlist data
-      const data = await ytpl(url, { limit: "Infinity" });
+      const data = await this.#fetch_playlist(playlistUrl, { limit: "Infinity" }, refresh);
 
       // Extract and organize essential information
       const { id, title, items } = data;
       let PlaylistData = {
         id,
         title,
-        url,
+        url: playlistUrl,
         number_videos: items.length,
         videos: {},
       };
@@ -112,67 +203,248 @@ class Playlist {
           id: video.id,
           title: video.title,
           video_url: video.url,
+          duration_seconds: video.durationSec ?? null,
         };
       });
 
+      // Keep selected videos, numbered keys can not keep the selection order
+      if (selection.active) {
+        const order = PlaylistSelection.apply(PlaylistData.videos, selection);
+        PlaylistData.videos = Object.fromEntries(order.map((number) => [number, PlaylistData.videos[number]]));
+        PlaylistData.order = order;
+      }
+
       // Add download links if requested
       if (withDownloadLinks) {
-        PlaylistData = await this.#add_download_links(PlaylistData);
+        PlaylistData = await this.#add_download_links(PlaylistData, { ...POOL_OPTIONS, ...(concurrency !== undefined && { concurrency }), ...(requestInterval !== undefined && { requestInterval }) });
       }
 
-      return { PlaylistData, err: false, err_msg: "" };
+      // Export videos if requested
+      if (responseFormat !== "json") {
+        PlaylistData = Exporter.export(responseFormat, PlaylistData);
+      }
+
+      return { PlaylistData, err: false, err_msg: "", code: null };
     } catch (error) {
+      const code = ScrapingError.classify(error);
+      Hooks.emit("error", { method: "Playlist.getInfo", error, code });
+
       return {
         PlaylistData: null,
         err: true,
         err_msg: `Failed to get playlist info: ${error.message}`,
+        code,
       };
     }
   }
 
   /**
-   * Add download links to each video in the playlist data
-   * @param {Object} PlaylistData - Playlist data object
-   * @returns {Promise<Object>} Enhanced playlist data with download links
+   * Get one page of playlist videos, next pages are requested with the returned `continuation`
+   * @param {string} url - YouTube playlist URL or ID (ignored when continuing)
+   * @param {Object} [options={}] - Page options
+   * @param {number} [options.pages=1] - Number of pages of about 100 videos to get, `Infinity` for all
+   * @param {Object|null} [options.continuation=null] - `continuation` of the previous page
+   * @returns {Promise<PlaylistResponse>} Playlist page response with `continuation` (null on the last page)
+   */
+  static async getPage(url = "", options = {}) {
+    const { pages = 1, continuation = null } = options;
+
+    try {
+      let data;
+
+      if (continuation) {
+        // Continue after the previous page, one request per page
+        data = { id: continuation.id, title: continuation.title, items: [], continuation: continuation.token };
+
+        for (let page = 0; page < pages && data.continuation; page++) {
+          const next = await Retry.run((attempt) => {
+            Hooks.emit("request", { client: "ytpl", target: continuation.id, attempt });
+            return ytpl.continueReq(this.#restore_continuation(data.continuation));
+          });
+
+          data.items.push(...next.items);
+          data.continuation = next.continuation;
+        }
+      } else {
+        data = await this.#fetch_playlist(this.#playlist_url(url), { pages });
+      }
+
+      // Number videos after the previous pages
+      const offset = continuation ? continuation.offset : 0;
+      const { id, title, items } = data;
+      const PlaylistData = {
+        id,
+        title,
+        url: `https://www.youtube.com/playlist?list=${id}`,
+        number_videos: items.length,
+        videos: {},
+        continuation: data.continuation ? { id, title, offset: offset + items.length, token: data.continuation } : null,
+      };
+
+      items.forEach((video, index) => {
+        PlaylistData.videos[offset + index + 1] = {
+          id: video.id,
+          title: video.title,
+          video_url: video.url,
+          duration_seconds: video.durationSec ?? null,
+        };
+      });
+
+      return { PlaylistData, err: false, err_msg: "", code: null };
+    } catch (error) {
+      const code = ScrapingError.classify(error);
+      Hooks.emit("error", { method: "Playlist.getPage", error, code });
+
+      return {
+        PlaylistData: null,
+        err: true,
+        err_msg: `Failed to get playlist page: ${error.message}`,
+        code,
+      };
+    }
+  }
+
+  /**
+   * Iterate over the videos of a playlist, each video is yielded as soon as its page of about 100 videos arrives
+   * Only the current page is kept in memory, and pages after `to` are not requested
+   * @param {string} url - YouTube playlist URL or ID
+   * @param {Object} [options={}] - Iterate options (see `ITERATE_OPTIONS`)
+   * @param {number} [options.from=1] - First video number
+   * @param {number|null} [options.to=null] - Last video number
+   * @param {boolean} [options.withFormats=false] - Add the formats of each video
+   * @yields {PlaylistVideo} Playlist videos in order
+   * @throws {ScrapingError} If the range is invalid or a page can not be fetched
+   */
+  static async *iterate(url = "", options = {}) {
+    const { from, to, withFormats } = { ...ITERATE_OPTIONS, ...options };
+
+    // Validate range, the number of videos is not known before the last page
+    const first = from === null || from === undefined ? 1 : Number(from);
+    const last = to === null || to === undefined ? Infinity : Number(to);
+
+    if (!Number.isInteger(first) || first <= 0 || (last !== Infinity && (!Number.isInteger(last) || last <= 0))) {
+      throw new ScrapingError(`From '${from}' and To '${to}' must be integers greater than 0`, ERROR_CODES.INVALID_INPUT);
+    }
+
+    if (first > last) {
+      throw new ScrapingError(`From '${first}' must be less than or equal to To '${last}'`, ERROR_CODES.INVALID_INPUT);
+    }
+
+    const playlistUrl = this.#playlist_url(url);
+
+    // First page, then one request per continuation page
+    let page = await this.#fetch_iterate_page(playlistUrl, () => ytpl(playlistUrl, { pages: 1 }));
+    let number = 0;
+
+    while (page) {
+      for (const item of page.items) {
+        number++;
+        if (number < first) continue;
+        if (number > last) return;
+
+        const video = { number, id: item.id, title: item.title, video_url: item.url };
+
+        if (withFormats) {
+          const { VideoData, err, err_msg } = await Video.getInfo(item.url, { VideoNumber: number });
+          video.formats = !err && VideoData.formats ? VideoData.formats : `Error in Get Video Info | ERROR MESSAGE: ${err_msg}`;
+        }
+
+        yield video;
+      }
+
+      const { continuation } = page;
+      page = continuation && number < last ? await this.#fetch_iterate_page(playlistUrl, () => ytpl.continueReq(this.#restore_continuation(continuation))) : null;
+    }
+  }
+
+  /**
+   * Fetch one page for `Playlist.iterate` without cache, errors are thrown with their code
+   * @param {string} url - YouTube playlist URL or ID
+   * @param {Function} request - ytpl request
+   * @returns {Promise<Object>} Raw ytpl page
+   * @throws {ScrapingError} If the page can not be fetched
    * @private
    */
-  static async #add_download_links(PlaylistData) {
-    for (const [videoNumber, { video_url }] of Object.entries(PlaylistData.videos)) {
-      // Get download data for current video
-      const { VideoData, err, err_msg } = await Video.getInfo(video_url, {
-        VideoNumber: videoNumber,
+  static async #fetch_iterate_page(url, request) {
+    try {
+      return await Retry.run((attempt) => {
+        Hooks.emit("request", { client: "ytpl", target: url, attempt });
+        return request();
       });
+    } catch (error) {
+      const code = ScrapingError.classify(error);
+      Hooks.emit("error", { method: "Playlist.iterate", error, code });
 
-      // Add formats to video data or error message if failed
-      PlaylistData.videos[videoNumber].formats = !err && VideoData.formats ? VideoData.formats : `Error in Get Video Info | ERROR MESSAGE: ${err_msg}`;
+      throw new ScrapingError(`Failed to iterate playlist: ${error.message}`, code);
     }
+  }
+
+  /**
+   * Stream the videos of a playlist, object mode Readable over `Playlist.iterate`
+   * Errors are emitted as `error` events
+   * @param {string} url - YouTube playlist URL or ID
+   * @param {Object} [options={}] - Iterate options (see `ITERATE_OPTIONS`)
+   * @returns {Readable} Readable of `PlaylistVideo`
+   */
+  static stream(url = "", options = {}) {
+    return Readable.from(this.iterate(url, options));
+  }
+
+  /**
+   * Restore a ytpl continuation, `limit: Infinity` becomes null once the continuation is serialized to JSON
+   * @param {Array} token - ytpl continuation `[apiKey, token, context, options]`
+   * @returns {Array} ytpl continuation
+   * @private
+   */
+  static #restore_continuation(token) {
+    const [apiKey, nextToken, context, options] = token;
+    return [apiKey, nextToken, context, { ...options, limit: Infinity }];
+  }
+
+  /**
+   * Add download links to each video in the playlist data
+   * @param {Object} PlaylistData - Playlist data object
+   * @param {Object} poolOptions - Parallel processing options
+   * @returns {Promise<Object>} Enhanced playlist data with download links
+   * @private
+   */
+  static async #add_download_links(PlaylistData, poolOptions) {
+    // Selected videos are processed in selection order
+    const entries = (PlaylistData.order ?? Object.keys(PlaylistData.videos)).map((videoNumber) => [String(videoNumber), PlaylistData.videos[videoNumber]]);
+    let done = 0;
+
+    await Pool.map(
+      entries,
+      async ([videoNumber, { video_url }]) => {
+        Hooks.emit("itemStart", { method: "Playlist.getInfo", number: Number(videoNumber), url: video_url });
+
+        // Get download data for current video
+        const { VideoData, err, err_msg } = await Video.getInfo(video_url, {
+          VideoNumber: videoNumber,
+        });
+
+        // Add formats to video data or error message if failed
+        PlaylistData.videos[videoNumber].formats = !err && VideoData.formats ? VideoData.formats : `Error in Get Video Info | ERROR MESSAGE: ${err_msg}`;
+
+        Hooks.emit("itemDone", { method: "Playlist.getInfo", number: Number(videoNumber), url: video_url, err });
+        Hooks.emit("progress", { method: "Playlist.getInfo", done: ++done, total: entries.length });
+      },
+      poolOptions
+    );
 
     return PlaylistData;
   }
 
   /**
    * Prepare and validate 'from' and 'to' range parameters
-   * @param {string} url - YouTube playlist URL
+   * @param {number} numberVideo - Number of videos in playlist
    * @param {number|null} from - Starting video index
    * @param {number|null} to - Ending video index
-   * @returns {Promise<Object>} Validation result with normalized range
+   * @returns {Object} Validation result with normalized range
    * @private
    */
-  static async #prepare_from_to(url, from, to) {
+  static #prepare_from_to(numberVideo, from, to) {
     try {
-      // Get total number of videos in playlist
-      const { numberVideo, err, err_msg } = await this.numberVideo(url);
-
-      // Handle error in retrieving video count
-      if (err) {
-        return {
-          succ: false,
-          msg_err: `Error in Get Number Videos in Playlist | ERROR MESSAGE: ${err_msg}`,
-          from: null,
-          to: null,
-        };
-      }
-
       // Normalize range values
       let normalizedFrom = from === null || isNaN(from) ? 1 : Number(from);
       let normalizedTo = to === null || isNaN(to) ? numberVideo : Number(to);
@@ -182,6 +454,7 @@ class Playlist {
         return {
           succ: false,
           msg_err: `ERROR: From '${normalizedFrom}' and To '${normalizedTo}' must be greater than 0`,
+          code: ERROR_CODES.INVALID_INPUT,
           from: null,
           to: null,
         };
@@ -191,6 +464,7 @@ class Playlist {
         return {
           succ: false,
           msg_err: `ERROR: From '${normalizedFrom}' must be less than or equal to To '${normalizedTo}'`,
+          code: ERROR_CODES.INVALID_INPUT,
           from: null,
           to: null,
         };
@@ -200,6 +474,7 @@ class Playlist {
         return {
           succ: false,
           msg_err: `ERROR: From '${normalizedFrom}' and To '${normalizedTo}' must not be greater than the number of videos in playlist (${numberVideo})`,
+          code: ERROR_CODES.INVALID_INPUT,
           from: null,
           to: null,
         };
@@ -209,6 +484,7 @@ class Playlist {
       return {
         succ: true,
         msg_err: "",
+        code: null,
         from: normalizedFrom,
         to: normalizedTo,
       };
@@ -217,6 +493,7 @@ class Playlist {
       return {
         succ: false,
         msg_err: `Unexpected error in prepare_from_to: ${error.message}`,
+        code: ScrapingError.classify(error),
         from: null,
         to: null,
       };
@@ -224,86 +501,262 @@ class Playlist {
   }
 
   /**
-   * Get download links for a range of videos in a playlist
-   * @param {string} url - YouTube playlist URL
+   * Create export entries from the download links of playlist videos
+   * @param {Object} PlaylistData - Playlist data object
+   * @param {number[]} videoIndexes - Video numbers of the links
+   * @param {Array<Object|string>} links - Download link responses or messages, in `videoIndexes` order
+   * @returns {Object[]} Entries `{ n, id, title, video_url, url, error }`
+   * @private
+   */
+  static #links_to_entries(PlaylistData, videoIndexes, links) {
+    return links.map((link, i) => {
+      const { id = null, title = null, video_url = null } = PlaylistData.videos[videoIndexes[i]] || {};
+
+      // "No download link found" messages are results without error
+      const url = typeof link !== "string" && !link.err && /^https?:\/\//.test(link.results) ? link.results : null;
+      const error = typeof link === "string" ? link : link.err ? link.err_msg : url ? null : link.results;
+
+      return { n: videoIndexes[i], id, title, video_url, url, error };
+    });
+  }
+
+  /**
+   * Get download links for a range of videos in a playlist, picked and ordered by the selection rules
+   * @param {string} url - YouTube playlist URL, watch URL with `list=`, playlist ID or channel (uploads playlist)
    * @param {Object} [options={}] - Download options
-   * @param {string} [options.VideoDataType="json"] - Response format ("json" or "text")
+   * @param {string} [options.VideoDataType="json"] - Response format ("json", "text" or an export format like "aria2", see `Exporter.formats()`)
    * @param {string[]} [options.types=["video and audio"]] - Video types to include
    * @param {number|null} [options.from=null] - Starting video index
    * @param {number|null} [options.to=null] - Ending video index
+   * @param {string|number[]|null} [options.items=null] - Selected video numbers like "1,3,5-9,-3:", kept inside the range
+   * @param {boolean} [options.reverse=false] - Process the videos from the last one
+   * @param {boolean|number} [options.shuffle=false] - Process the videos in random order, a number is a seed
+   * @param {Array|Function} [options.skip=[]] - Video IDs and numbers already processed, or predicate `(video, videoNumber) => boolean`
+   * @param {number|null} [options.minDuration=null] - Minimum duration in seconds
+   * @param {number|null} [options.maxDuration=null] - Maximum duration in seconds
+   * @param {RegExp|string|null} [options.titleMatch=null] - Regular expression the title must match
    * @param {Object} [options.qualitys={}] - Quality filters
+   * @param {number} [options.concurrency=1] - Number of videos processed in parallel
+   * @param {number} [options.requestInterval=0] - Minimum milliseconds between two requests
+   * @param {Function|null} [options.onItem=null] - Called with `(videoNumber, link)` when a link is ready
+   * @param {AbortSignal|null} [options.signal=null] - Stops the requests, videos not started yet are left out
+   * @param {Object|null} [options.select=null] - Selection policy picking each link (see `SELECT_OPTIONS`)
    * @returns {Promise<DownloadLinksResponse>} Download links response
    */
   static async getDownloadsLinks(url = "", options = {}) {
     // Merge default options with provided options
-    const { VideoDataType, types, from: initialFrom, to: initialTo, qualitys } = { ...GET_DOWNLOADS_LINKS_OPTIONS, ...options };
+    const { VideoDataType, types, from: initialFrom, to: initialTo, qualitys, concurrency, requestInterval, onItem, signal, select } = {
+      ...GET_DOWNLOADS_LINKS_OPTIONS,
+      ...options,
+    };
 
     // Normalize response format
     const responseFormat = VideoDataType?.toLowerCase().trim() || "json";
 
-    // Validate and prepare range parameters
-    const { succ, msg_err, from, to } = await this.#prepare_from_to(url, initialFrom, initialTo);
-    if (!succ) {
-      return {
-        results: null,
-        err: true,
-        err_msg: msg_err,
-      };
-    }
+    try {
+      // Validate response format and selection before any request
+      Exporter.validate(responseFormat, ["json", "text"]);
 
-    console.log(from, to);
+      const selection = PlaylistSelection.parse(options);
 
-    try {
-      // Get playlist information
-      const { PlaylistData, err: playlistError, err_msg: playlistErrorMsg } = await this.getInfo(url);
+      // Get playlist information once, the range is validated against it
+      const { PlaylistData, err: playlistError, err_msg: playlistErrorMsg, code: playlistErrorCode } = await this.getInfo(url);
 
+      // Error already emitted by getInfo
       if (playlistError) {
-        throw new Error(`Error in download playlist data: ${playlistErrorMsg}`);
+        return {
+          results: null,
+          err: true,
+          err_msg: `Error in download playlist data: ${playlistErrorMsg}`,
+          code: playlistErrorCode,
+        };
       }
 
-      // Initialize results container based on response format
-      let downloadLinks = responseFormat === "text" ? "" : [];
+      // Validate and prepare range parameters
+      const { succ, msg_err, code, from, to } = this.#prepare_from_to(PlaylistData.number_videos, initialFrom, initialTo);
+      if (!succ) {
+        return {
+          results: null,
+          err: true,
+          err_msg: msg_err,
+          code,
+        };
+      }
 
-      // Helper function to add links to results
-      const addLink = (link) => {
-        if (responseFormat === "text") {
-          downloadLinks += `${link}\n`;
-        } else {
-          downloadLinks.push(link);
-        }
-      };
+      Logger.debug("Get download links", { url, from, to, items: options.items ?? null });
+
+      // Video numbers in the specified range
+      let videoIndexes = Array.from({ length: to - from + 1 }, (_, i) => from + i);
 
-      // Process each video in the specified range
-      for (let videoIndex = from; videoIndex <= to; videoIndex++) {
-        console.log("Start:", videoIndex + 1);
+      // Pick and order videos of the range, items count from the whole playlist
+      if (selection.active) {
+        const rangeVideos = Object.fromEntries(videoIndexes.filter((videoIndex) => String(videoIndex) in PlaylistData.videos).map((videoIndex) => [videoIndex, PlaylistData.videos[videoIndex]]));
+        videoIndexes = PlaylistSelection.apply(rangeVideos, selection, PlaylistData.number_videos);
+      }
 
-        // Get video URL if it exists
-        const videoExists = String(videoIndex) in PlaylistData.videos && "video_url" in PlaylistData.videos[videoIndex];
+      let done = 0;
 
-        const videoUrl = videoExists ? PlaylistData.videos[videoIndex].video_url : null;
+      // Process videos in parallel, links keep the playlist order
+      const allLinks = await Pool.map(
+        videoIndexes,
+        async (videoIndex) => {
+          // Get video URL if it exists
+          const videoExists = String(videoIndex) in PlaylistData.videos && "video_url" in PlaylistData.videos[videoIndex];
+
+          const videoUrl = videoExists ? PlaylistData.videos[videoIndex].video_url : null;
+          Hooks.emit("itemStart", { method: "Playlist.getDownloadsLinks", number: videoIndex, url: videoUrl });
 
-        if (videoUrl) {
           // Get download link for this video
-          const downloadResult = await Video.getDownloadLink(videoUrl, videoIndex, types, qualitys);
-          addLink(downloadResult);
-        } else {
-          addLink(`Video URL not found | N: ${videoIndex}`);
-        }
+          const link = videoUrl ? await Video.getDownloadLink(videoUrl, videoIndex, types, qualitys, select) : `Video URL not found | N: ${videoIndex}`;
+
+          if (typeof onItem === "function") {
+            onItem(videoIndex, link);
+          }
+
+          Hooks.emit("itemDone", { method: "Playlist.getDownloadsLinks", number: videoIndex, url: videoUrl, err: !videoUrl || Boolean(link.err) });
+          Hooks.emit("progress", { method: "Playlist.getDownloadsLinks", done: ++done, total: videoIndexes.length });
+
+          return link;
+        },
+        { concurrency, requestInterval, signal }
+      );
+
+      // Leave out the videos not started before the signal
+      const links = allLinks.filter((link) => link !== undefined);
+      videoIndexes = videoIndexes.filter((_, index) => allLinks[index] !== undefined);
+
+      // Build results based on response format, one link or error message per line in text
+      let downloadLinks = links;
+
+      if (responseFormat === "text") {
+        downloadLinks = links.map((link) => `${typeof link === "string" ? link : link.err ? link.err_msg : link.results}\n`).join("");
+      } else if (responseFormat !== "json") {
+        downloadLinks = Exporter.export(responseFormat, this.#links_to_entries(PlaylistData, videoIndexes, links));
       }
 
       return {
         results: downloadLinks,
         err: false,
         err_msg: "",
+        code: null,
       };
     } catch (error) {
+      const code = ScrapingError.classify(error);
+      Hooks.emit("error", { method: "Playlist.getDownloadsLinks", error, code });
+
       return {
         results: null,
         err: true,
         err_msg: error.message,
+        code,
       };
     }
   }
+
+  /**
+   * Take a snapshot of a playlist, `Playlist.getInfo` data with its date and the availability of each video
+   * The cached playlist is skipped so successive snapshots see the changes
+   * @param {string} url - YouTube playlist URL, watch URL with `list=`, playlist ID or channel (uploads playlist)
+   * @returns {Promise<{SnapshotData: Object|null, err: boolean, err_msg: string, code: string|null}>} Snapshot response
+   */
+  static async snapshot(url = "") {
+    const { PlaylistData, err, err_msg, code } = await this.getInfo(url, false, { refresh: true });
+
+    // Error already emitted by getInfo
+    if (err) {
+      return { SnapshotData: null, err, err_msg, code };
+    }
+
+    return { SnapshotData: PlaylistSnapshot.create(PlaylistData), err: false, err_msg: "", code: null };
+  }
+
+  /**
+   * Compare two snapshots of a playlist
+   * @param {Object} oldSnapshot - Older snapshot from `Playlist.snapshot`
+   * @param {Object} newSnapshot - Newer snapshot
+   * @returns {{DiffData: Object|null, err: boolean, err_msg: string, code: string|null}} Added, removed, moved, renamed and unavailable videos (see `PlaylistSnapshot.diff`), INVALID_INPUT if a snapshot has no videos or the snapshots are of different playlists
+   */
+  static diff(oldSnapshot, newSnapshot) {
+    try {
+      return { DiffData: PlaylistSnapshot.diff(oldSnapshot, newSnapshot), err: false, err_msg: "", code: null };
+    } catch (error) {
+      const code = ScrapingError.classify(error);
+      Hooks.emit("error", { method: "Playlist.diff", error, code });
+
+      return { DiffData: null, err: true, err_msg: `Failed to compare snapshots: ${error.message}`, code };
+    }
+  }
+
+  /**
+   * Take a snapshot every `interval` and emit the changes
+   * Events: `snapshot` (each snapshot), `change` (diff with the previous snapshot, only if changed) and `error` (failed snapshot or store)
+   * @param {string} url - YouTube playlist URL, watch URL with `list=`, playlist ID or channel (uploads playlist)
+   * @param {Object} [options={}] - Watch options (see `WATCH_OPTIONS`)
+   * @param {number} [options.interval=3600000] - Milliseconds between two snapshots
+   * @param {string|null} [options.store=null] - JSON file keeping the last snapshot between runs
+   * @param {AbortSignal|null} [options.signal=null] - Signal stopping the watcher
+   * @returns {EventEmitter} Watcher with a `stop()` method
+   * @throws {ScrapingError} INVALID_URL or INVALID_INPUT if the URL or the interval is invalid
+   */
+  static watch(url = "", options = {}) {
+    const { interval, store, signal } = { ...WATCH_OPTIONS, ...options };
+
+    // Validate options before the first snapshot
+    const playlistUrl = this.#playlist_url(url);
+
+    if (!Number.isFinite(interval) || interval <= 0) {
+      throw new ScrapingError(`Interval '${interval}' must be a number of milliseconds greater than 0`, ERROR_CODES.INVALID_INPUT);
+    }
+
+    const watcher = new EventEmitter();
+    let previous = null;
+    let timer = null;
+    let stopped = false;
+
+    const check = async () => {
+      const { SnapshotData, err, err_msg, code } = await this.snapshot(playlistUrl);
+      if (stopped) return;
+
+      try {
+        if (err) throw new ScrapingError(err_msg, code);
+
+        // Last snapshot of a previous run
+        if (!previous && store) previous = PlaylistSnapshot.load(store, SnapshotData.id);
+        if (store) PlaylistSnapshot.save(store, SnapshotData);
+
+        const changes = previous ? PlaylistSnapshot.diff(previous, SnapshotData) : null;
+        previous = SnapshotData;
+
+        watcher.emit("snapshot", SnapshotData);
+        if (changes?.changed) watcher.emit("change", changes);
+      } catch (error) {
+        Logger.warn(`Failed to watch playlist: ${error.message}`, { url: playlistUrl, code: error.code });
+
+        // An error event without listener would end the process
+        if (watcher.listenerCount("error") > 0) watcher.emit("error", error);
+      }
+
+      if (!stopped) timer = setTimeout(check, interval);
+    };
+
+    watcher.stop = () => {
+      stopped = true;
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", watcher.stop);
+    };
+
+    if (signal?.aborted) {
+      stopped = true;
+      return watcher;
+    }
+
+    signal?.addEventListener("abort", watcher.stop, { once: true });
+
+    // First snapshot once the listeners are added
+    timer = setTimeout(check, 0);
+
+    return watcher;
+  }
 }
 
 module.exports = { Playlist };
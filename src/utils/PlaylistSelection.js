@@ -0,0 +1,254 @@
+// Helpers
+const { ScrapingError } = require("./ScrapingError");
+
+// Data
+const { ERROR_CODES } = require("../constants/error_codes");
+
+// Options
+const { PLAYLIST_SELECTION_OPTIONS } = require("../options/playlist_selection_options");
+
+/**
+ * @typedef {Object} ItemsPart
+ * @property {number|null} start - First video number, negative from the end, null for the edge
+ * @property {number|null} stop - Last video number (included), negative from the end, null for the edge
+ * @property {number} step - Step between two numbers, negative from the last video
+ */
+
+/**
+ * Youtube Playlist Selection Helper
+ * Picks and orders the videos of a playlist with a selection spec (see `PLAYLIST_SELECTION_OPTIONS`)
+ */
+class PlaylistSelection {
+  /**
+   * Validate and normalize a selection spec, keys of other options are ignored
+   * @param {Object} [options={}] - Selection spec (see `PLAYLIST_SELECTION_OPTIONS`)
+   * @returns {Object} Normalized selection, `active` is false when no rule is set
+   * @throws {ScrapingError} If a value is invalid
+   */
+  static parse(options = {}) {
+    const { items, reverse, shuffle, skip, minDuration, maxDuration, titleMatch } = { ...PLAYLIST_SELECTION_OPTIONS, ...options };
+
+    // Durations in seconds
+    const min = minDuration === null || minDuration === undefined ? null : Number(minDuration);
+    const max = maxDuration === null || maxDuration === undefined ? null : Number(maxDuration);
+
+    for (const [name, value, seconds] of [["Min Duration", minDuration, min], ["Max Duration", maxDuration, max]]) {
+      if (seconds !== null && !(seconds >= 0)) {
+        throw new ScrapingError(`${name} '${value}' must be a number of seconds greater than or equal to 0`, ERROR_CODES.INVALID_INPUT);
+      }
+    }
+
+    if (min !== null && max !== null && min > max) {
+      throw new ScrapingError(`Min Duration '${min}' must be less than or equal to Max Duration '${max}'`, ERROR_CODES.INVALID_INPUT);
+    }
+
+    // Shuffle seed
+    if (shuffle !== null && shuffle !== undefined && typeof shuffle !== "boolean" && !Number.isFinite(shuffle)) {
+      throw new ScrapingError(`Shuffle '${shuffle}' must be true, false or a number seed`, ERROR_CODES.INVALID_INPUT);
+    }
+
+    const selection = {
+      items: items === null || items === undefined || items === "" ? null : this.#parse_items(items),
+      reverse: Boolean(reverse),
+      shuffle: shuffle === true || typeof shuffle === "number" ? shuffle : false,
+      skip: this.#parse_skip(skip),
+      minDuration: min,
+      maxDuration: max,
+      titleMatch: this.#parse_title_match(titleMatch),
+    };
+
+    selection.active = Boolean(selection.items || selection.reverse || selection.shuffle !== false || selection.skip || min !== null || max !== null || selection.titleMatch);
+
+    return selection;
+  }
+
+  /**
+   * Get the selected video numbers in processing order
+   * @param {Object<string, Object>} videos - Playlist videos by number `{ id, title, duration_seconds }`
+   * @param {Object} selection - Normalized selection from `PlaylistSelection.parse`
+   * @param {number} [count] - Number of videos in the playlist, negative numbers count from it (default number of `videos`)
+   * @returns {number[]} Video numbers
+   */
+  static apply(videos, selection, count = Object.keys(videos).length) {
+    const { items, reverse, shuffle, skip, minDuration, maxDuration, titleMatch } = selection;
+
+    // Numbers in items order, or playlist order
+    let numbers = items ? this.#resolve_items(items, count) : Object.keys(videos).map(Number);
+
+    // Keep videos of the playlist passing all filters
+    numbers = numbers.filter((number) => {
+      const video = videos[number];
+      if (!video) return false;
+
+      const duration = video.duration_seconds ?? null;
+
+      if (skip && skip(video, number)) return false;
+      if (minDuration !== null && (duration === null || duration < minDuration)) return false;
+      if (maxDuration !== null && (duration === null || duration > maxDuration)) return false;
+      if (titleMatch && !titleMatch.test(video.title ?? "")) return false;
+
+      return true;
+    });
+
+    if (reverse) numbers.reverse();
+    if (shuffle !== false) numbers = this.#shuffle(numbers, shuffle === true ? Math.random : this.#seeded_random(shuffle));
+
+    return numbers;
+  }
+
+  /**
+   * Parse an items spec like `1,3,5-9,-3:`
+   * @param {string|number[]} items - Items spec or video numbers
+   * @returns {ItemsPart[]} Parts in spec order
+   * @throws {ScrapingError} If a part is invalid
+   * @private
+   */
+  static #parse_items(items) {
+    const spec = Array.isArray(items) ? items.join(",") : items;
+
+    if (typeof spec !== "string" && typeof spec !== "number") {
+      throw new ScrapingError(`Items '${items}' must be a string like '1,3,5-9,-3:' or an array of video numbers`, ERROR_CODES.INVALID_INPUT);
+    }
+
+    return String(spec)
+      .split(",")
+      .map((part) => part.trim())
+      .map((part) => {
+        const invalid = (reason) => new ScrapingError(`Items '${part}' of '${spec}' ${reason}`, ERROR_CODES.INVALID_INPUT);
+
+        const single = /^(-?\d+)$/.exec(part);
+        const range = /^(\d+)\s*-\s*(\d+)$/.exec(part);
+        const slice = /^(-?\d*)\s*:\s*(-?\d*)(?:\s*:\s*(-?\d+))?$/.exec(part);
+
+        let parsed;
+
+        if (single) {
+          parsed = { start: Number(single[1]), stop: Number(single[1]), step: 1 };
+        } else if (range) {
+          parsed = { start: Number(range[1]), stop: Number(range[2]), step: 1 };
+
+          if (parsed.start > parsed.stop) throw invalid(`must be a range from the smallest number like '${range[2]}-${range[1]}', use 'reverse' to process it from the end`);
+        } else if (slice) {
+          const [, start, stop, step] = slice;
+          parsed = { start: start === "" ? null : Number(start), stop: stop === "" ? null : Number(stop), step: step === undefined ? 1 : Number(step) };
+
+          if (parsed.step === 0) throw invalid("must not have a step of 0");
+        } else {
+          throw invalid("must be a video number like '3', a number from the end like '-1', a range like '5-9' or a slice like '-3:'");
+        }
+
+        if (parsed.start === 0 || parsed.stop === 0) throw invalid("must not contain 0, videos are numbered from 1");
+
+        return parsed;
+      });
+  }
+
+  /**
+   * Resolve items parts to video numbers of the playlist, without duplicates
+   * @param {ItemsPart[]} items - Parsed parts
+   * @param {number} count - Number of videos in the playlist
+   * @returns {number[]} Video numbers in items order
+   * @private
+   */
+  static #resolve_items(items, count) {
+    const numbers = new Set();
+    const at = (number) => (number < 0 ? count + number + 1 : number);
+
+    for (const { start, stop, step } of items) {
+      const first = start === null ? (step > 0 ? 1 : count) : at(start);
+      const last = stop === null ? (step > 0 ? count : 1) : at(stop);
+      let number = first;
+
+      // Start at the first number inside the playlist, huge ranges are not walked outside it
+      if (step > 0) {
+        if (number < 1) number += Math.ceil((1 - number) / step) * step;
+        for (; number <= Math.min(last, count); number += step) numbers.add(number);
+      } else {
+        if (number > count) number -= Math.ceil((number - count) / -step) * -step;
+        for (; number >= Math.max(last, 1); number += step) numbers.add(number);
+      }
+    }
+
+    return [...numbers];
+  }
+
+  /**
+   * Normalize skipped videos to a predicate
+   * @param {Array<string|number>|Set<string|number>|Function|null} skip - Video IDs and numbers, or predicate
+   * @returns {Function|null} Predicate `(video, number) => boolean` or null if nothing is skipped
+   * @throws {ScrapingError} If the value is invalid
+   * @private
+   */
+  static #parse_skip(skip) {
+    if (skip === null || skip === undefined) return null;
+    if (typeof skip === "function") return skip;
+
+    if (!Array.isArray(skip) && !(skip instanceof Set)) {
+      throw new ScrapingError(`Skip '${skip}' must be an array of video IDs and numbers, or a function`, ERROR_CODES.INVALID_INPUT);
+    }
+
+    if ((Array.isArray(skip) ? skip.length : skip.size) === 0) return null;
+
+    // IDs are strings, numbers are video numbers
+    const skipped = new Set(skip);
+    return (video, number) => skipped.has(number) || skipped.has(video.id);
+  }
+
+  /**
+   * Normalize the title filter to a regular expression
+   * @param {RegExp|string|null} titleMatch - Regular expression or pattern
+   * @returns {RegExp|null} Regular expression without global state, or null if no filter
+   * @throws {ScrapingError} If the pattern is invalid
+   * @private
+   */
+  static #parse_title_match(titleMatch) {
+    if (titleMatch === null || titleMatch === undefined || titleMatch === "") return null;
+
+    // `test` of global expressions depends on the previous call
+    if (titleMatch instanceof RegExp) return new RegExp(titleMatch.source, titleMatch.flags.replace(/[gy]/g, ""));
+
+    try {
+      return new RegExp(String(titleMatch), "i");
+    } catch (error) {
+      throw new ScrapingError(`Title Match '${titleMatch}' must be a valid regular expression: ${error.message}`, ERROR_CODES.INVALID_INPUT);
+    }
+  }
+
+  /**
+   * Shuffle numbers with Fisher-Yates
+   * @param {number[]} numbers - Video numbers
+   * @param {Function} random - Random number generator in [0, 1)
+   * @returns {number[]} Shuffled copy
+   * @private
+   */
+  static #shuffle(numbers, random) {
+    const shuffled = [...numbers];
+
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+
+    return shuffled;
+  }
+
+  /**
+   * Create a seeded random number generator (mulberry32)
+   * @param {number} seed - Seed
+   * @returns {Function} Random number generator in [0, 1)
+   * @private
+   */
+  static #seeded_random(seed) {
+    let state = Math.floor(seed) >>> 0;
+
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+}
+
+module.exports = { PlaylistSelection };
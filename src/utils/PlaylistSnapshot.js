@@ -0,0 +1,225 @@
+// Helpers
+const { JsonFile } = require("./JsonFile");
+const { ScrapingError } = require("./ScrapingError");
+
+// Data
+const { ERROR_CODES } = require("../constants/error_codes");
+
+/**
+ * @typedef {Object} SnapshotVideo
+ * @property {string} id - Video ID
+ * @property {string} title - Video title, `[Private video]` or `[Deleted video]` once unavailable
+ * @property {string} video_url - Video URL
+ * @property {number|null} duration_seconds - Duration in seconds
+ * @property {boolean} available - False for private and deleted videos
+ */
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {string} id - Playlist ID
+ * @property {string} title - Playlist title
+ * @property {string} url - Playlist URL
+ * @property {string} taken_at - ISO date of the snapshot
+ * @property {number} number_videos - Number of videos
+ * @property {Object<string, SnapshotVideo>} videos - Videos by position, from 1
+ */
+
+/**
+ * @typedef {Object} SnapshotDiff
+ * @property {string|null} id - Playlist ID
+ * @property {string|null} old_taken_at - Date of the old snapshot
+ * @property {string|null} new_taken_at - Date of the new snapshot
+ * @property {boolean} changed - True if any list is not empty
+ * @property {Array<{id: string, title: string, position: number}>} added - Videos only in the new snapshot
+ * @property {Array<{id: string, title: string, position: number}>} removed - Videos only in the old snapshot
+ * @property {Array<{id: string, title: string, from: number, to: number}>} moved - Videos whose order changed compared to the other kept videos
+ * @property {Array<{id: string, position: number, old_title: string, new_title: string}>} renamed - Available videos with a new title
+ * @property {Array<{id: string, title: string, position: number}>} unavailable - Videos that became private or deleted, with their last known title
+ */
+
+/**
+ * Youtube Playlist Snapshot Helper
+ * Compares playlist snapshots and keeps the last snapshot of each playlist in a JSON file
+ */
+class PlaylistSnapshot {
+  /**
+   * Titles given by YouTube to videos that can not be watched anymore
+   * @type {string[]}
+   */
+  static UNAVAILABLE_TITLES = ["[Private video]", "[Deleted video]", "[Unavailable video]"];
+
+  /**
+   * Create a snapshot from `Playlist.getInfo` data
+   * @param {Object} PlaylistData - Playlist data without selection nor export
+   * @param {Date} [takenAt=new Date()] - Date of the snapshot
+   * @returns {Snapshot} Snapshot
+   */
+  static create(PlaylistData, takenAt = new Date()) {
+    const { id, title, url, number_videos, videos } = PlaylistData;
+
+    return {
+      id,
+      title,
+      url,
+      taken_at: takenAt.toISOString(),
+      number_videos,
+      videos: Object.fromEntries(Object.entries(videos).map(([number, video]) => [number, { ...video, available: this.#is_available(video) }])),
+    };
+  }
+
+  /**
+   * Compare two snapshots of a playlist
+   * Videos are matched by ID (and occurrence for repeated videos), so an insertion does not move the next videos
+   * @param {Snapshot} oldSnapshot - Older snapshot
+   * @param {Snapshot} newSnapshot - Newer snapshot
+   * @returns {SnapshotDiff} Changes
+   * @throws {ScrapingError} INVALID_INPUT if a snapshot has no videos or the snapshots are of different playlists
+   */
+  static diff(oldSnapshot, newSnapshot) {
+    const before = this.#entries(oldSnapshot, "Old");
+    const after = this.#entries(newSnapshot, "New");
+
+    if (oldSnapshot.id && newSnapshot.id && oldSnapshot.id !== newSnapshot.id) {
+      throw new ScrapingError(`Snapshots of different playlists: ${oldSnapshot.id} and ${newSnapshot.id}`, ERROR_CODES.INVALID_INPUT);
+    }
+
+    const beforeByKey = new Map(before.map((entry) => [entry.key, entry]));
+    const afterByKey = new Map(after.map((entry) => [entry.key, entry]));
+
+    // Videos in both snapshots, in old order
+    const kept = before.filter(({ key }) => afterByKey.has(key));
+    const inOrder = this.#longest_increasing(kept.map(({ key }) => afterByKey.get(key).position));
+
+    const changes = {
+      added: after.filter(({ key }) => !beforeByKey.has(key)).map(({ id, title, position }) => ({ id, title, position })),
+      removed: before.filter(({ key }) => !afterByKey.has(key)).map(({ id, title, position }) => ({ id, title, position })),
+      moved: [],
+      renamed: [],
+      unavailable: [],
+    };
+
+    kept.forEach((old, index) => {
+      const current = afterByKey.get(old.key);
+
+      if (!inOrder.has(index)) {
+        changes.moved.push({ id: current.id, title: current.title, from: old.position, to: current.position });
+      }
+
+      if (old.available && !current.available) {
+        changes.unavailable.push({ id: current.id, title: old.title, position: current.position });
+      } else if (old.available && current.available && old.title !== current.title) {
+        changes.renamed.push({ id: current.id, position: current.position, old_title: old.title, new_title: current.title });
+      }
+    });
+
+    return {
+      id: newSnapshot.id ?? oldSnapshot.id ?? null,
+      old_taken_at: oldSnapshot.taken_at ?? null,
+      new_taken_at: newSnapshot.taken_at ?? null,
+      changed: Object.values(changes).some((list) => list.length > 0),
+      ...changes,
+    };
+  }
+
+  /**
+   * Read the last snapshot of a playlist
+   * @param {string} file - Store path
+   * @param {string} id - Playlist ID
+   * @returns {Snapshot|null} Snapshot or null if the file or the playlist is missing
+   * @throws {ScrapingError} INVALID_INPUT if the file is not a snapshot store
+   */
+  static load(file, id) {
+    return this.#read_store(file)[id] ?? null;
+  }
+
+  /**
+   * Replace the last snapshot of its playlist, other playlists of the file are kept
+   * @param {string} file - Store path
+   * @param {Snapshot} snapshot - Snapshot
+   * @throws {ScrapingError} INVALID_INPUT if the file is not a snapshot store
+   */
+  static save(file, snapshot) {
+    JsonFile.write(file, { ...this.#read_store(file), [snapshot.id]: snapshot });
+  }
+
+  /**
+   * Read all snapshots of a store
+   * @param {string} file - Store path
+   * @returns {Object<string, Snapshot>} Snapshots by playlist ID
+   * @throws {ScrapingError} INVALID_INPUT if the file is not a snapshot store
+   * @private
+   */
+  static #read_store(file) {
+    return JsonFile.read(file, "snapshot store") ?? {};
+  }
+
+  /**
+   * List the videos of a snapshot in order, keyed by ID and occurrence
+   * @param {Snapshot} snapshot - Snapshot
+   * @param {string} name - Snapshot name for errors
+   * @returns {Array<{key: string, id: string, title: string, position: number, available: boolean}>} Entries
+   * @throws {ScrapingError} INVALID_INPUT if the snapshot has no videos
+   * @private
+   */
+  static #entries(snapshot, name) {
+    if (!snapshot || !snapshot.videos || typeof snapshot.videos !== "object") {
+      throw new ScrapingError(`${name} snapshot has no videos`, ERROR_CODES.INVALID_INPUT);
+    }
+
+    const occurrences = new Map();
+
+    return Object.entries(snapshot.videos)
+      .map(([number, video]) => ({ number: Number(number), video }))
+      .sort((a, b) => a.number - b.number)
+      .map(({ number, video }) => {
+        const occurrence = (occurrences.get(video.id) || 0) + 1;
+        occurrences.set(video.id, occurrence);
+
+        return { key: `${video.id}#${occurrence}`, id: video.id, title: video.title, position: number, available: this.#is_available(video) };
+      });
+  }
+
+  /**
+   * Check if a video can be watched, from its flag or its title
+   * @param {Object} video - Snapshot or playlist video
+   * @returns {boolean} Availability
+   * @private
+   */
+  static #is_available(video) {
+    return video.available ?? !this.UNAVAILABLE_TITLES.includes(video.title);
+  }
+
+  /**
+   * Find a longest increasing subsequence, the videos not in it are the moved ones
+   * @param {number[]} values - New positions in old order
+   * @returns {Set<number>} Indexes of the subsequence
+   * @private
+   */
+  static #longest_increasing(values) {
+    const tails = [];
+    const previous = [];
+
+    values.forEach((value, index) => {
+      // First tail not lower than the value
+      let low = 0;
+      let high = tails.length;
+      while (low < high) {
+        const middle = (low + high) >> 1;
+        if (values[tails[middle]] < value) low = middle + 1;
+        else high = middle;
+      }
+
+      previous[index] = low > 0 ? tails[low - 1] : -1;
+      tails[low] = index;
+    });
+
+    const indexes = new Set();
+    for (let index = tails.length ? tails[tails.length - 1] : -1; index !== -1; index = previous[index]) {
+      indexes.add(index);
+    }
+
+    return indexes;
+  }
+}
+
+module.exports = { PlaylistSnapshot };
@@ -0,0 +1,66 @@
+/**
+ * Youtube Pool Helper
+ * Provides a bounded worker pool with request rate limiting
+ */
+class Pool {
+  /**
+   * Run an async worker on each item with a bounded number of parallel calls
+   * Results keep the order of the items whatever the completion order is
+   * @param {Array} items - Items to process
+   * @param {Function} worker - Async function `(item, index) => result`
+   * @param {Object} [options={}] - Pool options
+   * @param {number} [options.concurrency=1] - Maximum number of parallel calls
+   * @param {number} [options.requestInterval=0] - Minimum milliseconds between the start of two calls
+   * @param {AbortSignal|null} [options.signal=null] - No item is started once aborted, their results stay `undefined`
+   * @returns {Promise<Array>} Results in items order
+   */
+  static async map(items, worker, options = {}) {
+    const { concurrency = 1, requestInterval = 0, signal = null } = options;
+
+    const results = new Array(items.length);
+    const size = Math.max(1, Math.min(parseInt(concurrency) || 1, items.length));
+    const throttle = this.#create_throttle(Number(requestInterval) || 0);
+
+    // Each runner takes the next item until none is left
+    let next = 0;
+    const runner = async () => {
+      while (next < items.length && !signal?.aborted) {
+        const index = next++;
+
+        await throttle();
+        if (signal?.aborted) return;
+
+        results[index] = await worker(items[index], index);
+      }
+    };
+
+    await Promise.all(Array.from({ length: size }, runner));
+
+    return results;
+  }
+
+  /**
+   * Create a function that resolves when the next call is allowed to start
+   * @param {number} requestInterval - Minimum milliseconds between two starts
+   * @returns {Function} Async throttle function
+   * @private
+   */
+  static #create_throttle(requestInterval) {
+    let nextStart = 0;
+
+    return async () => {
+      if (requestInterval <= 0) return;
+
+      // Reserve the next free slot
+      const now = Date.now();
+      const startAt = Math.max(now, nextStart);
+      nextStart = startAt + requestInterval;
+
+      if (startAt > now) {
+        await new Promise((resolve) => setTimeout(resolve, startAt - now));
+      }
+    };
+  }
+}
+
+module.exports = { Pool };
@@ -0,0 +1,169 @@
+// Helpers
+const { Exporter } = require("./Exporter");
+const { JsonFile } = require("./JsonFile");
+const { ScrapingError } = require("./ScrapingError");
+
+// Data
+const { ERROR_CODES } = require("../constants/error_codes");
+
+/**
+ * @typedef {Object} GraphNode
+ * @property {string} id - Video ID
+ * @property {string|null} title - Video title
+ * @property {string|null} url - Video URL
+ * @property {string|null} author_name - Channel name
+ * @property {string|null} views - Formatted views
+ * @property {string|null} duration - Formatted duration
+ * @property {number} depth - Number of hops from the seed
+ * @property {boolean} crawled - True when its recommendations were fetched
+ * @property {string|null} error - Error message of the video or null
+ */
+
+/**
+ * @typedef {Object} GraphEdge
+ * @property {string} from - Video ID of the watched video
+ * @property {string} to - Video ID of the recommended video
+ * @property {number} rank - Position in the recommendations, from 1
+ */
+
+/**
+ * @typedef {Object} Graph
+ * @property {string} seed - Video ID of the seed
+ * @property {number} depth - Crawl depth
+ * @property {number} max_nodes - Maximum number of nodes
+ * @property {boolean} complete - False when the crawl was stopped before the end
+ * @property {number} number_nodes - Number of nodes
+ * @property {number} number_edges - Number of edges
+ * @property {GraphNode[]} nodes - Videos in discovery order
+ * @property {GraphEdge[]} edges - Recommendations in discovery order
+ */
+
+/**
+ * Youtube Recommendation Graph Helper
+ * Exports crawled recommendation graphs and saves crawl checkpoints
+ */
+class RecommendationGraph {
+  /**
+   * Export formats
+   * @type {string[]}
+   */
+  static FORMATS = ["json", "graphml", "csv"];
+
+  /**
+   * Node fields written as GraphML attributes with their type
+   * @type {Array<[string, string]>}
+   */
+  static #NODE_KEYS = [
+    ["title", "string"],
+    ["url", "string"],
+    ["author_name", "string"],
+    ["views", "string"],
+    ["duration", "string"],
+    ["depth", "int"],
+    ["crawled", "boolean"],
+    ["error", "string"],
+  ];
+
+  /**
+   * Throw if a format is not an export format
+   * @param {string} format - Requested format
+   * @throws {ScrapingError} INVALID_INPUT if the format is unknown
+   */
+  static validate(format) {
+    if (this.FORMATS.includes(format)) return;
+
+    throw new ScrapingError(`Invalid graph format: ${format}. Must be one of ${this.FORMATS.map((name) => `"${name}"`).join(", ")}`, ERROR_CODES.INVALID_INPUT);
+  }
+
+  /**
+   * Export a graph
+   * @param {Graph} graph - Graph from `YoutubeSearch.crawlRecommendations`
+   * @param {string} [format="json"] - `json`, `graphml` or `csv` (edge list)
+   * @returns {string} Exported graph
+   * @throws {ScrapingError} INVALID_INPUT if the format is unknown
+   */
+  static export(graph, format = "json") {
+    this.validate(format);
+
+    if (format === "graphml") return this.toGraphML(graph);
+    if (format === "csv") return this.toCsv(graph);
+
+    return `${JSON.stringify(graph, null, 2)}\n`;
+  }
+
+  /**
+   * Convert a graph to GraphML, a directed graph with node attributes and the rank of each edge
+   * @param {Graph} graph - Graph
+   * @returns {string} GraphML document
+   */
+  static toGraphML(graph) {
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">'];
+
+    for (const [key, type] of this.#NODE_KEYS) {
+      lines.push(`  <key id="${key}" for="node" attr.name="${key}" attr.type="${type}"/>`);
+    }
+    lines.push('  <key id="rank" for="edge" attr.name="rank" attr.type="int"/>');
+
+    lines.push(`  <graph id="${this.#escape_xml(graph.seed)}" edgedefault="directed">`);
+
+    for (const node of graph.nodes) {
+      lines.push(`    <node id="${this.#escape_xml(node.id)}">`);
+
+      // Unknown values have no data element
+      for (const [key] of this.#NODE_KEYS) {
+        if (node[key] === null || node[key] === undefined) continue;
+        lines.push(`      <data key="${key}">${this.#escape_xml(node[key])}</data>`);
+      }
+
+      lines.push("    </node>");
+    }
+
+    for (const edge of graph.edges) {
+      lines.push(`    <edge source="${this.#escape_xml(edge.from)}" target="${this.#escape_xml(edge.to)}"><data key="rank">${edge.rank}</data></edge>`);
+    }
+
+    lines.push("  </graph>", "</graphml>");
+
+    return `${lines.join("\n")}\n`;
+  }
+
+  /**
+   * Convert the edges of a graph to CSV
+   * @param {Graph} graph - Graph
+   * @returns {string} CSV with `from,to,rank` columns
+   */
+  static toCsv(graph) {
+    return Exporter.toCsv(graph.edges.map(({ from, to, rank }) => ({ from, to, rank }))) || "from,to,rank\n";
+  }
+
+  /**
+   * Read a crawl checkpoint
+   * @param {string} file - Checkpoint path
+   * @returns {Object|null} Crawl state or null if the file does not exist
+   * @throws {ScrapingError} INVALID_INPUT if the file is not a checkpoint
+   */
+  static load(file) {
+    return JsonFile.read(file, "checkpoint", (state) => JsonFile.isObject(state) && Array.isArray(state.pending) && JsonFile.isObject(state.nodes) && Array.isArray(state.edges));
+  }
+
+  /**
+   * Save a crawl checkpoint
+   * @param {string} file - Checkpoint path
+   * @param {Object} state - Crawl state
+   */
+  static save(file, state) {
+    JsonFile.write(file, state);
+  }
+
+  /**
+   * Escape a value for XML text and attributes
+   * @param {*} value - Value
+   * @returns {string} Escaped text
+   * @private
+   */
+  static #escape_xml(value) {
+    return String(value).replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" })[char]);
+  }
+}
+
+module.exports = { RecommendationGraph };
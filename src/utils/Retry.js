@@ -0,0 +1,72 @@
+// Helpers
+const { ScrapingError } = require("./ScrapingError");
+
+// Data
+const { RETRYABLE_CODES } = require("../constants/error_codes");
+
+// Options
+const { RETRY_OPTIONS } = require("../options/retry_options");
+
+/**
+ * Youtube Retry Helper
+ * Retries transient failures (rate limits, network errors) with exponential backoff
+ */
+class Retry {
+  /**
+   * Current retry options used by all requests
+   * @type {typeof RETRY_OPTIONS}
+   */
+  static options = { ...RETRY_OPTIONS };
+
+  /**
+   * Change retry options for all requests
+   * @param {Object} [options={}] - Retry options (see `RETRY_OPTIONS`)
+   * @returns {Object} Current retry options
+   */
+  static configure(options = {}) {
+    this.options = { ...this.options, ...options };
+    return this.options;
+  }
+
+  /**
+   * Run an async function and retry it while it fails with a retryable error
+   * @param {Function} fn - Async function to run, receives the attempt number
+   * @param {Object} [options={}] - Retry options overriding the configured ones
+   * @returns {Promise<*>} Result of the function
+   * @throws {Error} Last error when attempts are exhausted or the error is not retryable
+   */
+  static async run(fn, options = {}) {
+    const { attempts, minDelay, maxDelay, factor, jitter } = { ...this.options, ...options };
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await fn(attempt);
+      } catch (error) {
+        const code = ScrapingError.classify(error);
+
+        // Give up on permanent errors or when no attempt is left
+        if (!RETRYABLE_CODES.includes(code) || attempt >= attempts) {
+          throw error;
+        }
+
+        await new Promise((resolve) => setTimeout(resolve, this.delay(attempt, { minDelay, maxDelay, factor, jitter })));
+      }
+    }
+  }
+
+  /**
+   * Compute the wait before the next attempt
+   * @param {number} attempt - Number of the failed attempt (starts at 1)
+   * @param {Object} [options={}] - Backoff options
+   * @returns {number} Milliseconds to wait
+   */
+  static delay(attempt, options = {}) {
+    const { minDelay, maxDelay, factor, jitter } = { ...this.options, ...options };
+
+    const delay = Math.min(maxDelay, minDelay * Math.pow(factor, attempt - 1));
+
+    return jitter ? Math.round(delay / 2 + Math.random() * (delay / 2)) : delay;
+  }
+}
+
+module.exports = { Retry };
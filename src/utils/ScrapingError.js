@@ -0,0 +1,67 @@
+// Data
+const { ERROR_CODES } = require("../constants/error_codes");
+
+/**
+ * Classification rules applied in order on error messages
+ * @type {Array<[RegExp, string]>}
+ */
+const MESSAGE_RULES = [
+  [/\b429\b|too many requests|rate.?limit|confirm you.re not a bot/i, ERROR_CODES.RATE_LIMITED],
+  [/confirm your age|age.?restricted|inappropriate for some users/i, ERROR_CODES.AGE_RESTRICTED],
+  [/private video|video is private/i, ERROR_CODES.PRIVATE_VIDEO],
+  [/playlist.*private|private.*playlist/i, ERROR_CODES.PRIVATE_PLAYLIST],
+  [/unknown playlist|playlist does not exist|invalid or unknown list|mixes not supported/i, ERROR_CODES.PLAYLIST_UNAVAILABLE],
+  [/unavailable|no video id found|does not match expected format|not a youtube domain|has been removed|status code: 410/i, ERROR_CODES.VIDEO_UNAVAILABLE],
+  [/socket hang up|network|fetch failed|timed? ?out|status code: 5\d\d/i, ERROR_CODES.NETWORK],
+];
+
+/**
+ * System error codes of network failures
+ * @type {string[]}
+ */
+const NETWORK_CODES = ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "ENOTFOUND", "EAI_AGAIN", "EPIPE", "ENETUNREACH", "EHOSTUNREACH"];
+
+/**
+ * Youtube Scraping Error
+ * Error carrying a structured `code` from `ERROR_CODES`
+ */
+class ScrapingError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} [code=ERROR_CODES.UNKNOWN] - Error code
+   */
+  constructor(message, code = ERROR_CODES.UNKNOWN) {
+    super(message);
+    this.name = "ScrapingError";
+    this.code = code;
+  }
+
+  /**
+   * Get the structured code of any error thrown by ytdl, ytpl, ytsr or fetch
+   * @param {Error} error - Error to classify
+   * @returns {string} Error code from `ERROR_CODES`
+   */
+  static classify(error) {
+    if (!error) return ERROR_CODES.UNKNOWN;
+
+    // Keep codes already set by this library
+    if (Object.values(ERROR_CODES).includes(error.code)) return error.code;
+
+    // HTTP status codes
+    const statusCode = error.statusCode || error.status;
+    if (statusCode === 429) return ERROR_CODES.RATE_LIMITED;
+    if (statusCode >= 500) return ERROR_CODES.NETWORK;
+
+    // System and undici network errors
+    const systemCode = error.code || error.cause?.code;
+    if (NETWORK_CODES.includes(systemCode) || String(systemCode).startsWith("UND_ERR")) return ERROR_CODES.NETWORK;
+
+    // Known error messages
+    const message = String(error.message || error);
+    const rule = MESSAGE_RULES.find(([regExp]) => regExp.test(message));
+
+    return rule ? rule[1] : ERROR_CODES.UNKNOWN;
+  }
+}
+
+module.exports = { ScrapingError };
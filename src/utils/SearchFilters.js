@@ -0,0 +1,105 @@
+// Helpers
+const { ScrapingError } = require("./ScrapingError");
+
+// Data
+const { ERROR_CODES } = require("../constants/error_codes");
+const { SORT_BY, UPLOAD_DATE, SEARCH_TYPES, DURATION, FEATURES } = require("../constants/search_filters");
+
+/**
+ * Youtube Search Filters Helper
+ * Encodes search type, sort order and filters to the `sp` protobuf parameter of YouTube searches
+ */
+class SearchFilters {
+  /**
+   * Encode search filters
+   * @param {Object} [filters={}] - Search filters
+   * @param {string} [filters.type] - Result type ("video", "playlist", "channel" or "movie")
+   * @param {string} [filters.sortBy="relevance"] - Sort order (see `SORT_BY`)
+   * @param {string|null} [filters.uploadDate=null] - Upload date (see `UPLOAD_DATE`)
+   * @param {string|null} [filters.duration=null] - Duration (see `DURATION`)
+   * @param {string[]} [filters.features=[]] - Features (see `FEATURES`)
+   * @returns {string} Base64 `sp` parameter, empty if no filter
+   */
+  static encode(filters = {}) {
+    const { type = null, sortBy = "relevance", uploadDate = null, duration = null, features = [] } = filters;
+
+    // Validate values
+    const sort = this.#value(SORT_BY, sortBy || "relevance", "sortBy");
+    const date = uploadDate ? this.#value(UPLOAD_DATE, uploadDate, "uploadDate") : null;
+    const kind = type ? this.#value(SEARCH_TYPES, type, "type") : null;
+    const length = duration ? this.#value(DURATION, duration, "duration") : null;
+    const featureFields = (Array.isArray(features) ? features : [features]).map((feature) => this.#value(FEATURES, feature, "features"));
+
+    // Filters message
+    const filterBytes = [];
+    if (date) filterBytes.push(...this.#varint_field(1, date));
+    if (kind) filterBytes.push(...this.#varint_field(2, kind));
+    if (length) filterBytes.push(...this.#varint_field(3, length));
+    [...new Set(featureFields)].sort((a, b) => a - b).forEach((field) => filterBytes.push(...this.#varint_field(field, 1)));
+
+    // Search params message
+    const bytes = [];
+    if (sort) bytes.push(...this.#varint_field(1, sort));
+    if (filterBytes.length > 0) bytes.push(...this.#varint(this.#tag(2, 2)), ...this.#varint(filterBytes.length), ...filterBytes);
+
+    return bytes.length > 0 ? Buffer.from(bytes).toString("base64") : "";
+  }
+
+  /**
+   * Get the number of a filter value
+   * @param {Object<string, number>} values - Allowed values
+   * @param {string} value - Value
+   * @param {string} name - Option name used in the error message
+   * @returns {number} Value number
+   * @private
+   */
+  static #value(values, value, name) {
+    if (!Object.prototype.hasOwnProperty.call(values, value)) {
+      throw new ScrapingError(`Invalid ${name}: ${value}. Must be one of ${Object.keys(values).join(", ")}`, ERROR_CODES.INVALID_INPUT);
+    }
+
+    return values[value];
+  }
+
+  /**
+   * Encode a varint field
+   * @param {number} field - Field number
+   * @param {number} value - Field value
+   * @returns {number[]} Bytes
+   * @private
+   */
+  static #varint_field(field, value) {
+    return [...this.#varint(this.#tag(field, 0)), ...this.#varint(value)];
+  }
+
+  /**
+   * Field tag with its wire type
+   * @param {number} field - Field number
+   * @param {number} wireType - 0 for varint, 2 for length-delimited
+   * @returns {number} Tag
+   * @private
+   */
+  static #tag(field, wireType) {
+    return (field << 3) | wireType;
+  }
+
+  /**
+   * Encode an unsigned varint
+   * @param {number} value - Value
+   * @returns {number[]} Bytes
+   * @private
+   */
+  static #varint(value) {
+    const bytes = [];
+
+    while (value > 0x7f) {
+      bytes.push((value & 0x7f) | 0x80);
+      value >>>= 7;
+    }
+    bytes.push(value);
+
+    return bytes;
+  }
+}
+
+module.exports = { SearchFilters };
@@ -0,0 +1,221 @@
+// Helpers
+const { InnerTube } = require("./InnerTube");
+
+/**
+ * Youtube Search Parser Helper
+ * Extracts items and continuation token from InnerTube search responses, items have the same shape as ytsr items
+ */
+class SearchParser {
+  /**
+   * Parse a search response, first page or continuation
+   * @param {Object} json - InnerTube search response
+   * @returns {{items: Object[], continuation: string|null, estimatedResults: number|null}} Parsed page
+   */
+  static parsePage(json = {}) {
+    // First page and continuation pages wrap contents differently
+    const contents =
+      json.contents?.twoColumnSearchResultsRenderer?.primaryContents?.sectionListRenderer?.contents ||
+      (json.onResponseReceivedCommands || []).flatMap((command) => command.appendContinuationItemsAction?.continuationItems || []);
+
+    const items = [];
+    let continuation = null;
+
+    for (const content of contents) {
+      if (content.itemSectionRenderer) {
+        items.push(...content.itemSectionRenderer.contents.map((item) => this.parseItem(item)).filter(Boolean));
+      } else if (content.continuationItemRenderer) {
+        continuation = content.continuationItemRenderer.continuationEndpoint?.continuationCommand?.token || null;
+      }
+    }
+
+    return { items, continuation, estimatedResults: json.estimatedResults ? Number(json.estimatedResults) : null };
+  }
+
+  /**
+   * Parse a search result renderer
+   * @param {Object} item - Renderer wrapper like `{ videoRenderer }`
+   * @returns {Object|null} Parsed item or null if not supported
+   */
+  static parseItem(item = {}) {
+    if (item.videoRenderer) return this.#parse_video(item.videoRenderer);
+    if (item.playlistRenderer) return this.#parse_playlist(item.playlistRenderer);
+    if (item.lockupViewModel?.contentType === "LOCKUP_CONTENT_TYPE_PLAYLIST") return this.#parse_playlist_lockup(item.lockupViewModel);
+    if (item.channelRenderer) return this.#parse_channel(item.channelRenderer);
+    if (item.movieRenderer) return { ...this.#parse_video(item.movieRenderer), type: "movie" };
+
+    return null;
+  }
+
+  /**
+   * Parse a video renderer
+   * @param {Object} video - `videoRenderer`
+   * @returns {Object} Video item
+   * @private
+   */
+  static #parse_video(video) {
+    const badges = (video.badges || []).map((badge) => badge.metadataBadgeRenderer?.label).filter(Boolean);
+    const timeOverlay = (video.thumbnailOverlays || []).find((overlay) => overlay.thumbnailOverlayTimeStatusRenderer);
+    const thumbnails = this.#sort_images(video.thumbnail?.thumbnails);
+    const viewCount = InnerTube.text(video.viewCountText);
+
+    return {
+      type: "video",
+      id: video.videoId,
+      name: InnerTube.text(video.title),
+      url: `https://www.youtube.com/watch?v=${video.videoId}`,
+      thumbnail: thumbnails.length > 0 ? thumbnails[0].url : null,
+      thumbnails,
+      isLive: badges.some((badge) => ["LIVE", "LIVE NOW"].includes(badge)),
+      isUpcoming: Boolean(video.upcomingEventData),
+      badges,
+      author: this.#parse_author(video.ownerText || video.longBylineText, video.channelThumbnailSupportedRenderers?.channelThumbnailWithLinkRenderer?.thumbnail?.thumbnails, video.ownerBadges),
+      description: InnerTube.text(video.detailedMetadataSnippets?.[0]?.snippetText || video.descriptionSnippet),
+      views: viewCount ? Number(viewCount.replace(/\D+/g, "")) || 0 : null,
+      duration: InnerTube.text(video.lengthText || timeOverlay?.thumbnailOverlayTimeStatusRenderer?.text),
+      uploadedAt: InnerTube.text(video.publishedTimeText),
+    };
+  }
+
+  /**
+   * Parse a playlist renderer
+   * @param {Object} playlist - `playlistRenderer`
+   * @returns {Object} Playlist item
+   * @private
+   */
+  static #parse_playlist(playlist) {
+    const thumbnails = this.#sort_images((playlist.thumbnails || []).flatMap((thumbnail) => thumbnail.thumbnails || []));
+
+    return {
+      type: "playlist",
+      id: playlist.playlistId,
+      name: InnerTube.text(playlist.title),
+      url: `https://www.youtube.com/playlist?list=${playlist.playlistId}`,
+      thumbnail: thumbnails.length > 0 ? thumbnails[0].url : null,
+      owner: this.#parse_author(playlist.shortBylineText || playlist.longBylineText, [], playlist.ownerBadges),
+      publishedAt: InnerTube.text(playlist.publishedTimeText),
+      length: playlist.videoCount !== undefined ? Number(playlist.videoCount) || 0 : null,
+    };
+  }
+
+  /**
+   * Parse a playlist lockup, the newer layout of playlist results
+   * @param {Object} lockup - `lockupViewModel`
+   * @returns {Object} Playlist item
+   * @private
+   */
+  static #parse_playlist_lockup(lockup) {
+    const metadata = lockup.metadata?.lockupMetadataViewModel || {};
+    const thumbnail = lockup.contentImage?.collectionThumbnailViewModel?.primaryThumbnail?.thumbnailViewModel || {};
+    const thumbnails = this.#sort_images(thumbnail.image?.sources);
+
+    // Video count is a badge of the thumbnail (e.g. "25 videos")
+    const badgeText = JSON.stringify(thumbnail.overlays || []).match(/"text":"([\d,.]+) videos?"/);
+
+    // Owner is the first metadata part with a channel link
+    const parts = (metadata.metadata?.contentMetadataViewModel?.metadataRows || []).flatMap((row) => row.metadataParts || []);
+    const ownerPart = parts.find((part) => part.text?.commandRuns?.[0]?.onTap?.innertubeCommand?.browseEndpoint);
+    const browseEndpoint = ownerPart?.text?.commandRuns[0].onTap.innertubeCommand.browseEndpoint;
+
+    return {
+      type: "playlist",
+      id: lockup.contentId,
+      name: InnerTube.text(metadata.title),
+      url: `https://www.youtube.com/playlist?list=${lockup.contentId}`,
+      thumbnail: thumbnails.length > 0 ? thumbnails[0].url : null,
+      owner: browseEndpoint
+        ? {
+            name: ownerPart.text.content,
+            channelID: browseEndpoint.browseId,
+            url: `https://www.youtube.com${browseEndpoint.canonicalBaseUrl || `/channel/${browseEndpoint.browseId}`}`,
+            avatars: [],
+            verified: false,
+          }
+        : null,
+      publishedAt: "",
+      length: badgeText ? Number(badgeText[1].replace(/\D+/g, "")) : null,
+    };
+  }
+
+  /**
+   * Parse a channel renderer
+   * @param {Object} channel - `channelRenderer`
+   * @returns {Object} Channel item
+   * @private
+   */
+  static #parse_channel(channel) {
+    const browseEndpoint = channel.navigationEndpoint?.browseEndpoint || {};
+    const badges = JSON.stringify(channel.ownerBadges || []);
+    const subscriberText = InnerTube.text(channel.subscriberCountText);
+    const videoText = InnerTube.text(channel.videoCountText);
+
+    // Channels with a handle show it in place of the subscribers, and the subscribers in place of the videos
+    const hasHandle = subscriberText.startsWith("@");
+
+    return {
+      type: "channel",
+      id: channel.channelId,
+      name: InnerTube.text(channel.title),
+      url: `https://www.youtube.com${browseEndpoint.canonicalBaseUrl || `/channel/${channel.channelId}`}`,
+      handle: hasHandle ? subscriberText : null,
+      avatars: this.#sort_images(channel.thumbnail?.thumbnails),
+      verified: badges.includes("VERIFIED") || badges.includes("OFFICIAL"),
+      description: InnerTube.text(channel.descriptionSnippet),
+      subscribers: this.#parse_count(hasHandle ? videoText : subscriberText),
+      videos: hasHandle ? null : this.#parse_count(videoText),
+    };
+  }
+
+  /**
+   * Parse an abbreviated count like "1.2M subscribers" or "345 videos"
+   * @param {string} text - Count text
+   * @returns {number|null} Count or null if no number
+   * @private
+   */
+  static #parse_count(text) {
+    const match = String(text || "").match(/([\d.,]+)\s*([KMB])?/i);
+    if (!match) return null;
+
+    const multiplier = { K: 1e3, M: 1e6, B: 1e9 }[(match[2] || "").toUpperCase()] || 1;
+    const value = multiplier > 1 ? Number(match[1].replace(/,/g, "")) : Number(match[1].replace(/\D+/g, ""));
+
+    return Number.isFinite(value) ? Math.round(value * multiplier) : null;
+  }
+
+  /**
+   * Parse the channel of a result
+   * @param {Object} byline - Text runs with the channel link
+   * @param {Array} [avatars=[]] - Channel avatars
+   * @param {Array} [ownerBadges=[]] - Channel badges
+   * @returns {Object|null} Author or null if the result has no channel
+   * @private
+   */
+  static #parse_author(byline, avatars = [], ownerBadges = []) {
+    const run = byline?.runs?.[0];
+    const browseEndpoint = run?.navigationEndpoint?.browseEndpoint;
+    if (!browseEndpoint) return null;
+
+    const badges = JSON.stringify(ownerBadges || []);
+
+    return {
+      name: run.text,
+      channelID: browseEndpoint.browseId,
+      url: `https://www.youtube.com${browseEndpoint.canonicalBaseUrl || `/channel/${browseEndpoint.browseId}`}`,
+      avatars: this.#sort_images(avatars),
+      verified: badges.includes("VERIFIED") || badges.includes("OFFICIAL"),
+    };
+  }
+
+  /**
+   * Sort images from the largest to the smallest with absolute URLs
+   * @param {Array} images - Images `{ url, width, height }`
+   * @returns {Array} Sorted images
+   * @private
+   */
+  static #sort_images(images) {
+    if (!Array.isArray(images)) return [];
+
+    return images.map((image) => ({ ...image, url: new URL(image.url, "https://www.youtube.com").toString() })).sort((a, b) => (b.width || 0) - (a.width || 0));
+  }
+}
+
+module.exports = { SearchParser };
@@ -0,0 +1,295 @@
+const http = require("http");
+
+// Helpers
+const { ScrapingError } = require("./ScrapingError");
+const { Video } = require("./Video");
+const { Playlist } = require("./Playlist");
+const { YoutubeSearch } = require("./YoutubeSearch");
+const { Channel } = require("./Channel");
+
+// Data
+const { ERROR_CODES } = require("../constants/error_codes");
+
+/**
+ * Youtube REST API Server
+ * Exposes Video, Playlist, Channel and YoutubeSearch over HTTP with JSON and NDJSON responses
+ *
+ * Routes:
+ * - `GET /videos/:id?types=&qualitys=&include=`
+ * - `GET /videos/:id/related`
+ * - `GET /playlists/:id?from=&to=`
+ * - `GET /playlists/:id/links?from=&to=&types=&qualitys=&concurrency=` (NDJSON with `stream=ndjson` or `Accept: application/x-ndjson`)
+ * - `GET /channels/:id` (channel ID or `@handle`)
+ * - `GET /channels/:id/uploads?tab=&pages=`
+ * - `GET /search?type=video|playlist|channel|movie|all&q=&limit=&sortBy=&uploadDate=&duration=&features=&continuation=&enrich=`
+ */
+class Server {
+  /**
+   * HTTP status code for each error code
+   * @type {Object<string, number>}
+   */
+  static STATUS_CODES = {
+    [ERROR_CODES.INVALID_INPUT]: 400,
+    [ERROR_CODES.INVALID_URL]: 400,
+    [ERROR_CODES.PRIVATE_VIDEO]: 403,
+    [ERROR_CODES.PRIVATE_PLAYLIST]: 403,
+    [ERROR_CODES.AGE_RESTRICTED]: 403,
+    [ERROR_CODES.VIDEO_UNAVAILABLE]: 404,
+    [ERROR_CODES.PLAYLIST_UNAVAILABLE]: 404,
+    [ERROR_CODES.CHANNEL_UNAVAILABLE]: 404,
+    [ERROR_CODES.FORMAT_NOT_FOUND]: 404,
+    [ERROR_CODES.RATE_LIMITED]: 429,
+    [ERROR_CODES.NETWORK]: 502,
+  };
+
+  /**
+   * Create the HTTP server without listening
+   * @returns {http.Server} Node HTTP server
+   */
+  static create() {
+    return http.createServer((req, res) => {
+      this.#handle(req, res).catch((error) => {
+        // Invalid parameters keep their code, anything else is a server error
+        if (error instanceof ScrapingError) {
+          return this.#send(res, { err: true, err_msg: error.message, code: error.code });
+        }
+
+        this.#send(res, { err: true, err_msg: `Internal server error: ${error.message}`, code: ERROR_CODES.UNKNOWN });
+      });
+    });
+  }
+
+  /**
+   * Create the HTTP server and start listening
+   * @param {Object} [options={}] - Listen options
+   * @param {number} [options.port=3000] - Port to listen on
+   * @param {string} [options.host="127.0.0.1"] - Host to bind
+   * @returns {Promise<http.Server>} Listening server
+   */
+  static listen(options = {}) {
+    const { port = 3000, host = "127.0.0.1" } = options;
+    const server = this.create();
+
+    return new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, host, () => resolve(server));
+    });
+  }
+
+  /**
+   * Get the HTTP status code of a response envelope
+   * @param {Object} response - Response with `err` and `code`
+   * @returns {number} HTTP status code
+   */
+  static statusCode(response) {
+    if (!response.err) return 200;
+    return this.STATUS_CODES[response.code] || 500;
+  }
+
+  /**
+   * Route a request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async #handle(req, res) {
+    const { pathname, searchParams } = new URL(req.url, "http://localhost");
+
+    // Malformed escapes like `%E0%A4%A` are a client error
+    let parts;
+    try {
+      parts = pathname.split("/").filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+      throw new ScrapingError(`Invalid path: ${pathname}`, ERROR_CODES.INVALID_INPUT);
+    }
+
+    if (req.method !== "GET") {
+      return this.#send(res, { err: true, err_msg: `Method not allowed: ${req.method}`, code: ERROR_CODES.INVALID_INPUT }, 405);
+    }
+
+    // Filters shared by video and playlist routes
+    const types = this.#list_param(searchParams, "types");
+    const qualitys = Object.fromEntries(this.#list_param(searchParams, "qualitys").map((quality) => [quality, true]));
+    const filters = { ...(types.length > 0 && { types }), qualitys };
+
+    const [resource, id, action] = parts;
+
+    // GET /videos/:id and /videos/:id/related
+    if (resource === "videos" && id && parts.length <= 3) {
+      const url = `https://www.youtube.com/watch?v=${id}`;
+
+      if (action === "related") {
+        return this.#send(res, await YoutubeSearch.videoAndRecommendations(url));
+      }
+
+      if (!action) {
+        const include = this.#list_param(searchParams, "include");
+        return this.#send(res, await Video.getInfo(url, { ...filters, include: include.includes("all") ? "all" : include }));
+      }
+    }
+
+    // GET /playlists/:id and /playlists/:id/links
+    if (resource === "playlists" && id && parts.length <= 3) {
+      const url = `https://www.youtube.com/playlist?list=${id}`;
+      const from = this.#number_param(searchParams, "from");
+      const to = this.#number_param(searchParams, "to");
+
+      if (action === "links") {
+        const concurrency = this.#number_param(searchParams, "concurrency");
+        const options = { ...filters, from, to, ...(concurrency && { concurrency }) };
+        const stream = searchParams.get("stream") === "ndjson" || (req.headers.accept || "").includes("application/x-ndjson");
+
+        return stream ? await this.#stream_links(res, url, options) : this.#send(res, await Playlist.getDownloadsLinks(url, options));
+      }
+
+      if (!action) {
+        return this.#send(res, this.#slice_playlist(await Playlist.getInfo(url), from, to));
+      }
+    }
+
+    // GET /channels/:id and /channels/:id/uploads
+    if (resource === "channels" && id && parts.length <= 3) {
+      if (action === "uploads") {
+        const pages = this.#number_param(searchParams, "pages");
+        const tab = searchParams.get("tab") || "all";
+
+        return this.#send(res, await Channel.getUploads(id, { tab, ...(pages && { pages }) }));
+      }
+
+      if (!action) {
+        return this.#send(res, await Channel.getInfo(id));
+      }
+    }
+
+    // GET /search
+    if (resource === "search" && parts.length === 1) {
+      const type = searchParams.get("type") || "video";
+      const query = searchParams.get("q");
+
+      if (!query && !searchParams.get("continuation")) {
+        return this.#send(res, { results: null, err: true, err_msg: `Missing query parameter "q"`, code: ERROR_CODES.INVALID_INPUT });
+      }
+
+      const limit = this.#number_param(searchParams, "limit");
+      const options = {
+        ...(limit && { limit }),
+        ...["sortBy", "uploadDate", "duration", "continuation"].reduce((acc, name) => (searchParams.get(name) ? { ...acc, [name]: searchParams.get(name) } : acc), {}),
+        features: this.#list_param(searchParams, "features"),
+        enrich: searchParams.get("enrich") === "true",
+      };
+
+      return this.#send(res, await YoutubeSearch.search(type, query, options));
+    }
+
+    return this.#send(res, { err: true, err_msg: `Route not found: GET ${pathname}`, code: ERROR_CODES.INVALID_INPUT }, 404);
+  }
+
+  /**
+   * Stream playlist download links as NDJSON, one line per video as soon as it is ready
+   * Errors found before the first line keep their HTTP status code, a closed connection stops the requests
+   * @param {http.ServerResponse} res - Response
+   * @param {string} url - Playlist URL
+   * @param {Object} options - `Playlist.getDownloadsLinks` options
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async #stream_links(res, url, options) {
+    const writeHead = () => {
+      if (!res.headersSent) res.writeHead(200, { "Content-Type": "application/x-ndjson" });
+    };
+
+    // The response closes when it ends or when the client goes away, `req` closes as soon as the request is read
+    const controller = new AbortController();
+    res.once("close", () => controller.abort());
+
+    const response = await Playlist.getDownloadsLinks(url, {
+      ...options,
+      signal: controller.signal,
+      onItem: (videoNumber, link) => {
+        if (res.destroyed) return;
+
+        writeHead();
+        res.write(`${JSON.stringify({ n: videoNumber, link })}\n`);
+      },
+    });
+
+    if (res.destroyed) return;
+
+    if (!res.headersSent && response.err) {
+      return this.#send(res, response);
+    }
+
+    // Final line with the response status
+    writeHead();
+    const { err, err_msg, code } = response;
+    res.end(`${JSON.stringify({ done: true, err, err_msg, code })}\n`);
+  }
+
+  /**
+   * Keep only the playlist videos in the from/to range
+   * @param {Object} response - Playlist response
+   * @param {number|null} from - First video number
+   * @param {number|null} to - Last video number
+   * @returns {Object} Playlist response
+   * @private
+   */
+  static #slice_playlist(response, from, to) {
+    if (response.err || (from === null && to === null)) return response;
+
+    const videos = Object.fromEntries(Object.entries(response.PlaylistData.videos).filter(([n]) => Number(n) >= (from ?? 1) && Number(n) <= (to ?? Infinity)));
+
+    return { ...response, PlaylistData: { ...response.PlaylistData, videos } };
+  }
+
+  /**
+   * Write a JSON response envelope
+   * @param {http.ServerResponse} res - Response
+   * @param {Object} response - Response envelope
+   * @param {number} [status] - HTTP status, computed from the envelope by default
+   * @private
+   */
+  static #send(res, response, status = this.statusCode(response)) {
+    if (res.headersSent) return res.end();
+
+    res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+    res.end(JSON.stringify(response));
+  }
+
+  /**
+   * Read a repeated or comma separated query parameter
+   * @param {URLSearchParams} searchParams - Query parameters
+   * @param {string} name - Parameter name
+   * @returns {string[]} Values
+   * @private
+   */
+  static #list_param(searchParams, name) {
+    return searchParams
+      .getAll(name)
+      .flatMap((value) => value.split(","))
+      .map((value) => value.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Read an integer query parameter
+   * @param {URLSearchParams} searchParams - Query parameters
+   * @param {string} name - Parameter name
+   * @returns {number|null} Integer or null if missing
+   * @throws {ScrapingError} INVALID_INPUT if the value is not an integer
+   * @private
+   */
+  static #number_param(searchParams, name) {
+    const value = searchParams.get(name);
+    if (value === null || value === "") return null;
+
+    const number = Number(value);
+    if (!Number.isInteger(number)) {
+      throw new ScrapingError(`Invalid query parameter "${name}": ${value}. Must be an integer`, ERROR_CODES.INVALID_INPUT);
+    }
+
+    return number;
+  }
+}
+
+module.exports = { Server };
@@ -1,15 +1,41 @@
+const fs = require("fs");
+const path = require("path");
 const { getInfo } = require("@distube/ytdl-core");
 
+// Helpers
+const { Downloader } = require("./Downloader");
+const { Muxer } = require("./Muxer");
+const { Pool } = require("./Pool");
+const { Retry } = require("./Retry");
+const { Cache } = require("./Cache");
+const { VideoDetails } = require("./VideoDetails");
+const { Captions } = require("./Captions");
+const { InnerTube } = require("./InnerTube");
+const { CommentsParser } = require("./CommentsParser");
+const { Continuation } = require("./Continuation");
+const { YoutubeUrl } = require("./YoutubeUrl");
+const { FormatSelector } = require("./FormatSelector");
+const { Logger } = require("./Logger");
+const { Hooks } = require("./Hooks");
+const { Exporter } = require("./Exporter");
+const { ScrapingError } = require("./ScrapingError");
+
 // Data imports
 const { D_Q } = require("../constants/default_qualitys");
 const { ALL_TYPES } = require("../constants/all_types");
+const { ERROR_CODES } = require("../constants/error_codes");
 const { MAIN_GET_INFO_OPTIONS } = require("../options/main_get_info_options");
+const { DOWNLOAD_OPTIONS } = require("../options/download_options");
+const { POOL_OPTIONS } = require("../options/pool_options");
+const { CAPTIONS_OPTIONS } = require("../options/captions_options");
+const { COMMENTS_OPTIONS } = require("../options/comments_options");
 
 /**
  * @typedef {Object} VideoResponse
  * @property {Object|null} VideoData - The video data or null if error
  * @property {boolean} err - Error flag
  * @property {string} err_msg - Error message
+ * @property {string|null} code - Error code from `ERROR_CODES` or null if no error
  */
 
 /**
@@ -17,6 +43,27 @@ const { MAIN_GET_INFO_OPTIONS } = require("../options/main_get_info_options");
  * @property {string|null} results - Download link or error message
  * @property {boolean} err - Error flag
  * @property {string} err_msg - Error message
+ * @property {string|null} code - Error code from `ERROR_CODES` or null if no error
+ */
+
+/**
+ * @typedef {Object} CaptionsResponse
+ * @property {Object|null} CaptionsData - Available tracks and converted tracks or null if error
+ * @property {boolean} err - Error flag
+ * @property {string} err_msg - Error message
+ * @property {string|null} code - Error code from `ERROR_CODES` or null if no error
+ */
+
+/**
+ * @typedef {Object} CommentsResponse
+ * @property {Object|null} results - Comments with `continuation` or null if error
+ * @property {boolean} err - Error flag
+ * @property {string} err_msg - Error message
+ * @property {string|null} code - Error code from `ERROR_CODES` or null if no error
+ */
+
+/**
+ * @typedef {import("./Downloader").FileResponse} FileResponse
  */
 
 /**
@@ -32,31 +79,36 @@ class Video {
 
   /**
    * Get raw video information using ytdl-core
-   * @param {string} url - YouTube video URL
+   * @param {string} url - YouTube video URL or ID, any link form
    * @returns {Promise<VideoResponse>} Video information response
    */
   static async main_getInfo(url) {
     try {
-      const info = await getInfo(url);
-      return { VideoData: info, err: false, err_msg: "" };
+      const info = await this.#fetch_info(url);
+      return { VideoData: info, err: false, err_msg: "", code: null };
     } catch (error) {
-      return { VideoData: null, err: true, err_msg: error.message };
+      const code = ScrapingError.classify(error);
+      Hooks.emit("error", { method: "Video.main_getInfo", error, code });
+
+      return { VideoData: null, err: true, err_msg: error.message, code };
     }
   }
 
   /**
    * Get processed video information with filtering options
-   * @param {string} url - YouTube video URL
+   * @param {string} url - YouTube video URL or ID, any link form
    * @param {Object} getInfoOptions - Options for filtering video formats
    * @param {number} [getInfoOptions.VideoNumber=1] - Video number for ordering
-   * @param {string} [getInfoOptions.VideoDataType="json"] - Response format ("json" or "text")
+   * @param {string} [getInfoOptions.VideoDataType="json"] - Response format ("json", "text" or an export format like "csv", see `Exporter.formats()`)
    * @param {string[]} [getInfoOptions.types=ALL_TYPES] - Video types to include
    * @param {Object} [getInfoOptions.qualitys=D_Q] - Quality filters
+   * @param {string[]|string|null} [getInfoOptions.include=[]] - Metadata fields to add (see `VIDEO_FIELDS`), or "all"
+   * @param {Object|null} [getInfoOptions.select=null] - Selection policy ranking formats from the best (see `SELECT_OPTIONS`)
    * @returns {Promise<VideoResponse>} Processed video information
    */
   static async getInfo(url, getInfoOptions = {}) {
     // Merge default options with provided options
-    let { VideoNumber, VideoDataType, types, qualitys } = {
+    let { VideoNumber, VideoDataType, types, qualitys, include, select } = {
       ...MAIN_GET_INFO_OPTIONS,
       ...getInfoOptions,
     };
@@ -65,8 +117,22 @@ class Video {
     VideoDataType = VideoDataType?.trim().toLowerCase() || "json";
 
     try {
+      // Validate response format
+      Exporter.validate(VideoDataType, ["json", "text"]);
+
+      // Validate metadata fields
+      const unknownFields = VideoDetails.unknownFields(include);
+      if (unknownFields.length > 0) {
+        throw new ScrapingError(`Invalid include fields: ${unknownFields.join(", ")}. Must be in ${VideoDetails.FIELDS.join(", ")}`, ERROR_CODES.INVALID_INPUT);
+      }
+
+      // Validate selection policy before any request
+      if (select) {
+        FormatSelector.parse(select);
+      }
+
       // Extract video information
-      const info = await getInfo(url);
+      const info = await this.#fetch_info(url);
 
       // Extract essential details
       const { videoId: id, title, video_url } = info.videoDetails;
@@ -76,24 +142,57 @@ class Video {
       formats = this.#filter_formats_by_types(formats, types);
       formats = this.#filter_formats_by_qualitys(formats, qualitys);
 
-      // Create video data object
-      let VideoData = { id, title, video_url, formats };
+      // Rank formats from the best with the selection policy
+      let selection = null;
+      if (select) {
+        const { formats: ranked, rule, reason, excluded } = FormatSelector.select(formats, select);
+        formats = ranked;
+        selection = { rule, reason, excluded };
+      }
+
+      // Create video data object with requested metadata
+      let VideoData = { id, title, video_url, ...VideoDetails.normalize(info.videoDetails, include ?? []), ...(selection && { selection }), formats };
 
-      // Convert to text format if requested
+      // Convert to text or export format if requested
       if (VideoDataType === "text") {
         VideoData = this.#data_to_text(VideoData);
+      } else if (VideoDataType !== "json") {
+        VideoData = Exporter.export(VideoDataType, VideoData, { VideoNumber });
       }
 
-      return { VideoData, err: false, err_msg: "" };
+      return { VideoData, err: false, err_msg: "", code: null };
     } catch (error) {
+      const code = ScrapingError.classify(error);
+      Hooks.emit("error", { method: "Video.getInfo", error, code });
+
       return {
         VideoData: null,
         err: true,
         err_msg: `Failed to get video info: ${error.message}`,
+        code,
       };
     }
   }
 
+  /**
+   * Fetch raw video information from ytdl-core, retrying transient errors
+   * Cached until the signed stream URLs expire, by canonical URL so every link form of a video shares the entry
+   * @param {string} url - YouTube video URL or ID
+   * @returns {Promise<Object>} Raw ytdl-core video information
+   * @throws {ScrapingError} INVALID_URL before any request if the URL has no video
+   * @private
+   */
+  static async #fetch_info(url) {
+    const videoUrl = YoutubeUrl.videoUrl(url);
+
+    return await Cache.remember("video", videoUrl, () =>
+      Retry.run((attempt) => {
+        Hooks.emit("request", { client: "ytdl", target: videoUrl, attempt });
+        return getInfo(videoUrl);
+      })
+    );
+  }
+
   /**
    * Process and enhance format information for each video format
    * @param {Array} formats - Raw formats from ytdl-core
@@ -117,6 +216,13 @@ class Video {
         const hasVideo = quality != null;
         const type = hasVideo && hasAudio ? "video and audio" : hasVideo ? "video" : hasAudio ? "audio" : "others";
 
+        // Codecs from the mime type like `video/mp4; codecs="avc1.4d401f, mp4a.40.2"`
+        const codecs = (mimeType.match(/codecs="([^"]*)"/) || [])[1] || "";
+        const codecList = codecs.split(/,\s*/).filter(Boolean);
+        const audioCodec = hasAudio ? codecList.find((codec) => /^(mp4a|opus|vorbis|ac-3|ec-3)/i.test(codec)) || null : null;
+        const videoCodec = hasVideo ? codecList.find((codec) => codec !== audioCodec) || null : null;
+        const transfer = format.colorInfo?.transferCharacteristics || "";
+
         // Create descriptive title
         const title = `${str_mimeType} [${hasVideo ? quality : ""}] [${hasAudio ? "+audio" : "-audio"}]`;
 
@@ -130,6 +236,16 @@ class Video {
           hasAudio,
           type,
           quality,
+          container: format.container || str_mimeType.split("/")[1],
+          codecs,
+          videoCodec,
+          audioCodec,
+          width: format.width || null,
+          height: hasVideo ? format.height || parseInt(quality) || null : null,
+          fps: hasVideo ? format.fps || null : null,
+          hdr: hasVideo && (/HDR/i.test(quality) || /SMPTEST2084|ARIB_STD_B67/.test(transfer)),
+          bitrate: format.bitrate || null,
+          audioBitrate: hasAudio ? format.audioBitrate || null : null,
           url,
         };
       });
@@ -145,7 +261,7 @@ class Video {
   static #filter_formats_by_types(formats, types) {
     // Validate types parameter
     if (!Array.isArray(types)) {
-      console.warn("Types in Video.filter_formats_by_types must be an array. Using unfiltered formats.");
+      Logger.warn("Types in Video.filter_formats_by_types must be an array. Using unfiltered formats.", { types });
       return formats;
     }
 
@@ -174,7 +290,7 @@ class Video {
     if (!enabledQualities) return formats;
 
     // Create and apply regex filter
-    const regExp = new RegExp(`(${enabledQualities})`, "gi");
+    const regExp = new RegExp(`(${enabledQualities})`, "i");
     return formats.filter((format) => regExp.test(format.title));
   }
 
@@ -185,11 +301,12 @@ class Video {
    * @private
    */
   static #data_to_text(videoData) {
-    const { id, title, video_url, formats } = videoData;
+    const { id, title, video_url, formats, ...metadata } = videoData;
 
-    // Create header with video details
+    // Create header with video details and included metadata
     const separator = "-".repeat(100);
-    const header = `ID          : ${id}\nTitle       : ${title}\nYoutube Url : ${video_url}`;
+    const metadataLines = Object.entries(metadata).map(([key, value]) => `\n${key.padEnd(11)} : ${typeof value === "object" && value !== null ? JSON.stringify(value) : value}`);
+    const header = `ID          : ${id}\nTitle       : ${title}\nYoutube Url : ${video_url}${metadataLines.join("")}`;
 
     // Format each video format
     const formattedFormats = formats.map((format) => `Type : ${format.title}\nUrl  : ${format.url}`).join("\n\n");
@@ -199,25 +316,33 @@ class Video {
 
   /**
    * Get a single download link based on specified filters
-   * @param {string} videoUrl - YouTube video URL
+   * @param {string} videoUrl - YouTube video URL or ID, any link form
    * @param {number} [videoNumber=1] - Video number for ordering
    * @param {Array} [types=["video and audio"]] - Types to include
    * @param {Object} [qualitys={}] - Quality filters
+   * @param {Object|null} [select=null] - Selection policy picking the link (see `SELECT_OPTIONS`), first format in YouTube order if null
    * @returns {Promise<DownloadResponse>} Download link response
    */
-  static async getDownloadLink(videoUrl, videoNumber = 1, types = ["video and audio"], qualitys = {}) {
+  static async getDownloadLink(videoUrl, videoNumber = 1, types = ["video and audio"], qualitys = {}, select = null) {
     const contextInfo = `| N: ${videoNumber} | url: ${videoUrl}`;
 
     try {
       // Get video info with filters
-      const { VideoData, err, err_msg } = await this.getInfo(videoUrl, {
+      const { VideoData, err, err_msg, code } = await this.getInfo(videoUrl, {
         VideoNumber: videoNumber,
         types,
         qualitys,
+        select,
       });
 
+      // Error already emitted by getInfo
       if (err) {
-        throw new Error(err_msg);
+        return {
+          results: null,
+          err: true,
+          err_msg: `ERROR: In Get Download Link ${contextInfo} | ERROR MESSAGE: ${err_msg}`,
+          code,
+        };
       }
 
       // Extract first matching format URL
@@ -227,6 +352,7 @@ class Video {
           results: `No download link found ${contextInfo}`,
           err: false,
           err_msg: "",
+          code: null,
         };
       }
 
@@ -234,12 +360,17 @@ class Video {
         results: formats[0].url,
         err: false,
         err_msg: "",
+        code: null,
       };
     } catch (error) {
+      const code = ScrapingError.classify(error);
+      Hooks.emit("error", { method: "Video.getDownloadLink", error, code });
+
       return {
         results: null,
         err: true,
         err_msg: `ERROR: In Get Download Link ${contextInfo} | ERROR MESSAGE: ${error.message}`,
+        code,
       };
     }
   }
@@ -249,37 +380,504 @@ class Video {
    * @param {Array<string>|string} videoUrls - YouTube video URL(s)
    * @param {Array} [types=["video and audio"]] - Types to include
    * @param {Object} [qualitys={}] - Quality filters
+   * @param {Object} [poolOptions={}] - Parallel processing options
+   * @param {number} [poolOptions.concurrency=1] - Number of videos processed in parallel
+   * @param {number} [poolOptions.requestInterval=0] - Minimum milliseconds between two requests
    * @returns {Promise<DownloadResponse>} Combined download links response
    */
-  static async getDownloadLinkForMany(videoUrls = [], types = ["video and audio"], qualitys = {}) {
+  static async getDownloadLinkForMany(videoUrls = [], types = ["video and audio"], qualitys = {}, poolOptions = {}) {
     try {
       // Normalize input to array
       if (typeof videoUrls === "string") {
         videoUrls = [videoUrls];
       }
 
-      // Process each video URL
-      const links = [];
-      for (let i = 0; i < videoUrls.length; i++) {
-        const { results: link, err, err_msg } = await this.getDownloadLink(videoUrls[i], i + 1, types, qualitys);
+      // Process video URLs in parallel, links keep the input order
+      let done = 0;
+      const links = await Pool.map(
+        videoUrls,
+        async (videoUrl, i) => {
+          Hooks.emit("itemStart", { method: "Video.getDownloadLinkForMany", number: i + 1, url: videoUrl });
 
-        links.push(err ? err_msg : link);
-      }
+          const { results: link, err, err_msg } = await this.getDownloadLink(videoUrl, i + 1, types, qualitys);
+
+          Hooks.emit("itemDone", { method: "Video.getDownloadLinkForMany", number: i + 1, url: videoUrl, err });
+          Hooks.emit("progress", { method: "Video.getDownloadLinkForMany", done: ++done, total: videoUrls.length });
+
+          return err ? err_msg : link;
+        },
+        { ...POOL_OPTIONS, ...poolOptions }
+      );
 
       // Combine results
       return {
         results: links.join("\n\n"),
         err: false,
         err_msg: "",
+        code: null,
       };
     } catch (error) {
+      const code = ScrapingError.classify(error);
+      Hooks.emit("error", { method: "Video.getDownloadLinkForMany", error, code });
+
       return {
         results: null,
         err: true,
         err_msg: `Error in Get Dowanload Link For Many : ${error.message}`,
+        code,
+      };
+    }
+  }
+
+  /**
+   * List the caption tracks of a video and get the matching ones converted to a format
+   * @param {string} url - YouTube video URL or ID, any link form
+   * @param {Object} [captionsOptions={}] - Captions options
+   * @param {string[]} [captionsOptions.languages=[]] - Language codes to get, all if empty
+   * @param {boolean} [captionsOptions.autoGenerated=true] - Include speech recognition tracks
+   * @param {string} [captionsOptions.format="srt"] - Track format ("srt", "vtt", "json" or "text")
+   * @returns {Promise<CaptionsResponse>} Captions response
+   */
+  static async getCaptions(url, captionsOptions = {}) {
+    // Merge default options with provided options
+    const { languages, autoGenerated, format } = { ...CAPTIONS_OPTIONS, ...captionsOptions };
+
+    try {
+      // Validate format
+      if (!Captions.FORMATS.includes(format)) {
+        throw new ScrapingError(`Invalid captions format: ${format}. Must be one of ${Captions.FORMATS.join(", ")}`, ERROR_CODES.INVALID_INPUT);
+      }
+
+      // Extract caption tracks from video information
+      const info = await this.#fetch_info(url);
+      const { videoId: id, title } = info.videoDetails;
+      const captionTracks = info.player_response?.captions?.playerCaptionsTracklistRenderer?.captionTracks || [];
+
+      const available = captionTracks.map((track) => ({
+        language: track.languageCode,
+        name: track.name?.simpleText ?? (track.name?.runs || []).map((run) => run.text).join(""),
+        auto_generated: track.kind === "asr",
+        translatable: Boolean(track.isTranslatable),
+        baseUrl: track.baseUrl,
+      }));
+
+      // Keep tracks matching languages (`en` matches `en-US`)
+      const selected = available.filter(({ language, auto_generated }) => {
+        if (auto_generated && !autoGenerated) return false;
+        if (languages.length === 0) return true;
+
+        return languages.some((lang) => language === lang || language.startsWith(`${lang}-`));
+      });
+
+      // Fetch and convert each track
+      const tracks = [];
+      for (const { baseUrl, ...track } of selected) {
+        const trackUrl = new URL(baseUrl, "https://www.youtube.com");
+        trackUrl.searchParams.set("fmt", "json3");
+
+        const content = await Retry.run(async (attempt) => {
+          Hooks.emit("request", { client: "timedtext", target: trackUrl.toString(), attempt });
+          const response = await fetch(trackUrl);
+
+          if (!response.ok) {
+            throw Object.assign(new Error(`Caption track request failed with status ${response.status}`), { statusCode: response.status });
+          }
+
+          return await response.text();
+        });
+
+        tracks.push({ ...track, format, content: Captions.convert(Captions.parse(content), format) });
+      }
+
+      const CaptionsData = {
+        id,
+        title,
+        available: available.map(({ baseUrl, ...track }) => track),
+        tracks,
+      };
+
+      return { CaptionsData, err: false, err_msg: "", code: null };
+    } catch (error) {
+      const code = ScrapingError.classify(error);
+      Hooks.emit("error", { method: "Video.getCaptions", error, code });
+
+      return {
+        CaptionsData: null,
+        err: true,
+        err_msg: `Failed to get captions: ${error.message}`,
+        code,
       };
     }
   }
+
+  /**
+   * Get the comments of a video page by page until the limit, with their replies if requested
+   * @param {string} url - YouTube video URL or ID (ignored when continuing)
+   * @param {Object} [commentsOptions={}] - Comments options (see `COMMENTS_OPTIONS`)
+   * @param {string} [commentsOptions.sortBy="top"] - Order of the comments ("top" or "newest")
+   * @param {number} [commentsOptions.limit=100] - Maximum number of comments, `Infinity` for all
+   * @param {boolean} [commentsOptions.includeReplies=false] - Add the replies of each comment
+   * @param {number} [commentsOptions.repliesLimit=100] - Maximum number of replies of each comment, `Infinity` for all
+   * @param {string|null} [commentsOptions.continuation=null] - `continuation` of previous comments
+   * @returns {Promise<CommentsResponse>} Comments response
+   */
+  static async getComments(url, commentsOptions = {}) {
+    // Merge default options with provided options
+    const { sortBy: initialSortBy, limit, includeReplies, repliesLimit, continuation } = { ...COMMENTS_OPTIONS, ...commentsOptions };
+
+    try {
+      // Validate options before any request
+      if (!["top", "newest"].includes(initialSortBy)) {
+        throw new ScrapingError(`Invalid sortBy: ${initialSortBy}. Must be "top" or "newest"`, ERROR_CODES.INVALID_INPUT);
+      }
+
+      const max = limit === Infinity ? Infinity : Number(limit);
+      if (!(max > 0)) {
+        throw new ScrapingError(`Invalid limit: ${limit}. Must be a number greater than 0 or Infinity`, ERROR_CODES.INVALID_INPUT);
+      }
+
+      const maxReplies = repliesLimit === Infinity ? Infinity : Number(repliesLimit);
+      if (!(maxReplies >= 0)) {
+        throw new ScrapingError(`Invalid repliesLimit: ${repliesLimit}. Must be a number greater than or equal to 0 or Infinity`, ERROR_CODES.INVALID_INPUT);
+      }
+
+      let cursor;
+      let page = null;
+
+      if (continuation) {
+        // Continue previous comments, in the middle of a page if the limit was reached there
+        const { videoId, token, skip = 0, sortBy = "top", title = null, totalComments = null } = Continuation.decode(continuation, "comments", ["videoId", "token"]);
+        cursor = { videoId, token, skip, sortBy, title, totalComments };
+      } else {
+        const videoId = YoutubeUrl.videoId(url);
+
+        // Watch page gives the token of the comments section
+        const watchPage = CommentsParser.parseWatchPage(await this.#fetch_next({ videoId }, videoId));
+
+        if (!watchPage.available) {
+          throw new ScrapingError("Video unavailable", ERROR_CODES.VIDEO_UNAVAILABLE);
+        }
+
+        if (!watchPage.continuation) {
+          throw new ScrapingError("Comments are turned off", ERROR_CODES.COMMENTS_DISABLED);
+        }
+
+        // First page is in top order, with the token of the newest order in its header
+        let token = watchPage.continuation;
+        page = CommentsParser.parsePage(await this.#fetch_next({ continuation: token }, videoId));
+
+        // Title and total are only on the first pages, the cursor keeps them for the next calls
+        const { title } = watchPage;
+        const { totalComments } = page;
+
+        if (initialSortBy === "newest") {
+          token = page.sortTokens.newest;
+
+          if (!token) {
+            throw new ScrapingError("Newest comments order not found", ERROR_CODES.UNKNOWN);
+          }
+
+          page = CommentsParser.parsePage(await this.#fetch_next({ continuation: token }, videoId));
+        }
+
+        cursor = { videoId, token, skip: 0, sortBy: initialSortBy, title, totalComments };
+      }
+
+      // Sort order of a continuation is the one of its first call
+      const { videoId, sortBy, title, totalComments } = cursor;
+      Logger.debug("Get comments", { videoId, sortBy, limit: max });
+
+      // Collect comments page by page
+      const comments = [];
+
+      while (cursor && comments.length < max) {
+        page = page ?? CommentsParser.parsePage(await this.#fetch_next({ continuation: cursor.token }, videoId));
+
+        const pageComments = page.comments.slice(cursor.skip);
+        const needed = max - comments.length;
+
+        comments.push(...pageComments.slice(0, needed));
+
+        if (pageComments.length > needed) {
+          // Next call continues in the middle of this page
+          cursor = { ...cursor, skip: cursor.skip + needed };
+        } else {
+          cursor = page.continuation && page.comments.length > 0 ? { ...cursor, token: page.continuation, skip: 0 } : null;
+        }
+
+        page = null;
+      }
+
+      const results = {
+        video_id: videoId,
+        title,
+        sort_by: sortBy,
+        total_comments: totalComments,
+        number_comments: comments.length,
+        comments: [],
+        continuation: cursor ? Continuation.encode(cursor) : null,
+      };
+
+      // Replies of each comment, all pages
+      for (const { replies_continuation, ...comment } of comments) {
+        if (includeReplies) {
+          comment.replies = replies_continuation && maxReplies > 0 ? await this.#fetch_replies(replies_continuation, results.video_id, maxReplies) : [];
+        }
+
+        results.comments.push(comment);
+      }
+
+      return { results, err: false, err_msg: "", code: null };
+    } catch (error) {
+      const code = ScrapingError.classify(error);
+      Hooks.emit("error", { method: "Video.getComments", error, code });
+
+      return {
+        results: null,
+        err: true,
+        err_msg: `Failed to get comments: ${error.message}`,
+        code,
+      };
+    }
+  }
+
+  /**
+   * Send an InnerTube `next` request, retrying transient errors
+   * Comments are not cached, moderation needs the current ones
+   * @param {Object} body - `{ videoId }` or `{ continuation }`
+   * @param {string} videoId - Video ID used as hook target
+   * @returns {Promise<Object>} InnerTube response
+   * @private
+   */
+  static async #fetch_next(body, videoId) {
+    return await Retry.run((attempt) => {
+      Hooks.emit("request", { client: "innertube", target: videoId, attempt });
+      return InnerTube.post("next", body);
+    });
+  }
+
+  /**
+   * Get the pages of replies of a comment until the limit
+   * @param {string} token - Token of the first page of replies
+   * @param {string} videoId - Video ID used as hook target
+   * @param {number} max - Maximum number of replies
+   * @returns {Promise<Object[]>} Replies in page order
+   * @private
+   */
+  static async #fetch_replies(token, videoId, max) {
+    const replies = [];
+    let next = token;
+
+    while (next && replies.length < max) {
+      const { comments, continuation } = CommentsParser.parsePage(await this.#fetch_next({ continuation: next }, videoId));
+
+      replies.push(...comments.slice(0, max - replies.length).map(({ replies_continuation, ...reply }) => reply));
+      next = comments.length > 0 ? continuation : null;
+    }
+
+    return replies;
+  }
+
+  /**
+   * Download the first matching format of a video to disk, or merge the best video and audio streams when `mux` is enabled
+   * @param {string} url - YouTube video URL or ID, any link form
+   * @param {Object} [downloadOptions={}] - Download options
+   * @param {string} [downloadOptions.outDir="."] - Output directory
+   * @param {string} [downloadOptions.filenameTemplate="{n} - {title}.{ext}"] - Filename template
+   * @param {number} [downloadOptions.VideoNumber=1] - Video number used for `{n}`
+   * @param {string[]} [downloadOptions.types=["video and audio"]] - Video types to include (ignored when `mux` is enabled)
+   * @param {Object} [downloadOptions.qualitys=D_Q] - Quality filters
+   * @param {boolean} [downloadOptions.resume=true] - Continue a partial `.part` file
+   * @param {Function|null} [downloadOptions.onProgress=null] - Progress callback `({ downloaded, total, percent })`
+   * @param {boolean} [downloadOptions.mux=false] - Merge best video-only and audio-only streams with ffmpeg
+   * @param {string} [downloadOptions.container="mp4"] - Output container when muxing ("mp4" or "mkv")
+   * @param {string} [downloadOptions.ffmpegPath="ffmpeg"] - ffmpeg executable used when muxing
+   * @param {Object|null} [downloadOptions.select=null] - Selection policy picking the formats (see `SELECT_OPTIONS`)
+   * @returns {Promise<FileResponse>} Downloaded file response
+   */
+  static async download(url, downloadOptions = {}) {
+    // Merge default options with provided options
+    const { outDir, filenameTemplate, VideoNumber, types, qualitys, resume, onProgress, mux, container, ffmpegPath, select } = {
+      ...DOWNLOAD_OPTIONS,
+      ...downloadOptions,
+    };
+
+    const contextInfo = `| N: ${VideoNumber} | url: ${url}`;
+
+    // Stream files of a mux download, removed whether the merge succeeds or not
+    const streamPaths = [];
+
+    try {
+      // Validate selection policy and mux options before any request
+      if (select) {
+        FormatSelector.parse(select);
+      }
+
+      if (mux) {
+        if (!Muxer.CONTAINERS.includes(container)) {
+          throw new ScrapingError(`Invalid container: ${container}. Must be ${Muxer.CONTAINERS.map((c) => `"${c}"`).join(" or ")}`, ERROR_CODES.INVALID_INPUT);
+        }
+
+        // Check ffmpeg before transferring the streams, the merge still reports a missing executable
+        if (!(await Muxer.isAvailable(ffmpegPath))) {
+          throw new ScrapingError(Muxer.notFoundMessage(ffmpegPath), ERROR_CODES.FFMPEG_NOT_FOUND);
+        }
+      }
+
+      // Get video info, muxing needs separated video and audio formats
+      const { VideoData, err, err_msg, code } = await this.getInfo(url, {
+        VideoNumber,
+        types: mux ? ["video", "audio"] : types,
+        qualitys: mux ? D_Q : qualitys,
+        ...(!mux && { select }),
+      });
+
+      // Error already emitted by getInfo
+      if (err) {
+        return {
+          results: null,
+          err: true,
+          err_msg: `ERROR: In Download ${contextInfo} | ERROR MESSAGE: ${err_msg}`,
+          code,
+        };
+      }
+
+      const { id, title, formats } = VideoData;
+
+      // Pick formats to download
+      const selected = mux ? this.#select_mux_formats(formats, qualitys, container, select) : formats.slice(0, 1);
+      if (selected.length === 0) {
+        throw new ScrapingError(
+          mux ? "No video-only and audio-only formats found for the given qualitys and selection" : "No format found for the given types, qualitys and selection",
+          ERROR_CODES.FORMAT_NOT_FOUND
+        );
+      }
+
+      const [format] = selected;
+
+      // Build destination path from template
+      const filename = Downloader.renderFilename(filenameTemplate, {
+        n: VideoNumber,
+        id,
+        title,
+        quality: format.quality,
+        type: mux ? "video and audio" : format.type,
+        ext: mux ? container : Downloader.extFromMimeType(format.mimeType),
+      });
+      const filePath = path.join(outDir, filename);
+
+      // Download a single format
+      if (!mux) {
+        const { results, err: downloadError, err_msg: downloadErrorMsg, code: downloadCode } = await Downloader.downloadFile(format.url, filePath, { resume, onProgress });
+
+        if (downloadError) {
+          throw new ScrapingError(downloadErrorMsg, downloadCode);
+        }
+
+        return {
+          results: { ...results, format: format.title },
+          err: false,
+          err_msg: "",
+          code: null,
+        };
+      }
+
+      // Download video and audio streams next to the output file
+      for (const streamFormat of selected) {
+        const streamPath = `${filePath}.${streamFormat.type}.${Downloader.extFromMimeType(streamFormat.mimeType)}`;
+        const streamProgress = typeof onProgress === "function" ? (progress) => onProgress({ ...progress, stream: streamFormat.type }) : null;
+
+        const { err: downloadError, err_msg: downloadErrorMsg, code: downloadCode } = await Downloader.downloadFile(streamFormat.url, streamPath, {
+          resume,
+          onProgress: streamProgress,
+        });
+
+        if (downloadError) {
+          throw new ScrapingError(downloadErrorMsg, downloadCode);
+        }
+
+        streamPaths.push(streamPath);
+      }
+
+      // Merge streams
+      const { err: mergeError, err_msg: mergeErrorMsg, code: mergeCode } = await Muxer.merge(streamPaths[0], streamPaths[1], filePath, { ffmpegPath });
+
+      if (mergeError) {
+        throw new ScrapingError(mergeErrorMsg, mergeCode);
+      }
+
+      return {
+        results: {
+          path: filePath,
+          size: fs.statSync(filePath).size,
+          resumed: false,
+          format: selected.map(({ title }) => title).join(" + "),
+        },
+        err: false,
+        err_msg: "",
+        code: null,
+      };
+    } catch (error) {
+      const code = ScrapingError.classify(error);
+      Hooks.emit("error", { method: "Video.download", error, code });
+
+      return {
+        results: null,
+        err: true,
+        err_msg: `ERROR: In Download ${contextInfo} | ERROR MESSAGE: ${error.message}`,
+        code,
+      };
+    } finally {
+      await Promise.all(streamPaths.map((streamPath) => fs.promises.rm(streamPath, { force: true })));
+    }
+  }
+
+  /**
+   * Select the best video-only format for the qualitys and the best audio-only format
+   * Formats are already sorted best first, formats in the output container are preferred
+   * @param {Array} formats - Format objects
+   * @param {Object} qualitys - Quality filters
+   * @param {string} container - Output container ("mp4" or "mkv")
+   * @param {Object|null} [select=null] - Selection policy applied to video and audio formats separately
+   * @returns {Array} `[videoFormat, audioFormat]` or empty array if one is missing
+   * @private
+   */
+  static #select_mux_formats(formats, qualitys, container, select = null) {
+    if (select) {
+      // Prefer streams already in the output container unless the policy sets containers
+      const policy = { ...(container === "mp4" && { container: ["mp4"] }), ...select };
+
+      const { format: videoFormat } = FormatSelector.select(
+        this.#filter_formats_by_qualitys(
+          formats.filter((format) => format.type === "video"),
+          qualitys
+        ),
+        policy
+      );
+      const { format: audioFormat } = FormatSelector.select(
+        formats.filter((format) => format.type === "audio"),
+        policy
+      );
+
+      return videoFormat && audioFormat ? [videoFormat, audioFormat] : [];
+    }
+
+    // Pick first format, preferring the output container
+    const pickBest = (list) => list.find((format) => container !== "mp4" || format.mimeType.includes("/mp4")) || list[0];
+
+    const videoFormats = this.#filter_formats_by_qualitys(
+      formats.filter((format) => format.type === "video"),
+      qualitys
+    );
+    const audioFormats = formats.filter((format) => format.type === "audio");
+
+    // Keep the highest quality found before applying the container preference
+    const bestQuality = videoFormats.length > 0 ? videoFormats[0].quality : null;
+    const videoFormat = pickBest(videoFormats.filter((format) => format.quality === bestQuality));
+    const audioFormat = pickBest(audioFormats);
+
+    return videoFormat && audioFormat ? [videoFormat, audioFormat] : [];
+  }
 }
 
 module.exports = { Video };
@@ -0,0 +1,174 @@
+// Data
+const { VIDEO_FIELDS } = require("../constants/video_fields");
+
+/**
+ * Youtube Video Details Helper
+ * Normalizes the raw `videoDetails` of ytdl-core, shared by Video and YoutubeSearch
+ */
+class VideoDetails {
+  /**
+   * All fields that can be included
+   * @type {string[]}
+   */
+  static FIELDS = VIDEO_FIELDS;
+
+  /**
+   * Normalize the requested fields of raw video details
+   * @param {Object} videoDetails - Raw `videoDetails` from ytdl-core
+   * @param {string[]|string|null} [include=VIDEO_FIELDS] - Fields to include, or "all", null is no field
+   * @returns {Object} Normalized fields
+   */
+  static normalize(videoDetails = {}, include = VIDEO_FIELDS) {
+    const fields = include === "all" ? VIDEO_FIELDS : include ?? [];
+    const details = videoDetails || {};
+    const result = {};
+
+    // Numbers are strings in the player response
+    const durationSeconds = this.#to_number(details.lengthSeconds);
+
+    for (const field of fields) {
+      switch (field) {
+        case "description":
+          result.description = details.description ?? null;
+          break;
+
+        case "duration":
+          result.duration_seconds = durationSeconds;
+          break;
+
+        case "views":
+          result.view_count = this.#to_number(details.viewCount);
+          break;
+
+        case "likes":
+          result.like_count = this.#to_number(details.likes);
+          break;
+
+        case "publish_date":
+          result.publish_date = details.publishDate ?? null;
+          result.upload_date = details.uploadDate ?? null;
+          break;
+
+        case "category":
+          result.category = details.category ?? null;
+          break;
+
+        case "keywords":
+          result.keywords = Array.isArray(details.keywords) ? details.keywords : [];
+          break;
+
+        case "chapters":
+          result.chapters = this.#prepare_chapters(details.chapters, durationSeconds);
+          break;
+
+        case "thumbnails":
+          result.thumbnails = this.#prepare_thumbnails(details.thumbnails);
+          break;
+
+        case "channel":
+          result.channel = this.#prepare_channel(details);
+          break;
+
+        case "live":
+          result.live = this.#prepare_live(details);
+          break;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the fields not supported in an include list
+   * @param {string[]|string|null} include - Fields to include, or "all", null is no field
+   * @returns {string[]} Unknown fields
+   */
+  static unknownFields(include) {
+    if (include === "all" || include === null || include === undefined) return [];
+    if (!Array.isArray(include)) return [String(include)];
+
+    return include.filter((field) => !VIDEO_FIELDS.includes(field));
+  }
+
+  /**
+   * Add end time to chapters, the last chapter ends with the video
+   * @param {Array} chapters - Raw chapters `{ title, start_time }`
+   * @param {number|null} durationSeconds - Video duration
+   * @returns {Array<{title: string, start_seconds: number, end_seconds: number|null}>} Chapters
+   * @private
+   */
+  static #prepare_chapters(chapters, durationSeconds) {
+    if (!Array.isArray(chapters)) return [];
+
+    return chapters.map((chapter, index) => ({
+      title: chapter.title,
+      start_seconds: chapter.start_time,
+      end_seconds: index < chapters.length - 1 ? chapters[index + 1].start_time : durationSeconds,
+    }));
+  }
+
+  /**
+   * Sort thumbnails from the smallest to the largest
+   * @param {Array} thumbnails - Raw thumbnails
+   * @returns {Array<{url: string, width: number, height: number}>} Thumbnails by size
+   * @private
+   */
+  static #prepare_thumbnails(thumbnails) {
+    if (!Array.isArray(thumbnails)) return [];
+
+    return thumbnails.map(({ url, width = null, height = null }) => ({ url, width, height })).sort((a, b) => (a.width || 0) - (b.width || 0));
+  }
+
+  /**
+   * Extract channel information
+   * @param {Object} details - Raw video details
+   * @returns {Object} Channel information
+   * @private
+   */
+  static #prepare_channel(details) {
+    const { id = details.channelId ?? null, name = details.ownerChannelName ?? null, channel_url = null, user_url = null, thumbnails = [], verified = false, subscriber_count = null } = details.author || {};
+
+    return {
+      id,
+      name,
+      url: channel_url,
+      user_url,
+      avatar_url: Array.isArray(thumbnails) && thumbnails.length > 0 ? thumbnails[0].url : null,
+      verified: Boolean(verified),
+      subscriber_count: this.#to_number(subscriber_count),
+    };
+  }
+
+  /**
+   * Extract live and upcoming status
+   * @param {Object} details - Raw video details
+   * @returns {Object} Live status
+   * @private
+   */
+  static #prepare_live(details) {
+    const { isLiveNow = false, startTimestamp = null, endTimestamp = null } = details.liveBroadcastDetails || {};
+
+    return {
+      is_live_content: Boolean(details.isLiveContent),
+      is_live_now: Boolean(isLiveNow),
+      is_upcoming: Boolean(details.isUpcoming),
+      start_time: startTimestamp,
+      end_time: endTimestamp,
+    };
+  }
+
+  /**
+   * Convert a numeric value to a number
+   * @param {*} value - Number or numeric string
+   * @returns {number|null} Number or null if not numeric
+   * @private
+   */
+  static #to_number(value) {
+    if (value === null || value === undefined || value === "") return null;
+
+    const number = Number(value);
+    return isNaN(number) ? null : number;
+  }
+}
+
+module.exports = { VideoDetails };
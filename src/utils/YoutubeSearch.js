@@ -1,24 +1,47 @@
+// Only `main_ytsr` still uses ytsr, its callers expect raw ytsr results
 const ytsr = require("@distube/ytsr");
 const { separateNumbers, isObject, secondsToDuration, datetimeToDuration } = require("@el-zazo/main-utils");
 
 // Helpers
 const { Playlist } = require("./Playlist");
 const { Video } = require("./Video");
+const { Retry } = require("./Retry");
+const { Cache } = require("./Cache");
+const { Pool } = require("./Pool");
+const { Hooks } = require("./Hooks");
+const { Exporter } = require("./Exporter");
+const { VideoDetails } = require("./VideoDetails");
+const { InnerTube } = require("./InnerTube");
+const { Continuation } = require("./Continuation");
+const { SearchFilters } = require("./SearchFilters");
+const { SearchParser } = require("./SearchParser");
+const { RecommendationGraph } = require("./RecommendationGraph");
+const { YoutubeUrl } = require("./YoutubeUrl");
+const { Logger } = require("./Logger");
+const { ScrapingError } = require("./ScrapingError");
+
+// Data
+const { ERROR_CODES } = require("../constants/error_codes");
+
+// Options
+const { SEARCH_OPTIONS } = require("../options/search_options");
+const { CRAWL_OPTIONS } = require("../options/crawl_options");
 
 /**
  * @typedef {Object} SearchResponse
- * @property {Object|null} results - The search results or null if error
+ * @property {Object|string|null} results - The search results `{ number_items, items, continuation, estimated_results }`, exported content with `exportFormat` or null if error
  * @property {boolean} err - Error flag
  * @property {string} err_msg - Error message
+ * @property {string|null} code - Error code from `ERROR_CODES` or null if no error
  */
 
 /**
  * @typedef {Object} VideoItem
- * @property {string} type - Always "video"
+ * @property {string} type - "video", or "movie" for movie results
  * @property {string} id - Video ID
  * @property {string} name - Video title
  * @property {string} url - Video URL
- * @property {string} views - Formatted view count
+ * @property {string|null} views - Formatted view count, null for movies
  * @property {string} duration - Formatted duration
  * @property {string} uploadedAt - Upload date
  * @property {string|Object} thumbnail - Thumbnail URL or object
@@ -38,7 +61,21 @@ const { Video } = require("./Video");
  * @property {string} author_name - Channel name
  * @property {string} author_url - Channel URL
  * @property {string|null} author_img_url - Channel avatar URL
- * @property {number} number_videos - Number of videos in playlist
+ * @property {number|null} number_videos - Number of videos in playlist, null if not in the search results and not enriched
+ */
+
+/**
+ * @typedef {Object} ChannelItem
+ * @property {string} type - Always "channel"
+ * @property {string} id - Channel ID
+ * @property {string} name - Channel name
+ * @property {string} url - Channel URL
+ * @property {string|null} handle - Channel handle like "@name"
+ * @property {string} description - Description snippet
+ * @property {string|null} subscribers - Formatted subscriber count
+ * @property {number|null} number_videos - Number of videos, not shown in results of channels with a handle
+ * @property {boolean} verified - Verified or official artist channel
+ * @property {string|null} author_img_url - Channel avatar URL, named like the avatar of video and playlist authors
  */
 
 /**
@@ -46,155 +83,388 @@ const { Video } = require("./Video");
  * Provides methods to search and retrieve YouTube content
  */
 class YoutubeSearch {
+  /**
+   * Default number of items by search type
+   * @type {Object<string, number>}
+   */
+  static DEFAULT_LIMITS = { video: 100, playlist: 20, channel: 20, movie: 20, all: 20 };
+
   /**
    * Perform a basic YouTube search using ytsr
+   * Other searches use InnerTube, this method keeps ytsr to return the raw ytsr results it always returned
    * @param {string} type - Search type ("video" or "playlist")
    * @param {string} query - Search query
    * @returns {Promise<SearchResponse>} Search results
    */
   static async main_ytsr(type, query) {
     try {
-      const results = await ytsr(query, { type });
+      const results = await this.#fetch_search(query, { type });
 
-      return { results, err: false, err_msg: "" };
+      return { results, err: false, err_msg: "", code: null };
     } catch (error) {
+      const code = ScrapingError.classify(error);
+      Hooks.emit("error", { method: "YoutubeSearch.main_ytsr", error, code });
+
       return {
         results: null,
         err: true,
         err_msg: error.message,
+        code,
       };
     }
   }
 
   /**
-   * Search for videos on YouTube
+   * Search one result type, or all types, and format the items
+   * @param {string} type - Search type ("video", "playlist", "channel", "movie" or "all")
    * @param {string} query - Search query
-   * @returns {Promise<SearchResponse>} Video search results
+   * @param {Object} options - Search options (see `SEARCH_OPTIONS`)
+   * @returns {Promise<SearchResponse>} Search results
+   * @private
    */
-  static async searchVideos(query) {
+  static async #search(type, query, options) {
     try {
-      // Get video search results with a limit of 100 items
-      const { items: allItems } = await ytsr(query, { type: "video", limit: 100 });
+      const { enrich, concurrency, exportFormat } = { ...SEARCH_OPTIONS, ...options };
 
-      // Process each video item to extract relevant information
-      const items = allItems.map((video) => {
-        // Extract video information
-        const { id, name, url, thumbnail, author, views, duration, uploadedAt } = video;
+      // Validate export format before any request
+      if (exportFormat !== null && exportFormat !== undefined) {
+        Exporter.validate(exportFormat);
+      }
 
-        // Extract author information
-        const { name: authorName, url: authorUrl, avatars } = author;
+      // Get search results up to the limit
+      const { items: rawItems, continuation, estimatedResults } = await this.#collect(type, query, options);
 
-        // Get author avatar URL if available
-        const authorImgUrl = avatars.length > 0 ? avatars[0].url : null;
+      // Format each item by its type
+      const items = rawItems.map((rawItem) => {
+        if (rawItem.type === "playlist") return this.#playlist_item(rawItem);
+        if (rawItem.type === "channel") return this.#channel_item(rawItem);
 
-        // Return formatted video information
-        return {
-          type: "video",
-          id,
-          name,
-          url,
-          views: separateNumbers(views),
-          duration,
-          uploadedAt,
-          thumbnail,
-          author_name: authorName,
-          author_url: authorUrl,
-          author_img_url: authorImgUrl,
-        };
+        return this.#video_item(rawItem);
       });
 
-      // Create results object with item count and items array
-      const results = { number_items: items.length, items };
+      if (enrich) {
+        await this.#enrich_playlists(items, concurrency);
+      }
+
+      // Create results object with item count, items array and next page continuation
+      let results = { number_items: items.length, items, continuation, estimated_results: estimatedResults };
 
-      return { results, err: false, err_msg: "" };
+      // Export items if requested
+      if (exportFormat !== null && exportFormat !== undefined) {
+        results = Exporter.export(exportFormat, results);
+      }
+
+      return { results, err: false, err_msg: "", code: null };
     } catch (error) {
+      const code = ScrapingError.classify(error);
+      Hooks.emit("error", { method: "YoutubeSearch.search", error, code });
+
       return {
         results: null,
         err: true,
-        err_msg: `Failed to search videos: ${error.message}`,
+        err_msg: `Failed to search ${type === "all" ? "all types" : `${type}s`}: ${error.message}`,
+        code,
       };
     }
   }
 
+  /**
+   * Format a video or movie search item
+   * @param {Object} video - Parsed search item
+   * @returns {VideoItem} Video item
+   * @private
+   */
+  static #video_item(video) {
+    // Extract video information
+    const { type, id, name, url, thumbnail, author, views, duration, uploadedAt } = video;
+
+    // Extract author information, some results like shows have no channel
+    const { name: authorName = null, url: authorUrl = null, avatars = [] } = author || {};
+
+    // Get author avatar URL if available
+    const authorImgUrl = avatars.length > 0 ? avatars[0].url : null;
+
+    // Return formatted video information
+    return {
+      type,
+      id,
+      name,
+      url,
+      views: views !== null ? separateNumbers(views) : null,
+      duration,
+      uploadedAt,
+      thumbnail,
+      author_name: authorName,
+      author_url: authorUrl,
+      author_img_url: authorImgUrl,
+    };
+  }
+
+  /**
+   * Format a playlist search item
+   * @param {Object} playlist - Parsed search item
+   * @returns {PlaylistItem} Playlist item
+   * @private
+   */
+  static #playlist_item(playlist) {
+    // Extract playlist information
+    const { id, name, url, thumbnail, owner, views, length } = playlist;
+
+    // Extract owner information, auto generated playlists have no owner
+    const { name: authorName = null, url: authorUrl = null, avatars = [] } = owner || {};
+
+    // Get author avatar URL if available
+    const authorImgUrl = avatars.length > 0 ? avatars[0].url : null;
+
+    // Return formatted playlist information
+    return {
+      type: "playlist",
+      id,
+      name,
+      url,
+      views: views !== null && views !== undefined ? separateNumbers(views) : null,
+      thumbnail,
+      author_name: authorName,
+      author_url: authorUrl,
+      author_img_url: authorImgUrl,
+      number_videos: length,
+    };
+  }
+
+  /**
+   * Set the number of videos of playlist items that have none, one playlist request per missing count
+   * @param {Array<Object>} items - Formatted search items, updated in place
+   * @param {number} concurrency - Number of playlists looked up in parallel
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async #enrich_playlists(items, concurrency) {
+    const missing = items.filter((item) => item.type === "playlist" && item.number_videos === null);
+
+    await Pool.map(
+      missing,
+      async (item) => {
+        // Count stays null if the playlist can not be read
+        const { numberVideo } = await Playlist.numberVideo(item.url);
+        item.number_videos = Number.isFinite(numberVideo) ? numberVideo : null;
+      },
+      { concurrency }
+    );
+  }
+
+  /**
+   * Format a channel search item
+   * @param {Object} channel - Parsed search item
+   * @returns {ChannelItem} Channel item
+   * @private
+   */
+  static #channel_item(channel) {
+    // Extract channel information
+    const { id, name, url, handle, avatars, verified, description, subscribers, videos } = channel;
+
+    // Return formatted channel information
+    return {
+      type: "channel",
+      id,
+      name,
+      url,
+      handle,
+      description,
+      subscribers: subscribers !== null ? separateNumbers(subscribers) : null,
+      number_videos: videos,
+      verified,
+      author_img_url: avatars.length > 0 ? avatars[0].url : null,
+    };
+  }
+
+  /**
+   * Fetch raw search results from ytsr, retrying transient errors
+   * @param {string} query - Search query
+   * @param {Object} [options={}] - ytsr options
+   * @returns {Promise<Object>} Raw ytsr search results
+   * @private
+   */
+  static async #fetch_search(query, options = {}) {
+    return await Cache.remember("search", `${query}:${JSON.stringify(options)}`, () =>
+      Retry.run((attempt) => {
+        Hooks.emit("request", { client: "ytsr", target: query, attempt });
+        return ytsr(query, options);
+      })
+    );
+  }
+
+  /**
+   * Get search items page by page until the limit, starting from a continuation if provided
+   * @param {string} type - Search type, "all" keeps every item type
+   * @param {string} query - Search query
+   * @param {Object} options - Search options (see `SEARCH_OPTIONS`)
+   * @returns {Promise<{items: Object[], continuation: string|null, estimatedResults: number|null}>} Raw items and next continuation
+   * @private
+   */
+  static async #collect(type, query, options) {
+    const { limit, continuation, sortBy, uploadDate, duration, features } = { ...SEARCH_OPTIONS, ...options };
+    const max = Number(limit) > 0 ? Number(limit) : this.DEFAULT_LIMITS[type];
+
+    // Continue a previous search or start a new one with encoded filters
+    let cursor = continuation ? { query: null, params: "", token: null, skip: 0, ...Continuation.decode(continuation, "search") } : { query, params: SearchFilters.encode({ type: type === "all" ? null : type, sortBy, uploadDate, duration, features }), token: null, skip: 0 };
+
+    if (!cursor.query && !cursor.token) {
+      throw new ScrapingError("Search query is required", ERROR_CODES.INVALID_INPUT);
+    }
+
+    const items = [];
+    let estimatedResults = null;
+
+    while (cursor && items.length < max) {
+      const page = await this.#fetch_page(cursor);
+      estimatedResults = estimatedResults ?? page.estimatedResults;
+
+      // Skip items already returned from this page
+      const pageItems = page.items.filter((item) => type === "all" || item.type === type).slice(cursor.skip);
+      const needed = max - items.length;
+
+      items.push(...pageItems.slice(0, needed));
+
+      if (pageItems.length > needed) {
+        // Next call continues in the middle of this page
+        cursor = { ...cursor, skip: cursor.skip + needed };
+      } else {
+        cursor = page.continuation && page.items.length > 0 ? { query: cursor.query, params: cursor.params, token: page.continuation, skip: 0 } : null;
+      }
+    }
+
+    return { items, continuation: cursor ? Continuation.encode(cursor) : null, estimatedResults };
+  }
+
+  /**
+   * Fetch and parse one page of search results, retrying transient errors
+   * @param {Object} cursor - Page cursor `{ query, params, token }`
+   * @returns {Promise<Object>} Parsed page
+   * @private
+   */
+  static async #fetch_page(cursor) {
+    const body = cursor.token ? { continuation: cursor.token } : { query: cursor.query, ...(cursor.params && { params: cursor.params }) };
+
+    return await Cache.remember("search", JSON.stringify(body), async () => {
+      const json = await Retry.run((attempt) => {
+        Hooks.emit("request", { client: "innertube", target: cursor.query, attempt });
+        return InnerTube.post("search", body);
+      });
+
+      return SearchParser.parsePage(json);
+    });
+  }
+
+  /**
+   * Search for videos on YouTube
+   * @param {string} query - Search query
+   * @param {Object} [options={}] - Search options (see `SEARCH_OPTIONS`)
+   * @param {number} [options.limit=100] - Maximum number of items
+   * @param {string|null} [options.continuation=null] - `continuation` of previous results
+   * @param {string} [options.sortBy="relevance"] - "relevance", "uploadDate", "viewCount" or "rating"
+   * @param {string|null} [options.uploadDate=null] - "hour", "today", "week", "month" or "year"
+   * @param {string|null} [options.duration=null] - "short", "medium" or "long"
+   * @param {string[]} [options.features=[]] - Like "4k", "hd", "subtitles", "live"
+   * @param {string|null} [options.exportFormat=null] - Export format of the results like "csv" or "m3u8" (see `Exporter.formats()`)
+   * @returns {Promise<SearchResponse>} Video search results
+   */
+  static async searchVideos(query, options = {}) {
+    return await this.#search("video", query, options);
+  }
+
   /**
    * Search for playlists on YouTube
    * @param {string} query - Search query
+   * @param {Object} [options={}] - Search options (see `SEARCH_OPTIONS`)
+   * @param {number} [options.limit=20] - Maximum number of items
+   * @param {string|null} [options.continuation=null] - `continuation` of previous results
+   * @param {string} [options.sortBy="relevance"] - "relevance", "uploadDate", "viewCount" or "rating"
+   * @param {string|null} [options.uploadDate=null] - "hour", "today", "week", "month" or "year"
+   * @param {boolean} [options.enrich=false] - Look up the number of videos of playlists missing it in the results
+   * @param {number} [options.concurrency=4] - Number of playlists looked up in parallel
+   * @param {string|null} [options.exportFormat=null] - Export format of the results like "csv" or "m3u8" (see `Exporter.formats()`)
    * @returns {Promise<SearchResponse>} Playlist search results
    */
-  static async searchPlaylists(query) {
-    try {
-      // Get playlist search results
-      const { items: playlists } = await ytsr(query, { type: "playlist" });
-      const items = [];
-
-      // Process each playlist to extract relevant information
-      for (const playlist of playlists) {
-        // Extract playlist information
-        const { id, name, url, thumbnail, author, views } = playlist;
-
-        // Extract author information
-        const { name: authorName, url: authorUrl, avatars } = author;
-
-        // Get author avatar URL if available
-        const authorImgUrl = avatars.length > 0 ? avatars[0].url : null;
-
-        // Get number of videos in the playlist
-        const { numberVideo } = await Playlist.numberVideo(url);
-
-        // Create formatted playlist item
-        const item = {
-          type: "playlist",
-          id,
-          name,
-          url,
-          views: separateNumbers(views),
-          thumbnail,
-          author_name: authorName,
-          author_url: authorUrl,
-          author_img_url: authorImgUrl,
-          number_videos: numberVideo,
-        };
+  static async searchPlaylists(query, options = {}) {
+    return await this.#search("playlist", query, options);
+  }
 
-        items.push(item);
-      }
+  /**
+   * Search for channels on YouTube
+   * @param {string} query - Search query
+   * @param {Object} [options={}] - Search options (see `SEARCH_OPTIONS`)
+   * @param {number} [options.limit=20] - Maximum number of items
+   * @param {string|null} [options.continuation=null] - `continuation` of previous results
+   * @param {string} [options.sortBy="relevance"] - "relevance", "uploadDate", "viewCount" or "rating"
+   * @param {string|null} [options.exportFormat=null] - Export format of the results like "csv" or "m3u8" (see `Exporter.formats()`)
+   * @returns {Promise<SearchResponse>} Channel search results
+   */
+  static async searchChannels(query, options = {}) {
+    return await this.#search("channel", query, options);
+  }
 
-      // Create results object with item count and items array
-      const results = { number_items: items.length, items };
+  /**
+   * Search for movies on YouTube
+   * @param {string} query - Search query
+   * @param {Object} [options={}] - Search options (see `SEARCH_OPTIONS`)
+   * @param {number} [options.limit=20] - Maximum number of items
+   * @param {string|null} [options.continuation=null] - `continuation` of previous results
+   * @param {string} [options.sortBy="relevance"] - "relevance", "uploadDate", "viewCount" or "rating"
+   * @param {string|null} [options.duration=null] - "short", "medium" or "long"
+   * @param {string|null} [options.exportFormat=null] - Export format of the results like "csv" or "m3u8" (see `Exporter.formats()`)
+   * @returns {Promise<SearchResponse>} Movie search results
+   */
+  static async searchMovies(query, options = {}) {
+    return await this.#search("movie", query, options);
+  }
 
-      return { results, err: false, err_msg: "" };
-    } catch (error) {
-      return {
-        results: null,
-        err: true,
-        err_msg: `Failed to search playlists: ${error.message}`,
-      };
-    }
+  /**
+   * Search all result types on YouTube, in the order of the results page
+   * @param {string} query - Search query
+   * @param {Object} [options={}] - Search options (see `SEARCH_OPTIONS`)
+   * @param {number} [options.limit=20] - Maximum number of items
+   * @param {string|null} [options.continuation=null] - `continuation` of previous results
+   * @param {string} [options.sortBy="relevance"] - "relevance", "uploadDate", "viewCount" or "rating"
+   * @param {string|null} [options.uploadDate=null] - "hour", "today", "week", "month" or "year"
+   * @param {string|null} [options.duration=null] - "short", "medium" or "long"
+   * @param {string[]} [options.features=[]] - Like "4k", "hd", "subtitles", "live"
+   * @param {boolean} [options.enrich=false] - Look up the number of videos of playlists missing it in the results
+   * @param {number} [options.concurrency=4] - Number of playlists looked up in parallel
+   * @param {string|null} [options.exportFormat=null] - Export format of the results like "csv" or "m3u8" (see `Exporter.formats()`)
+   * @returns {Promise<SearchResponse>} Mixed video, playlist, channel and movie items, see the `type` of each item
+   */
+  static async searchAll(query, options = {}) {
+    return await this.#search("all", query, options);
   }
 
   /**
    * Search YouTube by type and query
-   * @param {string} type - Search type ("video" or "playlist")
+   * @param {string} type - Search type ("video", "playlist", "channel", "movie" or "all")
    * @param {string} query - Search query
+   * @param {Object} [options={}] - Search options `limit`, `continuation`, `sortBy`, `uploadDate`, `duration`, `features`, `enrich`, `concurrency`, `exportFormat` (see `SEARCH_OPTIONS`)
    * @returns {Promise<SearchResponse>} Search results
    */
-  static async search(type, query) {
+  static async search(type, query, options = {}) {
     try {
-      if (type === "video") {
-        return await this.searchVideos(query);
-      } else if (type === "playlist") {
-        return await this.searchPlaylists(query);
-      } else {
+      if (!Object.prototype.hasOwnProperty.call(this.DEFAULT_LIMITS, type)) {
         return {
           results: null,
           err: true,
-          err_msg: `Invalid search type: ${type}. Must be "video" or "playlist".`,
+          err_msg: `Invalid search type: ${type}. Must be "video", "playlist", "channel", "movie" or "all".`,
+          code: ERROR_CODES.INVALID_INPUT,
         };
       }
+
+      return await this.#search(type, query, options);
     } catch (error) {
+      const code = ScrapingError.classify(error);
+      Hooks.emit("error", { method: "YoutubeSearch.search", error, code });
+
       return {
         results: null,
         err: true,
         err_msg: `Search error: ${error.message}`,
+        code,
       };
     }
   }
@@ -210,21 +480,18 @@ class YoutubeSearch {
     if (!isObject(videoData)) return videoData;
 
     // Extract video information with defaults
-    const { videoId: id, title: name = null, video_url: url = null, thumbnail = null, author = {}, viewCount = null, lengthSeconds = null, uploadDate = null } = videoData;
+    const { videoId: id, title: name = null, video_url: url = null } = videoData;
 
-    // Extract author information with defaults
-    const { name: authorName = null, user_url: authorUrl = null, thumbnails = [] } = author || {};
-
-    // Get author avatar URL if available
-    const authorImgUrl = Array.isArray(thumbnails) && thumbnails.length > 0 ? thumbnails[0].url : null;
+    // Normalize details shared with Video.getInfo
+    const { view_count, duration_seconds, upload_date, thumbnails, channel } = VideoDetails.normalize(videoData, ["views", "duration", "publish_date", "thumbnails", "channel"]);
 
     // Process thumbnail URL
-    const thumbnailUrl = thumbnail && Array.isArray(thumbnail.thumbnails) && thumbnail.thumbnails.length > 0 ? thumbnail.thumbnails[0].url : null;
+    const thumbnailUrl = thumbnails.length > 0 ? thumbnails[0].url : null;
 
     // Format values
-    const views = separateNumbers(viewCount);
-    const duration = secondsToDuration(lengthSeconds);
-    const uploadedAt = datetimeToDuration(uploadDate);
+    const views = separateNumbers(view_count);
+    const duration = secondsToDuration(duration_seconds);
+    const uploadedAt = datetimeToDuration(upload_date);
 
     // Return formatted video information
     return {
@@ -236,9 +503,9 @@ class YoutubeSearch {
       duration,
       uploadedAt,
       thumbnail: thumbnailUrl,
-      author_name: authorName,
-      author_url: authorUrl,
-      author_img_url: authorImgUrl,
+      author_name: channel.name,
+      author_url: channel.user_url,
+      author_img_url: channel.avatar_url,
     };
   }
 
@@ -256,7 +523,7 @@ class YoutubeSearch {
     const { title: name = null, id = null, thumbnails: videoThumbnails = [], author = {}, view_count = null, length_seconds = null, published: uploadedAt = null } = videoData;
 
     // Generate video URL from ID
-    const url = id !== null ? `https://www.youtube.com/watch?v=${id}` : null;
+    const url = id !== null ? YoutubeUrl.videoUrl(id) : null;
 
     // Get thumbnail URL if available
     const thumbnail = Array.isArray(videoThumbnails) && videoThumbnails.length > 0 ? videoThumbnails[0].url : null;
@@ -295,7 +562,7 @@ class YoutubeSearch {
   static async videoAndRecommendations(url) {
     try {
       // Get video information
-      const { VideoData, err, err_msg } = await Video.main_getInfo(url);
+      const { VideoData, err, err_msg, code } = await Video.main_getInfo(url);
 
       // Return error if video info retrieval failed
       if (err) {
@@ -303,6 +570,7 @@ class YoutubeSearch {
           results: null,
           err,
           err_msg,
+          code,
         };
       }
 
@@ -318,15 +586,171 @@ class YoutubeSearch {
         recommendations,
       };
 
-      return { results, err: false, err_msg: "" };
+      return { results, err: false, err_msg: "", code: null };
     } catch (error) {
+      const code = ScrapingError.classify(error);
+      Hooks.emit("error", { method: "YoutubeSearch.videoAndRecommendations", error, code });
+
       return {
         results: null,
         err: true,
         err_msg: `Failed to get video and recommendations: ${error.message}`,
+        code,
+      };
+    }
+  }
+
+  /**
+   * Crawl recommendations breadth first from a seed video and build the graph of videos (nodes) and recommendations (edges)
+   * @param {string} seedUrl - YouTube video URL or ID of the seed
+   * @param {Object} [options={}] - Crawl options (see `CRAWL_OPTIONS`)
+   * @param {number} [options.depth=2] - Number of hops from the seed
+   * @param {number} [options.maxNodes=100] - Maximum number of videos in the graph
+   * @param {number} [options.concurrency=1] - Number of videos requested in parallel
+   * @param {number} [options.requestInterval=0] - Minimum milliseconds between the start of two requests
+   * @param {string|null} [options.checkpoint=null] - JSON file saving the crawl state, resumed when it exists
+   * @param {AbortSignal|null} [options.signal=null] - Stops the crawl after the current batch
+   * @param {string|null} [options.exportFormat=null] - `json`, `graphml` or `csv` to get the graph as a string
+   * @returns {Promise<SearchResponse>} Graph `{ seed, depth, max_nodes, complete, number_nodes, number_edges, nodes, edges }` or exported graph
+   */
+  static async crawlRecommendations(seedUrl, options = {}) {
+    // Merge default options with provided options
+    const { depth, maxNodes, concurrency, requestInterval, checkpoint, signal, exportFormat } = { ...CRAWL_OPTIONS, ...options };
+
+    try {
+      // Validate options before any request
+      const seed = YoutubeUrl.videoId(seedUrl);
+
+      if (!Number.isInteger(depth) || depth < 0) {
+        throw new ScrapingError(`Invalid depth: ${depth}. Must be an integer greater than or equal to 0`, ERROR_CODES.INVALID_INPUT);
+      }
+
+      if (!Number.isInteger(maxNodes) || maxNodes < 1) {
+        throw new ScrapingError(`Invalid maxNodes: ${maxNodes}. Must be an integer greater than 0`, ERROR_CODES.INVALID_INPUT);
+      }
+
+      if (exportFormat) RecommendationGraph.validate(exportFormat);
+
+      // Resume the saved crawl of the same seed, with its depth and max nodes
+      let state = checkpoint ? RecommendationGraph.load(checkpoint) : null;
+
+      if (state && state.seed !== seed) {
+        throw new ScrapingError(`Checkpoint ${checkpoint} is a crawl of ${state.seed}`, ERROR_CODES.INVALID_INPUT);
+      }
+
+      const resumed = Boolean(state);
+
+      if (!state) {
+        state = { seed, depth, max_nodes: maxNodes, nodes: {}, edges: [], pending: [{ id: seed, url: YoutubeUrl.videoUrl(seed), depth: 0 }] };
+      }
+
+      Logger.debug("Crawl recommendations", { seed, depth: state.depth, maxNodes: state.max_nodes, resumed });
+
+      // Videos are requested by batches of `concurrency`, merged in queue order so the graph does not depend on response times
+      const size = Math.max(1, parseInt(concurrency) || 1);
+
+      while (state.pending.length > 0 && !signal?.aborted) {
+        const batch = state.pending.splice(0, size);
+        const responses = await Pool.map(batch, (item) => this.videoAndRecommendations(item.url), { concurrency: size, requestInterval });
+
+        batch.forEach((item, index) => this.#add_crawled_video(state, item, responses[index]));
+
+        if (checkpoint) RecommendationGraph.save(checkpoint, state);
+
+        const done = Object.values(state.nodes).filter((node) => node.crawled || node.error).length;
+        Hooks.emit("progress", { method: "YoutubeSearch.crawlRecommendations", done, total: done + state.pending.length });
+      }
+
+      const nodes = Object.values(state.nodes);
+
+      const graph = {
+        seed: state.seed,
+        depth: state.depth,
+        max_nodes: state.max_nodes,
+        complete: state.pending.length === 0,
+        number_nodes: nodes.length,
+        number_edges: state.edges.length,
+        nodes,
+        edges: state.edges,
+      };
+
+      const results = exportFormat ? RecommendationGraph.export(graph, exportFormat) : graph;
+
+      return { results, err: false, err_msg: "", code: null };
+    } catch (error) {
+      const code = ScrapingError.classify(error);
+      Hooks.emit("error", { method: "YoutubeSearch.crawlRecommendations", error, code });
+
+      return {
+        results: null,
+        err: true,
+        err_msg: `Failed to crawl recommendations: ${error.message}`,
+        code,
       };
     }
   }
+
+  /**
+   * Add a requested video to the crawl state: its details, its recommendations as edges and the new videos to crawl
+   * @param {Object} state - Crawl state
+   * @param {Object} item - Queue item `{ id, url, depth }`
+   * @param {SearchResponse} response - Response of `videoAndRecommendations`
+   * @throws {ScrapingError} If the seed fails, the graph has no start
+   * @private
+   */
+  static #add_crawled_video(state, item, response) {
+    // Failed videos stay in the graph without recommendations
+    if (response.err) {
+      if (item.depth === 0) throw new ScrapingError(response.err_msg, response.code);
+
+      state.nodes[item.id].error = response.err_msg;
+      return;
+    }
+
+    const { origin_video_info: origin, recommendations } = response.results;
+    const { id } = item;
+
+    state.nodes[id] = { ...this.#graph_node(origin, item.depth), id, crawled: true };
+
+    recommendations.forEach((video, index) => {
+      if (!video.id || item.depth >= state.depth) return;
+
+      // Deduplicate by video ID, new videos are crawled on the next level until the depth
+      if (!state.nodes[video.id] && Object.keys(state.nodes).length < state.max_nodes) {
+        state.nodes[video.id] = this.#graph_node(video, item.depth + 1);
+
+        if (item.depth + 1 < state.depth) {
+          state.pending.push({ id: video.id, url: video.url, depth: item.depth + 1 });
+        }
+      }
+
+      // Recommendations of videos left out of the graph have no edge
+      if (state.nodes[video.id]) {
+        state.edges.push({ from: id, to: video.id, rank: index + 1 });
+      }
+    });
+  }
+
+  /**
+   * Create a graph node from a video item
+   * @param {VideoItem} video - Formatted video
+   * @param {number} depth - Number of hops from the seed
+   * @returns {Object} Graph node, not crawled
+   * @private
+   */
+  static #graph_node(video, depth) {
+    return {
+      id: video.id,
+      title: video.name ?? null,
+      url: video.url ?? null,
+      author_name: video.author_name ?? null,
+      views: video.views ?? null,
+      duration: video.duration ?? null,
+      depth,
+      crawled: false,
+      error: null,
+    };
+  }
 }
 
 module.exports = { YoutubeSearch };
@@ -0,0 +1,246 @@
+// Helpers
+const { ScrapingError } = require("./ScrapingError");
+
+// Data
+const { ERROR_CODES } = require("../constants/error_codes");
+
+/**
+ * @typedef {Object} ParsedUrl
+ * @property {string} type - Main resource: "video", "playlist" or "channel"
+ * @property {string|null} video_id - Video ID
+ * @property {string|null} playlist_id - Playlist ID, also set for a video watched in a playlist
+ * @property {string|null} channel_id - Channel ID (`UC…`), null for handles, custom and user URLs
+ * @property {string|null} channel_path - Channel path without ID like `@handle`, `c/name` or `user/name`
+ * @property {number|null} timestamp - Start time in seconds (`t=` or `start=`)
+ * @property {string} url - Canonical URL of the main resource, without timestamp
+ */
+
+/**
+ * Youtube URL Helper
+ * Parses every YouTube link form and bare IDs to canonical URLs
+ */
+class YoutubeUrl {
+  /**
+   * Video ID format
+   * @type {RegExp}
+   */
+  static VIDEO_ID_REGEX = /^[\w-]{11}$/;
+
+  /**
+   * Bare playlist ID format, `list=` values only need to be URL safe
+   * @type {RegExp}
+   */
+  static PLAYLIST_ID_REGEX = /^(?:PL|UU|LL|FL|RD|OL|UL|PU|EL)[\w-]{8,}$/;
+
+  /**
+   * Channel ID format
+   * @type {RegExp}
+   */
+  static CHANNEL_ID_REGEX = /^UC[\w-]{22}$/;
+
+  /**
+   * YouTube hosts, `youtu.be` paths are video IDs
+   * @type {RegExp}
+   */
+  static HOST_REGEX = /^(?:(?:www|m|music)\.)?youtube\.com$|^(?:www\.)?youtube-nocookie\.com$|^youtu\.be$/;
+
+  /**
+   * Paths followed by a video ID
+   * @type {string[]}
+   */
+  static #VIDEO_PATHS = ["shorts", "live", "embed", "v", "e"];
+
+  /**
+   * Parse a YouTube URL or a bare video, playlist or channel ID
+   * - Videos: `watch?v=`, `youtu.be/`, `/shorts/`, `/live/`, `/embed/`, `/v/` on `www.`, `m.`, `music.` and `youtube-nocookie.com`
+   * - Playlists: `playlist?list=`, `embed/videoseries?list=`, and `list=` of a watch URL next to its video
+   * - Channels: `/channel/UC…`, `/@handle`, `/c/name`, `/user/name` and bare `@handle`
+   * @param {string} input - URL or ID
+   * @returns {ParsedUrl} Parsed URL
+   * @throws {ScrapingError} INVALID_URL if the input is not a YouTube URL or ID
+   */
+  static parse(input) {
+    const text = String(input ?? "").trim();
+
+    if (!text) {
+      throw new ScrapingError("YouTube URL or ID is required", ERROR_CODES.INVALID_URL);
+    }
+
+    const parsed = { video_id: null, playlist_id: null, channel_id: null, channel_path: null, timestamp: null };
+
+    // Bare IDs and handles
+    if (this.VIDEO_ID_REGEX.test(text)) parsed.video_id = text;
+    else if (this.CHANNEL_ID_REGEX.test(text)) parsed.channel_id = text;
+    else if (this.PLAYLIST_ID_REGEX.test(text)) parsed.playlist_id = text;
+    else if (/^@[\w.-]+$/.test(text)) parsed.channel_path = text;
+    else Object.assign(parsed, this.#parse_url(text));
+
+    return { type: parsed.video_id ? "video" : parsed.playlist_id ? "playlist" : "channel", ...parsed, url: this.#canonical_url(parsed) };
+  }
+
+  /**
+   * Check if an input is a YouTube URL or ID
+   * @param {string} input - URL or ID
+   * @returns {boolean} True if `parse` succeeds
+   */
+  static isValid(input) {
+    try {
+      this.parse(input);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get the video ID of a URL or ID
+   * @param {string} input - Video URL or ID
+   * @returns {string} Video ID
+   * @throws {ScrapingError} INVALID_URL if there is no video
+   */
+  static videoId(input) {
+    const { video_id } = this.parse(input);
+    if (!video_id) throw new ScrapingError(`No video ID in "${input}"`, ERROR_CODES.INVALID_URL);
+
+    return video_id;
+  }
+
+  /**
+   * Get the playlist ID of a URL or ID, a channel gives its uploads playlist (`UU…`)
+   * @param {string} input - Playlist URL, watch URL with `list=`, playlist ID, channel URL with ID or channel ID
+   * @returns {string} Playlist ID
+   * @throws {ScrapingError} INVALID_URL if there is no playlist
+   */
+  static playlistId(input) {
+    const { playlist_id, channel_id } = this.parse(input);
+    if (playlist_id) return playlist_id;
+    if (channel_id) return `UU${channel_id.slice(2)}`;
+
+    throw new ScrapingError(`No playlist ID in "${input}"`, ERROR_CODES.INVALID_URL);
+  }
+
+  /**
+   * Get the canonical watch URL of a video
+   * @param {string} input - Video URL or ID
+   * @param {number|null} [timestamp=null] - Start time in seconds
+   * @returns {string} `https://www.youtube.com/watch?v=ID`
+   * @throws {ScrapingError} INVALID_URL if there is no video
+   */
+  static videoUrl(input, timestamp = null) {
+    const url = `https://www.youtube.com/watch?v=${this.videoId(input)}`;
+    return timestamp ? `${url}&t=${Math.floor(timestamp)}s` : url;
+  }
+
+  /**
+   * Get the canonical URL of a playlist, a channel gives its uploads playlist (`UU…`)
+   * @param {string} input - Playlist URL, watch URL with `list=`, playlist ID, channel URL with ID or channel ID
+   * @returns {string} `https://www.youtube.com/playlist?list=ID`
+   * @throws {ScrapingError} INVALID_URL if there is no playlist
+   */
+  static playlistUrl(input) {
+    return `https://www.youtube.com/playlist?list=${this.playlistId(input)}`;
+  }
+
+  /**
+   * Parse a full or scheme-less URL
+   * @param {string} text - Trimmed input
+   * @returns {Object} Parsed fields
+   * @throws {ScrapingError} INVALID_URL if the URL is malformed or not a YouTube resource
+   * @private
+   */
+  static #parse_url(text) {
+    let url;
+    let segments;
+    try {
+      url = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+      segments = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+      throw new ScrapingError(`Invalid YouTube URL: ${text}`, ERROR_CODES.INVALID_URL);
+    }
+
+    if (!["http:", "https:"].includes(url.protocol) || !this.HOST_REGEX.test(url.hostname.toLowerCase())) {
+      throw new ScrapingError(`Not a YouTube URL: ${text}`, ERROR_CODES.INVALID_URL);
+    }
+
+    const [first, second] = segments;
+    const params = url.searchParams;
+    const parsed = {};
+
+    // Video
+    let videoId = null;
+    if (url.hostname.toLowerCase() === "youtu.be") videoId = first || null;
+    else if (first === "watch") videoId = params.get("v");
+    else if (this.#VIDEO_PATHS.includes(first) && second !== "videoseries") videoId = second || null;
+
+    if (videoId !== null) {
+      if (!this.VIDEO_ID_REGEX.test(videoId)) {
+        throw new ScrapingError(`Invalid video ID "${videoId}" in ${text}`, ERROR_CODES.INVALID_URL);
+      }
+      parsed.video_id = videoId;
+    }
+
+    // Playlist, alone or next to the video
+    const list = params.get("list");
+    if (list !== null) {
+      if (!/^[\w-]+$/.test(list)) {
+        throw new ScrapingError(`Invalid playlist ID "${list}" in ${text}`, ERROR_CODES.INVALID_URL);
+      }
+      parsed.playlist_id = list;
+    }
+
+    // Channel
+    if (first === "channel") {
+      if (!this.CHANNEL_ID_REGEX.test(second || "")) {
+        throw new ScrapingError(`Invalid channel ID "${second || ""}" in ${text}`, ERROR_CODES.INVALID_URL);
+      }
+      parsed.channel_id = second;
+    } else if (first && first.startsWith("@")) {
+      parsed.channel_path = first;
+    } else if ((first === "c" || first === "user") && second) {
+      parsed.channel_path = `${first}/${second}`;
+    }
+
+    if (!parsed.video_id && !parsed.playlist_id && !parsed.channel_id && !parsed.channel_path) {
+      throw new ScrapingError(`No video, playlist or channel in ${text}`, ERROR_CODES.INVALID_URL);
+    }
+
+    // Start time of `t=1m30s`, `t=90`, `#t=90` or embed `start=90`
+    const hashTime = new URLSearchParams(url.hash.slice(1)).get("t");
+    parsed.timestamp = this.#parse_timestamp(params.get("t") ?? hashTime ?? params.get("start"));
+
+    return parsed;
+  }
+
+  /**
+   * Convert a timestamp like `90`, `90s` or `1h2m3s` to seconds
+   * @param {string|null} value - Timestamp
+   * @returns {number|null} Seconds or null if missing or malformed
+   * @private
+   */
+  static #parse_timestamp(value) {
+    if (!value) return null;
+    if (/^\d+$/.test(value)) return Number(value);
+
+    const match = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/.exec(value);
+    if (!match || !match[0]) return null;
+
+    const [, hours = 0, minutes = 0, seconds = 0] = match;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+  }
+
+  /**
+   * Build the canonical URL of the main resource
+   * @param {Object} parsed - Parsed fields
+   * @returns {string} Canonical URL
+   * @private
+   */
+  static #canonical_url({ video_id, playlist_id, channel_id, channel_path }) {
+    if (video_id) return `https://www.youtube.com/watch?v=${video_id}`;
+    if (playlist_id) return `https://www.youtube.com/playlist?list=${playlist_id}`;
+    if (channel_id) return `https://www.youtube.com/channel/${channel_id}`;
+
+    return `https://www.youtube.com/${encodeURI(channel_path)}`;
+  }
+}
+
+module.exports = { YoutubeUrl };
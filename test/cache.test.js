@@ -0,0 +1,71 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Fixtures must replace the clients before the library is loaded
+const { calls, resetCalls } = require("./helpers/fixtures");
+const { Cache, FileCache, Video } = require("..");
+
+const VIDEO_URL = "https://www.youtube.com/watch?v=dQw4w9WgXcQ";
+
+let directory;
+
+before(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "yts-cache-"));
+});
+
+after(() => {
+  Cache.configure({ store: null });
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe("FileCache", () => {
+  it("groups the changes in one write and reloads them", async () => {
+    const file = path.join(directory, "grouped", "cache.json");
+    const cache = new FileCache({ path: file, saveDelay: 20 });
+
+    cache.set("a", 1, 60000);
+    cache.set("b", 2, 60000);
+    cache.delete("a");
+    assert.equal(fs.existsSync(file), false);
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(file, "utf8"))), ["b"]);
+    assert.deepEqual(fs.readdirSync(path.dirname(file)), ["cache.json"]);
+    assert.equal(new FileCache({ path: file }).get("b"), 2);
+  });
+
+  it("saves right away on flush without expired entries", () => {
+    const file = path.join(directory, "flushed.json");
+    const cache = new FileCache({ path: file, saveDelay: 60000 });
+
+    cache.set("kept", "value", 60000);
+    cache.set("expired", "value", -1);
+    cache.flush();
+
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(file, "utf8"))), ["kept"]);
+  });
+
+  it("starts empty from an unreadable file", () => {
+    const file = path.join(directory, "broken.json");
+    fs.writeFileSync(file, "{ not json");
+
+    assert.equal(new FileCache({ path: file }).entries.size, 0);
+  });
+
+  it("answers repeated video requests from the cache", async () => {
+    const store = new FileCache({ path: path.join(directory, "video.json") });
+    Cache.configure({ store });
+    resetCalls();
+
+    await Video.getInfo(VIDEO_URL);
+    await Video.getInfo(VIDEO_URL);
+    store.flush();
+
+    assert.equal(calls.ytdl.length, 1);
+    assert.equal(Object.keys(JSON.parse(fs.readFileSync(store.path, "utf8"))).length, 1);
+  });
+});
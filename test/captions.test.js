@@ -0,0 +1,67 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { FIXTURES_DIR } = require("./helpers/fixtures");
+const { Captions } = require("..");
+
+const CUES = [
+  { start_ms: 500, end_ms: 2600, text: "It's here" },
+  { start_ms: 2600, end_ms: 4000, text: "Tom & Jerry\non two lines" },
+  { start_ms: 3723004, end_ms: 3725004, text: "One hour later" },
+];
+
+/**
+ * Read a stored timedtext document
+ * @param {string} file - File name in `fixtures/timedtext`
+ * @returns {string} Document content
+ */
+const readTimedtext = (file) => fs.readFileSync(path.join(FIXTURES_DIR, "timedtext", file), "utf8");
+
+describe("Captions.parse", () => {
+  for (const file of ["srv1.xml", "srv3.xml", "json3.json"]) {
+    it(`parses ${file}`, () => {
+      assert.deepEqual(Captions.parse(readTimedtext(file)), CUES);
+    });
+  }
+
+  it("parses an already parsed json3 object", () => {
+    assert.deepEqual(Captions.parse(JSON.parse(readTimedtext("json3.json"))), CUES);
+  });
+
+  it("returns no cues for empty content", () => {
+    assert.deepEqual(Captions.parse(""), []);
+  });
+
+  it("decodes entities once and keeps invalid code points", () => {
+    const xml = '<transcript><text start="0" dur="1">&amp;lt;b&amp;gt; &#x1F600; &#1114112; &#xFFFFFFF; &copy;</text></transcript>';
+
+    assert.deepEqual(Captions.parse(xml), [{ start_ms: 0, end_ms: 1000, text: "&lt;b&gt; \u{1F600} &#1114112; &#xFFFFFFF; &copy;" }]);
+  });
+});
+
+describe("Captions.convert", () => {
+  it("converts to SRT", () => {
+    assert.equal(
+      Captions.convert(CUES, "srt"),
+      "1\n00:00:00,500 --> 00:00:02,600\nIt's here\n\n2\n00:00:02,600 --> 00:00:04,000\nTom & Jerry\non two lines\n\n3\n01:02:03,004 --> 01:02:05,004\nOne hour later\n"
+    );
+  });
+
+  it("converts to WebVTT", () => {
+    assert.equal(
+      Captions.convert(CUES, "vtt"),
+      "WEBVTT\n\n00:00:00.500 --> 00:00:02.600\nIt's here\n\n00:00:02.600 --> 00:00:04.000\nTom & Jerry\non two lines\n\n01:02:03.004 --> 01:02:05.004\nOne hour later\n"
+    );
+  });
+
+  it("converts to text and JSON", () => {
+    assert.equal(Captions.convert(CUES, "text"), "It's here\nTom & Jerry on two lines\nOne hour later");
+    assert.equal(Captions.convert(CUES, "json"), CUES);
+  });
+
+  it("throws on unknown formats", () => {
+    assert.throws(() => Captions.convert(CUES, "ass"), /Invalid captions format: ass/);
+  });
+});
@@ -0,0 +1,69 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Fixtures must replace the clients before the library is loaded
+const { calls, resetCalls } = require("./helpers/fixtures");
+const { Channel, Retry } = require("..");
+
+const CHANNEL_ID = "UCfIxTuReChAnNeL00000001";
+
+Retry.configure({ minDelay: 0, maxDelay: 0, jitter: false });
+beforeEach(resetCalls);
+
+describe("Channel.getInfo", () => {
+  it("resolves a handle from its page and reads the channel metadata", async () => {
+    const { ChannelData, err } = await Channel.getInfo("https://www.youtube.com/@fixture");
+
+    assert.equal(err, false);
+    assert.deepEqual(ChannelData, {
+      id: CHANNEL_ID,
+      name: "Fixture Channel",
+      description: "Recorded channel page",
+      url: `https://www.youtube.com/channel/${CHANNEL_ID}`,
+      vanity_url: "http://www.youtube.com/@fixture",
+      avatar_url: "https://yt3.ggpht.com/fixture=s900",
+      keywords: "fixture tests",
+      subscribers: "1.2K subscribers",
+      videos: "3 videos",
+      is_family_safe: true,
+      uploads_url: "https://www.youtube.com/playlist?list=UUfIxTuReChAnNeL00000001",
+    });
+    assert.deepEqual(calls.pages, ["/@fixture", `/channel/${CHANNEL_ID}`]);
+  });
+
+  it("skips the handle page for channel IDs", async () => {
+    const { ChannelData } = await Channel.getInfo(CHANNEL_ID);
+
+    assert.equal(ChannelData.name, "Fixture Channel");
+    assert.deepEqual(calls.pages, [`/channel/${CHANNEL_ID}`]);
+  });
+
+  it("returns CHANNEL_UNAVAILABLE for missing pages", async () => {
+    const { ChannelData, err, code } = await Channel.getInfo("@missing");
+
+    assert.equal(ChannelData, null);
+    assert.equal(err, true);
+    assert.equal(code, "CHANNEL_UNAVAILABLE");
+  });
+});
+
+describe("Channel.resolveId", () => {
+  it("returns INVALID_INPUT for inputs without a channel before any request", async () => {
+    const responses = [await Channel.resolveId("not a channel"), await Channel.resolveId("https://vimeo.com/123"), await Channel.resolveId("https://www.youtube.com/watch?v=dQw4w9WgXcQ")];
+
+    assert.deepEqual(responses.map(({ code }) => code), ["INVALID_INPUT", "INVALID_INPUT", "INVALID_INPUT"]);
+    assert.match(responses[2].err_msg, /Unable to find a channel/);
+    assert.equal(calls.pages.length, 0);
+  });
+});
+
+describe("Channel.getUploads", () => {
+  it("rejects unknown tabs before any request", async () => {
+    const { err, err_msg, code } = await Channel.getUploads(CHANNEL_ID, { tab: "podcasts" });
+
+    assert.equal(err, true);
+    assert.equal(code, "INVALID_INPUT");
+    assert.match(err_msg, /Invalid tab: podcasts/);
+    assert.equal(calls.pages.length + calls.ytpl.length, 0);
+  });
+});
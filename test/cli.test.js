@@ -0,0 +1,107 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Fixtures must replace the clients before the library is loaded
+const { calls, resetCalls } = require("./helpers/fixtures");
+const { Retry } = require("..");
+const { Cli } = require("../src/utils/Cli");
+
+const VIDEO_URL = "https://www.youtube.com/watch?v=dQw4w9WgXcQ";
+const PLAYLIST_URL = "https://www.youtube.com/playlist?list=PLfIxTuRe0000000000000000000000001";
+
+Retry.configure({ minDelay: 0, maxDelay: 0, jitter: false });
+beforeEach(resetCalls);
+
+/**
+ * Run a command line with captured output
+ * @param {...string} argv - Arguments
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>} Exit code and output
+ */
+const run = async (...argv) => {
+  const output = { stdout: "", stderr: "" };
+  const stream = (name) => ({ write: (chunk) => (output[name] += chunk) });
+
+  const code = await Cli.run(argv, { stdout: stream("stdout"), stderr: stream("stderr") });
+
+  return { code, ...output };
+};
+
+describe("Cli exit codes", () => {
+  it("exits with 0 and writes JSON on success", async () => {
+    const { code, stdout, stderr } = await run("info", VIDEO_URL, "--quality", "360p", "--type", "both");
+
+    assert.equal(code, 0);
+    assert.equal(stderr, "");
+    assert.equal(JSON.parse(stdout).formats[0].quality, "360p");
+  });
+
+  it("exits with 1 and writes the error message on request errors", async () => {
+    const { code, stdout, stderr } = await run("info", "https://www.youtube.com/watch?v=pRiVaTeViD1");
+
+    assert.equal(code, 1);
+    assert.equal(stdout, "");
+    assert.match(stderr, /This is a private video/);
+  });
+
+  it("exits with 2 on invalid usage before any request", async () => {
+    const usages = [[], ["info"], ["watch", VIDEO_URL], ["info", VIDEO_URL, "--format", "xml"], ["info", VIDEO_URL, "--type", "image"], ["info", VIDEO_URL, "--unknown"], ["serve", "--port", "http"]];
+
+    for (const argv of usages) {
+      assert.equal((await run(...argv)).code, 2, argv.join(" "));
+    }
+    assert.equal(calls.ytdl.length, 0);
+  });
+
+  it("exits with 2 on non-integer numbers before any request", async () => {
+    const usages = [
+      ["links", PLAYLIST_URL, "--from", "abc"],
+      ["links", PLAYLIST_URL, "--to", "2.5"],
+      ["links", PLAYLIST_URL, "--concurrency", "abc"],
+      ["playlist", PLAYLIST_URL, "--interval", "1e-3"],
+      ["uploads", "UCfIxTuReChAnNeL00000001", "--pages", "two"],
+      ["search", "videos", "lofi", "--limit", "ten"],
+    ];
+
+    for (const argv of usages) {
+      const { code, stderr } = await run(...argv);
+
+      assert.equal(code, 2, argv.join(" "));
+      assert.match(stderr, new RegExp(`^Invalid option "${argv[argv.length - 2]}": ${argv[argv.length - 1].replace(".", "\\.")}\\. Must be an integer`));
+    }
+    assert.equal(calls.ytpl.length + calls.pages.length + calls.innertube.length, 0);
+  });
+
+  it("exits with 0 and writes the usage for help", async () => {
+    const { code, stdout } = await run("--help");
+
+    assert.equal(code, 0);
+    assert.match(stdout, /^Usage: yts <command>/);
+  });
+});
+
+describe("Cli links", () => {
+  it("writes the found links and exits with 1 when a video failed", async () => {
+    const { code, stdout, stderr } = await run("links", PLAYLIST_URL, "--quality", "360p", "--format", "text");
+    const lines = stdout.trim().split("\n");
+
+    assert.equal(code, 1);
+    assert.equal(lines.length, 3);
+    assert.match(lines[0], /\/videoplayback/);
+    assert.match(lines[2], /This is a private video/);
+    assert.equal(stderr, "1 of 3 links failed\n");
+  });
+
+  it("exits with 1 for export formats too", async () => {
+    const { code, stdout } = await run("links", PLAYLIST_URL, "--quality", "360p", "--format", "aria2");
+
+    assert.equal(code, 1);
+    assert.match(stdout, /out=/);
+  });
+
+  it("exits with 0 when every link is found", async () => {
+    const { code, stderr } = await run("links", PLAYLIST_URL, "--quality", "360p", "--to", "2");
+
+    assert.equal(code, 0);
+    assert.equal(stderr, "");
+  });
+});
@@ -0,0 +1,148 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Fixtures must replace the clients before the library is loaded
+const { calls, resetCalls, readFixture } = require("./helpers/fixtures");
+const { CommentsParser, Video, Retry } = require("..");
+
+const VIDEO_URL = "https://www.youtube.com/watch?v=dQw4w9WgXcQ";
+
+Retry.configure({ minDelay: 0, maxDelay: 0, jitter: false });
+beforeEach(resetCalls);
+
+/**
+ * Read a stored InnerTube `next` response
+ * @param {string} name - Video ID or token
+ * @returns {Object} Response
+ */
+const readPage = (name) => readFixture("innertube", "next", `${name}.json`);
+
+describe("CommentsParser", () => {
+  it("finds the comments section of a watch page", () => {
+    assert.deepEqual(CommentsParser.parseWatchPage(readPage("dQw4w9WgXcQ")), {
+      available: true,
+      title: "Rick Astley - Never Gonna Give You Up (Official Music Video)",
+      continuation: "comments-dQw4w9WgXcQ",
+    });
+    assert.equal(CommentsParser.parseWatchPage(readPage("sLa5hTiTlE1")).continuation, null);
+    assert.equal(CommentsParser.parseWatchPage(readPage("uNaVaIlAbLe")).available, false);
+  });
+
+  it("parses the header, view model comments and continuation of a first page", () => {
+    const page = CommentsParser.parsePage(readPage("comments-dQw4w9WgXcQ"));
+
+    assert.equal(page.totalComments, 2345);
+    assert.deepEqual(page.sortTokens, { top: "comments-dQw4w9WgXcQ-top", newest: "comments-dQw4w9WgXcQ-newest" });
+    assert.equal(page.continuation, "comments-dQw4w9WgXcQ-page-2");
+    assert.deepEqual(page.comments[0], {
+      id: "UgPiNnEd",
+      author_name: "@RickAstleyYT",
+      author_url: "https://www.youtube.com/@RickAstleyYT",
+      author_channel_id: "UCuAXFkgsw1L7xaCfnd5JJOw",
+      text: "Thank you for 1.5 billion views!",
+      likes: 12000,
+      reply_count: 2,
+      published_time: "1 year ago",
+      pinned: true,
+      hearted: true,
+      author_is_creator: true,
+      replies_continuation: "replies-UgPiNnEd",
+    });
+    assert.equal(page.comments[1].likes, 1200);
+    assert.equal(page.comments[1].replies_continuation, null);
+  });
+
+  it("parses older comment renderers", () => {
+    const [, , legacy] = CommentsParser.parsePage(readPage("comments-dQw4w9WgXcQ")).comments;
+
+    assert.deepEqual(legacy, {
+      id: "UgLeGaCy",
+      author_name: "@oldlayout",
+      author_url: "https://www.youtube.com/@oldlayout",
+      author_channel_id: "UColdlayout",
+      text: "First line\nSecond line",
+      likes: 35,
+      reply_count: 1,
+      published_time: "3 years ago",
+      pinned: false,
+      hearted: false,
+      author_is_creator: false,
+      replies_continuation: "replies-UgLeGaCy",
+    });
+  });
+
+  it("reads the token of a show more replies button", () => {
+    const page = CommentsParser.parsePage(readPage("replies-UgPiNnEd"));
+
+    assert.deepEqual(page.comments.map(({ id }) => id), ["UgPiNnEd.r1"]);
+    assert.equal(page.continuation, "replies-UgPiNnEd-2");
+    assert.equal(page.totalComments, null);
+  });
+});
+
+describe("Video.getComments", () => {
+  it("pages through comments until the limit and continues in the middle of a page", async () => {
+    const first = await Video.getComments(VIDEO_URL, { limit: 4 });
+
+    assert.equal(first.err, false);
+    assert.equal(first.results.title, "Rick Astley - Never Gonna Give You Up (Official Music Video)");
+    assert.equal(first.results.total_comments, 2345);
+    assert.deepEqual(first.results.comments.map(({ id }) => id), ["UgPiNnEd", "UgViEwEr1", "UgLeGaCy", "UgViEwEr2"]);
+    assert.equal("replies_continuation" in first.results.comments[0], false);
+    assert.ok(first.results.continuation);
+
+    const next = await Video.getComments(null, { continuation: first.results.continuation });
+
+    assert.deepEqual(next.results.comments.map(({ id }) => id), ["UgViEwEr3"]);
+    assert.equal(next.results.continuation, null);
+    assert.deepEqual(calls.innertube, ["dQw4w9WgXcQ", "comments-dQw4w9WgXcQ", "comments-dQw4w9WgXcQ-page-2", "comments-dQw4w9WgXcQ-page-2"]);
+  });
+
+  it("switches to the newest order with the header token", async () => {
+    const { results } = await Video.getComments("dQw4w9WgXcQ", { sortBy: "newest" });
+
+    assert.equal(results.sort_by, "newest");
+    assert.deepEqual(results.comments.map(({ id }) => id), ["UgNeWeSt1", "UgNeWeSt2"]);
+    assert.equal(results.continuation, null);
+  });
+
+  it("keeps the order, title and total of the first call in the continuation", async () => {
+    const first = await Video.getComments(VIDEO_URL, { sortBy: "newest", limit: 1 });
+    const next = await Video.getComments(null, { continuation: first.results.continuation });
+
+    assert.deepEqual(next.results.comments.map(({ id }) => id), ["UgNeWeSt2"]);
+    assert.equal(next.results.sort_by, "newest");
+    assert.equal(next.results.title, "Rick Astley - Never Gonna Give You Up (Official Music Video)");
+    assert.equal(next.results.total_comments, 2345);
+  });
+
+  it("adds all pages of replies", async () => {
+    const { results } = await Video.getComments(VIDEO_URL, { limit: 3, includeReplies: true });
+
+    assert.deepEqual(results.comments.map(({ replies }) => replies.map(({ id }) => id)), [["UgPiNnEd.r1", "UgPiNnEd.r2"], [], ["UgLeGaCy.r1"]]);
+    assert.equal(results.comments[0].replies[1].hearted, true);
+  });
+
+  it("stops the replies of each comment at the replies limit", async () => {
+    const { results } = await Video.getComments(VIDEO_URL, { limit: 3, includeReplies: true, repliesLimit: 1 });
+
+    assert.deepEqual(results.comments.map(({ replies }) => replies.map(({ id }) => id)), [["UgPiNnEd.r1"], [], ["UgLeGaCy.r1"]]);
+    assert.equal(calls.innertube.includes("replies-UgPiNnEd-2"), false);
+  });
+
+  it("reports turned off comments and unavailable videos", async () => {
+    const disabled = await Video.getComments("https://youtu.be/sLa5hTiTlE1");
+    const unavailable = await Video.getComments("uNaVaIlAbLe");
+
+    assert.equal(disabled.code, "COMMENTS_DISABLED");
+    assert.equal(disabled.err_msg, "Failed to get comments: Comments are turned off");
+    assert.equal(unavailable.code, "VIDEO_UNAVAILABLE");
+  });
+
+  it("rejects invalid options before any request", async () => {
+    const responses = [await Video.getComments(VIDEO_URL, { sortBy: "oldest" }), await Video.getComments(VIDEO_URL, { limit: 0 }), await Video.getComments(VIDEO_URL, { repliesLimit: -1 }), await Video.getComments("not a video"), await Video.getComments(null, { continuation: "garbage" })];
+
+    assert.deepEqual(responses.map(({ code }) => code), ["INVALID_INPUT", "INVALID_INPUT", "INVALID_INPUT", "INVALID_URL", "INVALID_INPUT"]);
+    assert.equal(calls.innertube.length, 0);
+  });
+});
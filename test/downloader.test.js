@@ -0,0 +1,200 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+
+// Local requests are sent to the fake format server below
+const { calls, resetCalls, useFormatServer } = require("./helpers/fixtures");
+const { Downloader, Muxer, Video } = require("..");
+
+const BYTES = Buffer.alloc(1024 * 64, 7);
+
+/**
+ * Start a local server serving fake format bytes with Range support
+ * @param {Buffer} bytes - Served bytes
+ * @returns {Promise<http.Server>} Listening server
+ */
+const startFakeFormatServer = (bytes) => {
+  const server = http.createServer((req, res) => {
+    // Format URLs of getInfo end with the video number and title
+    if (!/^\/videoplayback(\/|$)/.test(new URL(req.url, "http://127.0.0.1").pathname)) {
+      res.writeHead(404);
+      return res.end();
+    }
+
+    const range = /bytes=(\d+)-/.exec(req.headers.range || "");
+    const start = range ? Number(range[1]) : 0;
+
+    if (start >= bytes.length) {
+      res.writeHead(416, { "Content-Range": `bytes */${bytes.length}` });
+      return res.end();
+    }
+
+    res.writeHead(range ? 206 : 200, {
+      "Content-Length": bytes.length - start,
+      ...(range && { "Content-Range": `bytes ${start}-${bytes.length - 1}/${bytes.length}` }),
+    });
+    res.end(bytes.subarray(start));
+  });
+
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server)));
+};
+
+describe("Downloader.downloadFile", () => {
+  let server;
+  let fileUrl;
+  let dir;
+
+  before(async () => {
+    server = await startFakeFormatServer(BYTES);
+    fileUrl = `http://127.0.0.1:${server.address().port}/videoplayback`;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "yts-"));
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("downloads a full file and reports progress", async () => {
+    const filePath = path.join(dir, "full", "1 - fake.mp4");
+    const progress = [];
+
+    const { results, err } = await Downloader.downloadFile(fileUrl, filePath, { onProgress: ({ percent }) => progress.push(percent) });
+
+    assert.equal(err, false);
+    assert.deepEqual(results, { path: filePath, size: BYTES.length, resumed: false });
+    assert.deepEqual(fs.readFileSync(filePath), BYTES);
+    assert.equal(progress.at(-1), 100);
+  });
+
+  it("resumes a partial file", async () => {
+    const filePath = path.join(dir, "2 - fake.mp4");
+    fs.writeFileSync(`${filePath}.part`, BYTES.subarray(0, 1000));
+
+    const { results } = await Downloader.downloadFile(fileUrl, filePath);
+
+    assert.deepEqual(results, { path: filePath, size: BYTES.length, resumed: true });
+    assert.deepEqual(fs.readFileSync(filePath), BYTES);
+    assert.equal(fs.existsSync(`${filePath}.part`), false);
+  });
+
+  it("renames a complete partial file", async () => {
+    const filePath = path.join(dir, "3 - fake.mp4");
+    fs.writeFileSync(`${filePath}.part`, BYTES);
+
+    const { results } = await Downloader.downloadFile(fileUrl, filePath);
+
+    assert.deepEqual(results, { path: filePath, size: BYTES.length, resumed: true });
+  });
+
+  it("starts over when resume is disabled", async () => {
+    const filePath = path.join(dir, "4 - fake.mp4");
+    fs.writeFileSync(`${filePath}.part`, Buffer.alloc(1000, 1));
+
+    const { results } = await Downloader.downloadFile(fileUrl, filePath, { resume: false });
+
+    assert.equal(results.resumed, false);
+    assert.deepEqual(fs.readFileSync(filePath), BYTES);
+  });
+
+  it("returns the status of failed requests", async () => {
+    const response = await Downloader.downloadFile(fileUrl.replace("videoplayback", "missing"), path.join(dir, "5 - fake.mp4"));
+
+    assert.deepEqual(response, { results: null, err: true, err_msg: "Failed to download file: Request failed with status 404", code: "UNKNOWN" });
+  });
+});
+
+describe("Downloader helpers", () => {
+  it("renders filenames and extensions", () => {
+    assert.equal(Downloader.extFromMimeType('audio/mp4; codecs="mp4a.40.2"'), "m4a");
+    assert.equal(Downloader.extFromMimeType("video/x-flv"), "x-flv");
+    assert.equal(Downloader.renderFilename("{n} - {title} [{quality}].{ext}", { n: 1, title: "AC/DC | Live", quality: null, ext: "mp4" }), "1 - AC~DC ~ Live [].mp4");
+  });
+});
+
+describe("Video.download", () => {
+  const VIDEO_URL = "https://www.youtube.com/watch?v=dQw4w9WgXcQ";
+  let server;
+  let dir;
+
+  before(async () => {
+    server = await startFakeFormatServer(BYTES);
+    useFormatServer(`http://127.0.0.1:${server.address().port}`);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "yts-"));
+  });
+
+  after(() => {
+    useFormatServer(null);
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("downloads the selected format with the filename template", async () => {
+    resetCalls();
+    const { results, err } = await Video.download(VIDEO_URL, { outDir: dir, VideoNumber: 3, qualitys: { "360p": true }, filenameTemplate: "{n} - {id} [{quality}].{ext}" });
+
+    assert.equal(err, false);
+    assert.deepEqual(results, { path: path.join(dir, "3 - dQw4w9WgXcQ [360p].mp4"), size: BYTES.length, resumed: false, format: "video/mp4 [360p] [+audio]" });
+    assert.match(calls.formats[0], /itag=18&/);
+    assert.deepEqual(fs.readFileSync(results.path), BYTES);
+  });
+
+  it("resumes the partial file of a stopped download", async () => {
+    const filePath = path.join(dir, "1 - dQw4w9WgXcQ.mp4");
+    fs.writeFileSync(`${filePath}.part`, BYTES.subarray(0, 4096));
+
+    const { results } = await Video.download(VIDEO_URL, { outDir: dir, qualitys: { "360p": true }, filenameTemplate: "{n} - {id}.{ext}" });
+
+    assert.deepEqual([results.path, results.resumed], [filePath, true]);
+    assert.deepEqual(fs.readFileSync(filePath), BYTES);
+  });
+
+  it("reports a missing ffmpeg before any request", async () => {
+    resetCalls();
+    const { err, code, err_msg } = await Video.download(VIDEO_URL, { outDir: dir, qualitys: { "1080p": true }, mux: true, ffmpegPath: path.join(dir, "no-ffmpeg") });
+
+    assert.equal(err, true);
+    assert.equal(code, "FFMPEG_NOT_FOUND");
+    assert.match(err_msg, /ffmpeg not found at ".*no-ffmpeg"/);
+    assert.equal(calls.ytdl.length + calls.formats.length, 0);
+  });
+
+  it("removes the downloaded streams when the merge fails", async () => {
+    // ffmpeg answering the check but failing every merge
+    const ffmpegPath = path.join(dir, "failing-ffmpeg");
+    fs.writeFileSync(ffmpegPath, '#!/bin/sh\n[ "$1" = "-version" ] && exit 0\necho "Invalid data" >&2\nexit 1\n', { mode: 0o755 });
+
+    resetCalls();
+    const { err, err_msg } = await Video.download(VIDEO_URL, { outDir: dir, qualitys: { "1080p": true }, mux: true, ffmpegPath, filenameTemplate: "muxed.{ext}" });
+
+    assert.equal(err, true);
+    assert.match(err_msg, /ffmpeg exited with code 1: Invalid data/);
+    assert.equal(calls.formats.length, 2);
+    assert.deepEqual(fs.readdirSync(dir).filter((name) => name.startsWith("muxed")), []);
+  });
+
+  it("returns FORMAT_NOT_FOUND before any format request", async () => {
+    resetCalls();
+    const { err, code } = await Video.download(VIDEO_URL, { outDir: dir, qualitys: { "144p": true } });
+
+    assert.equal(err, true);
+    assert.equal(code, "FORMAT_NOT_FOUND");
+    assert.equal(calls.formats.length, 0);
+  });
+});
+
+describe("Muxer.merge", () => {
+  it("returns FFMPEG_NOT_FOUND when the executable is missing", async () => {
+    const response = await Muxer.merge("video.mp4", "audio.m4a", "out.mp4", { ffmpegPath: "/nonexistent/ffmpeg" });
+
+    assert.deepEqual(response, {
+      results: null,
+      err: true,
+      err_msg: 'Failed to merge streams: ffmpeg not found at "/nonexistent/ffmpeg". Install ffmpeg and add it to PATH or set the ffmpegPath option',
+      code: "FFMPEG_NOT_FOUND",
+    });
+  });
+});
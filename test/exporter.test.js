@@ -0,0 +1,132 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Fixtures must replace the clients before the library is loaded
+const { calls, resetCalls } = require("./helpers/fixtures");
+const { Exporter, Video, Playlist, YoutubeSearch, Retry } = require("..");
+
+const VIDEO_URL = "https://www.youtube.com/watch?v=dQw4w9WgXcQ";
+const PLAYLIST_ID = "PLfIxTuRe0000000000000000000000001";
+
+Retry.configure({ minDelay: 0, maxDelay: 0, jitter: false });
+beforeEach(resetCalls);
+
+describe("Exporter with Video.getInfo", () => {
+  it("writes one CSV row per format", async () => {
+    const { VideoData, err } = await Video.getInfo(VIDEO_URL, { VideoDataType: "csv", types: ["audio"], VideoNumber: 3 });
+    const [header, ...rows] = VideoData.trim().split("\n");
+
+    assert.equal(err, false);
+    assert.match(header, /^n,id,title,video_url,format,mimeType,/);
+    assert.equal(rows.length, 2);
+    assert.match(rows[0], /^3,dQw4w9WgXcQ,Rick Astley - Never Gonna Give You Up \(Official Music Video\),/);
+    assert.match(rows[0], /"audio\/mp4; codecs=""mp4a.40.2"""/);
+  });
+
+  it("writes aria2 input with an extension per format", async () => {
+    const { VideoData } = await Video.getInfo(VIDEO_URL, { VideoDataType: "aria2", types: ["audio"] });
+    const outs = VideoData.split("\n").filter((line) => line.startsWith("  out="));
+
+    assert.deepEqual(outs, ["  out=1 - Rick Astley - Never Gonna Give You Up (Official Music Video).m4a", "  out=1 - Rick Astley - Never Gonna Give You Up (Official Music Video).webm"]);
+  });
+
+  it("writes the duration in M3U8 entries", async () => {
+    const { VideoData } = await Video.getInfo(VIDEO_URL, { VideoDataType: "m3u8", types: ["audio"], include: ["duration"] });
+
+    assert.match(VideoData, /^#EXTM3U\n#EXTINF:212,Rick Astley - Never Gonna Give You Up \(Official Music Video\)\nhttps:\/\/rr1---/);
+  });
+
+  it("rejects unknown formats before any request", async () => {
+    const response = await Video.getInfo(VIDEO_URL, { VideoDataType: "xml" });
+
+    assert.equal(response.code, "INVALID_INPUT");
+    assert.match(response.err_msg, /Invalid export format: xml\. Must be one of "json", "text", "csv", "jsonl", "m3u8", "aria2", "wget"/);
+    assert.equal(calls.ytdl.length, 0);
+  });
+});
+
+describe("Exporter with Playlist", () => {
+  it("exports playlist pages without links as M3U8", async () => {
+    const { PlaylistData } = await Playlist.getInfo(PLAYLIST_ID, false, { VideoDataType: "m3u8" });
+    const lines = PlaylistData.trim().split("\n");
+
+    assert.equal(lines.length, 7);
+    assert.equal(lines[3], "#EXTINF:60,AC/DC | Live #1");
+    assert.equal(lines[4], `https://www.youtube.com/watch?v=sLa5hTiTlE1&list=${PLAYLIST_ID}&index=2`);
+  });
+
+  it("skips failed videos in wget lists and keeps their error in CSV", async () => {
+    const wget = await Playlist.getDownloadsLinks(PLAYLIST_ID, { VideoDataType: "wget" });
+    const csv = await Playlist.getDownloadsLinks(PLAYLIST_ID, { VideoDataType: "csv" });
+
+    assert.equal(wget.results.trim().split("\n").length, 2);
+    assert.ok(wget.results.split("\n").every((line) => !line || line.startsWith("https://rr1---")));
+    assert.match(csv.results, /^n,id,title,video_url,url,error\n/);
+    assert.match(csv.results, /\n3,pRiVaTeViD1,\[Private video\],[^,]+,,ERROR: In Get Download Link \| N: 3/);
+  });
+
+  it("rejects text for playlist info", async () => {
+    const response = await Playlist.getInfo(PLAYLIST_ID, false, { VideoDataType: "text" });
+
+    assert.equal(response.code, "INVALID_INPUT");
+    assert.equal(calls.ytpl.length, 0);
+  });
+});
+
+describe("Exporter with YoutubeSearch", () => {
+  it("exports search results as JSON Lines", async () => {
+    const { results } = await YoutubeSearch.searchAll("lofi", { exportFormat: "jsonl", limit: 3 });
+    const records = results.trim().split("\n").map((line) => JSON.parse(line));
+
+    assert.deepEqual(
+      records.map(({ n, type, id }) => [n, type, id]),
+      [
+        [1, "video", "jfKfPfyJRdk"],
+        [2, "playlist", "PLofht4PTcKYnaH8w5olJCI-wUVxuoMHqM"],
+        [3, "channel", "UCSJ4gkVC6NrvII8umztf0Ow"],
+      ]
+    );
+  });
+
+  it("writes no download links for search results", async () => {
+    const { results } = await YoutubeSearch.searchVideos("lofi", { exportFormat: "aria2" });
+
+    assert.equal(results, "");
+  });
+});
+
+describe("Exporter.register", () => {
+  it("adds and removes custom formats", async () => {
+    const remove = Exporter.register("Titles", (entries) => entries.map(({ n, title }) => `${n}. ${title}`).join("\n"));
+
+    const { VideoData } = await Video.getInfo(VIDEO_URL, { VideoDataType: "titles", types: ["audio"] });
+    assert.equal(VideoData, "1. Rick Astley - Never Gonna Give You Up (Official Music Video)\n1. Rick Astley - Never Gonna Give You Up (Official Music Video)");
+
+    remove();
+    assert.equal(Exporter.has("titles"), false);
+  });
+
+  it("refuses reserved names and non function exporters", () => {
+    assert.throws(() => Exporter.register("json", () => ""), /"json" and "text" are reserved/);
+    assert.throws(() => Exporter.register("xspf", null), /must be a function/);
+  });
+});
+
+describe("Exporter.entries", () => {
+  it("numbers same filenames before the extension", () => {
+    const url = "https://example.com/videoplayback?mime=video%2Fmp4";
+    const entries = Exporter.entries(
+      [
+        { n: 1, title: "Same", url },
+        { n: 1, title: "Same", url },
+        { n: 1, title: "Same", url },
+      ],
+      { filenameTemplate: "{title}.{ext}" }
+    );
+
+    assert.deepEqual(
+      entries.map(({ filename }) => filename),
+      ["Same.mp4", "Same (2).mp4", "Same (3).mp4"]
+    );
+  });
+});
@@ -0,0 +1,262 @@
+const fs = require("fs");
+const path = require("path");
+const Module = require("module");
+
+/**
+ * Fixtures Layer
+ * Replaces `@distube/ytdl-core`, `ytpl`, `@distube/ytsr` and YouTube requests of `fetch` with recorded responses
+ * Must be required before the library, requests without fixture fail instead of reaching the network
+ *
+ * Fixtures:
+ * - `fixtures/ytdl/<videoId>.json` - `getInfo` responses
+ * - `fixtures/ytpl/<playlistId>.json` - playlists with all their items, split in pages of 100 like ytpl
+ * - `fixtures/ytsr/<query>.json` - ytsr results of videos and playlists
+ * - `fixtures/innertube/home.html` - YouTube home page, read for the InnerTube client version
+ * - `fixtures/channel/<@handle or channelId>.html` - channel pages, a missing page is a 404
+ * - `fixtures/innertube/search/<query or token>.json` - InnerTube search pages
+ * - `fixtures/innertube/next/<videoId or token>.json` - InnerTube watch pages, comments and replies pages
+ * - `fixtures/timedtext/json3.json` - served for every caption track (the library always asks `fmt=json3`)
+ * - `fixtures/<client>/errors.json` - recorded errors by video ID, playlist ID or query
+ *
+ * Format URLs (`*.googlevideo.com`) are sent to the local server given to `useFormatServer`
+ */
+
+const FIXTURES_DIR = path.join(__dirname, "..", "fixtures");
+
+/**
+ * Number of videos in a ytpl page
+ * @type {number}
+ */
+const PAGE_SIZE = 100;
+
+/**
+ * Requests received by each fake client, in order
+ */
+const calls = { ytdl: [], ytpl: [], ytsr: [], innertube: [], timedtext: [], formats: [], pages: [] };
+
+/**
+ * Origin of the local server answering format requests
+ * @type {string|null}
+ */
+let formatOrigin = null;
+
+/**
+ * Send the format requests to a local server, null to refuse them again
+ * @param {string|null} origin - Server origin like `http://127.0.0.1:8080`
+ */
+const useFormatServer = (origin) => {
+  formatOrigin = origin;
+};
+
+/**
+ * Forget the recorded requests
+ */
+const resetCalls = () => {
+  Object.values(calls).forEach((list) => list.splice(0));
+};
+
+/**
+ * Read a JSON fixture, a new copy each time
+ * @param {...string} parts - Path from the fixtures folder
+ * @returns {Object|null} Fixture or null if missing
+ */
+const readFixture = (...parts) => {
+  const filePath = path.join(FIXTURES_DIR, ...parts);
+  return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, "utf8")) : null;
+};
+
+/**
+ * Throw the recorded error of a key if any
+ * @param {string} client - Client folder
+ * @param {string} key - Video ID, playlist ID or query
+ * @throws {Error} Recorded error
+ */
+const throwRecordedError = (client, key) => {
+  const recorded = (readFixture(client, "errors.json") || {})[key];
+
+  if (recorded) {
+    throw Object.assign(new Error(recorded.message), recorded.statusCode && { statusCode: recorded.statusCode });
+  }
+};
+
+/**
+ * Name of the fixture file of a search query
+ * @param {string} query - Search query
+ * @returns {string} File name without extension
+ */
+const slug = (query) =>
+  String(query)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-");
+
+// ==========================================
+// FAKE CLIENTS
+// ==========================================
+
+/**
+ * Fake `@distube/ytdl-core`
+ */
+const ytdl = {
+  async getInfo(url) {
+    calls.ytdl.push(url);
+
+    const id = (/(?:v=|youtu\.be\/|shorts\/)([\w-]{11})/.exec(url) || [])[1] || url;
+    throwRecordedError("ytdl", id);
+
+    const info = readFixture("ytdl", `${id}.json`);
+    if (!info) throw new Error(`Video unavailable`);
+
+    return info;
+  },
+};
+
+/**
+ * Page of a ytpl fixture with the continuation of the next page
+ * @param {Object} playlist - Playlist fixture
+ * @param {number} offset - Index of the first item
+ * @param {number} limit - Maximum number of items
+ * @returns {Object} ytpl result
+ */
+const ytplPage = (playlist, offset, limit) => {
+  const items = playlist.items.slice(offset, offset + limit);
+  const next = offset + items.length;
+
+  return {
+    ...playlist,
+    items,
+    continuation: next < playlist.items.length ? ["fixture-api-key", `${playlist.id}:${next}`, {}, { limit: Infinity }] : null,
+  };
+};
+
+/**
+ * Read a ytpl fixture or throw like ytpl
+ * @param {string} id - Playlist ID
+ * @returns {Object} Playlist fixture
+ */
+const readPlaylist = (id) => {
+  throwRecordedError("ytpl", id);
+
+  const playlist = readFixture("ytpl", `${id}.json`);
+  if (!playlist) throw new Error("API-Error: The playlist does not exist.");
+
+  return playlist;
+};
+
+/**
+ * Fake `ytpl`
+ */
+const ytpl = async (url, options = {}) => {
+  calls.ytpl.push(url);
+
+  const id = (/list=([\w-]+)/.exec(url) || [])[1] || url;
+  const { pages = null, limit = 100 } = options;
+
+  return ytplPage(readPlaylist(id), 0, pages ? pages * PAGE_SIZE : Number(limit));
+};
+
+ytpl.continueReq = async ([, token]) => {
+  calls.ytpl.push(token);
+
+  const [id, offset] = token.split(":");
+  const { items, continuation } = ytplPage(readPlaylist(id), Number(offset), PAGE_SIZE);
+
+  return { items, continuation };
+};
+
+/**
+ * Fake `@distube/ytsr`
+ */
+const ytsr = async (query, options = {}) => {
+  calls.ytsr.push(query);
+  throwRecordedError("ytsr", query);
+
+  const results = readFixture("ytsr", `${slug(query)}.json`);
+  if (!results) throw new Error(`No ytsr fixture for "${query}"`);
+
+  return { ...results, items: results.items.filter((item) => item.type === (options.type || "video")) };
+};
+
+/**
+ * Fake `fetch`, YouTube requests are answered with fixtures and local requests are sent
+ */
+const realFetch = global.fetch;
+
+const fetch = async (input, init = {}) => {
+  const url = new URL(String(input));
+
+  if (["127.0.0.1", "localhost"].includes(url.hostname)) {
+    return await realFetch(input, init);
+  }
+
+  if (url.hostname.endsWith(".googlevideo.com") && formatOrigin) {
+    calls.formats.push(url.toString());
+    return await realFetch(`${formatOrigin}${url.pathname}${url.search}`, init);
+  }
+
+  if (url.hostname === "www.youtube.com" && url.pathname === "/") {
+    calls.innertube.push("home");
+    return new Response(fs.readFileSync(path.join(FIXTURES_DIR, "innertube", "home.html")), { status: 200 });
+  }
+
+  const channelPage = /^\/(?:channel\/|c\/|user\/)?(@?[^/]+)$/.exec(url.pathname);
+  if (url.hostname === "www.youtube.com" && channelPage) {
+    calls.pages.push(url.pathname);
+
+    const filePath = path.join(FIXTURES_DIR, "channel", `${decodeURIComponent(channelPage[1])}.html`);
+    return fs.existsSync(filePath) ? new Response(fs.readFileSync(filePath), { status: 200 }) : new Response("Not Found", { status: 404 });
+  }
+
+  if (url.pathname === "/youtubei/v1/search") {
+    const { query, continuation } = JSON.parse(init.body);
+    calls.innertube.push(continuation || query);
+
+    const page = readFixture("innertube", "search", `${continuation || slug(query)}.json`);
+    if (!page) throw new Error(`No InnerTube fixture for "${continuation || query}"`);
+
+    return new Response(JSON.stringify(page), { status: 200, headers: { "Content-Type": "application/json" } });
+  }
+
+  if (url.pathname === "/youtubei/v1/next") {
+    const { videoId, continuation } = JSON.parse(init.body);
+    calls.innertube.push(continuation || videoId);
+
+    const page = readFixture("innertube", "next", `${continuation || videoId}.json`);
+    if (!page) throw new Error(`No InnerTube fixture for "${continuation || videoId}"`);
+
+    return new Response(JSON.stringify(page), { status: 200, headers: { "Content-Type": "application/json" } });
+  }
+
+  if (url.pathname === "/api/timedtext") {
+    calls.timedtext.push(url.toString());
+    return new Response(fs.readFileSync(path.join(FIXTURES_DIR, "timedtext", "json3.json")), { status: 200 });
+  }
+
+  throw new Error(`No fixture for ${url}, tests must not reach the network`);
+};
+
+// ==========================================
+// INSTALL
+// ==========================================
+
+/**
+ * Replace a dependency in the require cache before the library requires it
+ * @param {string} name - Package name
+ * @param {*} exports - Fake exports
+ */
+const replaceModule = (name, exports) => {
+  const filename = require.resolve(name);
+  const fake = new Module(filename);
+
+  fake.filename = filename;
+  fake.loaded = true;
+  fake.exports = exports;
+
+  require.cache[filename] = fake;
+};
+
+replaceModule("@distube/ytdl-core", ytdl);
+replaceModule("ytpl", ytpl);
+replaceModule("@distube/ytsr", ytsr);
+global.fetch = fetch;
+
+module.exports = { FIXTURES_DIR, calls, resetCalls, readFixture, useFormatServer };
@@ -0,0 +1,159 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Fixtures must replace the clients before the library is loaded
+const { calls, resetCalls } = require("./helpers/fixtures");
+const { Jobs, Retry } = require("..");
+
+const VIDEO_URL = "https://www.youtube.com/watch?v=dQw4w9WgXcQ";
+const PRIVATE_URL = "https://www.youtube.com/watch?v=pRiVaTeViD1";
+const PLAYLIST_URL = "https://www.youtube.com/playlist?list=PLfIxTuRe0000000000000000000000120";
+const LINKS_OPTIONS = { qualitys: { "360p": true } };
+
+let directory;
+
+Retry.configure({ minDelay: 0, maxDelay: 0, jitter: false });
+beforeEach(resetCalls);
+
+before(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "yts-jobs-"));
+  Jobs.configure({ store: path.join(directory, "jobs") });
+});
+
+after(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe("Jobs", () => {
+  it("creates a job without request and saves the status of each item", async () => {
+    const { JobData: created, err } = await Jobs.create("videos", [VIDEO_URL, "pRiVaTeViD1", "https://youtu.be/sLa5hTiTlE1"], LINKS_OPTIONS);
+
+    assert.equal(err, false);
+    assert.equal(created.status, "pending");
+    assert.deepEqual([created.total, created.pending], [3, 3]);
+    assert.deepEqual(created.items[1], { number: 2, url: PRIVATE_URL, title: null, status: "pending", result: null, err_msg: null, code: null });
+    assert.equal(calls.ytdl.length, 0);
+
+    const { JobData } = await Jobs.run(created.id);
+
+    assert.equal(JobData.status, "done");
+    assert.deepEqual([JobData.done, JobData.failed, JobData.pending], [2, 1, 0]);
+    assert.match(JobData.items[0].result, /\/videoplayback\//);
+    assert.equal(JobData.items[1].status, "failed");
+    assert.equal(JobData.items[1].code, "PRIVATE_VIDEO");
+    assert.match(JobData.items[1].err_msg, /This is a private video/);
+    assert.deepEqual(Jobs.get(created.id), JobData);
+  });
+
+  it("pauses after the current item and resumes from the store", async () => {
+    const { JobData: created } = await Jobs.create("videos", [VIDEO_URL, "sLa5hTiTlE1", "dQw4w9WgXcQ"], LINKS_OPTIONS);
+
+    const paused = await Jobs.run(created.id, { onItem: () => Jobs.pause(created.id) });
+
+    assert.equal(paused.JobData.status, "paused");
+    assert.deepEqual([paused.JobData.done, paused.JobData.pending], [1, 2]);
+
+    // A restarted process only knows the file, the log is merged in it at the end of the run
+    const stored = JSON.parse(fs.readFileSync(path.join(Jobs.options.store, `${created.id}.json`), "utf8"));
+    assert.deepEqual(stored.items.map(({ status }) => status), ["done", "pending", "pending"]);
+    assert.equal(fs.existsSync(path.join(Jobs.options.store, `${created.id}.log`)), false);
+
+    resetCalls();
+    const resumed = await Jobs.run(created.id);
+
+    assert.equal(resumed.JobData.status, "done");
+    assert.deepEqual(calls.ytdl, ["https://www.youtube.com/watch?v=sLa5hTiTlE1", VIDEO_URL]);
+    assert.equal(Jobs.pause(created.id), false);
+  });
+
+  it("appends each item to the log of the job while it runs", async () => {
+    const { JobData: created } = await Jobs.create("videos", [VIDEO_URL, "sLa5hTiTlE1"], LINKS_OPTIONS);
+    const log = path.join(Jobs.options.store, `${created.id}.log`);
+    const seen = [];
+
+    await Jobs.run(created.id, {
+      onItem: () => {
+        const { status, done, items } = Jobs.get(created.id);
+        seen.push([status, done, fs.readFileSync(log, "utf8").split("\n").filter(Boolean).length, items[0].status]);
+      },
+    });
+
+    assert.deepEqual(seen, [
+      ["running", 1, 1, "done"],
+      ["running", 2, 2, "done"],
+    ]);
+  });
+
+  it("reads the items of a log left by a stopped process, without its torn last line", async () => {
+    const { JobData: created } = await Jobs.create("videos", [VIDEO_URL, "sLa5hTiTlE1", "dQw4w9WgXcQ"], LINKS_OPTIONS);
+    const done = { ...created.items[1], status: "done", result: "https://example.com/video" };
+    const lines = [JSON.stringify({ index: 1, updated_at: "2025-01-01T00:00:00.000Z", item: done }), '{"index":2,"upd'];
+
+    fs.writeFileSync(path.join(Jobs.options.store, `${created.id}.log`), lines.join("\n"));
+
+    const stored = Jobs.get(created.id);
+    assert.deepEqual([stored.done, stored.pending, stored.items[1].result], [1, 2, "https://example.com/video"]);
+
+    resetCalls();
+    const { JobData } = await Jobs.run(created.id);
+
+    assert.deepEqual(calls.ytdl, [VIDEO_URL, VIDEO_URL]);
+    assert.deepEqual([JobData.status, JobData.done], ["done", 3]);
+  });
+
+  it("does not leave the job running when onItem throws", async () => {
+    const { JobData: created } = await Jobs.create("videos", [VIDEO_URL, "sLa5hTiTlE1"], LINKS_OPTIONS);
+
+    const response = await Jobs.run(created.id, {
+      onItem: () => {
+        throw new Error("Listener failed");
+      },
+    });
+
+    assert.equal(response.err, true);
+    assert.equal(response.err_msg, "Failed to run job: Listener failed");
+    assert.deepEqual([Jobs.get(created.id).status, Jobs.get(created.id).done], ["paused", 1]);
+  });
+
+  it("re-runs failed items only", async () => {
+    const { JobData: created } = await Jobs.create("videos", [VIDEO_URL, PRIVATE_URL], LINKS_OPTIONS);
+    await Jobs.run(created.id);
+
+    resetCalls();
+    const { JobData } = await Jobs.retryFailed(created.id);
+
+    assert.deepEqual(calls.ytdl, [PRIVATE_URL]);
+    assert.deepEqual(JobData.items.map(({ status }) => status), ["done", "failed"]);
+  });
+
+  it("lists the selected videos of a playlist range", async () => {
+    const { JobData } = await Jobs.create("playlist", PLAYLIST_URL, { ...LINKS_OPTIONS, from: 100, items: "1-3,-5:", reverse: true });
+
+    assert.equal(JobData.source, PLAYLIST_URL);
+    assert.deepEqual(JobData.items.map(({ number }) => number), [120, 119, 118, 117, 116]);
+    assert.equal(JobData.items[0].title, "Video 120");
+    assert.equal(calls.ytdl.length, 0);
+  });
+
+  it("lists and removes jobs", async () => {
+    const jobs = Jobs.list();
+    const [first] = jobs;
+
+    assert.equal(jobs.length, 7);
+    assert.equal("items" in first, false);
+    assert.equal(Jobs.remove(first.id), true);
+    assert.equal(Jobs.get(first.id), null);
+    assert.equal(Jobs.remove(first.id), false);
+  });
+
+  it("returns errors before any request", async () => {
+    const responses = [await Jobs.create("channel", VIDEO_URL), await Jobs.create("videos", []), await Jobs.create("videos", ["not a video"]), await Jobs.create("playlist", PLAYLIST_URL, { from: 5, to: 2 }), await Jobs.run("nOtAjOb")];
+
+    assert.deepEqual(responses.map(({ code }) => code), ["INVALID_INPUT", "INVALID_INPUT", "INVALID_URL", "INVALID_INPUT", "INVALID_INPUT"]);
+    assert.equal(responses[4].err_msg, "Failed to run job: Unknown job: nOtAjOb");
+    assert.equal(calls.ytdl.length + calls.ytpl.length, 0);
+  });
+});
@@ -0,0 +1,50 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { Logger } = require("..");
+
+/**
+ * Logger recording messages by level
+ * @returns {{messages: Array, logger: Object}} Recorded messages and logger
+ */
+const recorder = () => {
+  const messages = [];
+  const logger = Object.fromEntries(["debug", "info", "warn", "error"].map((level) => [level, (...args) => messages.push([level, ...args])]));
+
+  return { messages, logger };
+};
+
+afterEach(() => {
+  Logger.configure({ level: "silent", logger: console });
+});
+
+describe("Logger", () => {
+  it("writes the messages of the level and above to the injected logger", () => {
+    const { messages, logger } = recorder();
+    Logger.configure({ level: "warn", logger });
+
+    Logger.debug("debug message");
+    Logger.info("info message");
+    Logger.warn("warn message", { url: "https://youtu.be/dQw4w9WgXcQ" });
+    Logger.error("error message");
+
+    assert.deepEqual(messages, [
+      ["warn", "warn message", { url: "https://youtu.be/dQw4w9WgXcQ" }],
+      ["error", "error message"],
+    ]);
+  });
+
+  it("is silent by default and falls back to log", () => {
+    const logged = [];
+    Logger.warn("not written");
+
+    Logger.configure({ level: "debug", logger: { log: (message) => logged.push(message) } });
+    Logger.info("written with log");
+
+    assert.deepEqual(logged, ["written with log"]);
+  });
+
+  it("rejects unknown levels", () => {
+    assert.throws(() => Logger.configure({ level: "verbose" }), /Invalid log level: verbose/);
+  });
+});
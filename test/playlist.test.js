@@ -0,0 +1,349 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Fixtures must replace the clients before the library is loaded
+const { calls, resetCalls } = require("./helpers/fixtures");
+const { Playlist, PlaylistSnapshot, Retry, Cache, MemoryCache } = require("..");
+
+const URL = "https://www.youtube.com/playlist?list=PLfIxTuRe0000000000000000000000001";
+const LARGE_URL = "https://www.youtube.com/playlist?list=PLfIxTuRe0000000000000000000000120";
+const PRIVATE_URL = "https://www.youtube.com/playlist?list=PLfIxTuRePrIvAtE";
+
+Retry.configure({ minDelay: 0, maxDelay: 0, jitter: false });
+beforeEach(resetCalls);
+
+describe("Playlist.getInfo", () => {
+  it("numbers videos from 1", async () => {
+    const { PlaylistData, err } = await Playlist.getInfo(URL);
+
+    assert.equal(err, false);
+    assert.equal(PlaylistData.title, "Fixture Playlist");
+    assert.equal(PlaylistData.number_videos, 3);
+    assert.deepEqual(Object.keys(PlaylistData.videos), ["1", "2", "3"]);
+    assert.equal(PlaylistData.videos[2].id, "sLa5hTiTlE1");
+  });
+
+  it("adds formats or the error message of each video", async () => {
+    const { PlaylistData } = await Playlist.getInfo(URL, true, { concurrency: 2 });
+
+    assert.match(PlaylistData.videos[1].formats[0].url, /\/videoplayback\/1 - Rick Astley/);
+    assert.match(PlaylistData.videos[2].formats[0].url, /\/videoplayback\/2 - AC~DC/);
+    assert.equal(PlaylistData.videos[3].formats, "Error in Get Video Info | ERROR MESSAGE: Failed to get video info: This is a private video. Please sign in to verify that you may see it.");
+  });
+
+  it("returns PLAYLIST_UNAVAILABLE and PRIVATE_PLAYLIST errors", async () => {
+    const missing = await Playlist.getInfo("https://www.youtube.com/playlist?list=PLnOtThErE");
+    const privatePlaylist = await Playlist.getInfo(PRIVATE_URL);
+
+    assert.deepEqual(missing, {
+      PlaylistData: null,
+      err: true,
+      err_msg: "Failed to get playlist info: API-Error: The playlist does not exist.",
+      code: "PLAYLIST_UNAVAILABLE",
+    });
+    assert.equal(privatePlaylist.code, "PRIVATE_PLAYLIST");
+  });
+});
+
+describe("Playlist.numberVideo", () => {
+  it("returns the estimated item count", async () => {
+    assert.deepEqual(await Playlist.numberVideo(LARGE_URL), { numberVideo: 120, err: false, err_msg: "", code: null });
+  });
+
+  it("reads the uploads playlist of a channel and lets ytpl resolve custom and user URLs", async () => {
+    await Playlist.numberVideo("UCfIxTuReChAnNeL00000001");
+    await Playlist.numberVideo("https://www.youtube.com/channel/UCfIxTuReChAnNeL00000001/videos");
+    await Playlist.numberVideo("https://www.youtube.com/c/FixtureChannel");
+    const handle = await Playlist.numberVideo("@fixture");
+
+    assert.deepEqual(calls.ytpl, ["https://www.youtube.com/playlist?list=UUfIxTuReChAnNeL00000001", "https://www.youtube.com/playlist?list=UUfIxTuReChAnNeL00000001", "https://www.youtube.com/c/FixtureChannel"]);
+    assert.equal(handle.code, "INVALID_URL");
+  });
+});
+
+describe("Playlist pages", () => {
+  it("continues pages after the previous ones", async () => {
+    const first = await Playlist.getPage(LARGE_URL);
+    const next = await Playlist.getPage(LARGE_URL, { continuation: first.PlaylistData.continuation });
+
+    assert.equal(first.PlaylistData.number_videos, 100);
+    assert.deepEqual(Object.keys(next.PlaylistData.videos).slice(0, 2), ["101", "102"]);
+    assert.equal(next.PlaylistData.number_videos, 20);
+    assert.equal(next.PlaylistData.continuation, null);
+  });
+
+  it("iterates a range without requesting pages after it", async () => {
+    const videos = [];
+    for await (const video of Playlist.iterate(LARGE_URL, { from: 98, to: 101 })) {
+      videos.push(video);
+    }
+
+    assert.deepEqual(
+      videos.map(({ number, id }) => [number, id]),
+      [
+        [98, "lArGe000098"],
+        [99, "lArGe000099"],
+        [100, "lArGe000100"],
+        [101, "lArGe000101"],
+      ]
+    );
+    assert.equal(calls.ytpl.length, 2);
+
+    resetCalls();
+    await Playlist.iterate(LARGE_URL, { to: 3 }).next();
+    assert.equal(calls.ytpl.length, 1);
+  });
+
+  it("rejects invalid ranges before any request", async () => {
+    await assert.rejects(Playlist.iterate(LARGE_URL, { from: 0 }).next(), { code: "INVALID_INPUT" });
+    await assert.rejects(Playlist.iterate(LARGE_URL, { from: 5, to: 2 }).next(), { code: "INVALID_INPUT" });
+    assert.equal(calls.ytpl.length, 0);
+  });
+});
+
+describe("Playlist.getDownloadsLinks", () => {
+  it("returns the link or the error of each video in the range", async () => {
+    const items = [];
+    const { results, err } = await Playlist.getDownloadsLinks(URL, { from: 2, onItem: (number) => items.push(number) });
+
+    assert.equal(err, false);
+    assert.equal(results.length, 2);
+    assert.match(results[0].results, /\/videoplayback\/2 - AC~DC/);
+    assert.equal(results[1].code, "PRIVATE_VIDEO");
+    assert.deepEqual(items, [2, 3]);
+  });
+
+  it("returns one link or error message per line in text", async () => {
+    const { results } = await Playlist.getDownloadsLinks(URL, { VideoDataType: "text", qualitys: { "360p": true } });
+    const lines = results.split("\n");
+
+    assert.equal(lines.length, 4);
+    assert.match(lines[0], /^https:\/\/.*\/videoplayback\/1 - Rick Astley/);
+    assert.match(lines[1], /^https:\/\/.*\/videoplayback\/2 - AC~DC/);
+    assert.match(lines[2], /^ERROR: In Get Download Link \| N: 3 /);
+    assert.equal(lines[3], "");
+  });
+
+  for (const [name, range, err_msg] of [
+    ["below 1", { from: 0, to: 2 }, "ERROR: From '0' and To '2' must be greater than 0"],
+    ["reversed", { from: 3, to: 2 }, "ERROR: From '3' must be less than or equal to To '2'"],
+    ["after the last video", { from: 2, to: 4 }, "ERROR: From '2' and To '4' must not be greater than the number of videos in playlist (3)"],
+    ["not a number", { from: Symbol("from") }, "Unexpected error in prepare_from_to: Cannot convert a Symbol value to a number"],
+  ]) {
+    it(`rejects a range ${name}`, async () => {
+      const { results, err, err_msg: message } = await Playlist.getDownloadsLinks(URL, range);
+
+      assert.equal(results, null);
+      assert.equal(err, true);
+      assert.equal(message, err_msg);
+      assert.equal(calls.ytdl.length, 0);
+    });
+  }
+
+  it("reads a missing range as the whole playlist", async () => {
+    const { results } = await Playlist.getDownloadsLinks(URL, { from: null, to: "all" });
+
+    assert.equal(results.length, 3);
+  });
+
+  it("stops starting videos once the signal is aborted", async () => {
+    const controller = new AbortController();
+    const { results, err } = await Playlist.getDownloadsLinks(LARGE_URL, { VideoDataType: "text", signal: controller.signal, onItem: (number) => number === 2 && controller.abort() });
+
+    assert.equal(err, false);
+    assert.equal(results.split("\n").filter(Boolean).length, 2);
+    assert.equal(calls.ytdl.length, 2);
+  });
+
+  it("returns the error of getInfo with its code", async () => {
+    const { err, err_msg, code } = await Playlist.getDownloadsLinks(PRIVATE_URL);
+
+    assert.equal(err, true);
+    assert.equal(err_msg, "Error in download playlist data: Failed to get playlist info: API-Error: This playlist is private.");
+    assert.equal(code, "PRIVATE_PLAYLIST");
+  });
+});
+
+describe("Playlist selection", () => {
+  it("keeps the selected videos of getInfo in selection order", async () => {
+    const { PlaylistData } = await Playlist.getInfo(LARGE_URL, false, { items: "1,3,5-7,-3:", reverse: true });
+
+    assert.equal(PlaylistData.number_videos, 120);
+    assert.deepEqual(PlaylistData.order, [120, 119, 118, 7, 6, 5, 3, 1]);
+    assert.equal(PlaylistData.videos[118].id, "lArGe000118");
+    assert.equal(PlaylistData.videos[2], undefined);
+  });
+
+  it("picks links inside the range in items order", async () => {
+    const items = [];
+    const { results } = await Playlist.getDownloadsLinks(URL, { items: "3,-2:", from: 2, qualitys: { "360p": true }, onItem: (number) => items.push(number) });
+
+    assert.deepEqual(items, [3, 2]);
+    assert.equal(results[0].code, "PRIVATE_VIDEO");
+    assert.match(results[1].results, /\/videoplayback\/2 - AC~DC/);
+  });
+
+  it("skips processed videos and filters by duration and title", async () => {
+    const select = async (options) => (await Playlist.getInfo(URL, false, options)).PlaylistData.order;
+
+    assert.deepEqual(await select({ skip: ["dQw4w9WgXcQ", 3] }), [2]);
+    assert.deepEqual(await select({ minDuration: 60, maxDuration: 120 }), [2]);
+    assert.deepEqual(await select({ titleMatch: "ac/dc|rick" }), [1, 2]);
+  });
+
+  it("shuffles the same way with the same seed", async () => {
+    const { PlaylistData: first } = await Playlist.getInfo(LARGE_URL, false, { items: ":20", shuffle: 7 });
+    const { PlaylistData: second } = await Playlist.getInfo(LARGE_URL, false, { items: ":20", shuffle: 7 });
+
+    assert.deepEqual(first.order, second.order);
+    assert.notDeepEqual(first.order, Array.from({ length: 20 }, (_, i) => i + 1));
+    assert.deepEqual([...first.order].sort((a, b) => a - b), Array.from({ length: 20 }, (_, i) => i + 1));
+  });
+
+  for (const [name, options, err_msg] of [
+    ["a zero", { items: "0,2" }, "Items '0' of '0,2' must not contain 0, videos are numbered from 1"],
+    ["a reversed range", { items: "9-5" }, "Items '9-5' of '9-5' must be a range from the smallest number like '5-9', use 'reverse' to process it from the end"],
+    ["a word", { items: "1,last" }, "Items 'last' of '1,last' must be a video number like '3', a number from the end like '-1', a range like '5-9' or a slice like '-3:'"],
+    ["reversed durations", { minDuration: 60, maxDuration: 30 }, "Min Duration '60' must be less than or equal to Max Duration '30'"],
+    ["an invalid title pattern", { titleMatch: "(live" }, "Title Match '(live' must be a valid regular expression: Invalid regular expression: /(live/i: Unterminated group"],
+  ]) {
+    it(`rejects ${name} before any request`, async () => {
+      const response = await Playlist.getDownloadsLinks(URL, options);
+
+      const info = await Playlist.getInfo(URL, false, options);
+
+      assert.deepEqual(response, { results: null, err: true, err_msg, code: "INVALID_INPUT" });
+      assert.deepEqual([info.err_msg, info.code], [`Failed to get playlist info: ${err_msg}`, "INVALID_INPUT"]);
+      assert.equal(calls.ytpl.length, 0);
+    });
+  }
+});
+
+/**
+ * Build a synthetic snapshot
+ * @param {Array<string|[string, string]>} videos - Video IDs or `[id, title]` in order
+ * @returns {Object} Snapshot
+ */
+const snapshotOf = (videos) => ({
+  id: "PLsYnThEtIc",
+  taken_at: "2025-01-01T00:00:00.000Z",
+  videos: Object.fromEntries(videos.map((video, index) => [index + 1, Array.isArray(video) ? { id: video[0], title: video[1] } : { id: video, title: `Title ${video}` }])),
+});
+
+describe("PlaylistSnapshot.diff", () => {
+  it("reports no change for the same videos", () => {
+    const diff = PlaylistSnapshot.diff(snapshotOf(["a", "b", "c"]), snapshotOf(["a", "b", "c"]));
+
+    assert.deepEqual(diff, { id: "PLsYnThEtIc", old_taken_at: "2025-01-01T00:00:00.000Z", new_taken_at: "2025-01-01T00:00:00.000Z", changed: false, added: [], removed: [], moved: [], renamed: [], unavailable: [] });
+  });
+
+  it("does not move videos shifted by an insertion or a removal", () => {
+    const diff = PlaylistSnapshot.diff(snapshotOf(["a", "b", "c", "d"]), snapshotOf(["x", "a", "c", "d", "y"]));
+
+    assert.deepEqual(diff.added, [
+      { id: "x", title: "Title x", position: 1 },
+      { id: "y", title: "Title y", position: 5 },
+    ]);
+    assert.deepEqual(diff.removed, [{ id: "b", title: "Title b", position: 2 }]);
+    assert.deepEqual(diff.moved, []);
+  });
+
+  it("moves the fewest videos to explain a new order", () => {
+    assert.deepEqual(PlaylistSnapshot.diff(snapshotOf(["a", "b", "c", "d", "e"]), snapshotOf(["a", "e", "b", "c", "d"])).moved, [{ id: "e", title: "Title e", from: 5, to: 2 }]);
+    assert.deepEqual(PlaylistSnapshot.diff(snapshotOf(["a", "b", "a"]), snapshotOf(["a", "a", "b"])).moved, [{ id: "b", title: "Title b", from: 2, to: 3 }]);
+  });
+
+  it("tells renamed videos from videos turned private or deleted", () => {
+    const diff = PlaylistSnapshot.diff(snapshotOf(["a", "b", "c", ["d", "[Private video]"]]), snapshotOf([["a", "New a"], ["b", "[Private video]"], ["c", "[Deleted video]"], ["d", "Back d"]]));
+
+    assert.deepEqual(diff.renamed, [{ id: "a", position: 1, old_title: "Title a", new_title: "New a" }]);
+    assert.deepEqual(diff.unavailable, [
+      { id: "b", title: "Title b", position: 2 },
+      { id: "c", title: "Title c", position: 3 },
+    ]);
+    assert.equal(diff.changed, true);
+  });
+
+  it("rejects snapshots without videos or of different playlists", () => {
+    assert.throws(() => PlaylistSnapshot.diff({}, snapshotOf([])), { code: "INVALID_INPUT", message: "Old snapshot has no videos" });
+    assert.throws(() => PlaylistSnapshot.diff(snapshotOf([]), { ...snapshotOf([]), id: "PLoThEr" }), { code: "INVALID_INPUT" });
+  });
+});
+
+describe("Playlist.diff", () => {
+  it("wraps the changes and the errors in a response", () => {
+    const response = Playlist.diff(snapshotOf(["a"]), snapshotOf(["a", "b"]));
+    const invalid = Playlist.diff({}, snapshotOf([]));
+
+    assert.deepEqual([response.err, response.DiffData.added], [false, [{ id: "b", title: "Title b", position: 2 }]]);
+    assert.deepEqual(invalid, { DiffData: null, err: true, err_msg: "Failed to compare snapshots: Old snapshot has no videos", code: "INVALID_INPUT" });
+  });
+});
+
+describe("Playlist.snapshot and Playlist.watch", () => {
+  let directory;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "yts-watch-"));
+  });
+
+  after(() => {
+    Cache.configure({ store: null });
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("dates the playlist, flags unavailable videos and skips the cache", async () => {
+    Cache.configure({ store: new MemoryCache() });
+
+    const { SnapshotData, err } = await Playlist.snapshot(URL);
+    await Playlist.snapshot(URL);
+
+    Cache.configure({ store: null });
+
+    assert.equal(err, false);
+    assert.equal(SnapshotData.id, "PLfIxTuRe0000000000000000000000001");
+    assert.ok(!Number.isNaN(Date.parse(SnapshotData.taken_at)));
+    assert.deepEqual(Object.values(SnapshotData.videos).map(({ available }) => available), [true, true, false]);
+    assert.equal(calls.ytpl.length, 2);
+  });
+
+  it("rejects a store that is not a snapshot store", () => {
+    const store = path.join(directory, "list.json");
+    fs.writeFileSync(store, "[]");
+
+    assert.throws(() => PlaylistSnapshot.load(store, "PLfIxTuRe0000000000000000000000001"), { code: "INVALID_INPUT", message: /^Invalid snapshot store .*list\.json: Unexpected content$/ });
+    assert.equal(PlaylistSnapshot.load(path.join(directory, "missing.json"), "PLfIxTuRe0000000000000000000000001"), null);
+  });
+
+  it("compares the first snapshot with the stored one and saves the new one", async () => {
+    const store = path.join(directory, "snapshots.json");
+    const { SnapshotData } = await Playlist.snapshot(URL);
+    const stored = { ...SnapshotData, videos: { 1: { ...SnapshotData.videos[1], title: "Old title" }, 2: { id: "gOnEvIdEo01", title: "Gone", available: true }, 3: SnapshotData.videos[3] } };
+
+    PlaylistSnapshot.save(store, stored);
+
+    const watcher = Playlist.watch(URL, { store, interval: 60 * 1000 });
+    const [changes] = await once(watcher, "change");
+    watcher.stop();
+
+    assert.deepEqual(changes.renamed.map(({ old_title }) => old_title), ["Old title"]);
+    assert.deepEqual(changes.added.map(({ id }) => id), ["sLa5hTiTlE1"]);
+    assert.deepEqual(changes.removed.map(({ id }) => id), ["gOnEvIdEo01"]);
+    assert.equal(PlaylistSnapshot.load(store, SnapshotData.id).videos[2].id, "sLa5hTiTlE1");
+  });
+
+  it("emits errors and rejects invalid options", async () => {
+    const controller = new AbortController();
+    const watcher = Playlist.watch(PRIVATE_URL, { signal: controller.signal });
+    const [error] = await once(watcher, "error");
+    controller.abort();
+
+    assert.equal(error.code, "PRIVATE_PLAYLIST");
+    assert.throws(() => Playlist.watch(URL, { interval: 0 }), { code: "INVALID_INPUT" });
+    assert.throws(() => Playlist.watch("https://vimeo.com/123"), { code: "INVALID_URL" });
+  });
+});
@@ -0,0 +1,40 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { Pool } = require("../src/utils/Pool");
+
+describe("Pool.map", () => {
+  it("keeps the items order with a bounded number of parallel calls", async () => {
+    let running = 0;
+    let maxRunning = 0;
+
+    const results = await Pool.map(
+      [30, 10, 20, 0, 5],
+      async (delay, index) => {
+        maxRunning = Math.max(maxRunning, ++running);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        running--;
+
+        return `${index}:${delay}`;
+      },
+      { concurrency: 2 }
+    );
+
+    assert.deepEqual(results, ["0:30", "1:10", "2:20", "3:0", "4:5"]);
+    assert.equal(maxRunning, 2);
+  });
+
+  it("spaces the starts by the request interval", async () => {
+    const starts = [];
+    await Pool.map([1, 2, 3], async () => starts.push(Date.now()), { concurrency: 3, requestInterval: 30 });
+
+    assert.ok(starts[2] - starts[0] >= 55, `${starts[2] - starts[0]}ms between the first and the last start`);
+  });
+
+  it("starts no item once the signal is aborted", async () => {
+    const controller = new AbortController();
+    const results = await Pool.map([1, 2, 3, 4], async (item) => (item === 2 && controller.abort(), item), { signal: controller.signal });
+
+    assert.deepEqual([...results], [1, 2, undefined, undefined]);
+  });
+});
@@ -0,0 +1,278 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Fixtures must replace the clients before the library is loaded
+const { calls, resetCalls } = require("./helpers/fixtures");
+const { YoutubeSearch, InnerTube, Hooks, Retry } = require("..");
+
+const SEED_URL = "https://www.youtube.com/watch?v=dQw4w9WgXcQ";
+
+Retry.configure({ minDelay: 0, maxDelay: 0, jitter: false });
+beforeEach(resetCalls);
+
+describe("YoutubeSearch.search", () => {
+  it("formats items of all types and follows continuations up to the limit", async () => {
+    const { results, err } = await YoutubeSearch.searchAll("lofi", { limit: 7 });
+
+    assert.equal(err, false);
+    assert.equal(results.estimated_results, 48213);
+    assert.deepEqual(
+      results.items.map(({ type, id }) => [type, id]),
+      [
+        ["video", "jfKfPfyJRdk"],
+        ["playlist", "PLofht4PTcKYnaH8w5olJCI-wUVxuoMHqM"],
+        ["channel", "UCSJ4gkVC6NrvII8umztf0Ow"],
+        ["video", "4xDzrJKXOOY"],
+        ["playlist", "PLfIxTuRe0000000000000000000000001"],
+        ["movie", "mOvIeFiXtUr"],
+        ["video", "rUxyKA_-grg"],
+      ]
+    );
+    assert.deepEqual(calls.innertube, ["lofi", "lofi-page-2"]);
+  });
+
+  it("continues in the middle of a page", async () => {
+    const first = await YoutubeSearch.searchVideos("lofi", { limit: 3 });
+    const next = await YoutubeSearch.searchVideos("lofi", { continuation: first.results.continuation });
+
+    assert.deepEqual(
+      first.results.items.map(({ id }) => id),
+      ["jfKfPfyJRdk", "4xDzrJKXOOY", "rUxyKA_-grg"]
+    );
+    assert.deepEqual(
+      next.results.items.map(({ id }) => id),
+      ["lTRiuFIWV54"]
+    );
+    assert.equal(next.results.continuation, null);
+  });
+
+  it("formats channel items", async () => {
+    const { results } = await YoutubeSearch.searchChannels("lofi");
+    const [channel] = results.items;
+
+    assert.equal(results.number_items, 1);
+    assert.equal(channel.handle, "@LofiGirl");
+    assert.equal(channel.url, "https://www.youtube.com/@LofiGirl");
+    assert.equal(channel.verified, true);
+    assert.equal(channel.author_img_url, "https://yt3.ggpht.com/lofi-girl=s176");
+  });
+
+  it("returns INVALID_INPUT for an unknown type or continuation", async () => {
+    const unknownType = await YoutubeSearch.search("short", "lofi");
+    const badContinuation = await YoutubeSearch.searchVideos("lofi", { continuation: "not a continuation" });
+
+    assert.deepEqual(unknownType, {
+      results: null,
+      err: true,
+      err_msg: 'Invalid search type: short. Must be "video", "playlist", "channel", "movie" or "all".',
+      code: "INVALID_INPUT",
+    });
+    assert.equal(badContinuation.code, "INVALID_INPUT");
+    assert.equal(calls.innertube.length, 0);
+  });
+});
+
+describe("YoutubeSearch.searchPlaylists", () => {
+  it("takes counts from the search results without playlist requests", async () => {
+    const { results } = await YoutubeSearch.searchPlaylists("lofi");
+
+    assert.deepEqual(
+      results.items.map(({ number_videos }) => number_videos),
+      [12, null]
+    );
+    assert.equal(calls.ytpl.length, 0);
+  });
+
+  it("sets views to null when the results have no view count", async () => {
+    const { results } = await YoutubeSearch.searchPlaylists("lofi", { exportFormat: "csv" });
+    const { results: items } = await YoutubeSearch.searchPlaylists("lofi");
+
+    assert.deepEqual(
+      items.items.map(({ views }) => views),
+      [null, null]
+    );
+    assert.doesNotMatch(results, /undefined/);
+  });
+
+  it("only looks up missing counts when enriched", async () => {
+    const { results } = await YoutubeSearch.searchPlaylists("lofi", { enrich: true });
+
+    assert.deepEqual(
+      results.items.map(({ number_videos }) => number_videos),
+      [12, 3]
+    );
+    assert.deepEqual(calls.ytpl, ["https://www.youtube.com/playlist?list=PLfIxTuRe0000000000000000000000001"]);
+  });
+
+  it("requests each playlist without count once with enrich and none without", async () => {
+    const plain = await YoutubeSearch.searchAll("lofi", { limit: 7 });
+    const plainCalls = calls.ytpl.length;
+
+    resetCalls();
+    const enriched = await YoutubeSearch.searchAll("lofi", { limit: 7, enrich: true });
+    const counts = (response) => response.results.items.filter(({ type }) => type === "playlist").map(({ number_videos }) => number_videos);
+
+    assert.equal(plainCalls, 0);
+    assert.deepEqual(counts(plain), [12, null]);
+    assert.deepEqual(calls.ytpl, ["https://www.youtube.com/playlist?list=PLfIxTuRe0000000000000000000000001"]);
+    assert.deepEqual(counts(enriched), [12, 3]);
+  });
+});
+
+describe("YoutubeSearch.main_ytsr", () => {
+  it("returns raw ytsr results of the type", async () => {
+    const { results, err } = await YoutubeSearch.main_ytsr("playlist", "lofi");
+
+    assert.equal(err, false);
+    assert.deepEqual(
+      results.items.map(({ type, length }) => [type, length]),
+      [["playlist", 12]]
+    );
+    assert.deepEqual(calls.ytsr, ["lofi"]);
+  });
+});
+
+describe("YoutubeSearch.videoAndRecommendations", () => {
+  it("formats the video and its related videos", async () => {
+    const { results, err } = await YoutubeSearch.videoAndRecommendations("https://www.youtube.com/watch?v=dQw4w9WgXcQ");
+
+    assert.equal(err, false);
+    assert.equal(results.origin_video_info.name, "Rick Astley - Never Gonna Give You Up (Official Music Video)");
+    assert.equal(results.origin_video_info.author_name, "Rick Astley");
+    assert.deepEqual(
+      results.recommendations.map(({ id, url }) => [id, url]),
+      [["yPYZpwSpKmA", "https://www.youtube.com/watch?v=yPYZpwSpKmA"]]
+    );
+  });
+
+  it("returns the error of the video", async () => {
+    const { results, err, code } = await YoutubeSearch.videoAndRecommendations("https://www.youtube.com/watch?v=pRiVaTeViD1");
+
+    assert.equal(results, null);
+    assert.equal(err, true);
+    assert.equal(code, "PRIVATE_VIDEO");
+  });
+});
+
+describe("YoutubeSearch.crawlRecommendations", () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "yts-"));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("crawls breadth first, deduplicates videos and keeps failed ones", async () => {
+    const { results, err } = await YoutubeSearch.crawlRecommendations(SEED_URL, { depth: 3, concurrency: 2 });
+
+    assert.equal(err, false);
+    assert.equal(results.complete, true);
+    assert.deepEqual(
+      results.nodes.map(({ id, depth, crawled }) => [id, depth, crawled]),
+      [
+        ["dQw4w9WgXcQ", 0, true],
+        ["yPYZpwSpKmA", 1, true],
+        ["pRiVaTeViD1", 2, false],
+        ["sLa5hTiTlE1", 2, true],
+      ]
+    );
+    assert.match(results.nodes[2].error, /private video/);
+    assert.deepEqual(results.edges, [
+      { from: "dQw4w9WgXcQ", to: "yPYZpwSpKmA", rank: 1 },
+      { from: "yPYZpwSpKmA", to: "dQw4w9WgXcQ", rank: 1 },
+      { from: "yPYZpwSpKmA", to: "pRiVaTeViD1", rank: 2 },
+      { from: "yPYZpwSpKmA", to: "sLa5hTiTlE1", rank: 3 },
+    ]);
+    assert.equal(calls.ytdl.length, 4);
+  });
+
+  it("stops at the depth and the maximum number of nodes", async () => {
+    const { results } = await YoutubeSearch.crawlRecommendations(SEED_URL, { maxNodes: 3, exportFormat: "csv" });
+
+    assert.equal(results, "from,to,rank\ndQw4w9WgXcQ,yPYZpwSpKmA,1\nyPYZpwSpKmA,dQw4w9WgXcQ,1\nyPYZpwSpKmA,pRiVaTeViD1,2\n");
+    assert.equal(calls.ytdl.length, 2);
+  });
+
+  it("exports GraphML with escaped attributes", async () => {
+    const { results } = await YoutubeSearch.crawlRecommendations(SEED_URL, { exportFormat: "graphml" });
+
+    assert.match(results, /<graph id="dQw4w9WgXcQ" edgedefault="directed">/);
+    assert.match(results, /<data key="title">AC\/DC \| Live #1<\/data>/);
+    assert.match(results, /<edge source="yPYZpwSpKmA" target="sLa5hTiTlE1"><data key="rank">3<\/data><\/edge>/);
+  });
+
+  it("resumes a stopped crawl from its checkpoint", async () => {
+    const checkpoint = path.join(dir, "crawl.json");
+    const controller = new AbortController();
+    const removeListener = Hooks.on("progress", () => controller.abort());
+
+    const stopped = await YoutubeSearch.crawlRecommendations(SEED_URL, { checkpoint, signal: controller.signal });
+    removeListener();
+
+    assert.equal(stopped.results.complete, false);
+    assert.equal(stopped.results.number_nodes, 2);
+    assert.deepEqual(JSON.parse(fs.readFileSync(checkpoint, "utf8")).pending, [{ id: "yPYZpwSpKmA", url: "https://www.youtube.com/watch?v=yPYZpwSpKmA", depth: 1 }]);
+
+    const resumed = await YoutubeSearch.crawlRecommendations(SEED_URL, { checkpoint });
+
+    assert.equal(resumed.results.complete, true);
+    assert.equal(resumed.results.number_nodes, 4);
+    assert.deepEqual(calls.ytdl, [SEED_URL, "https://www.youtube.com/watch?v=yPYZpwSpKmA"]);
+
+    const other = await YoutubeSearch.crawlRecommendations("https://www.youtube.com/watch?v=sLa5hTiTlE1", { checkpoint });
+    assert.equal(other.code, "INVALID_INPUT");
+  });
+
+  it("rejects a file that is not a checkpoint before any request", async () => {
+    const checkpoint = path.join(dir, "not-a-crawl.json");
+    fs.writeFileSync(checkpoint, JSON.stringify({ pending: [] }));
+
+    const { code, err_msg } = await YoutubeSearch.crawlRecommendations(SEED_URL, { checkpoint });
+
+    assert.equal(code, "INVALID_INPUT");
+    assert.match(err_msg, /Invalid checkpoint .*not-a-crawl\.json: Unexpected content/);
+    assert.equal(calls.ytdl.length, 0);
+  });
+
+  it("rejects invalid options before any request", async () => {
+    const responses = [await YoutubeSearch.crawlRecommendations(SEED_URL, { depth: -1 }), await YoutubeSearch.crawlRecommendations(SEED_URL, { maxNodes: 0 }), await YoutubeSearch.crawlRecommendations(SEED_URL, { exportFormat: "dot" })];
+
+    assert.deepEqual(responses.map(({ code }) => code), ["INVALID_INPUT", "INVALID_INPUT", "INVALID_INPUT"]);
+    assert.equal(calls.ytdl.length, 0);
+  });
+
+  it("returns the error of the seed", async () => {
+    const { err, code } = await YoutubeSearch.crawlRecommendations("https://www.youtube.com/watch?v=pRiVaTeViD1");
+
+    assert.equal(err, true);
+    assert.equal(code, "PRIVATE_VIDEO");
+  });
+});
+
+describe("InnerTube client version", () => {
+  after(() => {
+    InnerTube.configure({ clientVersion: "2.20240606.06.00", detectVersion: false });
+  });
+
+  it("sends the configured version without reading the home page", async () => {
+    InnerTube.configure({ clientVersion: "2.20250101.00.00" });
+
+    assert.equal(await InnerTube.clientVersion(), "2.20250101.00.00");
+    assert.deepEqual(calls.innertube, []);
+  });
+
+  it("reads the version of the home page once", async () => {
+    InnerTube.configure({ detectVersion: true });
+
+    assert.equal(await InnerTube.clientVersion(), "2.20261015.01.00");
+    await YoutubeSearch.searchAll("lofi", { limit: 7 });
+
+    assert.deepEqual(calls.innertube, ["home", "lofi", "lofi-page-2"]);
+  });
+});
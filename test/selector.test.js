@@ -0,0 +1,115 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { FormatSelector } = require("..");
+
+/**
+ * Prepared format with only the fields used by the selector
+ * @param {string} itag - Format name used in assertions
+ * @param {Object} fields - Height, fps, codecs, container, bitrates and HDR flag
+ * @returns {Object} Format
+ */
+const format = (itag, fields) => ({ itag, height: null, fps: null, hdr: false, videoCodec: null, audioCodec: null, container: "mp4", hasAudio: false, audioBitrate: null, bitrate: 0, ...fields });
+
+const FORMATS = [
+  format("360-avc", { height: 360, fps: 30, videoCodec: "avc1.42001E", audioCodec: "mp4a.40.2", hasAudio: true, audioBitrate: 96, bitrate: 500000 }),
+  format("720-vp9", { height: 720, fps: 30, videoCodec: "vp9", container: "webm", bitrate: 1500000 }),
+  format("720-avc", { height: 720, fps: 30, videoCodec: "avc1.4d401f", bitrate: 1400000 }),
+  format("1080-avc60", { height: 1080, fps: 60, videoCodec: "avc1.64002a", bitrate: 4000000 }),
+  format("1080-hevc30", { height: 1080, fps: 30, videoCodec: "hvc1.2.4.L123", bitrate: 3000000 }),
+  format("2160-hdr", { height: 2160, fps: 60, hdr: true, videoCodec: "vp09.02.51.10", container: "webm", bitrate: 20000000 }),
+  format("audio-opus", { audioCodec: "opus", container: "webm", hasAudio: true, audioBitrate: 160, bitrate: 160000 }),
+  format("audio-aac", { audioCodec: "mp4a.40.2", hasAudio: true, audioBitrate: 128, bitrate: 128000 }),
+];
+
+/**
+ * Names of the ranked formats
+ * @param {Object} policy - Selection policy
+ * @returns {string[]} Ranked format names
+ */
+const ranking = (policy) => FormatSelector.select(FORMATS, policy).formats.map(({ itag }) => itag);
+
+/**
+ * Rule and reason of a selection
+ * @param {Object} selection - Selection
+ * @returns {Array<string|null>} Rule and reason
+ */
+const pick = ({ rule, reason }) => [rule, reason];
+
+describe("FormatSelector quality modes", () => {
+  it("ranks best and worst by height, formats without video last", () => {
+    assert.deepEqual(ranking({ quality: "best" }).slice(0, 2), ["2160-hdr", "1080-avc60"]);
+    assert.deepEqual(ranking({ quality: "worst" }).slice(0, 3), ["360-avc", "720-avc", "720-vp9"]);
+    assert.deepEqual(ranking({ quality: "worst" }).slice(-2), ["audio-aac", "audio-opus"]);
+  });
+
+  it("picks the nearest height, the higher one on equal distance", () => {
+    assert.equal(FormatSelector.select(FORMATS, { quality: "nearest:1000p" }).format.itag, "1080-avc60");
+    assert.equal(FormatSelector.select(FORMATS, { quality: "nearest:540" }).format.itag, "720-vp9");
+  });
+
+  it("removes formats out of a limit and counts them", () => {
+    const { format: winner, formats, excluded } = FormatSelector.select(FORMATS, { quality: "<=720p", audioBitrate: ">=128" });
+
+    assert.equal(winner.itag, "720-vp9");
+    assert.deepEqual(excluded, { quality: 3, audioBitrate: 1 });
+    assert.equal(formats.some(({ itag }) => itag === "360-avc"), false);
+  });
+
+  it("explains when no format matches the limits", () => {
+    assert.deepEqual(FormatSelector.select(FORMATS.slice(0, 1), { quality: ">=1080p" }), {
+      format: null,
+      formats: [],
+      rule: null,
+      reason: "No format matches the quality and audio bitrate limits",
+      excluded: { quality: 1 },
+    });
+  });
+});
+
+describe("FormatSelector preferences", () => {
+  it("matches codec aliases to codec prefixes", () => {
+    assert.equal(FormatSelector.select(FORMATS, { quality: "1080p", codec: ["h265"] }).format.itag, "1080-hevc30");
+    assert.equal(FormatSelector.select(FORMATS, { quality: "720p", codec: "h264" }).format.itag, "720-avc");
+    assert.equal(FormatSelector.select(FORMATS.slice(-2), { codec: ["AAC"] }).format.itag, "audio-aac");
+  });
+
+  it("puts the dynamic range before the quality", () => {
+    assert.equal(FormatSelector.select(FORMATS, { hdr: false }).format.itag, "1080-avc60");
+    assert.equal(FormatSelector.select(FORMATS, { quality: "worst", hdr: true }).format.itag, "2160-hdr");
+  });
+
+  it("prefers the closest frame rate and the container order", () => {
+    assert.equal(FormatSelector.select(FORMATS, { quality: "1080p", fps: 30 }).format.itag, "1080-hevc30");
+    assert.equal(FormatSelector.select(FORMATS, { quality: "720p", container: [".mp4"] }).format.itag, "720-avc");
+  });
+});
+
+describe("FormatSelector explanations", () => {
+  it("names the rule separating the winner from the next format", () => {
+    assert.deepEqual(
+      [{ hdr: true }, { quality: "<=1080p", fps: 30 }, { quality: "720p", codec: ["avc1"] }, { quality: "720p", container: ["mp4"] }, { quality: "720p" }].map((policy) => pick(FormatSelector.select(FORMATS, policy))),
+      [
+        ["hdr", "hdr: HDR preferred over SDR"],
+        ["fps", "fps: 30fps preferred over 60fps"],
+        ["codec", "codec: avc1.4d401f preferred over vp9"],
+        ["container", "container: mp4 preferred over webm"],
+        ["bitrate", "bitrate: 1500000bps preferred over 1400000bps"],
+      ]
+    );
+  });
+
+  it("tells the quality, a single match and YouTube order ties", () => {
+    const twin = { ...FORMATS[1], itag: "720-vp9-copy" };
+
+    assert.deepEqual(pick(FormatSelector.select([FORMATS[0], FORMATS[2]])), ["quality", "quality: 720p preferred over 360p"]);
+    assert.deepEqual(pick(FormatSelector.select(FORMATS.slice(0, 1))), ["only", "Only matching format"]);
+    assert.deepEqual(pick(FormatSelector.select([FORMATS[1], twin])), ["order", "Same rank as the next format, first in YouTube order"]);
+  });
+
+  it("rejects invalid policies", () => {
+    for (const policy of [{ quality: "best-ish" }, { quality: "720x" }, { fps: 0 }, { hdr: "yes" }, { audioBitrate: "lots" }]) {
+      assert.throws(() => FormatSelector.select(FORMATS, policy), { code: "INVALID_INPUT" });
+    }
+  });
+});
@@ -0,0 +1,128 @@
+const { describe, it, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+// Fixtures must replace the clients before the library is loaded, local requests reach the server
+const { calls, resetCalls } = require("./helpers/fixtures");
+const { Server, Video, Retry } = require("..");
+
+let server;
+let origin;
+
+Retry.configure({ minDelay: 0, maxDelay: 0, jitter: false });
+beforeEach(resetCalls);
+
+before(async () => {
+  server = await Server.listen({ port: 0 });
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+/**
+ * Request a route of the test server
+ * @param {string} route - Path and query
+ * @returns {Promise<{status: number, body: Object}>} HTTP status and JSON body
+ */
+const get = async (route) => {
+  const response = await fetch(`${origin}${route}`);
+  return { status: response.status, body: await response.json() };
+};
+
+describe("Server parameters", () => {
+  it("rejects non integer numbers with 400 before any request", async () => {
+    const responses = await Promise.all(["/playlists/PLfIxTuRe0000000000000000000000001?from=abc", "/playlists/PLfIxTuRe0000000000000000000000001/links?to=2.5", "/search?q=lofi&limit=ten"].map(get));
+
+    assert.deepEqual(
+      responses.map(({ status, body }) => [status, body.code]),
+      [
+        [400, "INVALID_INPUT"],
+        [400, "INVALID_INPUT"],
+        [400, "INVALID_INPUT"],
+      ]
+    );
+    assert.equal(responses[0].body.err_msg, 'Invalid query parameter "from": abc. Must be an integer');
+    assert.equal(calls.ytpl.length + calls.ytsr.length + calls.innertube.length, 0);
+  });
+
+  it("rejects malformed path escapes with 400", async () => {
+    const { status, body } = await get("/videos/%E0%A4%A");
+
+    assert.deepEqual(body, { err: true, err_msg: "Invalid path: /videos/%E0%A4%A", code: "INVALID_INPUT" });
+    assert.equal(status, 400);
+    assert.equal(calls.ytdl.length, 0);
+  });
+
+  it("keeps the playlist range of integer parameters", async () => {
+    const { status, body } = await get("/playlists/PLfIxTuRe0000000000000000000000001?from=2&to=3");
+
+    assert.equal(status, 200);
+    assert.deepEqual(Object.keys(body.PlaylistData.videos), ["2", "3"]);
+  });
+});
+
+describe("Server status codes", () => {
+  it("maps the error code of each response to its HTTP status", async () => {
+    const routes = [
+      "/videos/dQw4w9WgXcQ",
+      "/videos/pRiVaTeViD1",
+      "/videos/mIsSiNgViD1",
+      "/videos/rAtElImItD1",
+      "/playlists/PLfIxTuRePrIvAtE",
+      "/channels/@missing",
+      "/search",
+      "/unknown/route",
+    ];
+    const responses = await Promise.all(routes.map(get));
+
+    assert.deepEqual(
+      responses.map(({ status, body }) => [status, body.code]),
+      [
+        [200, null],
+        [403, "PRIVATE_VIDEO"],
+        [404, "VIDEO_UNAVAILABLE"],
+        [429, "RATE_LIMITED"],
+        [403, "PRIVATE_PLAYLIST"],
+        [404, "CHANNEL_UNAVAILABLE"],
+        [400, "INVALID_INPUT"],
+        [404, "INVALID_INPUT"],
+      ]
+    );
+  });
+
+  it("answers 405 to other methods", async () => {
+    const response = await fetch(`${origin}/videos/dQw4w9WgXcQ`, { method: "POST" });
+
+    assert.equal(response.status, 405);
+    assert.equal((await response.json()).err_msg, "Method not allowed: POST");
+  });
+
+  it("uses 500 for codes without status", () => {
+    assert.deepEqual(
+      [{ err: false }, { err: true, code: "NETWORK" }, { err: true, code: "FFMPEG_NOT_FOUND" }, { err: true, code: "UNKNOWN" }].map((response) => Server.statusCode(response)),
+      [200, 502, 500, 500]
+    );
+  });
+});
+
+describe("Server NDJSON links", () => {
+  it("stops requesting videos when the client goes away", async () => {
+    // Slow links so the closed connection is seen between two videos
+    const getDownloadLink = Video.getDownloadLink;
+    mock.method(Video, "getDownloadLink", async (...args) => {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      return getDownloadLink.apply(Video, args);
+    });
+
+    await new Promise((resolve) => {
+      const req = http.get(`${origin}/playlists/PLfIxTuRe0000000000000000000000120/links?stream=ndjson`, (res) => res.once("data", () => req.destroy()));
+      req.on("close", resolve);
+    });
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    mock.restoreAll();
+
+    assert.ok(calls.ytdl.length < 5, `${calls.ytdl.length} videos requested`);
+  });
+});
@@ -0,0 +1,185 @@
+import {
+  Channel,
+  ChannelData,
+  Captions,
+  Cue,
+  Downloader,
+  FileResult,
+  FormatSelector,
+  Format,
+  Exporter,
+  ExportEntry,
+  Muxer,
+  Server,
+  Retry,
+  InnerTube,
+  Cache,
+  MemoryCache,
+  FileCache,
+  Logger,
+  Hooks,
+  ScrapingError,
+  YoutubeUrl,
+  ParsedUrl,
+  Jobs,
+  Job,
+  JobItem,
+  JobSummary,
+  ERROR_CODES,
+  RETRYABLE_CODES,
+  ErrorCode,
+} from "../..";
+import { Server as HttpServer } from "http";
+import { Equal, assert } from "./helpers";
+
+async function channel() {
+  const info = await Channel.getInfo("@YouTube");
+  if (!info.err) assert<Equal<typeof info.ChannelData, ChannelData>>();
+
+  const id = await Channel.resolveId("https://www.youtube.com/@YouTube");
+  if (!id.err) assert<Equal<typeof id.channelId, string>>();
+
+  const uploads = await Channel.getUploads("@YouTube", { tab: "shorts", pages: 2 });
+  if (!uploads.err) assert<Equal<typeof uploads.UploadsData.title, string | null>>();
+
+  // @ts-expect-error unknown tab
+  Channel.getUploads("@YouTube", { tab: "posts" });
+}
+
+function captions() {
+  const cues = Captions.parse("<transcript></transcript>");
+  assert<Equal<typeof cues, Cue[]>>();
+
+  assert<Equal<ReturnType<typeof Captions.toSrt>, string>>();
+  assert<Equal<typeof Captions.convert extends (cues: Cue[], format: "json") => Cue[] ? true : false, true>>();
+
+  const srt: string = Captions.convert(cues, "srt");
+  const json: Cue[] = Captions.convert(cues, "json");
+}
+
+async function downloads() {
+  const file = await Downloader.downloadFile("https://example.com/video.mp4", "./video.mp4", { resume: false });
+  if (!file.err) assert<Equal<typeof file.results, FileResult>>();
+
+  const merged = await Muxer.merge("video.mp4", "audio.m4a", "out.mkv", { ffmpegPath: "/usr/bin/ffmpeg" });
+  if (!merged.err) assert<Equal<typeof merged.results.path, string>>();
+
+  assert<Equal<Awaited<ReturnType<typeof Muxer.isAvailable>>, boolean>>();
+}
+
+function formatSelector(formats: Format[]) {
+  const selection = FormatSelector.select(formats, { quality: "<=720p", container: "mp4" });
+  assert<Equal<typeof selection.format, Format | null>>();
+  assert<Equal<typeof selection.formats, Format[]>>();
+
+  const { quality } = FormatSelector.parse({ quality: "nearest:1080p" });
+  if (quality.mode === "nearest") assert<Equal<typeof quality.height, number>>();
+}
+
+function exporter(entries: ExportEntry[]) {
+  const remove = Exporter.register("xspf", (entries, options) => entries.map(({ url, filename }) => `${url} ${filename} ${options.filenameTemplate}`).join("\n"));
+  assert<Equal<ReturnType<typeof Exporter.export>, string>>();
+  assert<Equal<typeof Exporter.entries, (data: object | Array<Partial<ExportEntry> & Record<string, unknown>>, options?: import("../..").ExportOptions) => ExportEntry[]>>();
+
+  Exporter.export("csv", entries);
+  remove();
+
+  // @ts-expect-error exporters return a string
+  Exporter.register("bad", () => null);
+}
+
+async function server() {
+  const listening = await Server.listen({ port: 8080 });
+  assert<Equal<typeof listening, HttpServer>>();
+
+  assert<Equal<ReturnType<typeof Server.statusCode>, number>>();
+}
+
+async function retriesAndCache() {
+  const value = await Retry.run(async (attempt) => attempt * 2, { attempts: 5 });
+  assert<Equal<typeof value, number>>();
+
+  InnerTube.configure({ detectVersion: true });
+  assert<Equal<Awaited<ReturnType<typeof InnerTube.clientVersion>>, string>>();
+  // @ts-expect-error the client version is a string
+  InnerTube.configure({ clientVersion: 2 });
+
+  Cache.configure({ store: new FileCache({ path: "./cache.json" }), ttl: { video: 1000 } });
+  assert<Equal<ReturnType<FileCache["flush"]>, void>>();
+  Cache.configure({ store: new MemoryCache({ max: 100 }) });
+
+  // Any store with get, set and delete works
+  Cache.configure({ store: { get: async () => undefined, set: async () => {}, delete: async () => {} } });
+
+  const cached = await Cache.remember("search", "key", async () => ({ items: [] as string[] }));
+  assert<Equal<typeof cached, { items: string[] }>>();
+
+  // @ts-expect-error unknown entity
+  Cache.remember("comments", "key", async () => null);
+}
+
+function logging() {
+  Logger.configure({ level: "debug", logger: console });
+
+  // @ts-expect-error unknown level
+  Logger.configure({ level: "verbose" });
+
+  const unsubscribe = Hooks.on("request", ({ client, attempt }) => {
+    assert<Equal<typeof client, "ytdl" | "ytpl" | "ytsr" | "innertube" | "timedtext">>();
+    assert<Equal<typeof attempt, number>>();
+  });
+  assert<Equal<typeof unsubscribe, () => void>>();
+
+  Hooks.onError(({ code }) => assert<Equal<typeof code, ErrorCode>>());
+  Hooks.onProgress(({ done, total }) => done / total);
+
+  // @ts-expect-error unknown event
+  Hooks.on("finish", () => {});
+}
+
+function errors() {
+  const error = new ScrapingError("Playlist is private", ERROR_CODES.PRIVATE_PLAYLIST);
+  assert<Equal<typeof error.code, ErrorCode>>();
+  assert<Equal<typeof ERROR_CODES.RATE_LIMITED, "RATE_LIMITED">>();
+  assert<Equal<ReturnType<typeof ScrapingError.classify>, ErrorCode>>();
+  assert<Equal<typeof RETRYABLE_CODES, ErrorCode[]>>();
+
+  // @ts-expect-error unknown code
+  new ScrapingError("Failed", "TIMEOUT");
+}
+
+async function jobs() {
+  Jobs.configure({ store: "jobs.json" });
+
+  const created = await Jobs.create("playlist", "PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI", { from: 3, items: "1-9", qualitys: { "720p": true } });
+  if (created.err) {
+    assert<Equal<typeof created.JobData, null>>();
+    return;
+  }
+
+  assert<Equal<typeof created.JobData, Job>>();
+
+  const run = await Jobs.run(created.JobData.id, { concurrency: 2, onItem: (item) => assert<Equal<typeof item, JobItem>>() });
+  if (!run.err) assert<Equal<typeof run.JobData.items[number]["status"], "pending" | "done" | "failed">>();
+
+  assert<Equal<ReturnType<typeof Jobs.list>, JobSummary[]>>();
+  assert<Equal<ReturnType<typeof Jobs.pause>, boolean>>();
+
+  // @ts-expect-error links are not exported by jobs
+  Jobs.create("videos", ["dQw4w9WgXcQ"], { VideoDataType: "csv" });
+}
+
+function urls() {
+  const parsed = YoutubeUrl.parse("https://youtu.be/dQw4w9WgXcQ?t=90");
+  assert<Equal<typeof parsed, ParsedUrl>>();
+  assert<Equal<typeof parsed.type, "video" | "playlist" | "channel">>();
+  assert<Equal<typeof parsed.timestamp, number | null>>();
+  assert<Equal<typeof ERROR_CODES.INVALID_URL, "INVALID_URL">>();
+
+  const url: string = YoutubeUrl.videoUrl("dQw4w9WgXcQ", 90);
+
+  // @ts-expect-error timestamps are seconds
+  YoutubeUrl.videoUrl("dQw4w9WgXcQ", "1m30s");
+}
+
+export { channel, captions, downloads, formatSelector, server, retriesAndCache, logging, errors, urls, jobs };
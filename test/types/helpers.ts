@@ -0,0 +1,13 @@
+/**
+ * Type test helpers, the tests are only compiled and never run
+ */
+
+/**
+ * `true` if both types are identical
+ */
+export type Equal<A, B> = (<T>() => T extends A ? 1 : 2) extends <T>() => T extends B ? 1 : 2 ? true : false;
+
+/**
+ * Compiles only if the condition is `true`
+ */
+export declare function assert<Condition extends true>(): void;
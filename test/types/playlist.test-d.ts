@@ -0,0 +1,146 @@
+import { Playlist, PlaylistSelection, PlaylistSnapshot, Snapshot, SnapshotDiff, ScrapingError, PlaylistData, PlaylistPage, PlaylistVideo, PlaylistLink, DownloadResponse, Format, GET_DOWNLOADS_LINKS_OPTIONS } from "../..";
+import { Readable } from "stream";
+import { Equal, assert } from "./helpers";
+
+const url = "https://www.youtube.com/playlist?list=PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI";
+
+async function getInfo() {
+  const response = await Playlist.getInfo(url, true, { concurrency: 4 });
+
+  if (response.err) {
+    assert<Equal<typeof response.PlaylistData, null>>();
+    return;
+  }
+
+  assert<Equal<typeof response.PlaylistData, PlaylistData>>();
+  assert<Equal<typeof response.PlaylistData.number_videos, number>>();
+  assert<Equal<(typeof response.PlaylistData.videos)[number]["formats"], Format[] | string | undefined>>();
+}
+
+async function getInfoExport() {
+  const response = await Playlist.getInfo(url, true, { VideoDataType: "m3u8" });
+  if (!response.err) assert<Equal<typeof response.PlaylistData, string>>();
+
+  const links = await Playlist.getDownloadsLinks(url, { VideoDataType: "csv" });
+  if (!links.err) assert<Equal<typeof links.results, string>>();
+}
+
+async function selection() {
+  const response = await Playlist.getInfo(url, false, { items: "1,3,5-9,-3:", reverse: true, titleMatch: /live/i, maxDuration: 600 });
+  if (!response.err) assert<Equal<typeof response.PlaylistData.order, number[] | undefined>>();
+
+  await Playlist.getDownloadsLinks(url, { items: [1, -1], shuffle: 42, skip: (video, videoNumber) => video.duration_seconds === null || videoNumber > 10 });
+
+  const numbers = PlaylistSelection.apply({ 1: { id: "a", title: "A" } }, PlaylistSelection.parse({ skip: new Set(["b"]) }), 1);
+  assert<Equal<typeof numbers, number[]>>();
+
+  // @ts-expect-error items are a spec string or numbers
+  Playlist.getDownloadsLinks(url, { items: { from: 1 } });
+}
+
+async function getPage() {
+  const first = await Playlist.getPage(url);
+  if (first.err) return;
+
+  assert<Equal<typeof first.PlaylistData, PlaylistPage>>();
+
+  // The continuation of a page continues the next one
+  const { continuation } = first.PlaylistData;
+  if (continuation) {
+    const next = await Playlist.getPage(url, { continuation, pages: Infinity });
+    assert<Equal<typeof next.PlaylistData, PlaylistPage | null>>();
+  }
+}
+
+async function numberVideo() {
+  const response = await Playlist.numberVideo(url);
+  assert<Equal<typeof response.numberVideo, number | null>>();
+
+  if (!response.err) {
+    assert<Equal<typeof response.numberVideo, number>>();
+  }
+}
+
+async function iterate() {
+  for await (const video of Playlist.iterate(url, { from: 10, to: 20, withFormats: true })) {
+    assert<Equal<typeof video, PlaylistVideo>>();
+    assert<Equal<typeof video.number, number>>();
+  }
+
+  const stream = Playlist.stream(url, { to: null });
+  assert<Equal<typeof stream, Readable>>();
+
+  // @ts-expect-error `withFormats` is a boolean
+  Playlist.iterate(url, { withFormats: "yes" });
+}
+
+async function getDownloadsLinks() {
+  const response = await Playlist.getDownloadsLinks(url, {
+    from: 1,
+    to: 5,
+    types: ["video and audio"],
+    qualitys: { "720p": true },
+    concurrency: 2,
+    select: { quality: "<=720p" },
+    onItem: (videoNumber, link) => {
+      assert<Equal<typeof videoNumber, number>>();
+      assert<Equal<typeof link, DownloadResponse | string>>();
+    },
+  });
+
+  if (!response.err) {
+    assert<Equal<typeof response.results, PlaylistLink[]>>();
+  }
+
+  const text = await Playlist.getDownloadsLinks(url, { VideoDataType: "text" });
+
+  if (!text.err) {
+    assert<Equal<typeof text.results, string>>();
+  }
+
+  // @ts-expect-error `from` is a number
+  Playlist.getDownloadsLinks(url, { from: "1" });
+}
+
+async function mainYtpl() {
+  const response = await Playlist.main_ytpl(url, 10);
+
+  if (!response.err) {
+    assert<Equal<typeof response.PlaylistData.estimatedItemCount, number>>();
+  }
+}
+
+function constants() {
+  assert<Equal<typeof GET_DOWNLOADS_LINKS_OPTIONS.from, number | null>>();
+  assert<Equal<typeof GET_DOWNLOADS_LINKS_OPTIONS.concurrency, number>>();
+
+  Playlist.getDownloadsLinks(url, { ...GET_DOWNLOADS_LINKS_OPTIONS, to: 3 });
+}
+
+async function snapshots() {
+  const first = await Playlist.snapshot(url);
+  if (first.err) {
+    assert<Equal<typeof first.SnapshotData, null>>();
+    return;
+  }
+
+  assert<Equal<typeof first.SnapshotData, Snapshot>>();
+  assert<Equal<(typeof first.SnapshotData.videos)[number]["available"], boolean>>();
+
+  const response = Playlist.diff(first.SnapshotData, { videos: { 1: { id: "dQw4w9WgXcQ", title: "[Private video]" } } });
+  if (!response.err) assert<Equal<typeof response.DiffData, SnapshotDiff>>();
+
+  const diff = PlaylistSnapshot.diff(first.SnapshotData, { videos: { 1: { id: "dQw4w9WgXcQ", title: "[Private video]" } } });
+  assert<Equal<typeof diff.moved[number]["from"], number>>();
+  assert<Equal<ReturnType<typeof PlaylistSnapshot.load>, Snapshot | null>>();
+
+  const watcher = Playlist.watch(url, { interval: 60_000, store: "snapshots.json", signal: new AbortController().signal });
+  watcher.on("change", (changes) => assert<Equal<typeof changes, SnapshotDiff>>());
+  watcher.on("error", (error) => assert<Equal<typeof error, ScrapingError>>());
+  watcher.stop();
+
+  // @ts-expect-error the store is a file path
+  Playlist.watch(url, { store: {} });
+}
+
+export { getInfo, getPage, numberVideo, iterate, getDownloadsLinks, mainYtpl, constants, snapshots };
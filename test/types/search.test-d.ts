@@ -0,0 +1,114 @@
+import { YoutubeSearch, SearchItem, VideoItem, PlaylistItem, ChannelItem, MovieItem, SearchResults, VideoType, Graph, GraphEdge, RecommendationGraph } from "../..";
+import { Equal, assert } from "./helpers";
+
+async function searchVideos() {
+  const response = await YoutubeSearch.searchVideos("lofi", { limit: 50, sortBy: "viewCount", uploadDate: "week", features: ["4k", "hd"] });
+
+  if (response.err) {
+    assert<Equal<typeof response.results, null>>();
+    return;
+  }
+
+  assert<Equal<typeof response.results, SearchResults<VideoItem>>>();
+  assert<Equal<typeof response.results.continuation, string | null>>();
+
+  // Next results continue the same search
+  if (response.results.continuation) {
+    await YoutubeSearch.searchVideos("lofi", { continuation: response.results.continuation });
+  }
+
+  // @ts-expect-error unknown sort order
+  YoutubeSearch.searchVideos("lofi", { sortBy: "date" });
+}
+
+async function searchExport() {
+  const response = await YoutubeSearch.searchAll("lofi", { exportFormat: "jsonl" });
+  if (!response.err) assert<Equal<typeof response.results, string>>();
+}
+
+async function searchTypes() {
+  const playlists = await YoutubeSearch.searchPlaylists("lofi", { enrich: true, concurrency: 2 });
+  if (!playlists.err) assert<Equal<(typeof playlists.results.items)[number], PlaylistItem>>();
+
+  const channels = await YoutubeSearch.searchChannels("lofi");
+  if (!channels.err) assert<Equal<(typeof channels.results.items)[number], ChannelItem>>();
+
+  const movies = await YoutubeSearch.searchMovies("lofi", { duration: "long" });
+  if (!movies.err) assert<Equal<(typeof movies.results.items)[number]["views"], null>>();
+
+  // `search` returns the items of its type
+  const byType = await YoutubeSearch.search("movie", "lofi");
+  if (!byType.err) assert<Equal<(typeof byType.results.items)[number], MovieItem>>();
+
+  // @ts-expect-error unknown search type
+  YoutubeSearch.search("short", "lofi");
+}
+
+async function searchAll() {
+  const response = await YoutubeSearch.searchAll("lofi");
+  if (response.err) return;
+
+  assert<Equal<(typeof response.results.items)[number], SearchItem>>();
+
+  // Items are narrowed by `type`
+  for (const item of response.results.items) {
+    switch (item.type) {
+      case "video":
+        assert<Equal<typeof item, VideoItem>>();
+        break;
+      case "movie":
+        assert<Equal<typeof item.views, null>>();
+        break;
+      case "playlist":
+        assert<Equal<typeof item.number_videos, number | null>>();
+        break;
+      case "channel":
+        assert<Equal<typeof item.handle, string | null>>();
+        break;
+      default:
+        assert<Equal<typeof item, never>>();
+    }
+  }
+}
+
+async function recommendations() {
+  const response = await YoutubeSearch.videoAndRecommendations("https://www.youtube.com/watch?v=dQw4w9WgXcQ");
+
+  if (!response.err) {
+    assert<Equal<typeof response.results.origin_video_info, VideoItem>>();
+    assert<Equal<typeof response.results.recommendations, VideoItem[]>>();
+  }
+}
+
+async function crawl() {
+  const response = await YoutubeSearch.crawlRecommendations("https://www.youtube.com/watch?v=dQw4w9WgXcQ", { depth: 2, maxNodes: 50, concurrency: 2, checkpoint: "crawl.json", signal: new AbortController().signal });
+
+  if (!response.err) {
+    assert<Equal<typeof response.results, Graph>>();
+    assert<Equal<(typeof response.results.edges)[number], GraphEdge>>();
+    assert<Equal<ReturnType<typeof RecommendationGraph.export>, string>>();
+  }
+
+  const exported = await YoutubeSearch.crawlRecommendations("https://www.youtube.com/watch?v=dQw4w9WgXcQ", { exportFormat: "graphml" });
+  if (!exported.err) assert<Equal<typeof exported.results, string>>();
+
+  // @ts-expect-error unknown graph format
+  YoutubeSearch.crawlRecommendations("https://www.youtube.com/watch?v=dQw4w9WgXcQ", { exportFormat: "dot" });
+}
+
+async function mainYtsr() {
+  const videos = await YoutubeSearch.main_ytsr("video", "lofi");
+  if (!videos.err) assert<Equal<(typeof videos.results.items)[number]["type"], "video">>();
+
+  const playlists = await YoutubeSearch.main_ytsr("playlist", "lofi");
+  if (!playlists.err) assert<Equal<(typeof playlists.results.items)[number]["type"], "playlist">>();
+}
+
+function constants() {
+  assert<Equal<keyof typeof YoutubeSearch.DEFAULT_LIMITS, "video" | "playlist" | "channel" | "movie" | "all">>();
+
+  // @ts-expect-error search types are not format types
+  const type: VideoType = "playlist";
+}
+
+export { searchVideos, searchTypes, searchAll, recommendations, crawl, mainYtsr, constants };
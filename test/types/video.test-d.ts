@@ -0,0 +1,146 @@
+import { Video, VideoData, Format, ErrorCode, FileResult, CaptionsData, Cue, Comment, CommentsParser, ALL_TYPES, D_Q, MAIN_GET_INFO_OPTIONS } from "../..";
+import { Equal, assert } from "./helpers";
+
+const url = "https://www.youtube.com/watch?v=dQw4w9WgXcQ";
+
+async function getInfo() {
+  const response = await Video.getInfo(url, { types: ["video and audio"], qualitys: { "720p": true }, include: ["duration", "channel"] });
+
+  if (response.err) {
+    assert<Equal<typeof response.VideoData, null>>();
+    assert<Equal<typeof response.code, ErrorCode>>();
+    assert<Equal<typeof response.err_msg, string>>();
+    return;
+  }
+
+  // Narrowed by `err`
+  assert<Equal<typeof response.VideoData, VideoData>>();
+  assert<Equal<typeof response.code, null>>();
+  assert<Equal<typeof response.VideoData.formats, Format[]>>();
+  assert<Equal<typeof response.VideoData.duration_seconds, number | null | undefined>>();
+  assert<Equal<(typeof response.VideoData.formats)[number]["type"], "video" | "audio" | "video and audio" | "others">>();
+
+  // @ts-expect-error data is null until `err` is checked
+  (await Video.getInfo(url)).VideoData.formats;
+}
+
+async function getInfoText() {
+  const response = await Video.getInfo(url, { VideoDataType: "text" });
+
+  if (!response.err) {
+    assert<Equal<typeof response.VideoData, string>>();
+  }
+}
+
+async function getInfoExport() {
+  const response = await Video.getInfo(url, { VideoDataType: "aria2", types: ["audio"] });
+
+  if (!response.err) {
+    assert<Equal<typeof response.VideoData, string>>();
+  }
+}
+
+async function getInfoSelect() {
+  const response = await Video.getInfo(url, { select: { quality: "nearest:1080p", codec: ["avc1", "vp9"], fps: 60, hdr: false, audioBitrate: ">=128" } });
+
+  if (!response.err && response.VideoData.selection) {
+    assert<Equal<typeof response.VideoData.selection.reason, string>>();
+  }
+}
+
+function invalidOptions() {
+  // @ts-expect-error unknown type
+  Video.getInfo(url, { types: ["audio only"] });
+
+  // @ts-expect-error unknown quality
+  Video.getInfo(url, { qualitys: { "721p": true } });
+
+  // @ts-expect-error unknown metadata field
+  Video.getInfo(url, { include: ["comments"] });
+
+  // @ts-expect-error response formats are names, registered exporters included
+  Video.getInfo(url, { VideoDataType: 42 });
+}
+
+async function getDownloadLink() {
+  const response = await Video.getDownloadLink(url, 1, ["video"], { "1080p": true }, { quality: "best" });
+
+  if (!response.err) {
+    assert<Equal<typeof response.results, string>>();
+  } else {
+    assert<Equal<typeof response.results, null>>();
+  }
+
+  const many = await Video.getDownloadLinkForMany([url, url], ["audio"], {}, { concurrency: 2, requestInterval: 100 });
+  assert<Equal<typeof many.results, string | null>>();
+}
+
+async function download() {
+  const response = await Video.download(url, {
+    outDir: "./downloads",
+    mux: true,
+    container: "mkv",
+    onProgress: ({ downloaded, total, percent }) => {
+      assert<Equal<typeof downloaded, number>>();
+      assert<Equal<typeof total, number | null>>();
+      assert<Equal<typeof percent, number | null>>();
+    },
+  });
+
+  if (!response.err) {
+    assert<Equal<typeof response.results, FileResult & { format: string }>>();
+  }
+
+  // @ts-expect-error only mp4 and mkv can be muxed
+  Video.download(url, { container: "avi" });
+}
+
+async function getCaptions() {
+  const response = await Video.getCaptions(url, { languages: ["en"], format: "json" });
+
+  if (!response.err) {
+    assert<Equal<typeof response.CaptionsData, CaptionsData>>();
+    assert<Equal<(typeof response.CaptionsData.tracks)[number]["content"], string | Cue[]>>();
+  }
+
+  // @ts-expect-error unknown captions format
+  Video.getCaptions(url, { format: "ass" });
+}
+
+async function getComments() {
+  const response = await Video.getComments(url, { sortBy: "newest", limit: 20, includeReplies: true, repliesLimit: Infinity });
+
+  if (!response.err) {
+    assert<Equal<typeof response.results.continuation, string | null>>();
+    assert<Equal<(typeof response.results.comments)[number]["replies"], Comment[] | undefined>>();
+
+    // Next comments from the continuation only
+    Video.getComments(null, { continuation: response.results.continuation });
+  }
+
+  assert<Equal<ReturnType<typeof CommentsParser.parsePage>["comments"][number]["replies_continuation"], string | null>>();
+
+  // @ts-expect-error only top and newest orders
+  Video.getComments(url, { sortBy: "oldest" });
+}
+
+async function mainGetInfo() {
+  const response = await Video.main_getInfo(url);
+
+  if (!response.err) {
+    assert<Equal<typeof response.VideoData.videoDetails.videoId, string>>();
+  }
+}
+
+function constants() {
+  assert<Equal<typeof ALL_TYPES, Array<"video" | "audio" | "video and audio">>>();
+  assert<Equal<typeof Video.ALL_TYPES, typeof ALL_TYPES>>();
+  assert<Equal<typeof D_Q["720p"], boolean>>();
+  assert<Equal<typeof MAIN_GET_INFO_OPTIONS.VideoNumber, number>>();
+  assert<Equal<typeof MAIN_GET_INFO_OPTIONS.select, NonNullable<Parameters<typeof Video.getDownloadLink>[4]> | null>>();
+
+  // Defaults can be spread in options
+  Video.getInfo(url, { ...MAIN_GET_INFO_OPTIONS, qualitys: { ...D_Q, "360p": true } });
+}
+
+export { getInfo, getInfoText, getInfoSelect, invalidOptions, getDownloadLink, download, getCaptions, getComments, mainGetInfo, constants };
@@ -0,0 +1,126 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Fixtures must replace the clients before the library is loaded
+const { calls, resetCalls } = require("./helpers/fixtures");
+const { YoutubeUrl, Video, Playlist, Retry } = require("..");
+
+const VIDEO_URL = "https://www.youtube.com/watch?v=dQw4w9WgXcQ";
+const PLAYLIST_ID = "PLfIxTuRe0000000000000000000000001";
+const PLAYLIST_URL = `https://www.youtube.com/playlist?list=${PLAYLIST_ID}`;
+const CHANNEL_ID = "UCuAXFkgsw1L7xaCfnd5JJOw";
+
+Retry.configure({ minDelay: 0, maxDelay: 0, jitter: false });
+beforeEach(resetCalls);
+
+describe("YoutubeUrl.parse", () => {
+  it("reads the video ID of every video link form", () => {
+    const inputs = [
+      "dQw4w9WgXcQ",
+      VIDEO_URL,
+      "youtube.com/watch?v=dQw4w9WgXcQ&feature=share",
+      "http://m.youtube.com/watch?app=desktop&v=dQw4w9WgXcQ",
+      "https://music.youtube.com/watch?v=dQw4w9WgXcQ&si=abc",
+      "https://youtu.be/dQw4w9WgXcQ?si=abc",
+      "https://www.youtube.com/shorts/dQw4w9WgXcQ",
+      "https://www.youtube.com/live/dQw4w9WgXcQ?feature=share",
+      "https://www.youtube.com/embed/dQw4w9WgXcQ?rel=0",
+      "https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ",
+      "https://www.youtube.com/v/dQw4w9WgXcQ",
+      "  https://WWW.YOUTUBE.COM/watch?v=dQw4w9WgXcQ  ",
+    ];
+
+    for (const input of inputs) {
+      const parsed = YoutubeUrl.parse(input);
+
+      assert.equal(parsed.type, "video", input);
+      assert.equal(parsed.video_id, "dQw4w9WgXcQ", input);
+      assert.equal(parsed.url, VIDEO_URL, input);
+    }
+  });
+
+  it("reads timestamps in seconds and leaves them out of the URL", () => {
+    assert.equal(YoutubeUrl.parse("https://youtu.be/dQw4w9WgXcQ?t=90").timestamp, 90);
+    assert.equal(YoutubeUrl.parse("https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=1h2m3s").timestamp, 3723);
+    assert.equal(YoutubeUrl.parse("https://www.youtube.com/watch?v=dQw4w9WgXcQ#t=45s").timestamp, 45);
+    assert.equal(YoutubeUrl.parse("https://www.youtube.com/embed/dQw4w9WgXcQ?start=30").timestamp, 30);
+    assert.equal(YoutubeUrl.parse("https://youtu.be/dQw4w9WgXcQ?t=soon").timestamp, null);
+    assert.equal(YoutubeUrl.parse("https://youtu.be/dQw4w9WgXcQ?t=90").url, VIDEO_URL);
+    assert.equal(YoutubeUrl.videoUrl("https://youtu.be/dQw4w9WgXcQ", 90.5), `${VIDEO_URL}&t=90s`);
+  });
+
+  it("reads playlists alone or next to a video", () => {
+    assert.deepEqual(YoutubeUrl.parse(`https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=${PLAYLIST_ID}&index=2`), {
+      type: "video",
+      video_id: "dQw4w9WgXcQ",
+      playlist_id: PLAYLIST_ID,
+      channel_id: null,
+      channel_path: null,
+      timestamp: null,
+      url: VIDEO_URL,
+    });
+
+    for (const input of [PLAYLIST_ID, PLAYLIST_URL, `https://m.youtube.com/playlist?list=${PLAYLIST_ID}`, `https://www.youtube.com/embed/videoseries?list=${PLAYLIST_ID}`]) {
+      const parsed = YoutubeUrl.parse(input);
+
+      assert.equal(parsed.type, "playlist", input);
+      assert.equal(parsed.url, PLAYLIST_URL, input);
+    }
+  });
+
+  it("reads channel IDs, handles, custom and user URLs", () => {
+    assert.equal(YoutubeUrl.parse(CHANNEL_ID).url, `https://www.youtube.com/channel/${CHANNEL_ID}`);
+    assert.equal(YoutubeUrl.parse(`https://www.youtube.com/channel/${CHANNEL_ID}/videos`).channel_id, CHANNEL_ID);
+    assert.equal(YoutubeUrl.parse("@RickAstleyYT").url, "https://www.youtube.com/@RickAstleyYT");
+    assert.equal(YoutubeUrl.parse("https://m.youtube.com/@RickAstleyYT/shorts").channel_path, "@RickAstleyYT");
+    assert.equal(YoutubeUrl.parse("https://www.youtube.com/c/RickAstleyVEVO").channel_path, "c/RickAstleyVEVO");
+    assert.equal(YoutubeUrl.parse("youtube.com/user/RickAstleyVEVO").type, "channel");
+  });
+
+  it("throws INVALID_URL for malformed and non YouTube inputs", () => {
+    const inputs = ["", "not a video", "https://vimeo.com/123", "https://www.youtube.com/watch?v=short", "https://youtu.be/", "https://www.youtube.com/feed/trending", "https://www.youtube.com/channel/UCshort", "ftp://youtube.com/watch?v=dQw4w9WgXcQ", "https://www.youtube.com/playlist?list=bad%20id"];
+
+    for (const input of inputs) {
+      assert.throws(() => YoutubeUrl.parse(input), { code: "INVALID_URL" }, input);
+      assert.equal(YoutubeUrl.isValid(input), false, input);
+    }
+
+    assert.throws(() => YoutubeUrl.videoId(PLAYLIST_URL), { code: "INVALID_URL", message: /No video ID/ });
+    assert.throws(() => YoutubeUrl.playlistId(VIDEO_URL), { code: "INVALID_URL", message: /No playlist ID/ });
+    assert.throws(() => YoutubeUrl.playlistId("@RickAstleyYT"), { code: "INVALID_URL", message: /No playlist ID/ });
+  });
+
+  it("gives the uploads playlist of a channel ID", () => {
+    assert.equal(YoutubeUrl.playlistId(CHANNEL_ID), `UU${CHANNEL_ID.slice(2)}`);
+    assert.equal(YoutubeUrl.playlistUrl(`https://www.youtube.com/channel/${CHANNEL_ID}`), `https://www.youtube.com/playlist?list=UU${CHANNEL_ID.slice(2)}`);
+  });
+});
+
+describe("Normalized inputs", () => {
+  it("fetches videos of any link form with their canonical URL", async () => {
+    const short = await Video.getInfo("https://www.youtube.com/shorts/dQw4w9WgXcQ");
+    const bare = await Video.getInfo("sLa5hTiTlE1");
+
+    assert.equal(short.err, false);
+    assert.equal(bare.err, false);
+    assert.deepEqual(calls.ytdl, [VIDEO_URL, "https://www.youtube.com/watch?v=sLa5hTiTlE1"]);
+  });
+
+  it("fetches playlists from an ID or a watch URL with list=", async () => {
+    const bare = await Playlist.getInfo(PLAYLIST_ID);
+    const watched = await Playlist.numberVideo(`https://youtu.be/dQw4w9WgXcQ?list=${PLAYLIST_ID}`);
+
+    assert.equal(bare.PlaylistData.url, PLAYLIST_URL);
+    assert.equal(watched.numberVideo, 3);
+    assert.deepEqual(calls.ytpl, [PLAYLIST_URL, PLAYLIST_URL]);
+  });
+
+  it("returns INVALID_URL before any request", async () => {
+    const video = await Video.getInfo("https://vimeo.com/123");
+    const playlist = await Playlist.getInfo(VIDEO_URL);
+
+    assert.deepEqual(video, { VideoData: null, err: true, err_msg: "Failed to get video info: Not a YouTube URL: https://vimeo.com/123", code: "INVALID_URL" });
+    assert.equal(playlist.code, "INVALID_URL");
+    assert.equal(calls.ytdl.length + calls.ytpl.length, 0);
+  });
+});
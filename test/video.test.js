@@ -0,0 +1,217 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Fixtures must replace the clients before the library is loaded
+const { calls, resetCalls } = require("./helpers/fixtures");
+const { Video, Retry } = require("..");
+
+const URL = "https://www.youtube.com/watch?v=dQw4w9WgXcQ";
+const SLASH_TITLE_URL = "https://www.youtube.com/watch?v=sLa5hTiTlE1";
+
+Retry.configure({ minDelay: 0, maxDelay: 0, jitter: false });
+beforeEach(resetCalls);
+
+describe("Video.getInfo", () => {
+  it("classifies formats by type and drops formats without mime type", async () => {
+    const { VideoData, err } = await Video.getInfo(URL, { types: [...Video.ALL_TYPES, "others"] });
+
+    assert.equal(err, false);
+    assert.deepEqual(
+      VideoData.formats.map(({ title, type }) => [title, type]),
+      [
+        ["video/mp4 [360p] [+audio]", "video and audio"],
+        ["video/webm [2160p60 HDR] [-audio]", "video"],
+        ["video/mp4 [1080p] [-audio]", "video"],
+        ["video/webm [1080p] [-audio]", "video"],
+        ["video/mp4 [720p] [-audio]", "video"],
+        ["video/webm [720p] [-audio]", "video"],
+        ["audio/mp4 [] [+audio]", "audio"],
+        ["audio/webm [] [+audio]", "audio"],
+        ["video/mp4 [] [-audio]", "others"],
+      ]
+    );
+  });
+
+  it("keeps all types but others by default", async () => {
+    const { VideoData } = await Video.getInfo(URL);
+
+    assert.equal(VideoData.formats.length, 8);
+    assert.ok(VideoData.formats.every(({ type }) => type !== "others"));
+  });
+
+  it("extracts codecs, size and HDR of formats", async () => {
+    const { VideoData } = await Video.getInfo(URL);
+    const [muxed, hdr] = VideoData.formats;
+    const audio = VideoData.formats.find(({ type }) => type === "audio");
+
+    assert.equal(muxed.videoCodec, "avc1.42001E");
+    assert.equal(muxed.audioCodec, "mp4a.40.2");
+    assert.equal(muxed.hdr, false);
+    assert.equal(hdr.height, 2160);
+    assert.equal(hdr.fps, 60);
+    assert.equal(hdr.hdr, true);
+    assert.equal(audio.height, null);
+    assert.equal(audio.audioBitrate, 128);
+  });
+
+  it("filters formats by types and qualitys", async () => {
+    const { VideoData } = await Video.getInfo(URL, { types: ["video"], qualitys: { "1080p": true, "2160p": true } });
+
+    assert.deepEqual(
+      VideoData.formats.map(({ title }) => title),
+      ["video/webm [2160p60 HDR] [-audio]", "video/mp4 [1080p] [-audio]", "video/webm [1080p] [-audio]"]
+    );
+  });
+
+  it("removes formats without quality when a quality is enabled", async () => {
+    const { VideoData } = await Video.getInfo(URL, { types: ["audio"], qualitys: { "720p": true } });
+
+    assert.deepEqual(VideoData.formats, []);
+  });
+
+  it("adds the video number and the sanitized title to the URLs", async () => {
+    const { VideoData } = await Video.getInfo(SLASH_TITLE_URL, { VideoNumber: 4 });
+
+    assert.equal(VideoData.title, "AC/DC | Live #1");
+    assert.match(VideoData.formats[0].url, /\/videoplayback\/4 - AC~DC ~ Live ~1\?expire=/);
+  });
+
+  it("adds included metadata fields", async () => {
+    const { VideoData } = await Video.getInfo(URL, { include: ["duration", "views", "channel"] });
+
+    assert.equal(VideoData.duration_seconds, 212);
+    assert.equal(VideoData.view_count, 1602841163);
+    assert.equal(VideoData.channel.name, "Rick Astley");
+  });
+
+  it("reads a null or undefined include as no field", async () => {
+    const responses = [await Video.getInfo(URL, { include: null }), await Video.getInfo(URL, { include: undefined })];
+
+    responses.forEach(({ VideoData, err }) => {
+      assert.equal(err, false);
+      assert.deepEqual(Object.keys(VideoData), ["id", "title", "video_url", "formats"]);
+    });
+  });
+
+  it("returns text with a header and one block per format", async () => {
+    const { VideoData, err } = await Video.getInfo(SLASH_TITLE_URL, { VideoDataType: " TEXT ", VideoNumber: 4, include: ["duration"] });
+
+    assert.equal(err, false);
+    assert.equal(
+      VideoData,
+      [
+        "ID          : sLa5hTiTlE1",
+        "Title       : AC/DC | Live #1",
+        "Youtube Url : https://www.youtube.com/watch?v=sLa5hTiTlE1",
+        "duration_seconds : 212",
+        "-".repeat(100),
+        "",
+        "Type : video/mp4 [360p] [+audio]",
+        "Url  : https://rr1---sn-4g5ednsz.googlevideo.com/videoplayback/4 - AC~DC ~ Live ~1?expire=4102444800&ei=fixture&id=o-sLa5hTiTlE1&itag=18&source=youtube&mime=video%2Fmp4",
+      ].join("\n")
+    );
+  });
+
+  it("ranks formats with a selection policy", async () => {
+    const { VideoData } = await Video.getInfo(URL, { types: ["video"], select: { quality: "<=1080p", codec: ["vp9"] } });
+
+    assert.equal(VideoData.formats[0].title, "video/webm [1080p] [-audio]");
+    assert.equal(typeof VideoData.selection.reason, "string");
+  });
+});
+
+describe("Video.getInfo errors", () => {
+  it("returns VIDEO_UNAVAILABLE for a missing video", async () => {
+    const response = await Video.getInfo("https://www.youtube.com/watch?v=nOtThErE000");
+
+    assert.deepEqual(response, { VideoData: null, err: true, err_msg: "Failed to get video info: Video unavailable", code: "VIDEO_UNAVAILABLE" });
+  });
+
+  it("returns PRIVATE_VIDEO for a private video without retrying", async () => {
+    const { err, code } = await Video.getInfo("https://www.youtube.com/watch?v=pRiVaTeViD1");
+
+    assert.equal(err, true);
+    assert.equal(code, "PRIVATE_VIDEO");
+    assert.equal(calls.ytdl.length, 1);
+  });
+
+  it("retries RATE_LIMITED errors then returns them", async () => {
+    const { err, code } = await Video.getInfo("https://www.youtube.com/watch?v=rAtElImItD1");
+
+    assert.equal(err, true);
+    assert.equal(code, "RATE_LIMITED");
+    assert.equal(calls.ytdl.length, Retry.options.attempts);
+  });
+
+  it("returns INVALID_INPUT before any request", async () => {
+    const unknownField = await Video.getInfo(URL, { include: ["comments"] });
+    const invalidSelect = await Video.getInfo(URL, { select: { quality: "best-ish" } });
+
+    assert.equal(unknownField.code, "INVALID_INPUT");
+    assert.match(unknownField.err_msg, /Invalid include fields: comments/);
+    assert.equal(invalidSelect.code, "INVALID_INPUT");
+    assert.equal(calls.ytdl.length, 0);
+  });
+});
+
+describe("Video.getDownloadLink", () => {
+  it("returns the first matching format URL", async () => {
+    const { results, err } = await Video.getDownloadLink(URL, 2, ["video"], { "720p": true });
+
+    assert.equal(err, false);
+    assert.match(results, /\/videoplayback\/2 - Rick Astley - Never Gonna Give You Up \(Official Music Video\)\?.*itag=136/);
+  });
+
+  it("returns a message when no format matches", async () => {
+    const response = await Video.getDownloadLink(URL, 1, ["video and audio"], { "1080p": true });
+
+    assert.deepEqual(response, { results: `No download link found | N: 1 | url: ${URL}`, err: false, err_msg: "", code: null });
+  });
+
+  it("returns the error of getInfo with its code", async () => {
+    const videoUrl = "https://www.youtube.com/watch?v=nOtThErE000";
+    const { results, err, err_msg, code } = await Video.getDownloadLink(videoUrl, 3);
+
+    assert.equal(results, null);
+    assert.equal(err, true);
+    assert.equal(err_msg, `ERROR: In Get Download Link | N: 3 | url: ${videoUrl} | ERROR MESSAGE: Failed to get video info: Video unavailable`);
+    assert.equal(code, "VIDEO_UNAVAILABLE");
+  });
+
+  it("joins links and errors of many videos in input order", async () => {
+    const { results, err } = await Video.getDownloadLinkForMany([URL, "https://www.youtube.com/watch?v=nOtThErE000", SLASH_TITLE_URL], undefined, undefined, { concurrency: 2 });
+    const [first, second, third] = results.split("\n\n");
+
+    assert.equal(err, false);
+    assert.match(first, /\/videoplayback\/1 - Rick Astley/);
+    assert.match(second, /^ERROR: In Get Download Link \| N: 2 /);
+    assert.match(third, /\/videoplayback\/3 - AC~DC/);
+  });
+});
+
+describe("Video.getCaptions", () => {
+  it("lists tracks and converts the matching ones from json3", async () => {
+    const { CaptionsData, err } = await Video.getCaptions(URL, { languages: ["en"], autoGenerated: false });
+
+    assert.equal(err, false);
+    assert.deepEqual(
+      CaptionsData.available.map(({ language, auto_generated }) => [language, auto_generated]),
+      [
+        ["en", false],
+        ["en-US", true],
+        ["de", false],
+      ]
+    );
+    assert.equal(CaptionsData.tracks.length, 1);
+    assert.match(CaptionsData.tracks[0].content, /^1\n00:00:00,500 --> 00:00:02,600\nIt's here\n/);
+    assert.match(calls.timedtext[0], /lang=en&fmt=json3$/);
+  });
+
+  it("rejects unknown formats before any request", async () => {
+    const { err, code } = await Video.getCaptions(URL, { format: "ass" });
+
+    assert.equal(err, true);
+    assert.equal(code, "INVALID_INPUT");
+    assert.equal(calls.ytdl.length, 0);
+  });
+});